@@ -0,0 +1,13 @@
+-- Migration: Full-text search over note titles and content
+-- notes_fts rows share their rowid with the matching notes row and are kept
+-- in sync by the note routes (create/update/delete) in src/index.ts
+
+CREATE VIRTUAL TABLE IF NOT EXISTS notes_fts USING fts5(
+  title,
+  content,
+  tokenize = 'porter unicode61'
+);
+
+-- Backfill existing notes
+INSERT INTO notes_fts (rowid, title, content)
+SELECT rowid, title, content FROM notes;
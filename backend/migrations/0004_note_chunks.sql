@@ -0,0 +1,22 @@
+-- Migration: Chunked note text and embeddings for semantic retrieval
+-- note_chunks holds the text that goes into Bob's prompt; note_vectors is the
+-- D1 fallback vector store used when no Vectorize index is bound
+
+CREATE TABLE IF NOT EXISTS note_chunks (
+  note_id TEXT NOT NULL,
+  chunk_index INTEGER NOT NULL,
+  heading TEXT NOT NULL DEFAULT '',
+  content TEXT NOT NULL,
+  content_hash TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  PRIMARY KEY (note_id, chunk_index)
+);
+
+CREATE TABLE IF NOT EXISTS note_vectors (
+  id TEXT PRIMARY KEY,
+  note_id TEXT NOT NULL,
+  chunk_index INTEGER NOT NULL,
+  embedding BLOB NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_note_vectors_note_id ON note_vectors (note_id);
@@ -0,0 +1,18 @@
+-- Migration: Note version history
+-- Each row is a snapshot of a note; rapid small edits are folded into the
+-- latest row by src/revisions.ts, so rows are not one-per-keystroke
+
+CREATE TABLE IF NOT EXISTS note_revisions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  note_id TEXT NOT NULL,
+  title TEXT NOT NULL,
+  content TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_note_revisions_note_id ON note_revisions (note_id, id);
+
+-- Seed history with each note's current state
+INSERT INTO note_revisions (note_id, title, content, created_at, updated_at)
+SELECT id, title, content, updated_at, updated_at FROM notes;
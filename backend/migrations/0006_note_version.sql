@@ -0,0 +1,5 @@
+-- Migration: Version counter for optimistic concurrency
+-- Bumped on every write; clients send it back in If-Match and get a 409
+-- when someone else saved in between
+
+ALTER TABLE notes ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
@@ -0,0 +1,15 @@
+-- Migration: User accounts and note ownership
+-- Notes created before accounts existed have no owner; the first account
+-- to sign up adopts them (see handleSignup in src/index.ts)
+
+CREATE TABLE IF NOT EXISTS users (
+  id TEXT PRIMARY KEY,
+  email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+  password_hash TEXT NOT NULL,
+  password_salt TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+
+ALTER TABLE notes ADD COLUMN owner_id TEXT REFERENCES users (id);
+
+CREATE INDEX IF NOT EXISTS idx_notes_owner_updated ON notes (owner_id, updated_at);
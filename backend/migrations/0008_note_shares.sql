@@ -0,0 +1,16 @@
+-- Migration: Sharing notes
+-- note_shares grants another user viewer or editor access to a note.
+-- notes.public_link_id is the secret behind a note's read-only public link;
+-- clearing it (or replacing it) invalidates every link handed out before
+
+CREATE TABLE IF NOT EXISTS note_shares (
+  note_id TEXT NOT NULL,
+  user_id TEXT NOT NULL REFERENCES users (id),
+  role TEXT NOT NULL CHECK (role IN ('viewer', 'editor')),
+  created_at TEXT NOT NULL,
+  PRIMARY KEY (note_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_note_shares_user ON note_shares (user_id);
+
+ALTER TABLE notes ADD COLUMN public_link_id TEXT;
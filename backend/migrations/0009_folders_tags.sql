@@ -0,0 +1,34 @@
+-- Migration: Folders, tags and pinning
+-- folders form a per-user tree (parent_id NULL = top level); a note lives in
+-- at most one folder. Tags are per-user labels attached through note_tags.
+
+CREATE TABLE IF NOT EXISTS folders (
+  id TEXT PRIMARY KEY,
+  owner_id TEXT NOT NULL REFERENCES users (id),
+  parent_id TEXT REFERENCES folders (id),
+  name TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_folders_owner ON folders (owner_id, parent_id);
+
+CREATE TABLE IF NOT EXISTS tags (
+  id TEXT PRIMARY KEY,
+  owner_id TEXT NOT NULL REFERENCES users (id),
+  name TEXT NOT NULL COLLATE NOCASE,
+  created_at TEXT NOT NULL,
+  UNIQUE (owner_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS note_tags (
+  note_id TEXT NOT NULL,
+  tag_id TEXT NOT NULL REFERENCES tags (id),
+  PRIMARY KEY (note_id, tag_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_note_tags_tag ON note_tags (tag_id);
+
+ALTER TABLE notes ADD COLUMN folder_id TEXT REFERENCES folders (id);
+ALTER TABLE notes ADD COLUMN pinned INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_notes_owner_folder ON notes (owner_id, folder_id);
@@ -0,0 +1,7 @@
+-- Migration: Cache generated summaries
+-- notes.summary (from 0002) now holds the summary workflow's JSON result
+-- ({ summary, keyPoints, topics }). summary_hash is the SHA-256 of the note
+-- content it was generated from; a different hash means the summary is stale.
+
+ALTER TABLE notes ADD COLUMN summary_hash TEXT;
+ALTER TABLE notes ADD COLUMN summary_generated_at TEXT;
@@ -0,0 +1,24 @@
+-- Migration: Spaced-repetition flashcards
+-- Cards are generated from a note's study questions and belong to the user
+-- who generated them. ease / interval_days / repetitions are SM-2 state
+-- (src/srs.ts); a card is due for review once due_at has passed.
+
+CREATE TABLE IF NOT EXISTS flashcards (
+  id TEXT PRIMARY KEY,
+  note_id TEXT NOT NULL,
+  owner_id TEXT NOT NULL REFERENCES users (id),
+  question TEXT NOT NULL,
+  answer TEXT NOT NULL,
+  type TEXT,
+  difficulty TEXT,
+  ease REAL NOT NULL DEFAULT 2.5,
+  interval_days INTEGER NOT NULL DEFAULT 0,
+  repetitions INTEGER NOT NULL DEFAULT 0,
+  due_at TEXT NOT NULL,
+  last_reviewed_at TEXT,
+  created_at TEXT NOT NULL,
+  UNIQUE (note_id, owner_id, question)
+);
+
+CREATE INDEX IF NOT EXISTS idx_flashcards_owner_due ON flashcards (owner_id, due_at);
+CREATE INDEX IF NOT EXISTS idx_flashcards_note ON flashcards (note_id);
@@ -0,0 +1,34 @@
+-- Migration: Quiz sessions
+-- A quiz session is one attempt at a set of questions generated from a note.
+-- quiz_answers holds each question, the reference answer (hidden until the
+-- session is graded), the user's answer and the grading result.
+
+CREATE TABLE IF NOT EXISTS quiz_sessions (
+  id TEXT PRIMARY KEY,
+  note_id TEXT NOT NULL,
+  user_id TEXT NOT NULL REFERENCES users (id),
+  question_count INTEGER NOT NULL,
+  -- Average of the per-question scores (0-100) once graded
+  score REAL,
+  created_at TEXT NOT NULL,
+  completed_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_quiz_sessions_user_note ON quiz_sessions (user_id, note_id, created_at);
+
+CREATE TABLE IF NOT EXISTS quiz_answers (
+  id TEXT PRIMARY KEY,
+  session_id TEXT NOT NULL REFERENCES quiz_sessions (id),
+  position INTEGER NOT NULL,
+  question TEXT NOT NULL,
+  type TEXT NOT NULL,
+  difficulty TEXT NOT NULL,
+  reference_answer TEXT NOT NULL DEFAULT '',
+  user_answer TEXT,
+  score INTEGER,
+  missing TEXT,
+  model_answer TEXT,
+  feedback TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_quiz_answers_session ON quiz_answers (session_id, position);
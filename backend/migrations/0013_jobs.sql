@@ -0,0 +1,29 @@
+-- Migration: Background jobs
+-- Summary and study-question workflows run as jobs. job_steps records each
+-- step's progress (and retries) so the client can poll for status; the
+-- finished result is kept on the job as JSON.
+
+CREATE TABLE IF NOT EXISTS jobs (
+  id TEXT PRIMARY KEY,
+  kind TEXT NOT NULL,                    -- 'summary' | 'questions'
+  note_id TEXT NOT NULL,
+  user_id TEXT NOT NULL REFERENCES users (id),
+  status TEXT NOT NULL DEFAULT 'queued', -- queued | running | complete | failed
+  result TEXT,
+  error TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_note ON jobs (note_id);
+
+CREATE TABLE IF NOT EXISTS job_steps (
+  job_id TEXT NOT NULL REFERENCES jobs (id),
+  name TEXT NOT NULL,
+  status TEXT NOT NULL,                  -- running | retrying | complete | failed
+  attempts INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+  started_at TEXT NOT NULL,
+  finished_at TEXT,
+  PRIMARY KEY (job_id, name)
+);
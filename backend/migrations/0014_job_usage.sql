@@ -0,0 +1,5 @@
+-- Migration: Job token usage
+-- Tokens the model calls in a job used, summed across steps and retries.
+
+ALTER TABLE jobs ADD COLUMN prompt_tokens INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE jobs ADD COLUMN completion_tokens INTEGER NOT NULL DEFAULT 0;
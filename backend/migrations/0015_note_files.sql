@@ -0,0 +1,35 @@
+-- Migration: Files attached to notes
+-- PDFs and slide decks attached to a note. The file is stored in R2 (the
+-- IMAGES bucket, under "<ownerId>/files/"); its text is extracted once
+-- on upload, one row per page or slide, so chat and the study workflows can
+-- pull in the pages that matter and cite them by number.
+-- note_file_pages_fts rows share their rowid with the matching
+-- note_file_pages row and are kept in sync by src/noteFiles.ts.
+
+CREATE TABLE IF NOT EXISTS note_files (
+  id TEXT PRIMARY KEY,
+  note_id TEXT NOT NULL,
+  owner_id TEXT NOT NULL REFERENCES users (id),
+  filename TEXT NOT NULL,
+  content_type TEXT NOT NULL,
+  size INTEGER NOT NULL,
+  r2_key TEXT NOT NULL,
+  page_count INTEGER NOT NULL DEFAULT 0,
+  -- 'ready', or 'no_text' when nothing could be extracted (e.g. a scanned PDF)
+  status TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_note_files_note ON note_files (note_id, created_at);
+
+CREATE TABLE IF NOT EXISTS note_file_pages (
+  file_id TEXT NOT NULL,
+  page INTEGER NOT NULL,
+  text TEXT NOT NULL,
+  PRIMARY KEY (file_id, page)
+);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS note_file_pages_fts USING fts5(
+  text,
+  tokenize = 'porter unicode61'
+);
@@ -0,0 +1,8 @@
+-- Migration: Trash
+-- Deleting a note sets deleted_at instead of removing the row. Trashed notes
+-- are hidden everywhere but the trash, can be restored by their owner, and are
+-- purged for good after TRASH_RETENTION_DAYS by the scheduled handler.
+
+ALTER TABLE notes ADD COLUMN deleted_at TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_notes_deleted ON notes (deleted_at) WHERE deleted_at IS NOT NULL;
@@ -0,0 +1,35 @@
+-- Migration: Image attachments and chat sessions, for garbage collection
+-- attachments records which note links to which uploaded image (an R2 key in
+-- the IMAGES bucket), parsed from the note's Markdown on save. Rows stay
+-- until the note is purged, since restoring a revision can bring a link back.
+-- notes.images_linked marks notes whose text and revisions have been scanned;
+-- until every note has been, unreferenced images aren't deleted.
+-- chat_sessions lists the ChatSession Durable Objects (by name) used for each
+-- note, so their storage can be cleared once the note is gone.
+
+CREATE TABLE IF NOT EXISTS attachments (
+  note_id TEXT NOT NULL,
+  r2_key TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  PRIMARY KEY (note_id, r2_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_attachments_key ON attachments (r2_key);
+
+ALTER TABLE notes ADD COLUMN images_linked INTEGER NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS chat_sessions (
+  name TEXT PRIMARY KEY,
+  note_id TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_sessions_note ON chat_sessions (note_id);
+
+-- Sessions that may already exist: the owner's, named after the note, and each collaborator's
+INSERT OR IGNORE INTO chat_sessions (name, note_id, user_id, created_at)
+SELECT id, id, owner_id, strftime('%Y-%m-%dT%H:%M:%fZ', 'now') FROM notes WHERE owner_id IS NOT NULL;
+
+INSERT OR IGNORE INTO chat_sessions (name, note_id, user_id, created_at)
+SELECT note_id || ':' || user_id, note_id, user_id, strftime('%Y-%m-%dT%H:%M:%fZ', 'now') FROM note_shares;
@@ -0,0 +1,93 @@
+/**
+ * Image Attachments
+ * Which note links to which uploaded image (an R2 object in IMAGES), parsed
+ * from the note's Markdown whenever it's saved. A link is only forgotten when
+ * the note is purged: taking an image out of the text keeps its row, because
+ * restoring an older revision brings the link back. See src/gc.ts.
+ */
+
+// How many notes the backfill scans at a time
+const BACKFILL_BATCH = 25;
+
+/**
+ * R2 keys of the uploaded images a note's Markdown links to, by
+ * `/api/images/<key>` URL (with or without the API origin and ?sig=)
+ */
+export function imageKeys(markdown: string): string[] {
+  const keys = new Set<string>();
+  for (const match of markdown.matchAll(/\/api\/images\/([^?#\s)"'<>\]]+)/g)) {
+    try {
+      keys.add(decodeURIComponent(match[1]));
+    } catch {
+      // A malformed %-escape can't be one of our keys
+    }
+  }
+  return [...keys];
+}
+
+/**
+ * Statements that record the images `content` links to for a note and mark it
+ * scanned. Returned as statements so callers can batch them with the save.
+ */
+export function linkImagesStatements(db: D1Database, noteId: string, content: string, now = new Date()): D1PreparedStatement[] {
+  const createdAt = now.toISOString();
+  return [
+    ...imageKeys(content).map((key) =>
+      db.prepare('INSERT OR IGNORE INTO attachments (note_id, r2_key, created_at) VALUES (?, ?, ?)').bind(noteId, key, createdAt)
+    ),
+    db.prepare('UPDATE notes SET images_linked = 1 WHERE id = ? AND images_linked = 0').bind(noteId),
+  ];
+}
+
+/**
+ * Link an image to the note it was uploaded into, before the text that uses it is saved
+ */
+export function linkImageStatement(db: D1Database, noteId: string, key: string, now = new Date()): D1PreparedStatement {
+  return db
+    .prepare('INSERT OR IGNORE INTO attachments (note_id, r2_key, created_at) VALUES (?, ?, ?)')
+    .bind(noteId, key, now.toISOString());
+}
+
+/**
+ * Statement that forgets a note's image links. Only for purging the note.
+ */
+export function deleteAttachmentsStatement(db: D1Database, noteId: string): D1PreparedStatement {
+  return db.prepare('DELETE FROM attachments WHERE note_id = ?').bind(noteId);
+}
+
+/**
+ * Scan notes saved before links were recorded: their text and every revision,
+ * since any of them can be restored. Returns how many notes are still left.
+ */
+export async function backfillImageLinks(db: D1Database, maxNotes: number): Promise<number> {
+  for (let done = 0; done < maxNotes; done += BACKFILL_BATCH) {
+    const { results } = await db
+      .prepare('SELECT id, content FROM notes WHERE images_linked = 0 LIMIT ?')
+      .bind(Math.min(BACKFILL_BATCH, maxNotes - done))
+      .all<{ id: string; content: string | null }>();
+    if (!results?.length) return 0;
+
+    for (const note of results) {
+      const revisions = await db
+        .prepare('SELECT content FROM note_revisions WHERE note_id = ?')
+        .bind(note.id)
+        .all<{ content: string }>();
+      const text = [note.content || '', ...(revisions.results ?? []).map((revision) => revision.content)].join('\n');
+      await db.batch(linkImagesStatements(db, note.id, text));
+    }
+  }
+
+  const left = await db.prepare('SELECT COUNT(*) AS count FROM notes WHERE images_linked = 0').first<{ count: number }>();
+  return left?.count ?? 0;
+}
+
+/**
+ * Every R2 key a note links to, plus files attached to notes (src/noteFiles.ts)
+ */
+export async function referencedKeys(db: D1Database): Promise<Set<string>> {
+  const [links, files] = await db.batch<{ r2_key: string }>([
+    db.prepare('SELECT DISTINCT r2_key FROM attachments'),
+    db.prepare('SELECT r2_key FROM note_files'),
+  ]);
+  return new Set([...(links.results ?? []), ...(files.results ?? [])].map((row) => row.r2_key));
+}
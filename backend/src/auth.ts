@@ -0,0 +1,140 @@
+/**
+ * Authentication
+ * PBKDF2 password hashing, HS256 bearer tokens (JWT) and HMAC signatures
+ * for capability URLs, all on WebCrypto
+ */
+
+export interface AuthUser {
+  id: string;
+  email: string;
+}
+
+export class AuthError extends Error {
+  constructor(message: string, public status = 401) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+// Workers caps PBKDF2 at 100k iterations
+const PBKDF2_ITERATIONS = 100_000;
+const TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+const encoder = new TextEncoder();
+
+export function base64UrlEncode(bytes: ArrayBuffer | Uint8Array): string {
+  const view = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  let binary = '';
+  for (const byte of view) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function base64UrlDecode(value: string): Uint8Array {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+function getSecret(env: any): string {
+  if (!env.AUTH_SECRET) {
+    throw new AuthError('AUTH_SECRET is not configured', 500);
+  }
+  return env.AUTH_SECRET;
+}
+
+// Constant-time comparison so signature checks don't leak timing
+function timingSafeEqual(a: Uint8Array, b: Uint8Array): boolean {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+}
+
+async function hmac(secret: string, value: string): Promise<Uint8Array> {
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(value)));
+}
+
+/**
+ * Hash a password with a fresh random salt. Returns base64url strings for storage.
+ */
+export async function hashPassword(password: string, salt?: Uint8Array): Promise<{ hash: string; salt: string }> {
+  const saltBytes = salt ?? crypto.getRandomValues(new Uint8Array(16));
+  const key = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: saltBytes, iterations: PBKDF2_ITERATIONS },
+    key,
+    256
+  );
+  return { hash: base64UrlEncode(bits), salt: base64UrlEncode(saltBytes) };
+}
+
+export async function verifyPassword(password: string, hash: string, salt: string): Promise<boolean> {
+  const candidate = await hashPassword(password, base64UrlDecode(salt));
+  return timingSafeEqual(base64UrlDecode(candidate.hash), base64UrlDecode(hash));
+}
+
+/**
+ * Issue a signed bearer token for a user
+ */
+export async function signToken(env: any, user: AuthUser): Promise<string> {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64UrlEncode(encoder.encode(JSON.stringify({ alg: 'HS256', typ: 'JWT' })));
+  const payload = base64UrlEncode(
+    encoder.encode(JSON.stringify({ sub: user.id, email: user.email, iat: now, exp: now + TOKEN_TTL_SECONDS }))
+  );
+  const signature = base64UrlEncode(await hmac(getSecret(env), `${header}.${payload}`));
+  return `${header}.${payload}.${signature}`;
+}
+
+/**
+ * Verify a bearer token; returns the user or null if missing, forged or expired
+ */
+export async function verifyToken(env: any, token: string): Promise<AuthUser | null> {
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  const [header, payload, signature] = parts;
+  const expected = await hmac(getSecret(env), `${header}.${payload}`);
+
+  try {
+    if (!timingSafeEqual(expected, base64UrlDecode(signature))) return null;
+    const claims = JSON.parse(new TextDecoder().decode(base64UrlDecode(payload)));
+    if (typeof claims.exp !== 'number' || claims.exp < Math.floor(Date.now() / 1000)) return null;
+    return { id: claims.sub, email: claims.email };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Middleware: resolve the caller from `Authorization: Bearer <token>`.
+ * Browsers can't set headers on a WebSocket, so upgrades may pass `?token=` instead.
+ */
+export async function authenticate(request: Request, env: any): Promise<AuthUser | null> {
+  const header = request.headers.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (match) return verifyToken(env, match[1]);
+
+  if (request.headers.get('Upgrade') === 'websocket') {
+    const token = new URL(request.url).searchParams.get('token');
+    if (token) return verifyToken(env, token);
+  }
+  return null;
+}
+
+/**
+ * Sign a value for use in a capability URL (e.g. an image link that works in <img src>)
+ */
+export async function signValue(env: any, value: string): Promise<string> {
+  return base64UrlEncode(await hmac(getSecret(env), value));
+}
+
+export async function verifySignedValue(env: any, value: string, signature: string | null): Promise<boolean> {
+  if (!signature) return false;
+  try {
+    return timingSafeEqual(await hmac(getSecret(env), value), base64UrlDecode(signature));
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * Chat Memory
+ * Bob is sent only the latest messages of a conversation. Older turns are
+ * folded into a running summary, kept per thread, which goes into the system
+ * prompt instead. The summary records the last message it covers, so it is
+ * only extended with turns that have since fallen out of the recent window;
+ * after an edit branches the conversation above that message, it is rebuilt
+ * from the branch being shown.
+ */
+
+import type { LLMClient } from './llm';
+import type { ChatMessage } from './chatThreads';
+
+// Messages sent to the model verbatim, newest last
+export const RECENT_MESSAGES = 10;
+
+// Older messages wait until there are this many before being folded in, so the summary isn't rewritten every turn
+export const FOLD_BATCH = 6;
+
+// Messages per summarisation call when catching up on a long conversation
+const FOLD_CHUNK = 40;
+
+// Summaries longer than this are cut when shown to Bob
+const MAX_SUMMARY_CHARS = 3000;
+
+// Idle chats are deleted after this many days unless CHAT_RETENTION_DAYS says otherwise
+export const DEFAULT_RETENTION_DAYS = 30;
+
+export interface ChatMemory {
+  summary: string;
+  // Last message folded into the summary; null when the summary covers none
+  throughId: string | null;
+  updatedAt: number;
+  // Set once the student has rewritten the summary by hand
+  edited: boolean;
+}
+
+export function emptyMemory(): ChatMemory {
+  return { summary: '', throughId: null, updatedAt: 0, edited: false };
+}
+
+/**
+ * Days of inactivity before a note's chats are deleted; null keeps them
+ * ("0" or "never" in CHAT_RETENTION_DAYS)
+ */
+export function retentionDays(env: { CHAT_RETENTION_DAYS?: unknown } = {}): number | null {
+  const value = typeof env.CHAT_RETENTION_DAYS === 'string' ? env.CHAT_RETENTION_DAYS.trim().toLowerCase() : '';
+  if (value === 'never' || value === '0') return null;
+  const days = Number(value);
+  return value && Number.isFinite(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Split the shown conversation into the part already in memory, the older
+ * messages not yet folded in, and the recent messages sent as they are.
+ * A summary of another branch doesn't apply and is reported as stale.
+ */
+export function splitConversation(path: ChatMessage[], memory: ChatMemory) {
+  const recentStart = Math.max(0, path.length - RECENT_MESSAGES);
+  const covered = memory.throughId ? path.findIndex((m) => m.id === memory.throughId) + 1 : 0;
+  const stale = memory.throughId !== null && covered === 0;
+
+  return {
+    stale,
+    unfolded: path.slice(stale ? 0 : Math.min(covered, recentStart), recentStart),
+    // Messages the summary already covers aren't repeated
+    recent: path.slice(Math.max(recentStart, stale ? 0 : covered)),
+  };
+}
+
+/**
+ * Bring the memory up to date with messages that have left the recent window.
+ * Returns null when nothing needed to change.
+ */
+export async function foldMemory(
+  llm: LLMClient,
+  memory: ChatMemory,
+  path: ChatMessage[]
+): Promise<ChatMemory | null> {
+  const { stale, unfolded } = splitConversation(path, memory);
+  if (!stale && unfolded.length < FOLD_BATCH) return null;
+  if (unfolded.length === 0) return { ...emptyMemory(), updatedAt: Date.now() };
+
+  let summary = stale ? '' : memory.summary;
+  for (let i = 0; i < unfolded.length; i += FOLD_CHUNK) {
+    summary = await summarise(llm, summary, unfolded.slice(i, i + FOLD_CHUNK));
+  }
+
+  return {
+    summary,
+    throughId: unfolded[unfolded.length - 1].id,
+    updatedAt: Date.now(),
+    // A rebuilt summary no longer holds the student's edits
+    edited: stale ? false : memory.edited,
+  };
+}
+
+async function summarise(llm: LLMClient, summary: string, messages: ChatMessage[]): Promise<string> {
+  const transcript = messages
+    .map((m) => `${m.role === 'user' ? 'Student' : 'Bob'}: ${m.content.slice(0, 1000)}`)
+    .join('\n\n');
+
+  const prompt = `${summary ? `What you remember so far:\n${summary}\n\n` : ''}Earlier conversation:
+${transcript}
+
+Write an updated memory of this conversation in at most 200 words: what the student asked about, what was explained or decided, what they found difficult, and anything they asked you to remember. Keep every fact from what you remember so far unless the conversation corrects it. Write it as plain notes, without a preamble.`;
+
+  const { text } = await llm.complete('writing', {
+    messages: [
+      { role: 'system', content: 'You keep short, factual notes of a tutoring conversation so it can be continued later.' },
+      { role: 'user', content: prompt },
+    ],
+  });
+  return text.trim() || summary;
+}
+
+/**
+ * System prompt section with the remembered conversation
+ */
+export function memoryPrompt(memory: ChatMemory): string {
+  const summary = memory.summary.trim();
+  if (!summary) return '';
+  return `
+
+What you remember from earlier in this conversation:
+${summary.slice(0, MAX_SUMMARY_CHARS)}`;
+}
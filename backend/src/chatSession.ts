@@ -1,42 +1,118 @@
 /**
  * ChatSession Durable Object
- * Provides persistent, stateful chat sessions per note
+ * Provides persistent, stateful chat sessions per note, as named threads
+ * whose conversations can branch (see chatThreads.ts), each with a running
+ * memory of its older turns (see chatMemory.ts). Bob can call tools to look
+ * up notes and suggest changes to them (see chatTools.ts).
  */
 
+import { SSE_HEADERS, sseEvent } from './sse';
+import { LLMClient, LLMMessage, createLLM } from './llm';
+import {
+  ChatMessage,
+  ChatThread,
+  CitedSource,
+  DEFAULT_THREAD_TITLE,
+  PathMessage,
+  describePath,
+  latestLeaf,
+  pathTo,
+  threadTitleFrom,
+} from './chatThreads';
+import { ChatMemory, emptyMemory, foldMemory, memoryPrompt, retentionDays, splitConversation } from './chatMemory';
+import {
+  MAX_TOOL_ROUNDS,
+  NoteAction,
+  NoteActionStatus,
+  NoteSelection,
+  ToolContext,
+  chatTools,
+  describeAction,
+  proposeAction,
+  toolsPrompt,
+} from './chatTools';
+import { retrieveRelevantChunks } from './retrieval';
+import { trackChatSessionStatement } from './gc';
+
 interface Env {
   AI: any;
+  DB: D1Database;
+  // Days of inactivity before the chats are deleted; "0" or "never" keeps them
+  CHAT_RETENTION_DAYS?: string;
 }
 
-interface ChatMessage {
-  role: 'user' | 'assistant' | 'system';
+export interface ChatSource {
+  noteId: string;
+  title: string;
+  heading: string;
   content: string;
-  timestamp: number;
+  // Set for a page of a file attached to the note; heading then reads "page N"
+  fileId?: string;
+  page?: number;
+}
+
+// Storage keys: one per thread, one per message
+const THREAD_PREFIX = 'thread:';
+const threadKey = (threadId: string) => `${THREAD_PREFIX}${threadId}`;
+const messagePrefix = (threadId: string) => `message:${threadId}:`;
+const messageKey = (threadId: string, messageId: string) => `${messagePrefix(threadId)}${messageId}`;
+const MEMORY_PREFIX = 'memory:';
+const memoryKey = (threadId: string) => `${MEMORY_PREFIX}${threadId}`;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// storage.delete() takes at most 128 keys at a time
+const DELETE_BATCH = 128;
+
+interface ToolRounds {
+  // Bob's answer if he gave it during the tool rounds
+  reply: string | null;
+  actions: NoteAction[];
+}
+
+// A selection from the client, if it is usable
+function validSelection(selection: NoteSelection | null | undefined): NoteSelection | null {
+  if (!selection || typeof selection.text !== 'string' || !selection.text.trim()) return null;
+  const { start, end } = selection;
+  return Number.isInteger(start) && Number.isInteger(end) && start >= 0 && end > start
+    ? { start, end, text: selection.text }
+    : null;
 }
 
 export class ChatSession {
   private state: DurableObjectState;
   private env: Env;
+  private llm: LLMClient;
   private sessionData: {
     noteId: string;
     noteContext: string;
     lastActivity: number;
   } | null = null;
+  // Whether this session is recorded in D1's chat_sessions, so it can be cleared once its note is purged
+  private tracked = false;
 
   constructor(state: DurableObjectState, env: Env) {
     this.state = state;
     this.env = env;
-    
-    // Set up alarm for session cleanup (24 hours of inactivity)
+    this.llm = createLLM(env);
+
     this.state.blockConcurrencyWhile(async () => {
       this.sessionData = await this.state.storage.get<any>('sessionData');
+      this.tracked = (await this.state.storage.get<boolean>('tracked')) ?? false;
+      await this.migrateLegacyMessages();
     });
   }
 
   async fetch(request: Request): Promise<Response> {
     const url = new URL(request.url);
     const path = url.pathname;
+    const threadMatch = path.match(/^\/threads\/([^/]+)(?:\/(branch))?$/);
 
     try {
+      if (!this.tracked && request.method !== 'GET') {
+        await this.track(request);
+      }
+
       if (path === '/init' && request.method === 'POST') {
         return await this.handleInit(request);
       } else if (path === '/message' && request.method === 'POST') {
@@ -44,9 +120,26 @@ export class ChatSession {
       } else if (path === '/store' && request.method === 'POST') {
         return await this.handleStoreMessage(request);
       } else if (path === '/history' && request.method === 'GET') {
-        return await this.handleGetHistory();
+        return await this.handleGetHistory(url.searchParams.get('threadId'));
       } else if (path === '/clear' && request.method === 'POST') {
-        return await this.handleClear();
+        return await this.handleClear(url.searchParams.get('threadId'));
+      } else if (path === '/destroy' && request.method === 'POST') {
+        return await this.handleDestroy();
+      } else if (path === '/actions' && request.method === 'POST') {
+        return await this.handleActionStatus(request);
+      } else if (path === '/memory' && request.method === 'GET') {
+        return await this.handleGetMemory(url.searchParams.get('threadId'));
+      } else if (path === '/memory' && request.method === 'PUT') {
+        return await this.handleUpdateMemory(request, url.searchParams.get('threadId'));
+      } else if (path === '/threads' && request.method === 'GET') {
+        return this.json({ threads: await this.getThreads() });
+      } else if (path === '/threads' && request.method === 'POST') {
+        return await this.handleCreateThread(request);
+      } else if (threadMatch) {
+        const [, threadId, action] = threadMatch;
+        if (action === 'branch' && request.method === 'POST') return await this.handleSelectBranch(request, threadId);
+        if (!action && request.method === 'PUT') return await this.handleRenameThread(request, threadId);
+        if (!action && request.method === 'DELETE') return await this.handleDeleteThread(threadId);
       }
 
       return new Response('Not found', { status: 404 });
@@ -59,6 +152,21 @@ export class ChatSession {
     }
   }
 
+  /**
+   * Record the session in D1 before its first write. The Worker names it in
+   * X-Chat-Session headers (see chatSessionStub in src/index.ts).
+   */
+  private async track(request: Request): Promise<void> {
+    const name = request.headers.get('X-Chat-Session');
+    const noteId = request.headers.get('X-Note-Id');
+    const userId = request.headers.get('X-User-Id');
+    if (!name || !noteId || !userId) return;
+
+    await trackChatSessionStatement(this.env.DB, name, noteId, userId).run();
+    await this.state.storage.put('tracked', true);
+    this.tracked = true;
+  }
+
   /**
    * Initialize or update session with note context
    */
@@ -72,10 +180,12 @@ export class ChatSession {
     };
 
     await this.state.storage.put('sessionData', this.sessionData);
-    
-    // Set alarm for cleanup (24 hours from now)
-    const alarmTime = Date.now() + 24 * 60 * 60 * 1000;
-    await this.state.storage.setAlarm(alarmTime);
+
+    // Set alarm for cleanup once the chats have been idle for the retention period
+    const days = retentionDays(this.env);
+    if (days !== null) {
+      await this.state.storage.setAlarm(Date.now() + days * DAY_MS);
+    }
 
     return new Response(JSON.stringify({ success: true }), {
       headers: { 'Content-Type': 'application/json' },
@@ -83,10 +193,25 @@ export class ChatSession {
   }
 
   /**
-   * Handle new chat message and get AI response
+   * Handle new chat message and get AI response. With `editOf`, the message
+   * replaces an earlier user message and the conversation branches there.
+   * With `tools`, Bob may look things up and suggest changes first.
    */
   private async handleMessage(request: Request): Promise<Response> {
-    const { message, noteContext } = await request.json();
+    const { message, noteContext, stream, sources = [], threadId, editOf, tools, canEdit, selection, userId } = (await request.json()) as {
+      message: string;
+      noteContext?: string;
+      stream?: boolean;
+      sources?: ChatSource[];
+      threadId?: string;
+      editOf?: string;
+      tools?: boolean;
+      // Whether the student may edit the note (viewers may not)
+      canEdit?: boolean;
+      selection?: NoteSelection | null;
+      // Whose notes search_notes looks through
+      userId?: string;
+    };
 
     if (!this.sessionData) {
       return new Response(JSON.stringify({ error: 'Session not initialized' }), {
@@ -102,16 +227,40 @@ export class ChatSession {
       await this.state.storage.put('sessionData', this.sessionData);
     }
 
-    // Get chat history from storage
-    const messages = await this.getMessages();
+    const thread = await this.resolveThread(threadId, true);
+    if (!thread) {
+      return this.json({ error: 'Thread not found' }, 404);
+    }
+
+    // Get the thread's messages from storage
+    const messages = await this.getThreadMessages(thread.id);
+
+    // An edit goes where the edited message was; otherwise the message continues the shown branch
+    let parentId = thread.leafId;
+    if (editOf) {
+      const edited = messages.get(editOf);
+      if (!edited || edited.role !== 'user') {
+        return this.json({ error: 'Only your own messages can be edited' }, 400);
+      }
+      parentId = edited.parentId;
+    }
 
-    // Add user message
     const userMessage: ChatMessage = {
+      id: crypto.randomUUID(),
+      parentId,
       role: 'user',
       content: message,
       timestamp: Date.now(),
     };
-    messages.push(userMessage);
+    const conversation = [...pathTo(messages, parentId), userMessage];
+
+    const toolContext: ToolContext | null = tools
+      ? { canEdit: canEdit === true, selection: validSelection(selection) }
+      : null;
+
+    // Older turns reach Bob through the thread's memory; only the recent ones are sent as they are
+    const memory = await this.updateMemory(thread.id, conversation);
+    const { stale, recent: recentMessages } = splitConversation(conversation, memory);
 
     // Build context for AI
     const systemPrompt = `You are Bob, a helpful AI study assistant. You help students understand their notes by answering questions, explaining concepts, and providing study guidance.
@@ -119,11 +268,10 @@ export class ChatSession {
 Current note context:
 ${this.sessionData.noteContext.slice(0, 4000)}
 
-Be concise, clear, and educational in your responses.`;
+Be concise, clear, and educational in your responses.${stale ? '' : memoryPrompt(memory)}${sources.length > 0 ? this.buildSourcesPrompt(sources) : ''}${toolContext ? toolsPrompt(toolContext) : ''}`;
 
-    // Prepare messages for AI (limit history to last 10 messages for context)
-    const recentMessages = messages.slice(-10);
-    const aiMessages = [
+    // Prepare messages for AI
+    const aiMessages: LLMMessage[] = [
       { role: 'system', content: systemPrompt },
       ...recentMessages.map(m => ({
         role: m.role,
@@ -131,35 +279,35 @@ Be concise, clear, and educational in your responses.`;
       })),
     ];
 
-    // Call Workers AI
-    try {
-      const aiResponse = await this.env.AI.run('@cf/meta/llama-3.3-70b-instruct-fp8-fast', {
-        messages: aiMessages,
-        max_tokens: 1024,
-        temperature: 0.7,
-      });
-
-      const reply = aiResponse.response || 'Sorry, I could not generate a response.';
+    // Tool rounds come first; their lookups and suggestions feed into the answer
+    let answer: ToolRounds = { reply: null, actions: [] };
+    if (toolContext) {
+      try {
+        answer = await this.runTools(aiMessages, toolContext, sources, userId);
+      } catch (error: any) {
+        console.error('AI tool error:', error);
+        return this.json({ error: 'AI request failed' }, 500);
+      }
+    }
 
-      // Add assistant message
-      const assistantMessage: ChatMessage = {
-        role: 'assistant',
-        content: reply,
-        timestamp: Date.now(),
-      };
-      messages.push(assistantMessage);
+    if (stream) {
+      return this.streamReply(thread, messages, userMessage, aiMessages, sources, answer);
+    }
 
-      // Save updated messages (keep last 50 messages)
-      const messagesToKeep = messages.slice(-50);
-      await this.state.storage.put('messages', messagesToKeep);
+    // Call the chat model
+    try {
+      const text = answer.reply ?? (await this.llm.complete('chat', { messages: aiMessages })).text;
 
-      // Update last activity
-      this.sessionData.lastActivity = Date.now();
-      await this.state.storage.put('sessionData', this.sessionData);
+      const reply = text || 'Sorry, I could not generate a response.';
+      const cited = this.citedSources(reply, sources);
+      const history = await this.saveReply(thread, messages, userMessage, reply, cited, answer.actions);
 
       return new Response(JSON.stringify({
         reply,
-        history: messagesToKeep,
+        sources: cited,
+        actions: answer.actions,
+        history,
+        threadId: thread.id,
       }), {
         headers: { 'Content-Type': 'application/json' },
       });
@@ -172,11 +320,234 @@ Be concise, clear, and educational in your responses.`;
     }
   }
 
+  /**
+   * Let Bob call tools until he answers or runs out of rounds. Search results
+   * are added to `sources` and every tool result to `aiMessages`. `reply` is
+   * null when Bob still has to write his answer (without tools).
+   */
+  private async runTools(
+    aiMessages: LLMMessage[],
+    context: ToolContext,
+    sources: ChatSource[],
+    userId: string | undefined
+  ): Promise<ToolRounds> {
+    const tools = chatTools(context);
+    const actions: NoteAction[] = [];
+
+    for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+      const { text, toolCalls } = await this.llm.complete('chat', { messages: aiMessages, tools });
+      if (toolCalls.length === 0) return { reply: text, actions };
+
+      for (const call of toolCalls) {
+        let result: string;
+        if (call.name === 'search_notes') {
+          result = await this.searchNotes(String(call.arguments.query ?? '').trim(), sources, userId);
+        } else {
+          const action = proposeAction(call, context);
+          if (typeof action !== 'string') actions.push(action);
+          result = typeof action === 'string' ? action : describeAction(action);
+        }
+        aiMessages.push({ role: 'tool', name: call.name, content: result });
+      }
+    }
+    return { reply: null, actions };
+  }
+
+  /**
+   * search_notes: excerpts from the student's notes, numbered on from the sources Bob already has
+   */
+  private async searchNotes(query: string, sources: ChatSource[], userId: string | undefined): Promise<string> {
+    if (!query) return 'Invalid arguments: query is required';
+    if (!userId) return 'Searching notes is not available.';
+
+    let found;
+    try {
+      found = await retrieveRelevantChunks(this.env, userId, query, 5);
+    } catch (error: any) {
+      console.error('search_notes error:', error);
+      return 'The search failed.';
+    }
+    if (found.length === 0) return 'No matching notes.';
+
+    const first = sources.length;
+    sources.push(...found.map(({ noteId, title, heading, content }) => ({ noteId, title, heading, content })));
+    const excerpts = found
+      .map((chunk, i) => `[${first + i + 1}] "${chunk.title}"${chunk.heading ? ` > ${chunk.heading}` : ''}\n${chunk.content.slice(0, 1000)}`)
+      .join('\n\n');
+    return `${excerpts}\n\nWhen you use an excerpt, cite it with its number in square brackets, e.g. [${first + 1}].`;
+  }
+
+  /**
+   * Relay AI tokens to the client as SSE while they arrive.
+   * The reply is saved once the model finishes, or with whatever was
+   * generated if the client disconnects halfway through. An answer already
+   * written during the tool rounds is sent in one piece.
+   */
+  private async streamReply(
+    thread: ChatThread,
+    messages: Map<string, ChatMessage>,
+    userMessage: ChatMessage,
+    aiMessages: LLMMessage[],
+    sources: ChatSource[],
+    answer: ToolRounds
+  ): Promise<Response> {
+    let tokens: AsyncGenerator<string>;
+    try {
+      tokens = answer.reply !== null
+        ? (async function* (reply: string) { yield reply; })(answer.reply)
+        : await this.llm.stream('chat', { messages: aiMessages });
+    } catch (error: any) {
+      console.error('AI error:', error);
+      return new Response(JSON.stringify({ error: 'AI request failed' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    const { readable, writable } = new TransformStream<Uint8Array, Uint8Array>();
+    const writer = writable.getWriter();
+
+    const relay = async () => {
+      let reply = '';
+      let cancelled = false;
+      let failed = false;
+
+      try {
+        for await (const token of tokens) {
+          reply += token;
+          try {
+            await writer.write(sseEvent({ token }));
+          } catch {
+            // Client went away (e.g. pressed stop) - stop pulling tokens
+            cancelled = true;
+            break;
+          }
+        }
+      } catch (error: any) {
+        console.error('AI stream error:', error);
+        failed = true;
+      }
+
+      // Like the non-streamed path, nothing is saved unless Bob said something
+      const cited = this.citedSources(reply, sources);
+      const history = reply
+        ? await this.saveReply(thread, messages, userMessage, reply, cited, answer.actions)
+        : describePath(messages, thread.leafId);
+
+      if (cancelled) return;
+
+      try {
+        if (failed && !reply) {
+          await writer.write(sseEvent({ error: 'AI request failed' }));
+        } else {
+          await writer.write(sseEvent({ done: true, reply, sources: cited, actions: answer.actions, history, threadId: thread.id }));
+        }
+        await writer.close();
+      } catch {
+        // Client disconnected before the final event
+      }
+    };
+
+    this.state.waitUntil(relay());
+
+    return new Response(readable, { headers: SSE_HEADERS });
+  }
+
+  /**
+   * Add the user message and the assistant reply to the thread; returns the conversation shown now
+   */
+  private async saveReply(
+    thread: ChatThread,
+    messages: Map<string, ChatMessage>,
+    userMessage: ChatMessage,
+    reply: string,
+    sources: CitedSource[] = [],
+    actions: NoteAction[] = []
+  ): Promise<PathMessage[]> {
+    // Add assistant message
+    const assistantMessage: ChatMessage = {
+      id: crypto.randomUUID(),
+      parentId: userMessage.id,
+      role: 'assistant',
+      content: reply,
+      timestamp: Date.now(),
+      ...(sources && sources.length > 0 ? { sources } : {}),
+      ...(actions.length > 0 ? { actions } : {}),
+    };
+
+    await this.saveMessages(thread, messages, [userMessage, assistantMessage]);
+    return describePath(messages, thread.leafId);
+  }
+
+  /**
+   * Append messages to the thread's shown branch and persist them
+   */
+  private async saveMessages(thread: ChatThread, messages: Map<string, ChatMessage>, added: ChatMessage[]): Promise<void> {
+    // A thread that hasn't been renamed is named after its first question
+    const firstQuestion = added.find(m => m.role === 'user');
+    if (!thread.leafId && thread.title === DEFAULT_THREAD_TITLE && firstQuestion) {
+      thread.title = threadTitleFrom(firstQuestion.content);
+    }
+
+    for (const message of added) messages.set(message.id, message);
+    thread.leafId = added[added.length - 1].id;
+    thread.updatedAt = Date.now();
+
+    await this.state.storage.put({
+      [threadKey(thread.id)]: thread,
+      ...Object.fromEntries(added.map(m => [messageKey(thread.id, m.id), m])),
+    });
+
+    // Update last activity
+    if (this.sessionData) {
+      this.sessionData.lastActivity = Date.now();
+      await this.state.storage.put('sessionData', this.sessionData);
+    }
+  }
+
+  /**
+   * Numbered excerpts from other notes and the note's attachments, appended to the system prompt
+   */
+  private buildSourcesPrompt(sources: ChatSource[]): string {
+    const excerpts = sources
+      .map((source, i) => {
+        const heading = source.heading ? ` > ${source.heading}` : '';
+        return `[${i + 1}] "${source.title}"${heading}\n${source.content.slice(0, 1500)}`;
+      })
+      .join('\n\n');
+
+    const files = sources.some(source => source.fileId);
+    return `
+
+Relevant excerpts from the student's ${files ? 'notes and the files attached to this note' : 'other notes'}:
+${excerpts}
+
+When you use an excerpt, cite it inline with its number in square brackets, e.g. [1]. Only cite excerpts you actually used.${files ? ' For an attached file, also name the page, e.g. "[2] (page 4)".' : ''}`;
+  }
+
+  /**
+   * Sources referenced as [n] in the reply; if Bob cited none, keep them all
+   * so the student can still see what was consulted
+   */
+  private citedSources(reply: string, sources: ChatSource[]): CitedSource[] {
+    const all = sources.map((source, i) => ({
+      ref: i + 1,
+      noteId: source.noteId,
+      title: source.title,
+      heading: source.heading,
+      ...(source.fileId ? { fileId: source.fileId, page: source.page } : {}),
+    }));
+
+    const refs = new Set([...reply.matchAll(/\[(\d+)\]/g)].map(match => Number(match[1])));
+    const cited = all.filter(source => refs.has(source.ref));
+    return cited.length > 0 ? cited : all;
+  }
+
   /**
    * Store a message without AI interaction (for workflow results)
    */
   private async handleStoreMessage(request: Request): Promise<Response> {
-    const { role, content } = await request.json();
+    const { role, content, threadId } = (await request.json()) as { role?: string; content?: string; threadId?: string };
 
     if (!role || !content) {
       return new Response(JSON.stringify({ error: 'Missing role or content' }), {
@@ -185,76 +556,307 @@ Be concise, clear, and educational in your responses.`;
       });
     }
 
-    // Get chat history from storage
-    const messages = await this.getMessages();
+    const thread = await this.resolveThread(threadId, true);
+    if (!thread) {
+      return this.json({ error: 'Thread not found' }, 404);
+    }
 
-    // Add message
+    // Add message to the end of the shown branch
+    const messages = await this.getThreadMessages(thread.id);
     const newMessage: ChatMessage = {
+      id: crypto.randomUUID(),
+      parentId: thread.leafId,
       role: role as 'user' | 'assistant',
       content,
       timestamp: Date.now(),
     };
-    messages.push(newMessage);
+    await this.saveMessages(thread, messages, [newMessage]);
 
-    // Save updated messages (keep last 50 messages)
-    const messagesToKeep = messages.slice(-50);
-    await this.state.storage.put('messages', messagesToKeep);
+    return new Response(JSON.stringify({ success: true, threadId: thread.id }), {
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
 
-    // Update last activity if session exists
-    if (this.sessionData) {
-      this.sessionData.lastActivity = Date.now();
-      await this.state.storage.put('sessionData', this.sessionData);
+  /**
+   * Get a thread's conversation (the most recent thread by default) and the list of threads
+   */
+  private async handleGetHistory(threadId: string | null): Promise<Response> {
+    const thread = await this.resolveThread(threadId, false);
+    if (threadId && !thread) {
+      return this.json({ error: 'Thread not found' }, 404);
     }
 
-    return new Response(JSON.stringify({ success: true }), {
-      headers: { 'Content-Type': 'application/json' },
-    });
+    const messages = thread ? describePath(await this.getThreadMessages(thread.id), thread.leafId) : [];
+    return this.json({ threadId: thread?.id ?? null, messages, threads: await this.getThreads() });
   }
 
   /**
-   * Get chat history
+   * Drop all storage, for a note that has been purged (see src/gc.ts)
    */
-  private async handleGetHistory(): Promise<Response> {
-    const messages = await this.getMessages();
-    return new Response(JSON.stringify({ messages }), {
-      headers: { 'Content-Type': 'application/json' },
-    });
+  private async handleDestroy(): Promise<Response> {
+    await this.state.storage.deleteAlarm();
+    await this.state.storage.deleteAll();
+    this.sessionData = null;
+    this.tracked = false;
+    return this.json({ success: true });
   }
 
   /**
-   * Clear chat history
+   * Clear a thread's messages, or every thread when none is given
    */
-  private async handleClear(): Promise<Response> {
-    await this.state.storage.delete('messages');
-    return new Response(JSON.stringify({ success: true }), {
-      headers: { 'Content-Type': 'application/json' },
-    });
+  private async handleClear(threadId: string | null): Promise<Response> {
+    if (!threadId) {
+      await this.clearAll();
+      return this.json({ success: true });
+    }
+
+    const thread = await this.getThread(threadId);
+    if (!thread) {
+      return this.json({ error: 'Thread not found' }, 404);
+    }
+
+    await this.deleteKeys([...(await this.state.storage.list({ prefix: messagePrefix(threadId) })).keys(), memoryKey(threadId)]);
+    thread.leafId = null;
+    thread.updatedAt = Date.now();
+    await this.state.storage.put(threadKey(threadId), thread);
+    return this.json({ success: true });
+  }
+
+  private async handleCreateThread(request: Request): Promise<Response> {
+    const { title } = (await request.json()) as { title?: string };
+    const thread = this.newThread(title?.trim().slice(0, 80) || DEFAULT_THREAD_TITLE);
+    await this.state.storage.put(threadKey(thread.id), thread);
+    return this.json({ thread }, 201);
+  }
+
+  private async handleRenameThread(request: Request, threadId: string): Promise<Response> {
+    const { title } = (await request.json()) as { title?: string };
+    const name = title?.trim().slice(0, 80);
+    if (!name) {
+      return this.json({ error: 'Thread title is required' }, 400);
+    }
+
+    const thread = await this.getThread(threadId);
+    if (!thread) {
+      return this.json({ error: 'Thread not found' }, 404);
+    }
+
+    thread.title = name;
+    thread.updatedAt = Date.now();
+    await this.state.storage.put(threadKey(threadId), thread);
+    return this.json({ thread });
+  }
+
+  private async handleDeleteThread(threadId: string): Promise<Response> {
+    if (!(await this.getThread(threadId))) {
+      return this.json({ error: 'Thread not found' }, 404);
+    }
+
+    const keys = [...(await this.state.storage.list({ prefix: messagePrefix(threadId) })).keys()];
+    await this.deleteKeys([...keys, threadKey(threadId), memoryKey(threadId)]);
+    return this.json({ success: true });
+  }
+
+  /**
+   * Show the branch containing `messageId` (its newest continuation)
+   */
+  private async handleSelectBranch(request: Request, threadId: string): Promise<Response> {
+    const { messageId } = (await request.json()) as { messageId?: string };
+    const thread = await this.getThread(threadId);
+    if (!thread) {
+      return this.json({ error: 'Thread not found' }, 404);
+    }
+
+    const messages = await this.getThreadMessages(threadId);
+    if (!messageId || !messages.has(messageId)) {
+      return this.json({ error: 'Message not found' }, 404);
+    }
+
+    thread.leafId = latestLeaf(messages, messageId);
+    await this.state.storage.put(threadKey(threadId), thread);
+    return this.json({ threadId, messages: describePath(messages, thread.leafId) });
+  }
+
+  /**
+   * Record that the student accepted or rejected one of Bob's suggested actions
+   * (the change itself is made by the client)
+   */
+  private async handleActionStatus(request: Request): Promise<Response> {
+    const { threadId, messageId, actionId, status } = (await request.json()) as {
+      threadId?: string;
+      messageId?: string;
+      actionId?: string;
+      status?: NoteActionStatus;
+    };
+    if (status !== 'accepted' && status !== 'rejected') {
+      return this.json({ error: "Status must be 'accepted' or 'rejected'" }, 400);
+    }
+
+    const message = threadId && messageId
+      ? await this.state.storage.get<ChatMessage>(messageKey(threadId, messageId))
+      : undefined;
+    const action = message?.actions?.find(a => a.id === actionId);
+    if (!message || !action) {
+      return this.json({ error: 'Action not found' }, 404);
+    }
+    if (action.status !== 'proposed') {
+      return this.json({ error: `Action already ${action.status}` }, 409);
+    }
+
+    action.status = status;
+    await this.state.storage.put(messageKey(threadId!, messageId!), message);
+    return this.json({ action });
+  }
+
+  /**
+   * What Bob remembers of a thread (the most recent thread by default)
+   */
+  private async handleGetMemory(threadId: string | null): Promise<Response> {
+    const thread = await this.resolveThread(threadId, false);
+    if (!thread) {
+      return this.json({ error: 'Thread not found' }, 404);
+    }
+    return this.json({ threadId: thread.id, memory: await this.getMemory(thread.id) });
+  }
+
+  /**
+   * Replace what Bob remembers of a thread; later turns are still folded in on top
+   */
+  private async handleUpdateMemory(request: Request, threadId: string | null): Promise<Response> {
+    const { summary } = (await request.json()) as { summary?: string };
+    if (typeof summary !== 'string') {
+      return this.json({ error: 'Memory summary is required' }, 400);
+    }
+
+    const thread = await this.resolveThread(threadId, false);
+    if (!thread) {
+      return this.json({ error: 'Thread not found' }, 404);
+    }
+
+    const memory: ChatMemory = {
+      ...(await this.getMemory(thread.id)),
+      summary: summary.trim(),
+      updatedAt: Date.now(),
+      edited: true,
+    };
+    await this.state.storage.put(memoryKey(thread.id), memory);
+    return this.json({ threadId: thread.id, memory });
+  }
+
+  private async getMemory(threadId: string): Promise<ChatMemory> {
+    return (await this.state.storage.get<ChatMemory>(memoryKey(threadId))) ?? emptyMemory();
+  }
+
+  /**
+   * Fold turns that have left the recent window into the thread's memory.
+   * If summarising fails the reply goes ahead with the memory as it was.
+   */
+  private async updateMemory(threadId: string, conversation: ChatMessage[]): Promise<ChatMemory> {
+    const memory = await this.getMemory(threadId);
+    try {
+      const folded = await foldMemory(this.llm, memory, conversation);
+      if (!folded) return memory;
+      await this.state.storage.put(memoryKey(threadId), folded);
+      return folded;
+    } catch (error: any) {
+      console.error('Chat memory error:', error);
+      return memory;
+    }
   }
 
   /**
-   * Get messages from storage
+   * Threads, most recently used first
    */
-  private async getMessages(): Promise<ChatMessage[]> {
-    const messages = await this.state.storage.get<ChatMessage[]>('messages');
-    return messages || [];
+  private async getThreads(): Promise<ChatThread[]> {
+    const threads = await this.state.storage.list<ChatThread>({ prefix: THREAD_PREFIX });
+    return [...threads.values()].sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  private async getThread(threadId: string): Promise<ChatThread | null> {
+    return (await this.state.storage.get<ChatThread>(threadKey(threadId))) ?? null;
   }
 
   /**
-   * Alarm handler for session cleanup
+   * The requested thread, or the most recent one when none is given
+   * (started if there are none yet and `create` is set)
+   */
+  private async resolveThread(threadId: string | null | undefined, create: boolean): Promise<ChatThread | null> {
+    if (threadId) return this.getThread(threadId);
+
+    const [latest] = await this.getThreads();
+    if (latest || !create) return latest ?? null;
+
+    const thread = this.newThread(DEFAULT_THREAD_TITLE);
+    await this.state.storage.put(threadKey(thread.id), thread);
+    return thread;
+  }
+
+  private newThread(title: string): ChatThread {
+    const now = Date.now();
+    return { id: crypto.randomUUID(), title, createdAt: now, updatedAt: now, leafId: null };
+  }
+
+  /**
+   * Get a thread's messages (every branch) from storage, by id
+   */
+  private async getThreadMessages(threadId: string): Promise<Map<string, ChatMessage>> {
+    const stored = await this.state.storage.list<ChatMessage>({ prefix: messagePrefix(threadId) });
+    return new Map([...stored.values()].map(message => [message.id, message]));
+  }
+
+  /**
+   * Sessions from before threads kept one `messages` array; it becomes the first thread
+   */
+  private async migrateLegacyMessages(): Promise<void> {
+    const legacy = await this.state.storage.get<Array<Omit<ChatMessage, 'id' | 'parentId'>>>('messages');
+    if (!legacy) return;
+
+    const messages: ChatMessage[] = [];
+    for (const message of legacy) {
+      messages.push({ ...message, id: crypto.randomUUID(), parentId: messages[messages.length - 1]?.id ?? null });
+    }
+    if (messages.length > 0) {
+      await this.saveMessages(this.newThread(DEFAULT_THREAD_TITLE), new Map(), messages);
+    }
+    await this.state.storage.delete('messages');
+  }
+
+  private async clearAll(): Promise<void> {
+    const threads = await this.state.storage.list({ prefix: THREAD_PREFIX });
+    const messages = await this.state.storage.list({ prefix: 'message:' });
+    const memories = await this.state.storage.list({ prefix: MEMORY_PREFIX });
+    await this.deleteKeys([...threads.keys(), ...messages.keys(), ...memories.keys(), 'messages']);
+  }
+
+  private async deleteKeys(keys: string[]): Promise<void> {
+    for (let i = 0; i < keys.length; i += DELETE_BATCH) {
+      await this.state.storage.delete(keys.slice(i, i + DELETE_BATCH));
+    }
+  }
+
+  private json(body: unknown, status = 200): Response {
+    return new Response(JSON.stringify(body), {
+      status,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  /**
+   * Alarm handler for session cleanup after CHAT_RETENTION_DAYS of inactivity
    */
   async alarm(): Promise<void> {
+    const days = retentionDays(this.env);
     // Check if session is still active
-    if (this.sessionData) {
+    if (this.sessionData && days !== null) {
       const inactiveDuration = Date.now() - this.sessionData.lastActivity;
-      const twentyFourHours = 24 * 60 * 60 * 1000;
 
-      if (inactiveDuration >= twentyFourHours) {
-        // Clear old messages to save storage
-        await this.state.storage.delete('messages');
+      if (inactiveDuration >= days * DAY_MS) {
+        // Clear old threads and their memory to save storage
+        await this.clearAll();
         console.log('Cleaned up inactive chat session');
       } else {
         // Session still active, set another alarm
-        const nextAlarmTime = this.sessionData.lastActivity + twentyFourHours;
+        const nextAlarmTime = this.sessionData.lastActivity + days * DAY_MS;
         await this.state.storage.setAlarm(nextAlarmTime);
       }
     }
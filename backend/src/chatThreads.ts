@@ -0,0 +1,98 @@
+/**
+ * Chat Threads
+ * A note's chat is a set of named threads. Each thread's messages form a tree:
+ * editing an earlier user message adds a sibling of it, so the conversation
+ * branches there and the old branch is kept. The thread remembers which leaf
+ * is shown, and the conversation is the path from the root to that leaf.
+ */
+
+import type { NoteAction } from './chatTools';
+
+export interface CitedSource {
+  ref: number;
+  noteId: string;
+  title: string;
+  heading: string;
+  // A page of a file attached to the note
+  fileId?: string;
+  page?: number;
+}
+
+export interface ChatMessage {
+  id: string;
+  // Previous message in the conversation; null for the first
+  parentId: string | null;
+  role: 'user' | 'assistant' | 'system';
+  content: string;
+  timestamp: number;
+  // Notes the reply drew on when asked across all notes
+  sources?: CitedSource[];
+  // Changes Bob suggested with this reply, and whether the student took them
+  actions?: NoteAction[];
+}
+
+export interface ChatThread {
+  id: string;
+  title: string;
+  createdAt: number;
+  updatedAt: number;
+  // Last message of the branch being shown
+  leafId: string | null;
+}
+
+// A message on the shown path, with its alternatives when the conversation branched there
+export interface PathMessage extends ChatMessage {
+  // Ids of this message and its siblings, oldest first; only set when there are several
+  branches?: string[];
+}
+
+export const DEFAULT_THREAD_TITLE = 'New chat';
+
+/**
+ * Messages from the root down to `leafId`
+ */
+export function pathTo(messages: Map<string, ChatMessage>, leafId: string | null): ChatMessage[] {
+  const path: ChatMessage[] = [];
+  const seen = new Set<string>();
+  for (let id = leafId; id && messages.has(id) && !seen.has(id); id = messages.get(id)!.parentId) {
+    seen.add(id);
+    path.push(messages.get(id)!);
+  }
+  return path.reverse();
+}
+
+function childrenOf(messages: Map<string, ChatMessage>, parentId: string | null): ChatMessage[] {
+  return [...messages.values()]
+    .filter((message) => message.parentId === parentId)
+    .sort((a, b) => a.timestamp - b.timestamp || a.id.localeCompare(b.id));
+}
+
+/**
+ * The end of the newest branch below `id`, used when switching to a branch
+ */
+export function latestLeaf(messages: Map<string, ChatMessage>, id: string): string {
+  let current = id;
+  for (;;) {
+    const children = childrenOf(messages, current);
+    if (children.length === 0) return current;
+    current = children[children.length - 1].id;
+  }
+}
+
+/**
+ * The shown conversation, marking where it branched
+ */
+export function describePath(messages: Map<string, ChatMessage>, leafId: string | null): PathMessage[] {
+  return pathTo(messages, leafId).map((message) => {
+    const siblings = childrenOf(messages, message.parentId);
+    return siblings.length > 1 ? { ...message, branches: siblings.map((sibling) => sibling.id) } : message;
+  });
+}
+
+/**
+ * Title for a thread named after its first question
+ */
+export function threadTitleFrom(message: string): string {
+  const text = message.replace(/\s+/g, ' ').trim();
+  return text.length > 40 ? `${text.slice(0, 40).trimEnd()}…` : text || DEFAULT_THREAD_TITLE;
+}
@@ -0,0 +1,174 @@
+/**
+ * Chat Tools
+ * Tools Bob can call while answering. Looking things up (search_notes) runs
+ * straight away. Anything that would change the student's notes comes back
+ * as a proposed action, with a diff where it edits the open note, and is only
+ * carried out once the student accepts it in the chat panel.
+ */
+
+import { DiffHunk, diffLines } from './diff';
+import type { ToolCall, ToolDefinition } from './llm';
+import { JsonSchema, validateJson } from './workflows/structuredOutput';
+
+// Rounds of tool calls before Bob has to answer
+export const MAX_TOOL_ROUNDS = 3;
+
+// The text selected in the editor when the message was sent
+export interface NoteSelection {
+  start: number;
+  end: number;
+  text: string;
+}
+
+export interface ToolContext {
+  // Editing tools are only offered to those who can edit the open note
+  canEdit: boolean;
+  selection: NoteSelection | null;
+}
+
+export type NoteActionStatus = 'proposed' | 'accepted' | 'rejected';
+
+export type NoteAction = { id: string; status: NoteActionStatus } & (
+  | { type: 'append_section'; heading: string; content: string; diff: DiffHunk[] }
+  | { type: 'replace_selection'; start: number; end: number; original: string; text: string; diff: DiffHunk[] }
+  | { type: 'create_note'; title: string; content: string }
+  | { type: 'add_flashcards'; cards: Array<{ question: string; answer: string }> }
+);
+
+const text = (description: string): JsonSchema => ({ type: 'string', minLength: 1, description });
+
+const SEARCH_NOTES: ToolDefinition = {
+  name: 'search_notes',
+  description: "Search all of the student's notes for passages about a topic.",
+  parameters: { type: 'object', properties: { query: text('What to look for') }, required: ['query'] },
+};
+
+const APPEND_SECTION: ToolDefinition = {
+  name: 'append_section',
+  description: 'Add a new section to the end of the open note.',
+  parameters: {
+    type: 'object',
+    properties: { heading: text('Section heading, without #'), content: text('Section body in Markdown') },
+    required: ['heading', 'content'],
+  },
+};
+
+const REPLACE_SELECTION: ToolDefinition = {
+  name: 'replace_selection',
+  description: 'Replace the text the student has selected in the open note.',
+  parameters: { type: 'object', properties: { text: text('Replacement text in Markdown') }, required: ['text'] },
+};
+
+const CREATE_NOTE: ToolDefinition = {
+  name: 'create_note',
+  description: 'Create a new note.',
+  parameters: {
+    type: 'object',
+    properties: { title: text('Note title'), content: text('Note body in Markdown') },
+    required: ['title', 'content'],
+  },
+};
+
+const GENERATE_FLASHCARDS: ToolDefinition = {
+  name: 'generate_flashcards',
+  description: 'Make flashcards on the open note for the student to review later.',
+  parameters: {
+    type: 'object',
+    properties: {
+      cards: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { question: text('Front of the card'), answer: text('Back of the card') },
+          required: ['question', 'answer'],
+        },
+        minItems: 1,
+        maxItems: 20,
+      },
+    },
+    required: ['cards'],
+  },
+};
+
+/**
+ * Tools offered for this message
+ */
+export function chatTools(context: ToolContext): ToolDefinition[] {
+  return [
+    SEARCH_NOTES,
+    ...(context.canEdit ? [APPEND_SECTION] : []),
+    ...(context.canEdit && context.selection ? [REPLACE_SELECTION] : []),
+    CREATE_NOTE,
+    GENERATE_FLASHCARDS,
+  ];
+}
+
+/**
+ * System prompt section telling Bob what the tools are for
+ */
+export function toolsPrompt(context: ToolContext): string {
+  const selection = context.selection
+    ? `\n\nThe student has selected this text in the note:\n"""\n${context.selection.text.slice(0, 2000)}\n"""`
+    : '';
+  return `
+
+You can use tools to look up the student's other notes, add to or edit the open note, create notes and make flashcards. Only use them when the student asks for a change or a lookup. Changes you make are shown to the student as suggestions to accept or reject, so say what you suggested rather than that it is done.${selection}`;
+}
+
+/**
+ * Turn a call to one of the editing tools into a proposed action, or explain
+ * what was wrong with it (sent back to Bob as the tool result)
+ */
+export function proposeAction(call: ToolCall, context: ToolContext): NoteAction | string {
+  const tool = chatTools(context).find((t) => t.name === call.name && t !== SEARCH_NOTES);
+  if (!tool) return `Unknown tool: ${call.name}`;
+
+  const problems = validateJson(tool.parameters, call.arguments, 'arguments');
+  if (problems.length > 0) return `Invalid arguments: ${problems.join('; ')}`;
+
+  const args = call.arguments as any;
+  const base = { id: crypto.randomUUID(), status: 'proposed' as const };
+
+  switch (call.name) {
+    case 'append_section': {
+      const heading = args.heading.replace(/^#+\s*/, '').trim();
+      const content = args.content.trim();
+      return { ...base, type: 'append_section', heading, content, diff: diffLines('', sectionMarkdown(heading, content)) };
+    }
+    case 'replace_selection': {
+      const { start, end, text: original } = context.selection!;
+      return { ...base, type: 'replace_selection', start, end, original, text: args.text, diff: diffLines(original, args.text) };
+    }
+    case 'create_note':
+      return { ...base, type: 'create_note', title: args.title.trim(), content: args.content };
+    default:
+      return {
+        ...base,
+        type: 'add_flashcards',
+        cards: args.cards.map((card: { question: string; answer: string }) => ({ question: card.question.trim(), answer: card.answer.trim() })),
+      };
+  }
+}
+
+/**
+ * What Bob is told after proposing an action
+ */
+export function describeAction(action: NoteAction): string {
+  switch (action.type) {
+    case 'append_section':
+      return `Suggested adding the section "${action.heading}". The student will review it.`;
+    case 'replace_selection':
+      return 'Suggested a replacement for the selected text. The student will review it.';
+    case 'create_note':
+      return `Suggested creating the note "${action.title}". The student will review it.`;
+    case 'add_flashcards':
+      return `Suggested ${action.cards.length} flashcard${action.cards.length === 1 ? '' : 's'}. The student will review them.`;
+  }
+}
+
+/**
+ * The Markdown an appended section adds to the end of the note
+ */
+export function sectionMarkdown(heading: string, content: string): string {
+  return `## ${heading}\n\n${content}`;
+}
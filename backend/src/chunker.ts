@@ -0,0 +1,146 @@
+/**
+ * Markdown Chunker
+ * Splits a note into heading-aware chunks small enough to embed or prompt with
+ */
+
+import { estimateTokens } from './llm';
+
+export interface NoteChunk {
+  index: number;
+  heading: string;
+  text: string;
+}
+
+interface ChunkOptions {
+  maxChars?: number;
+}
+
+const DEFAULT_MAX_CHARS = 1200;
+
+/**
+ * Split markdown into chunks: first by headings, then by paragraphs, and
+ * finally by hard character limit for paragraphs that are still too long.
+ * Each chunk remembers the nearest heading above it.
+ * Fenced code blocks are never split on the headings/blank lines inside them.
+ */
+export function chunkMarkdown(content: string, options: ChunkOptions = {}): NoteChunk[] {
+  const maxChars = options.maxChars ?? DEFAULT_MAX_CHARS;
+  const chunks: NoteChunk[] = [];
+
+  for (const section of splitSections(content)) {
+    let buffer = '';
+
+    const flush = () => {
+      const text = buffer.trim();
+      if (text) {
+        chunks.push({ index: chunks.length, heading: section.heading, text });
+      }
+      buffer = '';
+    };
+
+    for (const paragraph of splitParagraphs(section.body)) {
+      if (buffer && buffer.length + paragraph.length + 2 > maxChars) {
+        flush();
+      }
+
+      if (paragraph.length > maxChars) {
+        flush();
+        for (let start = 0; start < paragraph.length; start += maxChars) {
+          buffer = paragraph.slice(start, start + maxChars);
+          flush();
+        }
+        continue;
+      }
+
+      buffer = buffer ? `${buffer}\n\n${paragraph}` : paragraph;
+    }
+
+    flush();
+  }
+
+  return chunks;
+}
+
+export interface TokenChunk {
+  index: number;
+  // Headings of the sections the chunk covers, in order
+  headings: string[];
+  text: string;
+  tokens: number;
+}
+
+/**
+ * Split markdown into chunks of at most `maxTokens` (estimated) for map-reduce
+ * prompts. Neighbouring sections share a chunk while they fit, so a short note
+ * stays in one piece.
+ */
+export function chunkByTokens(content: string, maxTokens: number): TokenChunk[] {
+  // estimateTokens counts ~4 characters a token
+  const pieces = chunkMarkdown(content, { maxChars: maxTokens * 4 });
+  const chunks: TokenChunk[] = [];
+
+  for (const piece of pieces) {
+    const tokens = estimateTokens(piece.text);
+    const last = chunks[chunks.length - 1];
+
+    if (last && last.tokens + tokens + 1 <= maxTokens) {
+      last.text = `${last.text}\n\n${piece.text}`;
+      last.tokens = estimateTokens(last.text);
+      if (piece.heading && !last.headings.includes(piece.heading)) last.headings.push(piece.heading);
+    } else {
+      chunks.push({ index: chunks.length, headings: piece.heading ? [piece.heading] : [], text: piece.text, tokens });
+    }
+  }
+
+  return chunks;
+}
+
+interface Section {
+  heading: string;
+  body: string;
+}
+
+function splitSections(content: string): Section[] {
+  const sections: Section[] = [];
+  let current: Section = { heading: '', body: '' };
+  let inFence = false;
+
+  for (const line of content.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+    }
+
+    const heading = !inFence && line.match(/^#{1,6}\s+(.*)$/);
+    if (heading) {
+      if (current.body.trim() || current.heading) sections.push(current);
+      current = { heading: heading[1].trim(), body: `${line}\n` };
+    } else {
+      current.body += `${line}\n`;
+    }
+  }
+
+  if (current.body.trim()) sections.push(current);
+  return sections;
+}
+
+function splitParagraphs(body: string): string[] {
+  const paragraphs: string[] = [];
+  let buffer: string[] = [];
+  let inFence = false;
+
+  for (const line of body.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+    }
+
+    if (!inFence && line.trim() === '') {
+      if (buffer.length) paragraphs.push(buffer.join('\n'));
+      buffer = [];
+    } else {
+      buffer.push(line);
+    }
+  }
+
+  if (buffer.length) paragraphs.push(buffer.join('\n'));
+  return paragraphs.filter(p => p.trim().length > 0);
+}
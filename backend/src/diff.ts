@@ -0,0 +1,115 @@
+/**
+ * Text Diffing
+ * Line diffs for the revision history and a cheap change-size measure
+ * used to decide when edits are coalesced into one revision
+ */
+
+export interface DiffHunk {
+  type: 'equal' | 'insert' | 'delete';
+  lines: string[];
+}
+
+// Above this many LCS cells (~16MB of Uint32) the changed middle is shown as replaced wholesale
+const MAX_LCS_CELLS = 4_000_000;
+
+/**
+ * Approximate edit distance: the length of the region that differs once the
+ * common prefix and suffix are removed. Exact for a single insert/delete/replace,
+ * which is what keystroke-level saves produce.
+ */
+export function changedSpan(a: string, b: string): number {
+  const min = Math.min(a.length, b.length);
+
+  let prefix = 0;
+  while (prefix < min && a[prefix] === b[prefix]) prefix++;
+
+  let suffix = 0;
+  while (suffix < min - prefix && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+  return Math.max(a.length, b.length) - prefix - suffix;
+}
+
+/**
+ * Line-based diff (longest common subsequence) from `a` to `b`
+ */
+export function diffLines(a: string, b: string): DiffHunk[] {
+  const oldLines = a.split('\n');
+  const newLines = b.split('\n');
+
+  // Common prefix/suffix lines never need the LCS table
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) prefix++;
+
+  let suffix = 0;
+  while (
+    suffix < oldLines.length - prefix &&
+    suffix < newLines.length - prefix &&
+    oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const oldMiddle = oldLines.slice(prefix, oldLines.length - suffix);
+  const newMiddle = newLines.slice(prefix, newLines.length - suffix);
+
+  const hunks: DiffHunk[] = [];
+  const push = (type: DiffHunk['type'], line: string) => {
+    const last = hunks[hunks.length - 1];
+    if (last && last.type === type) {
+      last.lines.push(line);
+    } else {
+      hunks.push({ type, lines: [line] });
+    }
+  };
+
+  for (const line of oldLines.slice(0, prefix)) push('equal', line);
+  for (const [type, line] of diffMiddle(oldMiddle, newMiddle)) push(type, line);
+  for (const line of oldLines.slice(oldLines.length - suffix)) push('equal', line);
+
+  return hunks;
+}
+
+function diffMiddle(oldLines: string[], newLines: string[]): Array<[DiffHunk['type'], string]> {
+  const n = oldLines.length;
+  const m = newLines.length;
+
+  if (n === 0 || m === 0 || (n + 1) * (m + 1) > MAX_LCS_CELLS) {
+    return [
+      ...oldLines.map(line => ['delete', line] as [DiffHunk['type'], string]),
+      ...newLines.map(line => ['insert', line] as [DiffHunk['type'], string]),
+    ];
+  }
+
+  // lcs[i * (m + 1) + j] = LCS length of oldLines[i..] and newLines[j..]
+  const width = m + 1;
+  const lcs = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * width + j] =
+        oldLines[i] === newLines[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const ops: Array<[DiffHunk['type'], string]> = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (oldLines[i] === newLines[j]) {
+      ops.push(['equal', oldLines[i]]);
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      ops.push(['delete', oldLines[i]]);
+      i++;
+    } else {
+      ops.push(['insert', newLines[j]]);
+      j++;
+    }
+  }
+  while (i < n) ops.push(['delete', oldLines[i++]]);
+  while (j < m) ops.push(['insert', newLines[j++]]);
+
+  return ops;
+}
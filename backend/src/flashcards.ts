@@ -0,0 +1,139 @@
+/**
+ * Flashcards
+ * Question/answer cards generated from a note's study questions. Cards belong
+ * to whoever generated them and are scheduled with SM-2 (see srs.ts).
+ */
+
+import { INITIAL_EASE, ReviewGrade, scheduleReview } from './srs';
+
+export interface Flashcard {
+  id: string;
+  note_id: string;
+  note_title?: string;
+  question: string;
+  answer: string;
+  type: string | null;
+  difficulty: string | null;
+  ease: number;
+  interval_days: number;
+  repetitions: number;
+  due_at: string;
+  last_reviewed_at: string | null;
+  created_at: string;
+}
+
+export interface NewFlashcard {
+  question: string;
+  answer: string;
+  type?: string;
+  difficulty?: string;
+}
+
+const CARD_COLUMNS =
+  'c.id, c.note_id, c.question, c.answer, c.type, c.difficulty, c.ease, c.interval_days, c.repetitions, c.due_at, c.last_reviewed_at, c.created_at';
+
+/**
+ * Save generated cards, due straight away. A question the user already has a
+ * card for (same note) is skipped so its review history survives regeneration.
+ * Returns how many cards were added.
+ */
+export async function addFlashcards(db: D1Database, ownerId: string, noteId: string, cards: NewFlashcard[]): Promise<number> {
+  const usable = cards.filter((card) => card.question.trim() && card.answer.trim());
+  if (usable.length === 0) return 0;
+
+  const now = new Date().toISOString();
+  const results = await db.batch(
+    usable.map((card) =>
+      db
+        .prepare(
+          `INSERT OR IGNORE INTO flashcards
+            (id, note_id, owner_id, question, answer, type, difficulty, ease, interval_days, repetitions, due_at, created_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, 0, ?, ?)`
+        )
+        .bind(
+          crypto.randomUUID(),
+          noteId,
+          ownerId,
+          card.question.trim(),
+          card.answer.trim(),
+          card.type ?? null,
+          card.difficulty ?? null,
+          INITIAL_EASE,
+          now,
+          now
+        )
+    )
+  );
+
+  return results.reduce((sum, result) => sum + (result.meta.changes ?? 0), 0);
+}
+
+/**
+ * Cards due by `now`, most overdue first, plus the total due count
+ */
+export async function listDueFlashcards(
+  db: D1Database,
+  ownerId: string,
+  options: { now?: Date; limit?: number; noteId?: string | null } = {}
+): Promise<{ cards: Flashcard[]; dueCount: number }> {
+  const now = (options.now ?? new Date()).toISOString();
+  const params = options.noteId ? [ownerId, now, options.noteId] : [ownerId, now];
+  // Cards from notes the user can no longer open (deleted, trashed or unshared) drop out
+  const dueCards = `FROM flashcards c
+      JOIN notes n ON n.id = c.note_id
+      WHERE c.owner_id = ?1 AND c.due_at <= ?2 AND n.deleted_at IS NULL ${options.noteId ? 'AND c.note_id = ?3' : ''}
+        AND (n.owner_id = ?1 OR EXISTS (SELECT 1 FROM note_shares s WHERE s.note_id = n.id AND s.user_id = ?1))`;
+
+  const { results } = await db
+    .prepare(
+      `SELECT ${CARD_COLUMNS}, n.title AS note_title
+      ${dueCards}
+      ORDER BY c.due_at
+      LIMIT ${Math.max(0, Math.floor(options.limit ?? 20))}`
+    )
+    .bind(...params)
+    .all<Flashcard>();
+
+  const count = await db
+    .prepare(`SELECT COUNT(*) AS count ${dueCards}`)
+    .bind(...params)
+    .first<{ count: number }>();
+
+  return { cards: results ?? [], dueCount: count?.count ?? 0 };
+}
+
+/**
+ * Record a review and reschedule the card. Null if the card isn't the user's.
+ */
+export async function reviewFlashcard(db: D1Database, ownerId: string, cardId: string, grade: ReviewGrade, now: Date = new Date()): Promise<Flashcard | null> {
+  const card = await db
+    .prepare(`SELECT ${CARD_COLUMNS} FROM flashcards c WHERE c.id = ? AND c.owner_id = ?`)
+    .bind(cardId, ownerId)
+    .first<Flashcard>();
+  if (!card) return null;
+
+  const next = scheduleReview(
+    { ease: card.ease, intervalDays: card.interval_days, repetitions: card.repetitions },
+    grade,
+    now
+  );
+  const reviewedAt = now.toISOString();
+
+  await db
+    .prepare('UPDATE flashcards SET ease = ?, interval_days = ?, repetitions = ?, due_at = ?, last_reviewed_at = ? WHERE id = ?')
+    .bind(next.ease, next.intervalDays, next.repetitions, next.dueAt, reviewedAt, cardId)
+    .run();
+
+  return {
+    ...card,
+    ease: next.ease,
+    interval_days: next.intervalDays,
+    repetitions: next.repetitions,
+    due_at: next.dueAt,
+    last_reviewed_at: reviewedAt,
+  };
+}
+
+export function deleteFlashcardsStatement(db: D1Database, noteId: string): D1PreparedStatement {
+  return db.prepare('DELETE FROM flashcards WHERE note_id = ?').bind(noteId);
+}
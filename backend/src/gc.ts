@@ -0,0 +1,123 @@
+/**
+ * Garbage Collection
+ * Removes what deleted notes leave behind: uploaded images no note links to
+ * (see src/attachments.ts) and the ChatSession storage of purged notes. Runs
+ * from the daily cron trigger. A dry run reports what the same pass would
+ * remove; it still scans older notes for their image links, since that's how
+ * an unreferenced image is told apart, but deletes nothing.
+ */
+
+import { backfillImageLinks, referencedKeys } from './attachments';
+
+// Newer images are left alone: one can be uploaded a while before the note linking it is saved
+export const IMAGE_GRACE_MS = 24 * 60 * 60 * 1000;
+
+// Notes scanned for image links per run
+const BACKFILL_PER_RUN = 500;
+// Removals per run; R2 deletes at most 1000 keys per call
+const MAX_IMAGE_DELETES = 1000;
+const MAX_CHAT_CLEARS = 200;
+
+export interface GcOptions {
+  dryRun: boolean;
+  now?: Date;
+  // Only this user's images and chats
+  ownerId?: string;
+}
+
+export interface GcImage {
+  key: string;
+  size: number;
+  uploaded: string;
+}
+
+export interface GcReport {
+  dryRun: boolean;
+  images: GcImage[];
+  imageBytes: number;
+  chatSessions: Array<{ name: string; noteId: string }>;
+  // Notes not yet scanned for image links; no image is removed while there are any
+  unscannedNotes: number;
+}
+
+/**
+ * Statement that records a ChatSession Durable Object used for a note
+ */
+export function trackChatSessionStatement(db: D1Database, name: string, noteId: string, userId: string): D1PreparedStatement {
+  return db
+    .prepare('INSERT OR IGNORE INTO chat_sessions (name, note_id, user_id, created_at) VALUES (?, ?, ?, ?)')
+    .bind(name, noteId, userId, new Date().toISOString());
+}
+
+/**
+ * Images nothing references, uploaded before the grace period
+ */
+export function unreferencedImages(
+  objects: Array<{ key: string; size: number; uploaded: Date }>,
+  referenced: Set<string>,
+  now: Date
+): GcImage[] {
+  const cutoff = now.getTime() - IMAGE_GRACE_MS;
+  return objects
+    .filter((object) => !referenced.has(object.key) && object.uploaded.getTime() < cutoff)
+    .map((object) => ({ key: object.key, size: object.size, uploaded: object.uploaded.toISOString() }));
+}
+
+async function findUnreferencedImages(env: any, now: Date, ownerId?: string): Promise<GcImage[]> {
+  const referenced = await referencedKeys(env.DB);
+  const found: GcImage[] = [];
+  let cursor: string | undefined;
+
+  do {
+    const page: R2Objects = await env.IMAGES.list({ prefix: ownerId ? `${ownerId}/` : undefined, cursor, limit: 1000 });
+    found.push(...unreferencedImages(page.objects, referenced, now));
+    cursor = page.truncated ? page.cursor : undefined;
+  } while (cursor && found.length < MAX_IMAGE_DELETES);
+
+  return found.slice(0, MAX_IMAGE_DELETES);
+}
+
+async function findOrphanedChats(db: D1Database, ownerId?: string): Promise<Array<{ name: string; noteId: string }>> {
+  const { results } = await db
+    .prepare(
+      `SELECT c.name, c.note_id AS noteId
+      FROM chat_sessions c
+      LEFT JOIN notes n ON n.id = c.note_id
+      WHERE n.id IS NULL ${ownerId ? 'AND c.user_id = ?' : ''}
+      LIMIT ${MAX_CHAT_CLEARS}`
+    )
+    .bind(...(ownerId ? [ownerId] : []))
+    .all<{ name: string; noteId: string }>();
+  return results ?? [];
+}
+
+/**
+ * One collection pass: find orphaned images and chats and, unless it's a dry
+ * run, remove them
+ */
+export async function collectGarbage(env: any, options: GcOptions): Promise<GcReport> {
+  const now = options.now ?? new Date();
+  const unscannedNotes = await backfillImageLinks(env.DB, BACKFILL_PER_RUN);
+  const images = unscannedNotes === 0 ? await findUnreferencedImages(env, now, options.ownerId) : [];
+  const chatSessions = await findOrphanedChats(env.DB, options.ownerId);
+
+  if (!options.dryRun) {
+    if (images.length > 0) {
+      await env.IMAGES.delete(images.map((image) => image.key));
+    }
+    for (const chat of chatSessions) {
+      const stub = env.CHAT_SESSIONS.get(env.CHAT_SESSIONS.idFromName(chat.name));
+      const response = await stub.fetch('https://do/destroy', { method: 'POST' });
+      if (!response.ok) throw new Error(`Failed to clear chat session ${chat.name}`);
+      await env.DB.prepare('DELETE FROM chat_sessions WHERE name = ?').bind(chat.name).run();
+    }
+  }
+
+  return {
+    dryRun: options.dryRun,
+    images,
+    imageBytes: images.reduce((total, image) => total + image.size, 0),
+    chatSessions,
+    unscannedNotes,
+  };
+}
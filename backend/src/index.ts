@@ -11,11 +11,87 @@
  * Learn more at https://developers.cloudflare.com/workers/
  */
 
-import { ChatSession } from './chatSession';
-import { SummaryWorkflow } from './workflows/summaryWorkflow';
+import { ChatSession, ChatSource } from './chatSession';
+import { createLLM } from './llm';
+import { assistMessages, cleanAssistOutput, parseAssistRequest } from './writingAssist';
+import { IMAGE_TYPES, MAX_IMPORT_BYTES, VaultImageLoader, VaultTooLargeError, exportVault, extension, parseVault, relinkImages } from './vault';
+import {
+  MAX_FILE_BYTES,
+  NoteFile,
+  contentTypeFor,
+  deleteNoteFileStatements,
+  deleteNoteFilesStatements,
+  extractPages,
+  findRelevantPages,
+  getNoteFile,
+  getNoteFilePages,
+  insertNoteFileStatements,
+  listNoteFiles,
+  noteFileKind,
+  noteWithFiles,
+  pageLabel,
+} from './noteFiles';
+import { EXPORT_FORMATS, ExportFormat, exportFilename, r2ImageLoader, renderNoteDocument, renderPdf } from './noteExport';
+import { NoteDocument } from './noteDocument';
 import { QuestionsWorkflow } from './workflows/questionsWorkflow';
-
-export { ChatSession };
+import { JOB_STEPS, NoteJobWorkflow, formatSummary, startNoteJob } from './workflows/noteJobs';
+import { StructuredOutputError } from './workflows/structuredOutput';
+import { GradingWorkflow } from './workflows/gradingWorkflow';
+import { SSE_HEADERS, sseEvent, wantsEventStream } from './sse';
+import { indexNoteStatements, searchNotes, unindexNoteStatement } from './search';
+import { indexNoteEmbeddings, removeNoteEmbeddings, retrieveRelevantChunks } from './retrieval';
+import { deleteRevisionsStatement, getRevision, initialRevisionStatement, listRevisions, recordRevision } from './revisions';
+import { diffLines } from './diff';
+import { AuthError, AuthUser, authenticate, hashPassword, signToken, signValue, verifyPassword, verifySignedValue } from './auth';
+import {
+  NoteRole,
+  SHARE_ROLES,
+  ShareRole,
+  canEdit,
+  deleteSharesStatement,
+  getNoteRole,
+  listShares,
+  listSharedWithUser,
+  signPublicLink,
+  verifyPublicLink,
+} from './sharing';
+import {
+  MAX_FOLDER_NAME_LENGTH,
+  MAX_TAGS_PER_NOTE,
+  deleteFolderStatements,
+  deleteNoteTagsStatement,
+  deleteTagStatements,
+  ensureTags,
+  findFolder,
+  getNoteTags,
+  getTagsByNote,
+  isWithinFolder,
+  listFolders,
+  listTags,
+  normalizeTagName,
+  setNoteTags,
+  suggestTags,
+} from './organize';
+import { getCachedSummary } from './summaryCache';
+import { deleteAttachmentsStatement, linkImageStatement, linkImagesStatements } from './attachments';
+import { collectGarbage } from './gc';
+import { expiredTrashIds, listTrash, purgeCutoff, restoreNoteStatement, trashNoteStatement, trashRetentionDays, trashedNoteIds } from './trash';
+import { createJob, deleteJobsStatements, describeJobSteps, getJob } from './jobs';
+import { addFlashcards, deleteFlashcardsStatement, listDueFlashcards, reviewFlashcard } from './flashcards';
+import { isReviewGrade } from './srs';
+import {
+  breakdownScores,
+  claimQuizSession,
+  createQuizSession,
+  deleteQuizStatements,
+  getQuizSession,
+  listGradedAnswers,
+  listQuizSessions,
+  releaseQuizSession,
+  saveQuizGrades,
+} from './quiz';
+
+export { ChatSession, NoteDocument, NoteJobWorkflow };
 
 export default {
   async fetch(request: Request, env: any, ctx: ExecutionContext): Promise<Response> {
@@ -28,7 +104,7 @@ export default {
         headers: {
           "Access-Control-Allow-Origin": "*",
           "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
-          "Access-Control-Allow-Headers": "Content-Type",
+          "Access-Control-Allow-Headers": "Content-Type, If-Match, Authorization",
         },
       });
     }
@@ -39,64 +115,328 @@ export default {
       });
     }
 
-    // AI chat - route to Durable Object
+    // Accounts
+    if (url.pathname === "/api/auth/signup" && request.method === "POST") {
+      return handleSignup(request, env);
+    }
+
+    if (url.pathname === "/api/auth/login" && request.method === "POST") {
+      return handleLogin(request, env);
+    }
+
+    // Image retrieval (signed URLs work without a login so <img> tags can load them)
+    if (url.pathname.startsWith("/api/images/")) {
+      const key = decodeURIComponent(url.pathname.replace("/api/images/", ""));
+      if (!key) return jsonResponse({ error: "Missing filename" }, 400);
+      if (request.method === "GET") {
+        return handleImageGet(request, env, key, url.searchParams.get("sig"));
+      }
+    }
+
+    // Read-only public link to a note
+    const publicNoteMatch = url.pathname.match(/^\/api\/public\/notes\/([^/]+)$/);
+    if (publicNoteMatch && request.method === "GET") {
+      return handlePublicNote(env, decodeURIComponent(publicNoteMatch[1]), url.searchParams.get("sig"));
+    }
+
+    // Everything below requires a signed-in user
+    let user: AuthUser | null;
+    try {
+      user = await authenticate(request, env);
+    } catch (err) {
+      if (err instanceof AuthError) return jsonResponse({ error: err.message }, err.status);
+      throw err;
+    }
+    if (!user) {
+      return jsonResponse({ error: "Authentication required" }, 401);
+    }
+
+    if (url.pathname === "/api/auth/me" && request.method === "GET") {
+      return jsonResponse({ user }, 200);
+    }
+
+    // AI chat - route to Durable Object (streams over SSE with ?stream=1 or Accept: text/event-stream)
     if (url.pathname === "/api/chat" && request.method === "POST") {
-      return handleChat(request, env, ctx);
+      return handleChat(request, env, ctx, user);
     }
 
     // Get chat history
     if (url.pathname === "/api/chat/history" && request.method === "GET") {
       const noteId = url.searchParams.get("noteId");
       if (!noteId) return jsonResponse({ error: "Missing noteId" }, 400);
-      return handleChatHistory(env, noteId);
+      return handleChatHistory(env, user, noteId, url.searchParams.get("threadId"));
     }
 
     // Clear chat history
     if (url.pathname === "/api/chat/clear" && request.method === "POST") {
       const noteId = url.searchParams.get("noteId");
       if (!noteId) return jsonResponse({ error: "Missing noteId" }, 400);
-      return handleClearChat(env, noteId);
+      return handleClearChat(env, user, noteId, url.searchParams.get("threadId"));
     }
 
     // Store message in chat (without AI response)
     if (url.pathname === "/api/chat/store" && request.method === "POST") {
-      return handleStoreMessage(request, env);
+      return handleStoreMessage(request, env, user);
+    }
+
+    // Chat threads: list, create, rename, delete, and switch branch
+    const threadsMatch = url.pathname.match(/^\/api\/chat\/threads(?:\/([^/]+)(?:\/(branch))?)?$/);
+    if (threadsMatch) {
+      const [, threadId, action] = threadsMatch;
+      const noteId = url.searchParams.get("noteId");
+      if (!noteId) return jsonResponse({ error: "Missing noteId" }, 400);
+
+      const allowed = !threadId
+        ? ["GET", "POST"].includes(request.method)
+        : action
+          ? request.method === "POST"
+          : ["PUT", "DELETE"].includes(request.method);
+      if (allowed) {
+        const path = threadId ? `/threads/${encodeURIComponent(threadId)}${action ? `/${action}` : ""}` : "/threads";
+        return relayToChatSession(request, env, user, noteId, path);
+      }
+    }
+
+    // Accepting or rejecting a change Bob suggested
+    if (url.pathname === "/api/chat/actions" && request.method === "POST") {
+      const noteId = url.searchParams.get("noteId");
+      if (!noteId) return jsonResponse({ error: "Missing noteId" }, 400);
+      return relayToChatSession(request, env, user, noteId, "/actions");
+    }
+
+    // What Bob remembers of a thread: view or edit
+    if (url.pathname === "/api/chat/memory" && (request.method === "GET" || request.method === "PUT")) {
+      const noteId = url.searchParams.get("noteId");
+      if (!noteId) return jsonResponse({ error: "Missing noteId" }, 400);
+      const threadId = url.searchParams.get("threadId");
+      const query = threadId ? `?threadId=${encodeURIComponent(threadId)}` : "";
+      return relayToChatSession(request, env, user, noteId, `/memory${query}`);
     }
 
     // Image upload
     if (url.pathname === "/api/upload" && request.method === "POST") {
-      return handleImageUpload(request, env);
+      return handleImageUpload(request, env, user);
     }
 
-    // Image retrieval
-    if (url.pathname.startsWith("/api/images/")) {
-      const filename = decodeURIComponent(url.pathname.replace("/api/images/", ""));
-      if (!filename) return jsonResponse({ error: "Missing filename" }, 400);
-      if (request.method === "GET") {
-        return handleImageGet(env, filename);
+    // Note revisions: list, fetch, diff and restore
+    const revisionsMatch = url.pathname.match(/^\/api\/notes\/([^/]+)\/revisions(?:\/(diff|\d+)(?:\/(restore))?)?$/);
+    if (revisionsMatch) {
+      const [, noteId, revision, action] = revisionsMatch;
+      const access = await findAccessibleNote(env, user, noteId);
+      if (!access) {
+        return jsonResponse({ error: "Note not found" }, 404);
+      }
+      if (!revision && request.method === "GET") {
+        return handleListRevisions(env, noteId);
+      }
+      if (revision === "diff" && !action && request.method === "GET") {
+        return handleRevisionDiff(env, noteId, url.searchParams.get("from"), url.searchParams.get("to"));
+      }
+      if (revision && revision !== "diff" && !action && request.method === "GET") {
+        return handleGetRevision(env, noteId, Number(revision));
+      }
+      if (revision && revision !== "diff" && action === "restore" && request.method === "POST") {
+        if (!canEdit(access.role)) return jsonResponse({ error: "You have view-only access to this note" }, 403);
+        return handleRestoreRevision(env, ctx, noteId, Number(revision));
+      }
+      return new Response("Not found", { status: 404 });
+    }
+
+    // Sharing: collaborators and the public link (owner only, except leaving a share)
+    const sharesMatch = url.pathname.match(/^\/api\/notes\/([^/]+)\/shares(?:\/([^/]+))?$/);
+    if (sharesMatch) {
+      const [, noteId, shareUserId] = sharesMatch;
+      if (!shareUserId && request.method === "GET") {
+        return handleListShares(env, user, noteId);
       }
+      if (!shareUserId && request.method === "POST") {
+        return handleShareNote(request, env, user, noteId);
+      }
+      if (shareUserId && request.method === "DELETE") {
+        return handleRevokeShare(env, user, noteId, decodeURIComponent(shareUserId));
+      }
+      return new Response("Not found", { status: 404 });
+    }
+
+    const publicLinkMatch = url.pathname.match(/^\/api\/notes\/([^/]+)\/public-link$/);
+    if (publicLinkMatch) {
+      if (request.method === "POST") return handleCreatePublicLink(env, user, publicLinkMatch[1]);
+      if (request.method === "DELETE") return handleRevokePublicLink(env, user, publicLinkMatch[1]);
+      return new Response("Not found", { status: 404 });
+    }
+
+    // Trash: restore a deleted note, or purge it (or everything) for good
+    if (url.pathname === "/api/trash") {
+      if (request.method === "GET") return handleListTrash(env, user);
+      if (request.method === "DELETE") return handlePurgeTrash(env, user, null);
+      return new Response("Not found", { status: 404 });
+    }
+
+    const trashMatch = url.pathname.match(/^\/api\/trash\/([^/]+)(?:\/(restore))?$/);
+    if (trashMatch) {
+      const [, noteId, restore] = trashMatch;
+      if (restore && request.method === "POST") return handleRestoreNote(env, user, decodeURIComponent(noteId));
+      if (!restore && request.method === "DELETE") return handlePurgeTrash(env, user, decodeURIComponent(noteId));
+      return new Response("Not found", { status: 404 });
+    }
+
+    // Dry run of the scheduled garbage collection, limited to the caller's images and chats
+    if (url.pathname === "/api/gc/report" && request.method === "GET") {
+      return handleGcReport(env, user);
+    }
+
+    // Every note as a Markdown zip, and importing one
+    if (url.pathname === "/api/export" && request.method === "GET") {
+      return handleExportVault(env, user);
+    }
+    if (url.pathname === "/api/import" && request.method === "POST") {
+      return handleImportVault(request, env, ctx, user);
+    }
+
+    // Folders and tags
+    if (url.pathname === "/api/folders") {
+      if (request.method === "GET") return handleListFolders(env, user);
+      if (request.method === "POST") return handleCreateFolder(request, env, user);
+    }
+
+    const folderMatch = url.pathname.match(/^\/api\/folders\/([^/]+)$/);
+    if (folderMatch) {
+      const folderId = decodeURIComponent(folderMatch[1]);
+      if (request.method === "PUT") return handleUpdateFolder(request, env, user, folderId);
+      if (request.method === "DELETE") return handleDeleteFolder(env, user, folderId);
+      return new Response("Not found", { status: 404 });
+    }
+
+    if (url.pathname === "/api/tags") {
+      if (request.method === "GET") return handleListTags(env, user);
+      if (request.method === "POST") return handleCreateTag(request, env, user);
+    }
+
+    const tagMatch = url.pathname.match(/^\/api\/tags\/([^/]+)$/);
+    if (tagMatch) {
+      const tagId = decodeURIComponent(tagMatch[1]);
+      if (request.method === "PUT") return handleRenameTag(request, env, user, tagId);
+      if (request.method === "DELETE") return handleDeleteTag(env, user, tagId);
+      return new Response("Not found", { status: 404 });
+    }
+
+    // Organising a note: its folder, pin and tags (owner only; doesn't count as an edit)
+    const organizeMatch = url.pathname.match(/^\/api\/notes\/([^/]+)\/(folder|pin|tags)$/);
+    if (organizeMatch && request.method === "PUT") {
+      const [, noteId, field] = organizeMatch;
+      if (field === "folder") return handleMoveNote(request, env, user, noteId);
+      if (field === "pin") return handlePinNote(request, env, user, noteId);
+      return handleSetNoteTags(request, env, user, noteId);
+    }
+
+    // Live collaborative editing - WebSocket to the note's NoteDocument Durable Object
+    const liveMatch = url.pathname.match(/^\/api\/notes\/([^/]+)\/live$/);
+    if (liveMatch && request.method === "GET") {
+      return handleLiveDocument(request, env, user, decodeURIComponent(liveMatch[1]));
     }
 
-    // Workflow: Generate summary
+    // Workflow: Generate summary (cached until the note changes; ?refresh=1 forces a new one).
+    // Otherwise starts a background job to poll at /api/jobs/:id
     if (url.pathname.startsWith("/api/notes/") && url.pathname.endsWith("/summary") && request.method === "POST") {
       const pathParts = url.pathname.split("/");
       const id = pathParts[3]; // /api/notes/{id}/summary
       if (!id) return jsonResponse({ error: "Missing note id" }, 400);
-      return handleGenerateSummary(env, id);
+      const refresh = url.searchParams.get("refresh");
+      return handleGenerateSummary(env, ctx, user, id, refresh === "1" || refresh === "true");
+    }
+
+    // Inline AI action on the editor selection (streams over SSE with ?stream=1)
+    const assistMatch = url.pathname.match(/^\/api\/notes\/([^/]+)\/assist$/);
+    if (assistMatch && request.method === "POST") {
+      return handleWritingAssist(request, env, ctx, user, decodeURIComponent(assistMatch[1]));
+    }
+
+    // Export as a standalone HTML document or a paginated PDF
+    const exportMatch = url.pathname.match(/^\/api\/notes\/([^/]+)\/export$/);
+    if (exportMatch && request.method === "GET") {
+      return handleExportNote(env, user, decodeURIComponent(exportMatch[1]), url.searchParams.get("format") || "html");
+    }
+
+    // PDFs and slide decks attached to a note, with the text extracted from each page
+    const noteFilesMatch = url.pathname.match(/^\/api\/notes\/([^/]+)\/files$/);
+    if (noteFilesMatch) {
+      const noteId = decodeURIComponent(noteFilesMatch[1]);
+      if (request.method === "GET") return handleListNoteFiles(env, user, noteId);
+      if (request.method === "POST") return handleUploadNoteFile(request, env, user, noteId);
+      return new Response("Not found", { status: 404 });
+    }
+
+    const fileMatch = url.pathname.match(/^\/api\/files\/([^/]+)(?:\/(content|pages))?$/);
+    if (fileMatch) {
+      const [, fileId, part] = fileMatch;
+      if (part === "content" && request.method === "GET") return handleGetNoteFileContent(env, user, fileId);
+      if (part === "pages" && request.method === "GET") return handleGetNoteFilePages(env, user, fileId);
+      if (!part && request.method === "DELETE") return handleDeleteNoteFile(env, user, fileId);
+      return new Response("Not found", { status: 404 });
     }
 
-    // Workflow: Generate study questions
+    // Workflow: Generate study questions (background job)
     if (url.pathname.startsWith("/api/notes/") && url.pathname.endsWith("/questions") && request.method === "POST") {
       const pathParts = url.pathname.split("/");
       const id = pathParts[3]; // /api/notes/{id}/questions
       if (!id) return jsonResponse({ error: "Missing note id" }, 400);
-      return handleGenerateQuestions(env, id);
+      return handleGenerateQuestions(env, ctx, user, id);
+    }
+
+    // Background job status: step-by-step progress, then the result
+    const jobMatch = url.pathname.match(/^\/api\/jobs\/([^/]+)$/);
+    if (jobMatch && request.method === "GET") {
+      return handleGetJob(env, user, jobMatch[1]);
+    }
+
+    // Flashcards: cards due for review, and grading a review (0-5, SM-2)
+    if (url.pathname === "/api/review/due" && request.method === "GET") {
+      return handleDueFlashcards(env, user, url.searchParams);
+    }
+
+    // Cards written elsewhere (e.g. suggested by Bob) added to a note
+    const noteFlashcardsMatch = url.pathname.match(/^\/api\/notes\/([^/]+)\/flashcards$/);
+    if (noteFlashcardsMatch && request.method === "POST") {
+      return handleAddFlashcards(request, env, user, decodeURIComponent(noteFlashcardsMatch[1]));
+    }
+
+    const flashcardReviewMatch = url.pathname.match(/^\/api\/flashcards\/([^/]+)\/review$/);
+    if (flashcardReviewMatch && request.method === "POST") {
+      return handleReviewFlashcard(request, env, user, decodeURIComponent(flashcardReviewMatch[1]));
+    }
+
+    // Quizzes: start one from a note, answer and get graded, see progress
+    const startQuizMatch = url.pathname.match(/^\/api\/notes\/([^/]+)\/quiz$/);
+    if (startQuizMatch && request.method === "POST") {
+      return handleStartQuiz(env, user, decodeURIComponent(startQuizMatch[1]));
+    }
+
+    if (url.pathname === "/api/quiz/history" && request.method === "GET") {
+      return handleQuizHistory(env, user, url.searchParams.get("noteId"));
+    }
+
+    const quizMatch = url.pathname.match(/^\/api\/quiz\/([^/]+)(?:\/(submit))?$/);
+    if (quizMatch) {
+      const [, sessionId, action] = quizMatch;
+      if (!action && request.method === "GET") return handleGetQuiz(env, user, sessionId);
+      if (action === "submit" && request.method === "POST") return handleSubmitQuiz(request, env, user, sessionId);
+      return new Response("Not found", { status: 404 });
+    }
+
+    // Re-embed every note (backfill for semantic search)
+    if (url.pathname === "/api/embeddings/reindex" && request.method === "POST") {
+      return handleReindexEmbeddings(env, ctx, user);
     }
 
-    // Notes list and creation
+    // Notes list (filter with ?folder=, ?tag=, ?pinned=) and creation
     if (url.pathname === "/api/notes") {
-      if (request.method === "GET") return listNotes(env);
-      if (request.method === "POST") return createNote(env);
+      if (request.method === "GET") return listNotes(env, user, url.searchParams);
+      if (request.method === "POST") return createNote(request, env, ctx, user);
+    }
+
+    // Full-text search (must come BEFORE notes by id)
+    if (url.pathname === "/api/notes/search" && request.method === "GET") {
+      return handleSearchNotes(env, user, url.searchParams.get("q") || "");
     }
 
     // Notes by id (must come AFTER workflow routes)
@@ -110,20 +450,26 @@ export default {
       if (!id) return jsonResponse({ error: "Missing note id" }, 400);
 
       if (request.method === "GET") {
-        return getNote(env, id);
+        return getNote(env, user, id);
       }
 
       if (request.method === "PUT") {
-        return updateNote(request, env, id);
+        return updateNote(request, env, ctx, user, id);
       }
 	  
 	  if (request.method === "DELETE") {
-		return deleteNote(env, id);
+		return deleteNote(env, ctx, user, id);
 	}
     }
 
     return new Response("Not found", { status: 404 });
   },
+
+  // Cron trigger (see "triggers" in wrangler.jsonc): empty expired trash, then collect what purged notes left behind
+  async scheduled(controller: ScheduledController, env: any, ctx: ExecutionContext): Promise<void> {
+    const now = new Date(controller.scheduledTime);
+    ctx.waitUntil(purgeExpiredTrash(env, now).then(() => runGarbageCollection(env, now)));
+  },
 };
 
 type ChatHistoryItem = {
@@ -136,14 +482,25 @@ type ChatRequestBody = {
   history?: ChatHistoryItem[];
   noteContext?: string;
   noteId?: string;
+  // "note" (default) answers from the open note; "all" also retrieves from every note
+  scope?: "note" | "all";
+  // Thread to continue; the most recent one (or a new one) when omitted
+  threadId?: string;
+  // Id of an earlier user message this one replaces, branching the conversation there
+  editOf?: string;
+  // Let Bob search notes and suggest changes
+  tools?: boolean;
+  // Text selected in the editor, which Bob may suggest replacing
+  selection?: { start: number; end: number; text: string } | null;
 };
 
-async function handleChat(request: Request, env: any, ctx: ExecutionContext): Promise<Response> {
+async function handleChat(request: Request, env: any, ctx: ExecutionContext, user: AuthUser): Promise<Response> {
   try {
     const body = (await request.json()) as ChatRequestBody;
     const userMessage = body.message?.trim();
     const noteContext = body.noteContext || "";
-    const noteId = body.noteId || "default";
+    const noteId = body.noteId;
+    const stream = wantsEventStream(request);
 
     if (!userMessage) {
       return jsonResponse(
@@ -152,9 +509,33 @@ async function handleChat(request: Request, env: any, ctx: ExecutionContext): Pr
       );
     }
 
+    const access = noteId ? await findAccessibleNote(env, user, noteId) : null;
+    if (!noteId || !access) {
+      return jsonResponse({ error: "Note not found" }, 404);
+    }
+
+    // Pull the most relevant chunks from every note for "ask across all my notes"
+    let sources: ChatSource[] = [];
+    if (body.scope === "all") {
+      const chunks = await retrieveRelevantChunks(env, user.id, userMessage);
+      sources = chunks.map(({ noteId, title, heading, content }) => ({ noteId, title, heading, content }));
+    }
+
+    // Pages of this note's attachments that bear on the question, cited by page number
+    const pages = await findRelevantPages(env.DB, noteId, userMessage);
+    sources.push(
+      ...pages.map((page) => ({
+        noteId,
+        title: page.filename,
+        heading: pageLabel(page.contentType, page.page),
+        content: page.text,
+        fileId: page.fileId,
+        page: page.page,
+      }))
+    );
+
     // Get Durable Object stub for this note's chat session
-    const id = env.CHAT_SESSIONS.idFromName(noteId);
-    const stub = env.CHAT_SESSIONS.get(id);
+    const stub = chatSessionStub(env, user, noteId, access.role);
 
     // Initialize session with note context
     await stub.fetch("https://do/init", {
@@ -167,13 +548,38 @@ async function handleChat(request: Request, env: any, ctx: ExecutionContext): Pr
     const response = await stub.fetch("https://do/message", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ message: userMessage, noteContext }),
+      body: JSON.stringify({
+        message: userMessage,
+        noteContext,
+        stream,
+        sources,
+        threadId: body.threadId,
+        editOf: body.editOf,
+        tools: body.tools === true,
+        canEdit: canEdit(access.role),
+        selection: body.selection ?? null,
+        userId: user.id,
+      }),
     });
 
+    // Relay tokens straight through; the Durable Object saves the reply when it finishes
+    if (stream && response.ok && response.body) {
+      return new Response(response.body, {
+        status: 200,
+        headers: {
+          ...SSE_HEADERS,
+          "Access-Control-Allow-Origin": "*",
+        },
+      });
+    }
+
     const data = await response.json() as any;
+    if (!response.ok) {
+      return jsonResponse({ error: data.error || "Chat failed" }, response.status);
+    }
 
     return jsonResponse(
-      { reply: data.reply, history: data.history },
+      { reply: data.reply, sources: data.sources || [], actions: data.actions || [], history: data.history, threadId: data.threadId },
       200
     );
   } catch (err: any) {
@@ -182,37 +588,53 @@ async function handleChat(request: Request, env: any, ctx: ExecutionContext): Pr
   }
 }
 
-async function handleChatHistory(env: any, noteId: string): Promise<Response> {
+async function handleChatHistory(env: any, user: AuthUser, noteId: string, threadId: string | null): Promise<Response> {
   try {
+    const access = await findAccessibleNote(env, user, noteId);
+    if (!access) {
+      return jsonResponse({ error: "Note not found" }, 404);
+    }
+
     // Get Durable Object stub for this note's chat session
-    const id = env.CHAT_SESSIONS.idFromName(noteId);
-    const stub = env.CHAT_SESSIONS.get(id);
+    const stub = chatSessionStub(env, user, noteId, access.role);
 
     // Fetch history from Durable Object
-    const response = await stub.fetch("https://do/history", {
+    const query = threadId ? `?threadId=${encodeURIComponent(threadId)}` : "";
+    const response = await stub.fetch(`https://do/history${query}`, {
       method: "GET",
     });
 
     const data = await response.json() as any;
-    return jsonResponse({ messages: data.messages || [] }, 200);
+    if (!response.ok) {
+      return jsonResponse({ error: data.error || "Failed to load chat" }, response.status);
+    }
+    return jsonResponse({ threadId: data.threadId, messages: data.messages || [], threads: data.threads || [] }, 200);
   } catch (err: any) {
     console.error("handleChatHistory error", err);
     return jsonResponse({ error: err.message || "Unknown error" }, 500);
   }
 }
 
-async function handleClearChat(env: any, noteId: string): Promise<Response> {
+async function handleClearChat(env: any, user: AuthUser, noteId: string, threadId: string | null): Promise<Response> {
   try {
+    const access = await findAccessibleNote(env, user, noteId);
+    if (!access) {
+      return jsonResponse({ error: "Note not found" }, 404);
+    }
+
     // Get Durable Object stub for this note's chat session
-    const id = env.CHAT_SESSIONS.idFromName(noteId);
-    const stub = env.CHAT_SESSIONS.get(id);
+    const stub = chatSessionStub(env, user, noteId, access.role);
 
-    // Clear chat history in Durable Object
-    const response = await stub.fetch("https://do/clear", {
+    // Clear one thread, or every thread when none is given
+    const query = threadId ? `?threadId=${encodeURIComponent(threadId)}` : "";
+    const response = await stub.fetch(`https://do/clear${query}`, {
       method: "POST",
     });
 
     const data = await response.json() as any;
+    if (!response.ok) {
+      return jsonResponse({ error: data.error || "Failed to clear chat" }, response.status);
+    }
     return jsonResponse({ success: data.success || false }, 200);
   } catch (err: any) {
     console.error("handleClearChat error", err);
@@ -220,40 +642,72 @@ async function handleClearChat(env: any, noteId: string): Promise<Response> {
   }
 }
 
-async function handleStoreMessage(request: Request, env: any): Promise<Response> {
+async function handleStoreMessage(request: Request, env: any, user: AuthUser): Promise<Response> {
   try {
     const body = await request.json() as any;
-    const { noteId, role, content } = body;
+    const { noteId, role, content, threadId } = body;
 
     if (!noteId || !role || !content) {
       return jsonResponse({ error: "Missing noteId, role, or content" }, 400);
     }
 
+    const access = await findAccessibleNote(env, user, noteId);
+    if (!access) {
+      return jsonResponse({ error: "Note not found" }, 404);
+    }
+
     // Get Durable Object stub for this note's chat session
-    const id = env.CHAT_SESSIONS.idFromName(noteId);
-    const stub = env.CHAT_SESSIONS.get(id);
+    const stub = chatSessionStub(env, user, noteId, access.role);
 
     // Store message in Durable Object
     const response = await stub.fetch("https://do/store", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ role, content }),
+      body: JSON.stringify({ role, content, threadId }),
     });
 
     const data = await response.json() as any;
-    return jsonResponse({ success: data.success || false }, 200);
+    if (!response.ok) {
+      return jsonResponse({ error: data.error || "Failed to store message" }, response.status);
+    }
+    return jsonResponse({ success: data.success || false, threadId: data.threadId }, 200);
   } catch (err: any) {
     console.error("handleStoreMessage error", err);
     return jsonResponse({ error: err.message || "Unknown error" }, 500);
   }
 }
 
-function jsonResponse(obj: unknown, status = 200): Response {
+// Threads and memory are handled by the Durable Object; this checks access and relays the result
+async function relayToChatSession(request: Request, env: any, user: AuthUser, noteId: string, path: string): Promise<Response> {
+  try {
+    const access = await findAccessibleNote(env, user, noteId);
+    if (!access) {
+      return jsonResponse({ error: "Note not found" }, 404);
+    }
+
+    const stub = chatSessionStub(env, user, noteId, access.role);
+    const hasBody = request.method === "POST" || request.method === "PUT";
+    const response = await stub.fetch(`https://do${path}`, {
+      method: request.method,
+      headers: { "Content-Type": "application/json" },
+      body: hasBody ? JSON.stringify(await request.json().catch(() => ({}))) : undefined,
+    });
+
+    return jsonResponse(await response.json(), response.status);
+  } catch (err: any) {
+    console.error("relayToChatSession error", err);
+    return jsonResponse({ error: err.message || "Unknown error" }, 500);
+  }
+}
+
+function jsonResponse(obj: unknown, status = 200, headers: Record<string, string> = {}): Response {
   return new Response(JSON.stringify(obj), {
     status,
     headers: {
       "content-type": "application/json",
       "Access-Control-Allow-Origin": "*",
+      "Access-Control-Expose-Headers": "ETag",
+      ...headers,
     },
   });
 }
@@ -264,17 +718,172 @@ type NoteRow = {
   content: string;
   created_at: string;
   updated_at: string;
+  version: number;
+  owner_id: string;
+  folder_id: string | null;
+  pinned: number;
+};
+
+const NOTE_COLUMNS = "id, title, content, created_at, updated_at, version, owner_id, folder_id, pinned";
+
+// Strong ETag for a note version
+function noteEtag(note: { version: number }): Record<string, string> {
+  return { ETag: `"${note.version}"` };
+}
+
+// Parse If-Match into a version number, "*" (any version), or null when absent/invalid
+function parseIfMatch(header: string | null): number | "*" | null {
+  if (!header) return null;
+  const value = header.trim();
+  if (value === "*") return "*";
+  const match = value.match(/^(?:W\/)?"?(\d+)"?$/);
+  return match ? Number(match[1]) : null;
+}
+
+// The note if it exists, belongs to the caller and isn't in the trash; anything else looks like "not found"
+async function findOwnedNote(env: any, user: AuthUser, noteId: string): Promise<NoteRow | null> {
+  return env.DB.prepare(`SELECT ${NOTE_COLUMNS} FROM notes WHERE id = ? AND owner_id = ? AND deleted_at IS NULL`)
+    .bind(noteId, user.id)
+    .first();
+}
+
+type UserRow = {
+  id: string;
+  email: string;
+  password_hash: string;
+  password_salt: string;
+  created_at: string;
 };
 
-async function listNotes(env: any): Promise<Response> {
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+async function handleSignup(request: Request, env: any): Promise<Response> {
+  try {
+    const body = (await request.json()) as { email?: string; password?: string };
+    const email = body.email?.trim().toLowerCase() || "";
+    const password = body.password || "";
+
+    if (!EMAIL_PATTERN.test(email)) {
+      return jsonResponse({ error: "A valid email is required" }, 400);
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return jsonResponse({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` }, 400);
+    }
+
+    const existing = await env.DB.prepare("SELECT id FROM users WHERE email = ?").bind(email).first();
+    if (existing) {
+      return jsonResponse({ error: "An account with this email already exists" }, 409);
+    }
+
+    const id = crypto.randomUUID();
+    const now = new Date().toISOString();
+    const { hash, salt } = await hashPassword(password);
+
+    await env.DB.prepare(
+      "INSERT INTO users (id, email, password_hash, password_salt, created_at) VALUES (?, ?, ?, ?, ?)"
+    ).bind(id, email, hash, salt, now).run();
+
+    // Notes written before accounts existed belong to whoever signs up first
+    const { count } = await env.DB.prepare("SELECT COUNT(*) AS count FROM users").first();
+    if (count === 1) {
+      await env.DB.prepare("UPDATE notes SET owner_id = ? WHERE owner_id IS NULL").bind(id).run();
+    }
+
+    const user: AuthUser = { id, email };
+    return jsonResponse({ token: await signToken(env, user), user }, 201);
+  } catch (err) {
+    if (err instanceof AuthError) return jsonResponse({ error: err.message }, err.status);
+    console.error("handleSignup error:", err);
+    return jsonResponse({ error: "Failed to create account" }, 500);
+  }
+}
+
+async function handleLogin(request: Request, env: any): Promise<Response> {
+  try {
+    const body = (await request.json()) as { email?: string; password?: string };
+    const email = body.email?.trim().toLowerCase() || "";
+    const password = body.password || "";
+
+    const row: UserRow | null = await env.DB.prepare(
+      "SELECT id, email, password_hash, password_salt, created_at FROM users WHERE email = ?"
+    ).bind(email).first();
+
+    if (!row || !(await verifyPassword(password, row.password_hash, row.password_salt))) {
+      return jsonResponse({ error: "Invalid email or password" }, 401);
+    }
+
+    const user: AuthUser = { id: row.id, email: row.email };
+    return jsonResponse({ token: await signToken(env, user), user }, 200);
+  } catch (err) {
+    if (err instanceof AuthError) return jsonResponse({ error: err.message }, err.status);
+    console.error("handleLogin error:", err);
+    return jsonResponse({ error: "Failed to sign in" }, 500);
+  }
+}
+
+// The note and the caller's role on it (owner, editor or viewer); null when they have no access
+async function findAccessibleNote(env: any, user: AuthUser, noteId: string): Promise<{ note: NoteRow; role: NoteRole } | null> {
+  const role = await getNoteRole(env.DB, user.id, noteId);
+  if (!role) return null;
+
+  const note: NoteRow | null = await env.DB.prepare(`SELECT ${NOTE_COLUMNS} FROM notes WHERE id = ?`)
+    .bind(noteId)
+    .first();
+  return note ? { note, role } : null;
+}
+
+// Owners keep the note's original chat; each collaborator gets their own conversation about it.
+// Requests name the session so it records itself in chat_sessions before its first write.
+function chatSessionStub(env: any, user: AuthUser, noteId: string, role: NoteRole) {
+  const name = role === "owner" ? noteId : `${noteId}:${user.id}`;
+  const stub = env.CHAT_SESSIONS.get(env.CHAT_SESSIONS.idFromName(name));
+  return {
+    fetch(url: string, init: RequestInit = {}): Promise<Response> {
+      const headers = new Headers(init.headers);
+      headers.set("X-Chat-Session", name);
+      headers.set("X-Note-Id", noteId);
+      headers.set("X-User-Id", user.id);
+      return stub.fetch(url, { ...init, headers });
+    },
+  };
+}
+
+async function listNotes(env: any, user: AuthUser, params: URLSearchParams): Promise<Response> {
   try {
+    const conditions = ["owner_id = ?", "deleted_at IS NULL"];
+    const values: any[] = [user.id];
+
+    // ?folder=none lists notes that aren't in any folder
+    const folder = params.get("folder");
+    if (folder === "none") {
+      conditions.push("folder_id IS NULL");
+    } else if (folder) {
+      conditions.push("folder_id = ?");
+      values.push(folder);
+    }
+
+    const tag = params.get("tag");
+    if (tag) {
+      conditions.push("id IN (SELECT note_id FROM note_tags WHERE tag_id = ?)");
+      values.push(tag);
+    }
+
+    const pinned = params.get("pinned");
+    if (pinned === "1" || pinned === "true") {
+      conditions.push("pinned = 1");
+    }
+
     const { results } = await env.DB.prepare(
-      "SELECT id, title, updated_at FROM notes ORDER BY updated_at DESC"
-    ).all();
+      `SELECT id, title, updated_at, folder_id, pinned FROM notes WHERE ${conditions.join(" AND ")} ORDER BY pinned DESC, updated_at DESC`
+    ).bind(...values).all();
+    const tagsByNote = await getTagsByNote(env.DB, user.id);
+    const shared = await listSharedWithUser(env.DB, user.id);
 
     return jsonResponse(
       {
-        notes: results ?? [],
+        notes: (results ?? []).map((note: any) => ({ ...note, tags: tagsByNote.get(note.id) ?? [] })),
+        shared,
       },
       200
     );
@@ -284,18 +893,35 @@ async function listNotes(env: any): Promise<Response> {
   }
 }
 
-async function createNote(env: any): Promise<Response> {
+async function createNote(request: Request, env: any, ctx: ExecutionContext, user: AuthUser): Promise<Response> {
   try {
+    // The body is optional; { folderId } files the new note straight into a folder,
+    // { title, content } starts it with text (e.g. a note Bob suggested)
+    const body = (await request.json().catch(() => ({}))) as { folderId?: string | null; title?: string; content?: string };
+    const folderId = body.folderId || null;
+    if (folderId && !(await findFolder(env.DB, user.id, folderId))) {
+      return jsonResponse({ error: "Folder not found" }, 404);
+    }
+
     const id = crypto.randomUUID();
     const now = new Date().toISOString();
-    const title = "New note";
-    const content = "";
-
-    await env.DB.prepare(
-      "INSERT INTO notes (id, title, content, created_at, updated_at) VALUES (?, ?, ?, ?, ?)"
-    )
-      .bind(id, title, content, now, now)
-      .run();
+    const title = typeof body.title === "string" && body.title.trim() ? body.title.trim() : "New note";
+    const content = typeof body.content === "string" ? body.content : "";
+
+    await env.DB.batch([
+      env.DB.prepare(
+        "INSERT INTO notes (id, title, content, created_at, updated_at, owner_id, folder_id) VALUES (?, ?, ?, ?, ?, ?, ?)"
+      ).bind(id, title, content, now, now, user.id, folderId),
+      initialRevisionStatement(env.DB, { id, title, content }, now),
+      ...indexNoteStatements(env.DB, id),
+      ...linkImagesStatements(env.DB, id, content),
+    ]);
+
+    if (content) {
+      ctx.waitUntil(
+        indexNoteEmbeddings(env, { id, title, content, owner_id: user.id }).catch((err) => console.error("indexNoteEmbeddings error:", err))
+      );
+    }
 
     return jsonResponse(
       {
@@ -305,9 +931,14 @@ async function createNote(env: any): Promise<Response> {
           content,
           created_at: now,
           updated_at: now,
+          version: 1,
+          owner_id: user.id,
+          folder_id: folderId,
+          pinned: 0,
         },
       },
-      201
+      201,
+      noteEtag({ version: 1 })
     );
   } catch (err) {
     console.error("createNote error:", err);
@@ -315,27 +946,41 @@ async function createNote(env: any): Promise<Response> {
   }
 }
 
-async function getNote(env: any, id: string): Promise<Response> {
+async function getNote(env: any, user: AuthUser, id: string): Promise<Response> {
   try {
-    const { results } = await env.DB.prepare(
-      "SELECT id, title, content, created_at, updated_at FROM notes WHERE id = ?"
-    )
-      .bind(id)
-      .all();
+    const access = await findAccessibleNote(env, user, id);
 
-    if (!results || results.length === 0) {
+    if (!access) {
       return jsonResponse({ error: "Note not found" }, 404);
     }
 
-    return jsonResponse({ note: results[0] }, 200);
+    // Tags are the owner's own labels; collaborators don't see them
+    const tags = access.role === "owner" ? await getNoteTags(env.DB, id) : [];
+    const summary = await getCachedSummary(env.DB, id, await noteWithFiles(env.DB, id, access.note.content || ''));
+
+    return jsonResponse({ note: access.note, role: access.role, tags, summary }, 200, noteEtag(access.note));
   } catch (err) {
     console.error("getNote error:", err);
     return jsonResponse({ error: "Failed to get note" }, 500);
   }
 }
 
-async function updateNote(request: Request, env: any, id: string): Promise<Response> {
+async function updateNote(request: Request, env: any, ctx: ExecutionContext, user: AuthUser, id: string): Promise<Response> {
   try {
+    const access = await findAccessibleNote(env, user, id);
+    if (!access) {
+      return jsonResponse({ error: "Note not found" }, 404);
+    }
+    if (!canEdit(access.role)) {
+      return jsonResponse({ error: "You have view-only access to this note" }, 403);
+    }
+
+    // Writes must say which version they were based on, so stale tabs can't clobber newer text
+    const expectedVersion = parseIfMatch(request.headers.get("If-Match"));
+    if (expectedVersion === null) {
+      return jsonResponse({ error: "If-Match header with the note version is required" }, 428);
+    }
+
     const body = (await request.json()) as {
       title?: string;
       content?: string;
@@ -359,16 +1004,28 @@ async function updateNote(request: Request, env: any, id: string): Promise<Respo
     }
 
     const now = new Date().toISOString();
-    fields.push("updated_at = ?");
+    fields.push("updated_at = ?", "version = version + 1");
     values.push(now);
     values.push(id);
 
-    const sql = `UPDATE notes SET ${fields.join(", ")} WHERE id = ?`;
+    let sql = `UPDATE notes SET ${fields.join(", ")} WHERE id = ?`;
+    if (expectedVersion !== "*") {
+      sql += " AND version = ?";
+      values.push(expectedVersion);
+    }
+
+    const update = await env.DB.prepare(sql).bind(...values).run();
 
-    await env.DB.prepare(sql).bind(...values).run();
+    // Only text that was actually saved gets indexed and has its images linked
+    if (update.meta.changes > 0) {
+      await env.DB.batch([
+        ...indexNoteStatements(env.DB, id),
+        ...(typeof body.content === "string" ? linkImagesStatements(env.DB, id, body.content) : []),
+      ]);
+    }
 
     const { results } = await env.DB.prepare(
-      "SELECT id, title, content, created_at, updated_at FROM notes WHERE id = ?"
+      `SELECT ${NOTE_COLUMNS} FROM notes WHERE id = ?`
     )
       .bind(id)
       .all();
@@ -377,56 +1034,899 @@ async function updateNote(request: Request, env: any, id: string): Promise<Respo
       return jsonResponse({ error: "Note not found" }, 404);
     }
 
-    return jsonResponse({ note: results[0] }, 200);
+    // Version moved on since the client last read it - hand back the server copy
+    if (update.meta.changes === 0) {
+      return jsonResponse(
+        { error: "Note was changed elsewhere", note: results[0] },
+        409,
+        noteEtag(results[0])
+      );
+    }
+
+    await recordRevision(env.DB, results[0]);
+
+    // Refresh embeddings in the background so saving stays fast
+    ctx.waitUntil(
+      indexNoteEmbeddings(env, results[0]).catch((err) => console.error("indexNoteEmbeddings error:", err))
+    );
+    if (typeof body.content === "string") {
+      ctx.waitUntil(syncLiveDocument(env, id));
+    }
+
+    return jsonResponse({ note: results[0] }, 200, noteEtag(results[0]));
   } catch (err) {
     console.error("updateNote error:", err);
     return jsonResponse({ error: "Failed to update note" }, 500);
   }
 }
 
-async function deleteNote(env: any, id: string): Promise<Response> {
+// Moves the note to the trash; the owner can restore it until it's purged
+async function deleteNote(env: any, ctx: ExecutionContext, user: AuthUser, id: string): Promise<Response> {
   try {
-    await env.DB.prepare("DELETE FROM notes WHERE id = ?")
-      .bind(id)
-      .run();
+    if (!(await findOwnedNote(env, user, id))) {
+      return jsonResponse({ error: "Note not found" }, 404);
+    }
 
-    return jsonResponse({ ok: true }, 200);
+    const deletedAt = new Date();
+    await trashNoteStatement(env.DB, id, deletedAt).run();
+    // Live editors are disconnected: the note no longer loads
+    ctx.waitUntil(syncLiveDocument(env, id));
+
+    return jsonResponse({ ok: true, deletedAt: deletedAt.toISOString() }, 200);
   } catch (err) {
     console.error("deleteNote error:", err);
     return jsonResponse({ error: "Failed to delete note" }, 500);
   }
 }
 
-async function handleImageUpload(request: Request, env: any): Promise<Response> {
-  try {
-    const contentType = request.headers.get("content-type") || "";
-    if (!contentType.includes("multipart/form-data")) {
-      return jsonResponse({ error: "Expected multipart/form-data" }, 400);
-    }
+// Removes a note and everything attached to it for good
+async function purgeNote(env: any, id: string): Promise<void> {
+  const files = await listNoteFiles(env.DB, id);
+  await env.DB.batch([
+    unindexNoteStatement(env.DB, id),
+    deleteRevisionsStatement(env.DB, id),
+    deleteSharesStatement(env.DB, id),
+    deleteNoteTagsStatement(env.DB, id),
+    deleteFlashcardsStatement(env.DB, id),
+    ...deleteQuizStatements(env.DB, id),
+    ...deleteJobsStatements(env.DB, id),
+    ...deleteNoteFilesStatements(env.DB, id),
+    deleteAttachmentsStatement(env.DB, id),
+    env.DB.prepare("DELETE FROM notes WHERE id = ?").bind(id),
+  ]);
+  if (files.length > 0) {
+    await env.IMAGES.delete(files.map((file) => file.r2_key));
+  }
+  await removeNoteEmbeddings(env, id).catch((err) => console.error("removeNoteEmbeddings error:", err));
+}
 
-    const formData = await request.formData();
-    const file = formData.get("image") as File | null;
+async function handleListTrash(env: any, user: AuthUser): Promise<Response> {
+  try {
+    const days = trashRetentionDays(env);
+    return jsonResponse({ notes: await listTrash(env.DB, user.id, days), retentionDays: days }, 200);
+  } catch (err) {
+    console.error("handleListTrash error:", err);
+    return jsonResponse({ error: "Failed to list trash" }, 500);
+  }
+}
 
-    if (!file) {
-      return jsonResponse({ error: "No image file provided" }, 400);
+async function handleRestoreNote(env: any, user: AuthUser, noteId: string): Promise<Response> {
+  try {
+    const [id] = await trashedNoteIds(env.DB, user.id, noteId);
+    if (!id) {
+      return jsonResponse({ error: "Note not found in trash" }, 404);
     }
 
-    // Validate file type
-    const allowedTypes = ["image/jpeg", "image/png", "image/gif", "image/webp", "image/svg+xml"];
-    if (!allowedTypes.includes(file.type)) {
-      return jsonResponse({ error: "Invalid file type. Allowed: JPEG, PNG, GIF, WebP, SVG" }, 400);
+    await restoreNoteStatement(env.DB, id).run();
+    const note = await findOwnedNote(env, user, id);
+    return jsonResponse({ note }, 200);
+  } catch (err) {
+    console.error("handleRestoreNote error:", err);
+    return jsonResponse({ error: "Failed to restore note" }, 500);
+  }
+}
+
+// One trashed note, or (noteId null) the whole trash
+async function handlePurgeTrash(env: any, user: AuthUser, noteId: string | null): Promise<Response> {
+  try {
+    const ids = await trashedNoteIds(env.DB, user.id, noteId ?? undefined);
+    if (noteId && ids.length === 0) {
+      return jsonResponse({ error: "Note not found in trash" }, 404);
     }
 
-    // Validate file size (5MB max)
-    if (file.size > 5 * 1024 * 1024) {
-      return jsonResponse({ error: "File too large. Maximum size is 5MB" }, 400);
+    for (const id of ids) {
+      await purgeNote(env, id);
     }
+    return jsonResponse({ purged: ids.length }, 200);
+  } catch (err) {
+    console.error("handlePurgeTrash error:", err);
+    return jsonResponse({ error: "Failed to empty trash" }, 500);
+  }
+}
 
-    // Generate unique filename
-    const timestamp = Date.now();
-    const randomId = crypto.randomUUID().split("-")[0];
+async function runGarbageCollection(env: any, now: Date): Promise<void> {
+  try {
+    const report = await collectGarbage(env, { dryRun: false, now });
+    console.log(
+      `Garbage collection removed ${report.images.length} image(s) (${report.imageBytes} bytes) and ${report.chatSessions.length} chat session(s)` +
+        (report.unscannedNotes > 0 ? `; ${report.unscannedNotes} note(s) still to scan for image links` : "")
+    );
+  } catch (err) {
+    console.error("runGarbageCollection error:", err);
+  }
+}
+
+// What the next collection would remove of the caller's images and chats; nothing is deleted
+async function handleGcReport(env: any, user: AuthUser): Promise<Response> {
+  try {
+    return jsonResponse(await collectGarbage(env, { dryRun: true, ownerId: user.id }), 200);
+  } catch (err) {
+    console.error("handleGcReport error:", err);
+    return jsonResponse({ error: "Failed to build the report" }, 500);
+  }
+}
+
+// Notes past the retention period, a batch at a time so one run stays within its limits
+const PURGE_BATCH = 50;
+const PURGE_MAX_BATCHES = 10;
+
+async function purgeExpiredTrash(env: any, now: Date): Promise<void> {
+  const days = trashRetentionDays(env);
+  if (days === null) return;
+
+  const cutoff = purgeCutoff(now, days);
+  let purged = 0;
+  try {
+    for (let batch = 0; batch < PURGE_MAX_BATCHES; batch++) {
+      const ids = await expiredTrashIds(env.DB, cutoff, PURGE_BATCH);
+      for (const id of ids) {
+        await purgeNote(env, id);
+      }
+      purged += ids.length;
+      if (ids.length < PURGE_BATCH) break;
+    }
+  } catch (err) {
+    console.error("purgeExpiredTrash error:", err);
+  }
+  if (purged > 0) console.log(`Purged ${purged} note(s) trashed before ${cutoff}`);
+}
+
+async function handleSearchNotes(env: any, user: AuthUser, query: string): Promise<Response> {
+  try {
+    const results = await searchNotes(env.DB, user.id, query);
+    return jsonResponse({ query, results }, 200);
+  } catch (err) {
+    console.error("handleSearchNotes error:", err);
+    return jsonResponse({ error: "Failed to search notes" }, 500);
+  }
+}
+
+async function handleListRevisions(env: any, noteId: string): Promise<Response> {
+  try {
+    const revisions = await listRevisions(env.DB, noteId);
+    return jsonResponse({ revisions }, 200);
+  } catch (err) {
+    console.error("handleListRevisions error:", err);
+    return jsonResponse({ error: "Failed to list revisions" }, 500);
+  }
+}
+
+async function handleGetRevision(env: any, noteId: string, revisionId: number): Promise<Response> {
+  try {
+    const revision = await getRevision(env.DB, noteId, revisionId);
+    if (!revision) {
+      return jsonResponse({ error: "Revision not found" }, 404);
+    }
+    return jsonResponse({ revision }, 200);
+  } catch (err) {
+    console.error("handleGetRevision error:", err);
+    return jsonResponse({ error: "Failed to get revision" }, 500);
+  }
+}
+
+// Diff two revisions; `to` defaults to the note's current content
+async function handleRevisionDiff(env: any, noteId: string, from: string | null, to: string | null): Promise<Response> {
+  try {
+    if (!from) {
+      return jsonResponse({ error: "Missing 'from' revision" }, 400);
+    }
+
+    const fromRevision = await getRevision(env.DB, noteId, Number(from));
+    if (!fromRevision) {
+      return jsonResponse({ error: "Revision not found" }, 404);
+    }
+
+    let toContent: string;
+    if (!to || to === "current") {
+      const note = await env.DB.prepare("SELECT content FROM notes WHERE id = ?").bind(noteId).first();
+      if (!note) {
+        return jsonResponse({ error: "Note not found" }, 404);
+      }
+      toContent = note.content;
+    } else {
+      const toRevision = await getRevision(env.DB, noteId, Number(to));
+      if (!toRevision) {
+        return jsonResponse({ error: "Revision not found" }, 404);
+      }
+      toContent = toRevision.content;
+    }
+
+    const hunks = diffLines(fromRevision.content, toContent);
+    const count = (type: string) =>
+      hunks.filter((h) => h.type === type).reduce((sum, h) => sum + h.lines.length, 0);
+
+    return jsonResponse(
+      {
+        from: fromRevision.id,
+        to: to && to !== "current" ? Number(to) : "current",
+        added: count("insert"),
+        removed: count("delete"),
+        hunks,
+      },
+      200
+    );
+  } catch (err) {
+    console.error("handleRevisionDiff error:", err);
+    return jsonResponse({ error: "Failed to diff revisions" }, 500);
+  }
+}
+
+async function handleRestoreRevision(env: any, ctx: ExecutionContext, noteId: string, revisionId: number): Promise<Response> {
+  try {
+    const revision = await getRevision(env.DB, noteId, revisionId);
+    if (!revision) {
+      return jsonResponse({ error: "Revision not found" }, 404);
+    }
+
+    const current = await env.DB.prepare("SELECT id, title, content FROM notes WHERE id = ?").bind(noteId).first();
+    if (!current) {
+      return jsonResponse({ error: "Note not found" }, 404);
+    }
+
+    // Checkpoint the text being replaced so the restore itself can be undone
+    await recordRevision(env.DB, current, { force: true });
+
+    const now = new Date().toISOString();
+    await env.DB.batch([
+      env.DB.prepare("UPDATE notes SET title = ?, content = ?, updated_at = ?, version = version + 1 WHERE id = ?")
+        .bind(revision.title, revision.content, now, noteId),
+      ...indexNoteStatements(env.DB, noteId),
+      ...linkImagesStatements(env.DB, noteId, revision.content),
+    ]);
+
+    const note = await env.DB.prepare(
+      `SELECT ${NOTE_COLUMNS} FROM notes WHERE id = ?`
+    ).bind(noteId).first();
+
+    await recordRevision(env.DB, note, { force: true });
+
+    ctx.waitUntil(
+      indexNoteEmbeddings(env, note).catch((err) => console.error("indexNoteEmbeddings error:", err))
+    );
+    ctx.waitUntil(syncLiveDocument(env, noteId));
+
+    return jsonResponse({ note, restoredFrom: revisionId }, 200, noteEtag(note));
+  } catch (err) {
+    console.error("handleRestoreRevision error:", err);
+    return jsonResponse({ error: "Failed to restore revision" }, 500);
+  }
+}
+
+async function handleReindexEmbeddings(env: any, ctx: ExecutionContext, user: AuthUser): Promise<Response> {
+  try {
+    const { results } = await env.DB.prepare(
+      "SELECT id, title, content, owner_id FROM notes WHERE owner_id = ? AND deleted_at IS NULL"
+    ).bind(user.id).all();
+    const notes = (results ?? []) as NoteRow[];
+
+    ctx.waitUntil(
+      (async () => {
+        for (const note of notes) {
+          try {
+            await indexNoteEmbeddings(env, note);
+          } catch (err) {
+            console.error("Reindex failed for note", note.id, err);
+          }
+        }
+      })()
+    );
+
+    return jsonResponse({ queued: notes.length }, 202);
+  } catch (err) {
+    console.error("handleReindexEmbeddings error:", err);
+    return jsonResponse({ error: "Failed to reindex notes" }, 500);
+  }
+}
+
+async function handleLiveDocument(request: Request, env: any, user: AuthUser, noteId: string): Promise<Response> {
+  try {
+    if (request.headers.get("Upgrade") !== "websocket") {
+      return jsonResponse({ error: "Expected a WebSocket upgrade" }, 426);
+    }
+
+    const access = await findAccessibleNote(env, user, noteId);
+    if (!access) {
+      return jsonResponse({ error: "Note not found" }, 404);
+    }
+
+    // The Durable Object trusts these headers; only the Worker can reach it
+    const headers = new Headers(request.headers);
+    headers.set("X-Note-Id", noteId);
+    headers.set("X-User-Id", user.id);
+    headers.set("X-User-Email", user.email);
+    headers.set("X-Note-Role", access.role);
+    headers.set("X-Client-Key", new URL(request.url).searchParams.get("client") || "");
+
+    const stub = env.NOTE_DOCUMENTS.get(env.NOTE_DOCUMENTS.idFromName(noteId));
+    return stub.fetch("https://doc/connect", { headers });
+  } catch (err) {
+    console.error("handleLiveDocument error:", err);
+    return jsonResponse({ error: "Failed to open live document" }, 500);
+  }
+}
+
+// Tell the note's live document that D1 changed underneath it so connected editors see the change
+async function syncLiveDocument(env: any, noteId: string): Promise<void> {
+  try {
+    const stub = env.NOTE_DOCUMENTS.get(env.NOTE_DOCUMENTS.idFromName(noteId));
+    await stub.fetch("https://doc/sync", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ noteId }),
+    });
+  } catch (err) {
+    console.error("syncLiveDocument error:", err);
+  }
+}
+
+// A share was changed or revoked: the note's live document drops that user's sockets so their new role applies at once
+async function updateLiveAccess(env: any, noteId: string, userId: string): Promise<void> {
+  try {
+    const stub = env.NOTE_DOCUMENTS.get(env.NOTE_DOCUMENTS.idFromName(noteId));
+    await stub.fetch("https://doc/access", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ noteId, userId }),
+    });
+  } catch (err) {
+    console.error("updateLiveAccess error:", err);
+  }
+}
+
+async function handleListShares(env: any, user: AuthUser, noteId: string): Promise<Response> {
+  try {
+    const note = await env.DB.prepare("SELECT public_link_id FROM notes WHERE id = ? AND owner_id = ? AND deleted_at IS NULL")
+      .bind(noteId, user.id)
+      .first();
+    if (!note) {
+      return jsonResponse({ error: "Note not found" }, 404);
+    }
+
+    const shares = await listShares(env.DB, noteId);
+    const publicLink = note.public_link_id
+      ? { sig: await signPublicLink(env, noteId, note.public_link_id) }
+      : null;
+
+    return jsonResponse({ shares, publicLink }, 200);
+  } catch (err) {
+    console.error("handleListShares error:", err);
+    return jsonResponse({ error: "Failed to list shares" }, 500);
+  }
+}
+
+async function handleShareNote(request: Request, env: any, user: AuthUser, noteId: string): Promise<Response> {
+  try {
+    if (!(await findOwnedNote(env, user, noteId))) {
+      return jsonResponse({ error: "Note not found" }, 404);
+    }
+
+    const body = (await request.json()) as { email?: string; role?: string };
+    const email = body.email?.trim().toLowerCase() || "";
+    const role = (body.role || "viewer") as ShareRole;
+
+    if (!SHARE_ROLES.includes(role)) {
+      return jsonResponse({ error: "Role must be 'viewer' or 'editor'" }, 400);
+    }
+
+    const invitee = await env.DB.prepare("SELECT id FROM users WHERE email = ?").bind(email).first();
+    if (!invitee) {
+      return jsonResponse({ error: "No account with that email" }, 404);
+    }
+    if (invitee.id === user.id) {
+      return jsonResponse({ error: "You already own this note" }, 400);
+    }
+
+    // Sharing again with the same person changes their role
+    await env.DB.prepare(
+      `INSERT INTO note_shares (note_id, user_id, role, created_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT (note_id, user_id) DO UPDATE SET role = excluded.role`
+    ).bind(noteId, invitee.id, role, new Date().toISOString()).run();
+    await updateLiveAccess(env, noteId, invitee.id);
+
+    return jsonResponse({ shares: await listShares(env.DB, noteId) }, 200);
+  } catch (err) {
+    console.error("handleShareNote error:", err);
+    return jsonResponse({ error: "Failed to share note" }, 500);
+  }
+}
+
+// Owners can revoke anyone; collaborators can remove themselves
+async function handleRevokeShare(env: any, user: AuthUser, noteId: string, shareUserId: string): Promise<Response> {
+  try {
+    const role = await getNoteRole(env.DB, user.id, noteId);
+    if (!role || (role !== "owner" && shareUserId !== user.id)) {
+      return jsonResponse({ error: "Note not found" }, 404);
+    }
+
+    await env.DB.prepare("DELETE FROM note_shares WHERE note_id = ? AND user_id = ?")
+      .bind(noteId, shareUserId)
+      .run();
+    await updateLiveAccess(env, noteId, shareUserId);
+
+    return jsonResponse({ ok: true }, 200);
+  } catch (err) {
+    console.error("handleRevokeShare error:", err);
+    return jsonResponse({ error: "Failed to revoke share" }, 500);
+  }
+}
+
+async function handleCreatePublicLink(env: any, user: AuthUser, noteId: string): Promise<Response> {
+  try {
+    const note = await env.DB.prepare("SELECT public_link_id FROM notes WHERE id = ? AND owner_id = ? AND deleted_at IS NULL")
+      .bind(noteId, user.id)
+      .first();
+    if (!note) {
+      return jsonResponse({ error: "Note not found" }, 404);
+    }
+
+    // Reuse the current link so links already handed out keep working
+    let linkId = note.public_link_id;
+    if (!linkId) {
+      linkId = crypto.randomUUID();
+      await env.DB.prepare("UPDATE notes SET public_link_id = ? WHERE id = ?").bind(linkId, noteId).run();
+    }
+
+    return jsonResponse({ publicLink: { sig: await signPublicLink(env, noteId, linkId) } }, 200);
+  } catch (err) {
+    console.error("handleCreatePublicLink error:", err);
+    return jsonResponse({ error: "Failed to create public link" }, 500);
+  }
+}
+
+async function handleRevokePublicLink(env: any, user: AuthUser, noteId: string): Promise<Response> {
+  try {
+    const { meta } = await env.DB.prepare("UPDATE notes SET public_link_id = NULL WHERE id = ? AND owner_id = ?")
+      .bind(noteId, user.id)
+      .run();
+    if (meta.changes === 0) {
+      return jsonResponse({ error: "Note not found" }, 404);
+    }
+
+    return jsonResponse({ ok: true }, 200);
+  } catch (err) {
+    console.error("handleRevokePublicLink error:", err);
+    return jsonResponse({ error: "Failed to revoke public link" }, 500);
+  }
+}
+
+// No login: the signature is the credential, and it dies with the note's public_link_id
+async function handlePublicNote(env: any, noteId: string, sig: string | null): Promise<Response> {
+  try {
+    const note = await env.DB.prepare("SELECT id, title, content, updated_at, public_link_id FROM notes WHERE id = ? AND deleted_at IS NULL")
+      .bind(noteId)
+      .first();
+
+    if (!note || !(await verifyPublicLink(env, noteId, note.public_link_id, sig))) {
+      return jsonResponse({ error: "Note not found" }, 404);
+    }
+
+    return jsonResponse(
+      { note: { id: note.id, title: note.title, content: note.content, updated_at: note.updated_at } },
+      200
+    );
+  } catch (err) {
+    console.error("handlePublicNote error:", err);
+    return jsonResponse({ error: "Failed to load note" }, 500);
+  }
+}
+
+async function handleListFolders(env: any, user: AuthUser): Promise<Response> {
+  try {
+    return jsonResponse({ folders: await listFolders(env.DB, user.id) }, 200);
+  } catch (err) {
+    console.error("handleListFolders error:", err);
+    return jsonResponse({ error: "Failed to list folders" }, 500);
+  }
+}
+
+function parseFolderName(name: unknown): string | null {
+  if (typeof name !== "string") return null;
+  const trimmed = name.trim();
+  return trimmed && trimmed.length <= MAX_FOLDER_NAME_LENGTH ? trimmed : null;
+}
+
+async function handleExportVault(env: any, user: AuthUser): Promise<Response> {
+  try {
+    const { results } = await env.DB.prepare(
+      "SELECT id, title, content, created_at, updated_at, folder_id FROM notes WHERE owner_id = ? AND deleted_at IS NULL ORDER BY title COLLATE NOCASE"
+    )
+      .bind(user.id)
+      .all();
+    const [folders, tagsByNote] = await Promise.all([listFolders(env.DB, user.id), getTagsByNote(env.DB, user.id)]);
+    const notes = (results ?? []).map((note: any) => ({ ...note, tags: (tagsByNote.get(note.id) ?? []).map((tag) => tag.name) }));
+
+    // The user's own uploads, plus any they hold a signed link to
+    const loadImage: VaultImageLoader = async (key, sig) => {
+      if (key.includes("/") && key.split("/")[0] !== user.id && !(await verifySignedValue(env, key, sig))) return null;
+      const object = await env.IMAGES.get(key);
+      if (!object) return null;
+      return { data: new Uint8Array(await object.arrayBuffer()), contentType: object.httpMetadata?.contentType || "application/octet-stream" };
+    };
+
+    return new Response(exportVault(notes, folders, loadImage), {
+      headers: {
+        "Content-Type": "application/zip",
+        "Content-Disposition": `attachment; filename="notex-${new Date().toISOString().slice(0, 10)}.zip"`,
+        "Cache-Control": "private, no-store",
+        "Access-Control-Allow-Origin": "*",
+      },
+    });
+  } catch (err) {
+    console.error("handleExportVault error:", err);
+    return jsonResponse({ error: "Failed to export notes" }, 500);
+  }
+}
+
+// The request body is the zip itself
+async function handleImportVault(request: Request, env: any, ctx: ExecutionContext, user: AuthUser): Promise<Response> {
+  try {
+    if (Number(request.headers.get("content-length") || 0) > MAX_IMPORT_BYTES) {
+      return jsonResponse({ error: "Zip too large. Maximum size is 50MB" }, 413);
+    }
+    const data = new Uint8Array(await request.arrayBuffer());
+    if (data.length > MAX_IMPORT_BYTES) {
+      return jsonResponse({ error: "Zip too large. Maximum size is 50MB" }, 413);
+    }
+
+    let vault;
+    try {
+      vault = parseVault(data);
+    } catch (err) {
+      if (err instanceof VaultTooLargeError) return jsonResponse({ error: err.message }, 413);
+      return jsonResponse({ error: "Could not read the zip file" }, 400);
+    }
+    if (vault.notes.length === 0) {
+      return jsonResponse({ error: "No Markdown notes found in the zip", skipped: vault.skipped }, 400);
+    }
+
+    // Images first, so the notes can link to them (same key scheme as uploads)
+    const origin = new URL(request.url).origin;
+    const imageUrls = new Map<string, string>();
+    for (const path of new Set(vault.notes.flatMap((note) => note.assets))) {
+      const ext = extension(path);
+      const filename = `${user.id}/${Date.now()}-${crypto.randomUUID().split("-")[0]}.${ext}`;
+      await env.IMAGES.put(filename, vault.assets.get(path), { httpMetadata: { contentType: IMAGE_TYPES[ext] } });
+      imageUrls.set(path, `${origin}/api/images/${filename}?sig=${await signValue(env, filename)}`);
+    }
+
+    // Directories become folders, reusing any with the same name in the same place
+    const folders = await listFolders(env.DB, user.id);
+    const folderFor = async (names: string[]): Promise<string | null> => {
+      let parentId: string | null = null;
+      for (const raw of names) {
+        const name = parseFolderName(raw.slice(0, MAX_FOLDER_NAME_LENGTH)) || "Imported";
+        let folder = folders.find((f) => f.parent_id === parentId && f.name.toLowerCase() === name.toLowerCase());
+        if (!folder) {
+          folder = { id: crypto.randomUUID(), parent_id: parentId, name, created_at: new Date().toISOString() };
+          await env.DB.prepare("INSERT INTO folders (id, owner_id, parent_id, name, created_at) VALUES (?, ?, ?, ?, ?)")
+            .bind(folder.id, user.id, folder.parent_id, folder.name, folder.created_at)
+            .run();
+          folders.push(folder);
+        }
+        parentId = folder.id;
+      }
+      return parentId;
+    };
+
+    // Imported notes always get new ids, so importing an export again makes copies
+    const assetPaths = [...vault.assets.keys()];
+    const imported: Array<{ id: string; title: string; content: string }> = [];
+    for (const entry of vault.notes) {
+      const id = crypto.randomUUID();
+      const now = new Date().toISOString();
+      const content = relinkImages(entry, imageUrls, assetPaths);
+      const folderId = await folderFor(entry.folders);
+
+      await env.DB.batch([
+        env.DB.prepare(
+          "INSERT INTO notes (id, title, content, created_at, updated_at, owner_id, folder_id) VALUES (?, ?, ?, ?, ?, ?, ?)"
+        ).bind(id, entry.title, content, entry.created_at ?? now, entry.updated_at ?? entry.created_at ?? now, user.id, folderId),
+        initialRevisionStatement(env.DB, { id, title: entry.title, content }, now),
+        ...indexNoteStatements(env.DB, id),
+        ...linkImagesStatements(env.DB, id, content),
+      ]);
+
+      const tags = [...new Set(entry.tags.map(normalizeTagName).filter((tag): tag is string => tag !== null))];
+      if (tags.length > 0) await setNoteTags(env.DB, user.id, id, tags.slice(0, MAX_TAGS_PER_NOTE));
+      imported.push({ id, title: entry.title, content });
+    }
+
+    ctx.waitUntil(
+      (async () => {
+        for (const note of imported) {
+          if (!note.content) continue;
+          await indexNoteEmbeddings(env, { ...note, owner_id: user.id }).catch((err) => console.error("indexNoteEmbeddings error:", err));
+        }
+      })()
+    );
+
+    return jsonResponse(
+      {
+        imported: imported.map(({ id, title }) => ({ id, title })),
+        images: imageUrls.size,
+        skipped: vault.skipped,
+      },
+      201
+    );
+  } catch (err) {
+    console.error("handleImportVault error:", err);
+    return jsonResponse({ error: "Failed to import notes" }, 500);
+  }
+}
+
+async function handleCreateFolder(request: Request, env: any, user: AuthUser): Promise<Response> {
+  try {
+    const body = (await request.json()) as { name?: string; parentId?: string | null };
+    const name = parseFolderName(body.name);
+    const parentId = body.parentId || null;
+
+    if (!name) {
+      return jsonResponse({ error: `Folder name must be 1-${MAX_FOLDER_NAME_LENGTH} characters` }, 400);
+    }
+    if (parentId && !(await findFolder(env.DB, user.id, parentId))) {
+      return jsonResponse({ error: "Parent folder not found" }, 404);
+    }
+
+    const folder = { id: crypto.randomUUID(), parent_id: parentId, name, created_at: new Date().toISOString() };
+    await env.DB.prepare("INSERT INTO folders (id, owner_id, parent_id, name, created_at) VALUES (?, ?, ?, ?, ?)")
+      .bind(folder.id, user.id, folder.parent_id, folder.name, folder.created_at)
+      .run();
+
+    return jsonResponse({ folder: { ...folder, note_count: 0 } }, 201);
+  } catch (err) {
+    console.error("handleCreateFolder error:", err);
+    return jsonResponse({ error: "Failed to create folder" }, 500);
+  }
+}
+
+// Rename with { name }, move with { parentId } (null moves it to the top level)
+async function handleUpdateFolder(request: Request, env: any, user: AuthUser, folderId: string): Promise<Response> {
+  try {
+    const folder = await findFolder(env.DB, user.id, folderId);
+    if (!folder) {
+      return jsonResponse({ error: "Folder not found" }, 404);
+    }
+
+    const body = (await request.json()) as { name?: string; parentId?: string | null };
+
+    if (body.name !== undefined) {
+      const name = parseFolderName(body.name);
+      if (!name) {
+        return jsonResponse({ error: `Folder name must be 1-${MAX_FOLDER_NAME_LENGTH} characters` }, 400);
+      }
+      folder.name = name;
+    }
+
+    if (body.parentId !== undefined) {
+      const parentId = body.parentId || null;
+      if (parentId) {
+        const folders = await listFolders(env.DB, user.id);
+        if (!folders.some((f) => f.id === parentId)) {
+          return jsonResponse({ error: "Parent folder not found" }, 404);
+        }
+        if (isWithinFolder(folders, parentId, folderId)) {
+          return jsonResponse({ error: "A folder can't be moved inside itself" }, 400);
+        }
+      }
+      folder.parent_id = parentId;
+    }
+
+    await env.DB.prepare("UPDATE folders SET name = ?, parent_id = ? WHERE id = ?")
+      .bind(folder.name, folder.parent_id, folderId)
+      .run();
+
+    return jsonResponse({ folder }, 200);
+  } catch (err) {
+    console.error("handleUpdateFolder error:", err);
+    return jsonResponse({ error: "Failed to update folder" }, 500);
+  }
+}
+
+async function handleDeleteFolder(env: any, user: AuthUser, folderId: string): Promise<Response> {
+  try {
+    const folder = await findFolder(env.DB, user.id, folderId);
+    if (!folder) {
+      return jsonResponse({ error: "Folder not found" }, 404);
+    }
+
+    await env.DB.batch(deleteFolderStatements(env.DB, folder));
+    return jsonResponse({ ok: true }, 200);
+  } catch (err) {
+    console.error("handleDeleteFolder error:", err);
+    return jsonResponse({ error: "Failed to delete folder" }, 500);
+  }
+}
+
+async function handleListTags(env: any, user: AuthUser): Promise<Response> {
+  try {
+    return jsonResponse({ tags: await listTags(env.DB, user.id) }, 200);
+  } catch (err) {
+    console.error("handleListTags error:", err);
+    return jsonResponse({ error: "Failed to list tags" }, 500);
+  }
+}
+
+// Creating a tag that already exists (in any letter case) returns the existing one
+async function handleCreateTag(request: Request, env: any, user: AuthUser): Promise<Response> {
+  try {
+    const body = (await request.json()) as { name?: string };
+    const name = normalizeTagName(body.name);
+    if (!name) {
+      return jsonResponse({ error: "Tag name is required" }, 400);
+    }
+
+    const [tag] = await ensureTags(env.DB, user.id, [name]);
+    return jsonResponse({ tag }, 201);
+  } catch (err) {
+    console.error("handleCreateTag error:", err);
+    return jsonResponse({ error: "Failed to create tag" }, 500);
+  }
+}
+
+async function handleRenameTag(request: Request, env: any, user: AuthUser, tagId: string): Promise<Response> {
+  try {
+    const body = (await request.json()) as { name?: string };
+    const name = normalizeTagName(body.name);
+    if (!name) {
+      return jsonResponse({ error: "Tag name is required" }, 400);
+    }
+
+    const clash = await env.DB.prepare("SELECT id FROM tags WHERE owner_id = ? AND name = ? AND id != ?")
+      .bind(user.id, name, tagId)
+      .first();
+    if (clash) {
+      return jsonResponse({ error: "You already have a tag with that name" }, 409);
+    }
+
+    const { meta } = await env.DB.prepare("UPDATE tags SET name = ? WHERE id = ? AND owner_id = ?")
+      .bind(name, tagId, user.id)
+      .run();
+    if (meta.changes === 0) {
+      return jsonResponse({ error: "Tag not found" }, 404);
+    }
+
+    return jsonResponse({ tag: { id: tagId, name } }, 200);
+  } catch (err) {
+    console.error("handleRenameTag error:", err);
+    return jsonResponse({ error: "Failed to rename tag" }, 500);
+  }
+}
+
+async function handleDeleteTag(env: any, user: AuthUser, tagId: string): Promise<Response> {
+  try {
+    const tag = await env.DB.prepare("SELECT id FROM tags WHERE id = ? AND owner_id = ?").bind(tagId, user.id).first();
+    if (!tag) {
+      return jsonResponse({ error: "Tag not found" }, 404);
+    }
+
+    await env.DB.batch(deleteTagStatements(env.DB, tagId));
+    return jsonResponse({ ok: true }, 200);
+  } catch (err) {
+    console.error("handleDeleteTag error:", err);
+    return jsonResponse({ error: "Failed to delete tag" }, 500);
+  }
+}
+
+async function handleMoveNote(request: Request, env: any, user: AuthUser, noteId: string): Promise<Response> {
+  try {
+    if (!(await findOwnedNote(env, user, noteId))) {
+      return jsonResponse({ error: "Note not found" }, 404);
+    }
+
+    const body = (await request.json()) as { folderId?: string | null };
+    const folderId = body.folderId || null;
+    if (folderId && !(await findFolder(env.DB, user.id, folderId))) {
+      return jsonResponse({ error: "Folder not found" }, 404);
+    }
+
+    await env.DB.prepare("UPDATE notes SET folder_id = ? WHERE id = ?").bind(folderId, noteId).run();
+    return jsonResponse({ ok: true, folder_id: folderId }, 200);
+  } catch (err) {
+    console.error("handleMoveNote error:", err);
+    return jsonResponse({ error: "Failed to move note" }, 500);
+  }
+}
+
+async function handlePinNote(request: Request, env: any, user: AuthUser, noteId: string): Promise<Response> {
+  try {
+    const body = (await request.json()) as { pinned?: boolean };
+    if (typeof body.pinned !== "boolean") {
+      return jsonResponse({ error: "'pinned' must be true or false" }, 400);
+    }
+
+    const { meta } = await env.DB.prepare("UPDATE notes SET pinned = ? WHERE id = ? AND owner_id = ? AND deleted_at IS NULL")
+      .bind(body.pinned ? 1 : 0, noteId, user.id)
+      .run();
+    if (meta.changes === 0) {
+      return jsonResponse({ error: "Note not found" }, 404);
+    }
+
+    return jsonResponse({ ok: true, pinned: body.pinned }, 200);
+  } catch (err) {
+    console.error("handlePinNote error:", err);
+    return jsonResponse({ error: "Failed to pin note" }, 500);
+  }
+}
+
+// Replaces the note's tags with { tags: ["name", ...] }, creating tags as needed
+async function handleSetNoteTags(request: Request, env: any, user: AuthUser, noteId: string): Promise<Response> {
+  try {
+    if (!(await findOwnedNote(env, user, noteId))) {
+      return jsonResponse({ error: "Note not found" }, 404);
+    }
+
+    const body = (await request.json()) as { tags?: unknown };
+    if (!Array.isArray(body.tags)) {
+      return jsonResponse({ error: "'tags' must be a list of names" }, 400);
+    }
+
+    const names = new Map<string, string>();
+    for (const value of body.tags) {
+      const name = normalizeTagName(value);
+      if (name && !names.has(name.toLowerCase())) names.set(name.toLowerCase(), name);
+    }
+    if (names.size > MAX_TAGS_PER_NOTE) {
+      return jsonResponse({ error: `A note can have at most ${MAX_TAGS_PER_NOTE} tags` }, 400);
+    }
+
+    const tags = await setNoteTags(env.DB, user.id, noteId, [...names.values()]);
+    return jsonResponse({ tags }, 200);
+  } catch (err) {
+    console.error("handleSetNoteTags error:", err);
+    return jsonResponse({ error: "Failed to update tags" }, 500);
+  }
+}
+
+async function handleImageUpload(request: Request, env: any, user: AuthUser): Promise<Response> {
+  try {
+    const contentType = request.headers.get("content-type") || "";
+    if (!contentType.includes("multipart/form-data")) {
+      return jsonResponse({ error: "Expected multipart/form-data" }, 400);
+    }
+
+    const formData = await request.formData();
+    const file = formData.get("image") as File | null;
+
+    if (!file) {
+      return jsonResponse({ error: "No image file provided" }, 400);
+    }
+
+    // Validate file type
+    const allowedTypes = ["image/jpeg", "image/png", "image/gif", "image/webp", "image/svg+xml"];
+    if (!allowedTypes.includes(file.type)) {
+      return jsonResponse({ error: "Invalid file type. Allowed: JPEG, PNG, GIF, WebP, SVG" }, 400);
+    }
+
+    // Validate file size (5MB max)
+    if (file.size > 5 * 1024 * 1024) {
+      return jsonResponse({ error: "File too large. Maximum size is 5MB" }, 400);
+    }
+
+    // Generate unique filename
+    const timestamp = Date.now();
+    const randomId = crypto.randomUUID().split("-")[0];
     const extension = file.name.split(".").pop() || "jpg";
-    const filename = `${timestamp}-${randomId}.${extension}`;
+    const filename = `${user.id}/${timestamp}-${randomId}.${extension}`;
 
     // Upload to R2
     await env.IMAGES.put(filename, file.stream(), {
@@ -435,8 +1935,18 @@ async function handleImageUpload(request: Request, env: any): Promise<Response>
       },
     });
 
-    // Return URL for the uploaded image
-    const imageUrl = `/api/images/${filename}`;
+    // Link it to the note it was uploaded into, so it counts as used before that note is saved
+    const noteId = formData.get("noteId");
+    if (typeof noteId === "string" && noteId) {
+      const access = await findAccessibleNote(env, user, noteId);
+      if (access && canEdit(access.role)) {
+        await linkImageStatement(env.DB, noteId, filename).run();
+      }
+    }
+
+    // Return a signed URL so the image loads in <img> tags without a bearer token
+    const sig = await signValue(env, filename);
+    const imageUrl = `/api/images/${filename}?sig=${sig}`;
     return jsonResponse({ url: imageUrl, filename }, 200);
   } catch (err) {
     console.error("Image upload error:", err);
@@ -444,8 +1954,17 @@ async function handleImageUpload(request: Request, env: any): Promise<Response>
   }
 }
 
-async function handleImageGet(env: any, filename: string): Promise<Response> {
+// Images are stored under "<ownerId>/"; keys from before accounts existed have no prefix and stay public
+async function handleImageGet(request: Request, env: any, filename: string, sig: string | null): Promise<Response> {
   try {
+    const ownerId = filename.includes("/") ? filename.split("/")[0] : null;
+    if (ownerId && !(await verifySignedValue(env, filename, sig))) {
+      const user = await authenticate(request, env);
+      if (!user || user.id !== ownerId) {
+        return new Response("Image not found", { status: 404 });
+      }
+    }
+
     const object = await env.IMAGES.get(filename);
 
     if (!object) {
@@ -455,7 +1974,7 @@ async function handleImageGet(env: any, filename: string): Promise<Response> {
     const headers = new Headers();
     object.writeHttpMetadata(headers);
     headers.set("etag", object.httpEtag);
-    headers.set("cache-control", "public, max-age=31536000, immutable");
+    headers.set("cache-control", `${ownerId ? "private" : "public"}, max-age=31536000, immutable`);
     headers.set("Access-Control-Allow-Origin", "*");
 
     return new Response(object.body, {
@@ -467,75 +1986,495 @@ async function handleImageGet(env: any, filename: string): Promise<Response> {
   }
 }
 
-async function handleGenerateSummary(env: any, noteId: string): Promise<Response> {
+// The storage key stays server-side
+function noteFileJson({ r2_key, ...file }: NoteFile) {
+  return file;
+}
+
+// A file and the note it belongs to, if the user can see that note
+async function findAccessibleFile(env: any, user: AuthUser, fileId: string) {
+  const file = await getNoteFile(env.DB, fileId);
+  const access = file ? await findAccessibleNote(env, user, file.note_id) : null;
+  return file && access ? { file, role: access.role } : null;
+}
+
+async function handleListNoteFiles(env: any, user: AuthUser, noteId: string): Promise<Response> {
   try {
-    // Get note from database
-    const note = await env.DB.prepare(
-      "SELECT id, title, content FROM notes WHERE id = ?"
-    ).bind(noteId).first();
+    if (!(await findAccessibleNote(env, user, noteId))) {
+      return jsonResponse({ error: "Note not found" }, 404);
+    }
+    const files = await listNoteFiles(env.DB, noteId);
+    return jsonResponse({ files: files.map(noteFileJson) }, 200);
+  } catch (err) {
+    console.error("handleListNoteFiles error:", err);
+    return jsonResponse({ error: "Failed to list attachments" }, 500);
+  }
+}
 
-    if (!note) {
+// Text is extracted straight away, so Bob can read the file as soon as the upload returns
+async function handleUploadNoteFile(request: Request, env: any, user: AuthUser, noteId: string): Promise<Response> {
+  try {
+    const access = await findAccessibleNote(env, user, noteId);
+    if (!access) {
       return jsonResponse({ error: "Note not found" }, 404);
     }
+    if (!canEdit(access.role)) {
+      return jsonResponse({ error: "You have view-only access to this note" }, 403);
+    }
 
-    // Run summary workflow
-    const workflow = new SummaryWorkflow();
-    const result = await workflow.run(env, {
-      noteId: note.id,
-      noteContent: note.content || '',
-      noteTitle: note.title || 'Untitled',
+    const contentType = request.headers.get("content-type") || "";
+    if (!contentType.includes("multipart/form-data")) {
+      return jsonResponse({ error: "Expected multipart/form-data" }, 400);
+    }
+    const formData = await request.formData();
+    const upload = formData.get("file") as File | null;
+    if (!upload) {
+      return jsonResponse({ error: "No file provided" }, 400);
+    }
+
+    const kind = noteFileKind(upload.type, upload.name);
+    if (!kind) {
+      return jsonResponse({ error: "Invalid file type. Allowed: PDF, PowerPoint (.pptx)" }, 400);
+    }
+    if (upload.size > MAX_FILE_BYTES) {
+      return jsonResponse({ error: `File too large. Maximum size is ${MAX_FILE_BYTES / 1024 / 1024}MB` }, 400);
+    }
+
+    const data = new Uint8Array(await upload.arrayBuffer());
+    let pages: string[];
+    try {
+      pages = await extractPages(kind, data);
+    } catch (err) {
+      console.error("extractPages error:", err);
+      return jsonResponse({ error: `Could not read this ${kind === "pdf" ? "PDF" : "slide deck"}` }, 400);
+    }
+    const hasText = pages.some((text) => text.length > 0);
+
+    const id = crypto.randomUUID();
+    const key = `${user.id}/files/${Date.now()}-${id.split("-")[0]}.${kind}`;
+    await env.IMAGES.put(key, data, { httpMetadata: { contentType: contentTypeFor(kind) } });
+
+    const file: NoteFile = {
+      id,
+      note_id: noteId,
+      owner_id: user.id,
+      filename: upload.name.slice(0, 200) || `attachment.${kind}`,
+      content_type: contentTypeFor(kind),
+      size: upload.size,
+      r2_key: key,
+      page_count: pages.length,
+      status: hasText ? "ready" : "no_text",
+      created_at: new Date().toISOString(),
+    };
+    await env.DB.batch(insertNoteFileStatements(env.DB, file, hasText ? pages : []));
+
+    return jsonResponse({ file: noteFileJson(file) }, 201);
+  } catch (err) {
+    console.error("handleUploadNoteFile error:", err);
+    return jsonResponse({ error: "Failed to upload attachment" }, 500);
+  }
+}
+
+async function handleGetNoteFileContent(env: any, user: AuthUser, fileId: string): Promise<Response> {
+  try {
+    const found = await findAccessibleFile(env, user, fileId);
+    const object = found ? await env.IMAGES.get(found.file.r2_key) : null;
+    if (!found || !object) {
+      return jsonResponse({ error: "Attachment not found" }, 404);
+    }
+
+    return new Response(object.body, {
+      headers: {
+        "Content-Type": found.file.content_type,
+        "Content-Disposition": `inline; filename*=UTF-8''${encodeURIComponent(found.file.filename)}`,
+        "Cache-Control": "private, max-age=3600",
+        "Access-Control-Allow-Origin": "*",
+      },
     });
+  } catch (err) {
+    console.error("handleGetNoteFileContent error:", err);
+    return jsonResponse({ error: "Failed to load attachment" }, 500);
+  }
+}
 
-    // Format result as markdown for display - keep it brief, just the summary
-    const markdown = result.summary;
+async function handleGetNoteFilePages(env: any, user: AuthUser, fileId: string): Promise<Response> {
+  try {
+    const found = await findAccessibleFile(env, user, fileId);
+    if (!found) {
+      return jsonResponse({ error: "Attachment not found" }, 404);
+    }
+    const pages = await getNoteFilePages(env.DB, fileId);
+    return jsonResponse({ file: noteFileJson(found.file), pages }, 200);
+  } catch (err) {
+    console.error("handleGetNoteFilePages error:", err);
+    return jsonResponse({ error: "Failed to load attachment" }, 500);
+  }
+}
 
-    return jsonResponse({
-      success: true,
-      summary: result.summary,
-      keyPoints: result.keyPoints,
-      topics: result.topics,
-      markdown,
-    }, 200);
+async function handleDeleteNoteFile(env: any, user: AuthUser, fileId: string): Promise<Response> {
+  try {
+    const found = await findAccessibleFile(env, user, fileId);
+    if (!found) {
+      return jsonResponse({ error: "Attachment not found" }, 404);
+    }
+    if (!canEdit(found.role)) {
+      return jsonResponse({ error: "You have view-only access to this note" }, 403);
+    }
+
+    await env.DB.batch(deleteNoteFileStatements(env.DB, fileId));
+    await env.IMAGES.delete(found.file.r2_key);
+    return jsonResponse({ ok: true }, 200);
+  } catch (err) {
+    console.error("handleDeleteNoteFile error:", err);
+    return jsonResponse({ error: "Failed to delete attachment" }, 500);
+  }
+}
+
+async function handleGenerateSummary(env: any, ctx: ExecutionContext, user: AuthUser, noteId: string, refresh: boolean): Promise<Response> {
+  try {
+    // Get note from database
+    const access = await findAccessibleNote(env, user, noteId);
+    const note = access?.note;
+
+    if (!note) {
+      return jsonResponse({ error: "Note not found" }, 404);
+    }
+
+    // Up-to-date cached summary: answer straight away
+    const cachedSummary = refresh ? null : await getCachedSummary(env.DB, note.id, await noteWithFiles(env.DB, note.id, note.content || ''));
+    if (cachedSummary && !cachedSummary.stale) {
+      return jsonResponse({
+        ...formatSummary(cachedSummary, true),
+        suggestedTags: await summaryTagSuggestions(env, access.role, note.id, cachedSummary.topics),
+      }, 200);
+    }
+
+    // Otherwise run the summary workflow as a job
+    const job = await createJob(env.DB, user.id, "summary", note.id);
+    await startNoteJob(env, ctx, { jobId: job.id, kind: "summary", noteId: note.id, userId: user.id });
+    return jsonResponse({ jobId: job.id, status: job.status }, 202);
   } catch (err: any) {
     console.error("Generate summary error:", err);
     return jsonResponse({ error: err.message || "Failed to generate summary" }, 500);
   }
 }
 
-async function handleGenerateQuestions(env: any, noteId: string): Promise<Response> {
+// Offer the extracted topics as tags (only the owner can tag the note)
+async function summaryTagSuggestions(env: any, role: NoteRole, noteId: string, topics: unknown[]): Promise<string[]> {
+  if (role !== "owner") return [];
+  return suggestTags(topics, (await getNoteTags(env.DB, noteId)).map((tag) => tag.name));
+}
+
+async function handleGetJob(env: any, user: AuthUser, jobId: string): Promise<Response> {
   try {
-    // Get note from database
-    const note = await env.DB.prepare(
-      "SELECT id, title, content FROM notes WHERE id = ?"
-    ).bind(noteId).first();
+    const found = await getJob(env.DB, user.id, jobId);
+    if (!found) {
+      return jsonResponse({ error: "Job not found" }, 404);
+    }
+
+    const { job, steps } = found;
+    let result = job.result as any;
+    // Tag suggestions depend on the note's current tags, so they're worked out when asked
+    if (job.kind === "summary" && result) {
+      const access = await findAccessibleNote(env, user, job.note_id);
+      result = { ...result, suggestedTags: access ? await summaryTagSuggestions(env, access.role, job.note_id, result.topics) : [] };
+    }
+
+    return jsonResponse({
+      id: job.id,
+      kind: job.kind,
+      noteId: job.note_id,
+      status: job.status,
+      steps: describeJobSteps(JOB_STEPS[job.kind], steps, job.status),
+      result,
+      error: job.error,
+      usage: { promptTokens: job.prompt_tokens, completionTokens: job.completion_tokens },
+      createdAt: job.created_at,
+      updatedAt: job.updated_at,
+    }, 200);
+  } catch (err) {
+    console.error("handleGetJob error:", err);
+    return jsonResponse({ error: "Failed to load job" }, 500);
+  }
+}
+
+async function handleDueFlashcards(env: any, user: AuthUser, params: URLSearchParams): Promise<Response> {
+  try {
+    const limit = Math.min(Number(params.get("limit") ?? 20) || 0, 100);
+    const { cards, dueCount } = await listDueFlashcards(env.DB, user.id, { limit, noteId: params.get("noteId") });
+    return jsonResponse({ cards, dueCount }, 200);
+  } catch (err) {
+    console.error("handleDueFlashcards error:", err);
+    return jsonResponse({ error: "Failed to load flashcards" }, 500);
+  }
+}
+
+async function handleReviewFlashcard(request: Request, env: any, user: AuthUser, cardId: string): Promise<Response> {
+  try {
+    const body = (await request.json()) as { grade?: unknown };
+    if (!isReviewGrade(body.grade)) {
+      return jsonResponse({ error: "'grade' must be a whole number from 0 to 5" }, 400);
+    }
+
+    const card = await reviewFlashcard(env.DB, user.id, cardId, body.grade);
+    if (!card) {
+      return jsonResponse({ error: "Flashcard not found" }, 404);
+    }
+
+    return jsonResponse({ card }, 200);
+  } catch (err) {
+    console.error("handleReviewFlashcard error:", err);
+    return jsonResponse({ error: "Failed to record review" }, 500);
+  }
+}
 
+// Questions come from the study questions workflow; their answers stay hidden until grading
+async function handleStartQuiz(env: any, user: AuthUser, noteId: string): Promise<Response> {
+  try {
+    const note = (await findAccessibleNote(env, user, noteId))?.note;
     if (!note) {
       return jsonResponse({ error: "Note not found" }, 404);
     }
 
-    // Run questions workflow
     const workflow = new QuestionsWorkflow();
     const result = await workflow.run(env, {
       noteId: note.id,
-      noteContent: note.content || '',
+      // Attached PDFs and slides too, as for summaries and chat
+      noteContent: await noteWithFiles(env.DB, note.id, note.content || ''),
       noteTitle: note.title || 'Untitled',
     });
+    if (result.questions.length === 0) {
+      return jsonResponse({ error: "Couldn't write questions for this note. Add some content and try again." }, 500);
+    }
 
-    // Format result as markdown for display
-    const markdown = `## Study Questions (${result.totalCount} questions)\n\n${result.questions.map((q, i) => {
-      const icon = q.type === 'recall' ? '🧠' : q.type === 'comprehension' ? '💡' : '🔧';
-      const difficultyLabel = q.difficulty === 'easy' ? '⭐' : q.difficulty === 'medium' ? '⭐⭐' : '⭐⭐⭐';
-      return `${i + 1}. ${icon} ${q.question} ${difficultyLabel}`;
-    }).join('\n\n')}`;
+    const { session, questions } = await createQuizSession(env.DB, user.id, note.id, result.questions);
+    return jsonResponse({ session, questions }, 201);
+  } catch (err: any) {
+    console.error("handleStartQuiz error:", err);
+    if (err instanceof StructuredOutputError) {
+      return jsonResponse({ error: "Couldn't write questions for this note. Please try again.", step: err.step, issues: err.issues }, 502);
+    }
+    return jsonResponse({ error: err.message || "Failed to start quiz" }, 500);
+  }
+}
 
-    return jsonResponse({
-      success: true,
-      questions: result.questions,
-      totalCount: result.totalCount,
-      markdown,
-    }, 200);
+async function handleGetQuiz(env: any, user: AuthUser, sessionId: string): Promise<Response> {
+  try {
+    const quiz = await getQuizSession(env.DB, user.id, sessionId);
+    if (!quiz) {
+      return jsonResponse({ error: "Quiz not found" }, 404);
+    }
+    return jsonResponse(quiz, 200);
+  } catch (err) {
+    console.error("handleGetQuiz error:", err);
+    return jsonResponse({ error: "Failed to load quiz" }, 500);
+  }
+}
+
+// Grades every answer in one go: { answers: [{ id, answer }] }; unanswered questions score 0
+async function handleSubmitQuiz(request: Request, env: any, user: AuthUser, sessionId: string): Promise<Response> {
+  try {
+    const quiz = await getQuizSession(env.DB, user.id, sessionId, { withReference: true });
+    if (!quiz) {
+      return jsonResponse({ error: "Quiz not found" }, 404);
+    }
+    if (quiz.session.completed_at) {
+      return jsonResponse({ error: "This quiz has already been graded" }, 409);
+    }
+
+    const note = (await findAccessibleNote(env, user, quiz.session.note_id))?.note;
+    if (!note) {
+      return jsonResponse({ error: "Note not found" }, 404);
+    }
+
+    const body = (await request.json()) as { answers?: Array<{ id?: string; answer?: unknown }> };
+    const submitted = new Map<string, string>();
+    for (const item of body.answers ?? []) {
+      if (item?.id && typeof item.answer === "string") submitted.set(item.id, item.answer);
+    }
+
+    // Claimed before grading, so a second submit in flight doesn't grade (and pay for) it again
+    if (!(await claimQuizSession(env.DB, sessionId))) {
+      return jsonResponse({ error: "This quiz has already been graded" }, 409);
+    }
+
+    const userAnswers = quiz.answers.map((a) => submitted.get(a.id) ?? "");
+    try {
+      const workflow = new GradingWorkflow();
+      const result = await workflow.run(env, {
+        noteId: note.id,
+        noteContent: await noteWithFiles(env.DB, note.id, note.content || ''),
+        noteTitle: note.title || 'Untitled',
+        answers: quiz.answers.map((a, i) => ({
+          question: a.question,
+          referenceAnswer: a.reference_answer || '',
+          userAnswer: userAnswers[i],
+        })),
+      });
+
+      await saveQuizGrades(
+        env.DB,
+        sessionId,
+        quiz.answers.map((a, i) => ({ id: a.id, userAnswer: userAnswers[i], grade: result.grades[i] })),
+        result.score
+      );
+    } catch (err) {
+      await releaseQuizSession(env.DB, sessionId);
+      throw err;
+    }
+
+    return jsonResponse(await getQuizSession(env.DB, user.id, sessionId), 200);
+  } catch (err: any) {
+    console.error("handleSubmitQuiz error:", err);
+    return jsonResponse({ error: err.message || "Failed to grade quiz" }, 500);
+  }
+}
+
+// Scores over time plus the question types and difficulties answered worst (one note, or all)
+async function handleQuizHistory(env: any, user: AuthUser, noteId: string | null): Promise<Response> {
+  try {
+    const sessions = await listQuizSessions(env.DB, user.id, noteId);
+    const breakdown = breakdownScores(await listGradedAnswers(env.DB, user.id, noteId));
+    return jsonResponse({ sessions, ...breakdown }, 200);
+  } catch (err) {
+    console.error("handleQuizHistory error:", err);
+    return jsonResponse({ error: "Failed to load quiz history" }, 500);
+  }
+}
+
+async function handleGenerateQuestions(env: any, ctx: ExecutionContext, user: AuthUser, noteId: string): Promise<Response> {
+  try {
+    // Get note from database
+    const note = (await findAccessibleNote(env, user, noteId))?.note;
+
+    if (!note) {
+      return jsonResponse({ error: "Note not found" }, 404);
+    }
+
+    // Run questions workflow as a job; the result (and new flashcards) arrive via /api/jobs/:id
+    const job = await createJob(env.DB, user.id, "questions", note.id);
+    await startNoteJob(env, ctx, { jobId: job.id, kind: "questions", noteId: note.id, userId: user.id });
+    return jsonResponse({ jobId: job.id, status: job.status }, 202);
   } catch (err: any) {
     console.error("Generate questions error:", err);
     return jsonResponse({ error: err.message || "Failed to generate questions" }, 500);
   }
 }
+
+async function handleExportNote(env: any, user: AuthUser, noteId: string, format: string): Promise<Response> {
+  try {
+    if (!EXPORT_FORMATS.includes(format as ExportFormat)) {
+      return jsonResponse({ error: `Unknown format; expected one of ${EXPORT_FORMATS.join(", ")}` }, 400);
+    }
+    const access = await findAccessibleNote(env, user, noteId);
+    if (!access) {
+      return jsonResponse({ error: "Note not found" }, 404);
+    }
+    if (format === "pdf" && !env.BROWSER) {
+      return jsonResponse({ error: "PDF export needs the Browser Rendering binding (BROWSER)" }, 501);
+    }
+
+    // Embed images the reader could load anyway: signed links, or ones uploaded by the note's owner
+    const note = access.note;
+    const loadImage = r2ImageLoader(env.IMAGES, async (key, sig) =>
+      !key.includes("/") || key.split("/")[0] === note.owner_id || verifySignedValue(env, key, sig)
+    );
+    const html = await renderNoteDocument(note, loadImage);
+
+    const filename = exportFilename(note.title || "Untitled", format as ExportFormat);
+    const headers = {
+      "Content-Disposition": `attachment; filename*=UTF-8''${encodeURIComponent(filename)}`,
+      "Cache-Control": "private, no-store",
+      "Access-Control-Allow-Origin": "*",
+    };
+    if (format === "html") {
+      return new Response(html, { headers: { ...headers, "Content-Type": "text/html; charset=utf-8" } });
+    }
+    const pdf = await renderPdf(env.BROWSER, html, note.title || "Untitled");
+    return new Response(pdf, { headers: { ...headers, "Content-Type": "application/pdf" } });
+  } catch (err) {
+    console.error("handleExportNote error:", err);
+    return jsonResponse({ error: "Failed to export note" }, 500);
+  }
+}
+
+async function handleWritingAssist(request: Request, env: any, ctx: ExecutionContext, user: AuthUser, noteId: string): Promise<Response> {
+  try {
+    const access = await findAccessibleNote(env, user, noteId);
+    if (!access) {
+      return jsonResponse({ error: "Note not found" }, 404);
+    }
+    if (!canEdit(access.role)) {
+      return jsonResponse({ error: "You have view-only access to this note" }, 403);
+    }
+
+    const assist = parseAssistRequest(await request.json().catch(() => null));
+    if (typeof assist === "string") {
+      return jsonResponse({ error: assist }, 400);
+    }
+
+    const llm = createLLM(env);
+    const messages = assistMessages(assist, access.note.title);
+
+    if (!wantsEventStream(request)) {
+      const { text } = await llm.complete("writing", { messages });
+      return jsonResponse({ text: cleanAssistOutput(text) }, 200);
+    }
+
+    const tokens = await llm.stream("writing", { messages });
+    const { readable, writable } = new TransformStream<Uint8Array, Uint8Array>();
+    const writer = writable.getWriter();
+
+    // Tokens for the live preview, then the cleaned-up text to apply
+    const relay = async () => {
+      let text = "";
+      try {
+        for await (const token of tokens) {
+          text += token;
+          await writer.write(sseEvent({ token }));
+        }
+        await writer.write(sseEvent({ done: true, text: cleanAssistOutput(text) }));
+      } catch (err) {
+        console.error("handleWritingAssist stream error:", err);
+        await writer.write(sseEvent({ error: "AI request failed" })).catch(() => {});
+      } finally {
+        await writer.close().catch(() => {});
+      }
+    };
+    ctx.waitUntil(relay());
+
+    return new Response(readable, {
+      status: 200,
+      headers: {
+        ...SSE_HEADERS,
+        "Access-Control-Allow-Origin": "*",
+      },
+    });
+  } catch (err: any) {
+    console.error("handleWritingAssist error:", err);
+    return jsonResponse({ error: "AI request failed" }, 500);
+  }
+}
+
+async function handleAddFlashcards(request: Request, env: any, user: AuthUser, noteId: string): Promise<Response> {
+  try {
+    const access = await findAccessibleNote(env, user, noteId);
+    if (!access) {
+      return jsonResponse({ error: "Note not found" }, 404);
+    }
+
+    const body = (await request.json().catch(() => ({}))) as { cards?: Array<{ question?: unknown; answer?: unknown }> };
+    const cards = (Array.isArray(body.cards) ? body.cards : [])
+      .filter((card) => typeof card?.question === "string" && typeof card?.answer === "string")
+      .map((card) => ({ question: card.question as string, answer: card.answer as string }));
+    if (cards.length === 0) {
+      return jsonResponse({ error: "No flashcards to add" }, 400);
+    }
+
+    const added = await addFlashcards(env.DB, user.id, noteId, cards);
+    return jsonResponse({ added }, 201);
+  } catch (err: any) {
+    console.error("handleAddFlashcards error:", err);
+    return jsonResponse({ error: "Failed to add flashcards" }, 500);
+  }
+}
@@ -0,0 +1,185 @@
+/**
+ * Jobs
+ * Records for workflows run in the background: the job's status and result,
+ * and the progress of each step so a client can poll while it runs.
+ */
+
+export type JobKind = 'summary' | 'questions';
+export type JobStatus = 'queued' | 'running' | 'complete' | 'failed';
+export type JobStepStatus = 'pending' | 'running' | 'retrying' | 'complete' | 'failed' | 'skipped';
+
+export interface Job {
+  id: string;
+  kind: JobKind;
+  note_id: string;
+  user_id: string;
+  status: JobStatus;
+  result: unknown;
+  error: string | null;
+  // Model tokens used so far, across steps and retries
+  prompt_tokens: number;
+  completion_tokens: number;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface JobStep {
+  name: string;
+  status: JobStepStatus;
+  attempts: number;
+  // Latest failure; kept while the step is being retried
+  error: string | null;
+}
+
+export type JobStepRow = Omit<JobStep, 'status'> & { status: 'running' | 'retrying' | 'complete' | 'failed' };
+
+// What a durable or local run needs to pick the job up
+export interface JobParams {
+  jobId: string;
+  kind: JobKind;
+  noteId: string;
+  userId: string;
+}
+
+export async function createJob(db: D1Database, userId: string, kind: JobKind, noteId: string): Promise<Job> {
+  const now = new Date().toISOString();
+  const job: Job = {
+    id: crypto.randomUUID(),
+    kind,
+    note_id: noteId,
+    user_id: userId,
+    status: 'queued',
+    result: null,
+    error: null,
+    prompt_tokens: 0,
+    completion_tokens: 0,
+    created_at: now,
+    updated_at: now,
+  };
+
+  await db
+    .prepare('INSERT INTO jobs (id, kind, note_id, user_id, status, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)')
+    .bind(job.id, kind, noteId, userId, job.status, now, now)
+    .run();
+
+  return job;
+}
+
+/**
+ * A user's job with its step rows, or null if it isn't theirs
+ */
+export async function getJob(db: D1Database, userId: string, jobId: string): Promise<{ job: Job; steps: JobStepRow[] } | null> {
+  const row = await db
+    .prepare(
+      `SELECT id, kind, note_id, user_id, status, result, error, prompt_tokens, completion_tokens, created_at, updated_at
+      FROM jobs WHERE id = ? AND user_id = ?`
+    )
+    .bind(jobId, userId)
+    .first<Omit<Job, 'result'> & { result: string | null }>();
+  if (!row) return null;
+
+  const { results } = await db
+    .prepare('SELECT name, status, attempts, error FROM job_steps WHERE job_id = ? ORDER BY started_at')
+    .bind(jobId)
+    .all<JobStepRow>();
+
+  return {
+    job: { ...row, result: row.result ? JSON.parse(row.result) : null },
+    steps: results ?? [],
+  };
+}
+
+export async function setJobRunning(db: D1Database, jobId: string): Promise<void> {
+  await db
+    .prepare("UPDATE jobs SET status = 'running', updated_at = ? WHERE id = ? AND status = 'queued'")
+    .bind(new Date().toISOString(), jobId)
+    .run();
+}
+
+export async function completeJob(db: D1Database, jobId: string, result: unknown): Promise<void> {
+  await db
+    .prepare("UPDATE jobs SET status = 'complete', result = ?, error = NULL, updated_at = ? WHERE id = ?")
+    .bind(JSON.stringify(result), new Date().toISOString(), jobId)
+    .run();
+}
+
+export async function failJob(db: D1Database, jobId: string, error: string): Promise<void> {
+  await db
+    .prepare("UPDATE jobs SET status = 'failed', error = ?, updated_at = ? WHERE id = ?")
+    .bind(error, new Date().toISOString(), jobId)
+    .run();
+}
+
+/**
+ * Add a model call's tokens to the job's running total
+ */
+export async function addJobUsage(
+  db: D1Database,
+  jobId: string,
+  usage: { promptTokens: number; completionTokens: number }
+): Promise<void> {
+  await db
+    .prepare('UPDATE jobs SET prompt_tokens = prompt_tokens + ?, completion_tokens = completion_tokens + ? WHERE id = ?')
+    .bind(usage.promptTokens, usage.completionTokens, jobId)
+    .run();
+}
+
+/**
+ * An attempt at a step is starting (the first, or a retry)
+ */
+export async function startJobStep(db: D1Database, jobId: string, name: string): Promise<void> {
+  await db
+    .prepare(
+      `INSERT INTO job_steps (job_id, name, status, attempts, started_at) VALUES (?, ?, 'running', 1, ?)
+      ON CONFLICT (job_id, name) DO UPDATE SET status = 'running', attempts = attempts + 1`
+    )
+    .bind(jobId, name, new Date().toISOString())
+    .run();
+}
+
+export async function completeJobStep(db: D1Database, jobId: string, name: string): Promise<void> {
+  await db
+    .prepare("UPDATE job_steps SET status = 'complete', error = NULL, finished_at = ? WHERE job_id = ? AND name = ?")
+    .bind(new Date().toISOString(), jobId, name)
+    .run();
+}
+
+/**
+ * An attempt failed: the step is retrying until it has used `maxAttempts`
+ */
+export async function failJobStep(db: D1Database, jobId: string, name: string, error: string, maxAttempts: number): Promise<void> {
+  await db
+    .prepare(
+      `UPDATE job_steps SET status = CASE WHEN attempts < ? THEN 'retrying' ELSE 'failed' END, error = ?, finished_at = ?
+      WHERE job_id = ? AND name = ?`
+    )
+    .bind(maxAttempts, error, new Date().toISOString(), jobId, name)
+    .run();
+}
+
+/**
+ * Merge a workflow's step names with the rows recorded so far. Steps not
+ * reached are pending while the job runs and skipped once it has finished.
+ * A step run once per section of the note is recorded as "name (i/n)" and
+ * listed as those parts.
+ */
+export function describeJobSteps(names: readonly string[], rows: JobStepRow[], jobStatus: JobStatus): JobStep[] {
+  const finished = jobStatus === 'complete' || jobStatus === 'failed';
+
+  return names.flatMap((name): JobStep[] => {
+    const recorded = rows.filter((row) => row.name === name || (row.name.startsWith(`${name} (`) && row.name.endsWith(')')));
+    if (recorded.length === 0) return [{ name, status: finished ? 'skipped' : 'pending', attempts: 0, error: null }];
+    return recorded.map((row) => {
+      // A job that stopped mid-step (e.g. it was cancelled) never recorded the step's outcome
+      const status = finished && (row.status === 'running' || row.status === 'retrying') ? 'failed' : row.status;
+      return { ...row, status };
+    });
+  });
+}
+
+export function deleteJobsStatements(db: D1Database, noteId: string): D1PreparedStatement[] {
+  return [
+    db.prepare('DELETE FROM job_steps WHERE job_id IN (SELECT id FROM jobs WHERE note_id = ?)').bind(noteId),
+    db.prepare('DELETE FROM jobs WHERE note_id = ?').bind(noteId),
+  ];
+}
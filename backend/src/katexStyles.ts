@@ -0,0 +1,54 @@
+/**
+ * KaTeX Styles
+ * The stylesheet and fonts of the bundled katex package, imported as module
+ * data (see "rules" in wrangler.jsonc) so exports don't depend on a CDN
+ * serving the same version
+ */
+
+import css from 'katex/dist/katex.min.css';
+import AMSRegular from 'katex/dist/fonts/KaTeX_AMS-Regular.woff2';
+import CaligraphicBold from 'katex/dist/fonts/KaTeX_Caligraphic-Bold.woff2';
+import CaligraphicRegular from 'katex/dist/fonts/KaTeX_Caligraphic-Regular.woff2';
+import FrakturBold from 'katex/dist/fonts/KaTeX_Fraktur-Bold.woff2';
+import FrakturRegular from 'katex/dist/fonts/KaTeX_Fraktur-Regular.woff2';
+import MainBold from 'katex/dist/fonts/KaTeX_Main-Bold.woff2';
+import MainBoldItalic from 'katex/dist/fonts/KaTeX_Main-BoldItalic.woff2';
+import MainItalic from 'katex/dist/fonts/KaTeX_Main-Italic.woff2';
+import MainRegular from 'katex/dist/fonts/KaTeX_Main-Regular.woff2';
+import MathBoldItalic from 'katex/dist/fonts/KaTeX_Math-BoldItalic.woff2';
+import MathItalic from 'katex/dist/fonts/KaTeX_Math-Italic.woff2';
+import SansSerifBold from 'katex/dist/fonts/KaTeX_SansSerif-Bold.woff2';
+import SansSerifItalic from 'katex/dist/fonts/KaTeX_SansSerif-Italic.woff2';
+import SansSerifRegular from 'katex/dist/fonts/KaTeX_SansSerif-Regular.woff2';
+import ScriptRegular from 'katex/dist/fonts/KaTeX_Script-Regular.woff2';
+import Size1Regular from 'katex/dist/fonts/KaTeX_Size1-Regular.woff2';
+import Size2Regular from 'katex/dist/fonts/KaTeX_Size2-Regular.woff2';
+import Size3Regular from 'katex/dist/fonts/KaTeX_Size3-Regular.woff2';
+import Size4Regular from 'katex/dist/fonts/KaTeX_Size4-Regular.woff2';
+import TypewriterRegular from 'katex/dist/fonts/KaTeX_Typewriter-Regular.woff2';
+
+export const KATEX_CSS = css;
+
+// woff2 only: every browser that prints or opens the export supports it
+export const KATEX_FONTS: Record<string, ArrayBuffer> = {
+  'KaTeX_AMS-Regular': AMSRegular,
+  'KaTeX_Caligraphic-Bold': CaligraphicBold,
+  'KaTeX_Caligraphic-Regular': CaligraphicRegular,
+  'KaTeX_Fraktur-Bold': FrakturBold,
+  'KaTeX_Fraktur-Regular': FrakturRegular,
+  'KaTeX_Main-Bold': MainBold,
+  'KaTeX_Main-BoldItalic': MainBoldItalic,
+  'KaTeX_Main-Italic': MainItalic,
+  'KaTeX_Main-Regular': MainRegular,
+  'KaTeX_Math-BoldItalic': MathBoldItalic,
+  'KaTeX_Math-Italic': MathItalic,
+  'KaTeX_SansSerif-Bold': SansSerifBold,
+  'KaTeX_SansSerif-Italic': SansSerifItalic,
+  'KaTeX_SansSerif-Regular': SansSerifRegular,
+  'KaTeX_Script-Regular': ScriptRegular,
+  'KaTeX_Size1-Regular': Size1Regular,
+  'KaTeX_Size2-Regular': Size2Regular,
+  'KaTeX_Size3-Regular': Size3Regular,
+  'KaTeX_Size4-Regular': Size4Regular,
+  'KaTeX_Typewriter-Regular': TypewriterRegular,
+};
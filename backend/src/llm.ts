@@ -0,0 +1,414 @@
+/**
+ * LLM Client
+ * One place to call language models. Callers name a profile (chat, extraction,
+ * writing, grading) and get its model, token limit and temperature, which a
+ * deployment can override with LLM_* env vars. A call that errors or times out
+ * is retried on the profile's fallback model, and token usage is tallied.
+ * Requests can offer tools; the model's calls to them come back as `toolCalls`
+ * for the caller to run.
+ */
+
+import { readAIStream } from './sse';
+import type { JsonSchema } from './workflows/structuredOutput';
+
+export type ProfileName = 'chat' | 'extraction' | 'writing' | 'grading';
+
+export interface ModelProfile {
+  model: string;
+  // Tried when `model` errors or times out; null for none
+  fallbackModel: string | null;
+  maxTokens: number;
+  temperature: number;
+  timeoutMs: number;
+}
+
+export interface LLMMessage {
+  // 'tool' carries the result of a tool call back to the model
+  role: 'system' | 'user' | 'assistant' | 'tool';
+  content: string;
+  // Tool the result is from
+  name?: string;
+}
+
+// A function the model may call; `parameters` describes its arguments
+export interface ToolDefinition {
+  name: string;
+  description: string;
+  parameters: JsonSchema;
+}
+
+export interface ToolCall {
+  name: string;
+  arguments: Record<string, unknown>;
+}
+
+export interface ProviderRequest {
+  messages: LLMMessage[];
+  maxTokens: number;
+  temperature: number;
+  // Ask for JSON matching this schema, where the model supports it
+  jsonSchema?: JsonSchema;
+  tools?: ToolDefinition[];
+}
+
+export interface ProviderResponse {
+  // Text, or an already-parsed value in JSON mode
+  response: unknown;
+  toolCalls?: ToolCall[];
+  usage?: { promptTokens: number; completionTokens: number };
+}
+
+export interface LLMProvider {
+  readonly name: string;
+  complete(model: string, request: ProviderRequest): Promise<ProviderResponse>;
+  // Workers AI framing: `data: {"response": "..."}` events, then `data: [DONE]`
+  stream(model: string, request: ProviderRequest): Promise<ReadableStream<Uint8Array>>;
+}
+
+export interface UsageRecord {
+  profile: ProfileName;
+  model: string;
+  promptTokens: number;
+  completionTokens: number;
+  // No counts from the provider; worked out from text length
+  estimated: boolean;
+}
+
+export interface LLMResult {
+  response: unknown;
+  // `response` as a string (JSON-encoded if the provider parsed it)
+  text: string;
+  // Tools the model asked to call, in order; empty when it answered directly
+  toolCalls: ToolCall[];
+  model: string;
+  usage: UsageRecord;
+}
+
+export interface LLMRequest {
+  messages: LLMMessage[];
+  // Overrides the profile's limit for short or long outputs
+  maxTokens?: number;
+  jsonSchema?: JsonSchema;
+  tools?: ToolDefinition[];
+}
+
+const PRIMARY_MODEL = '@cf/meta/llama-3.3-70b-instruct-fp8-fast';
+const FALLBACK_MODEL = '@cf/meta/llama-3.1-8b-instruct-fast';
+
+export const DEFAULT_PROFILES: Record<ProfileName, ModelProfile> = {
+  // Conversational replies in the chat panel
+  chat: { model: PRIMARY_MODEL, fallbackModel: FALLBACK_MODEL, maxTokens: 1024, temperature: 0.7, timeoutMs: 30_000 },
+  // Pulling structured data out of a note: topics, key points, categories, answers
+  extraction: { model: PRIMARY_MODEL, fallbackModel: FALLBACK_MODEL, maxTokens: 600, temperature: 0.2, timeoutMs: 60_000 },
+  // Free-form generation: summaries and study questions
+  writing: { model: PRIMARY_MODEL, fallbackModel: FALLBACK_MODEL, maxTokens: 600, temperature: 0.6, timeoutMs: 60_000 },
+  // Marking quiz answers
+  grading: { model: PRIMARY_MODEL, fallbackModel: FALLBACK_MODEL, maxTokens: 500, temperature: 0.2, timeoutMs: 45_000 },
+};
+
+// Models that accept `response_format: { type: 'json_schema' }`
+const JSON_MODE_MODELS = new Set([
+  '@cf/meta/llama-3.3-70b-instruct-fp8-fast',
+  '@cf/meta/llama-3.1-70b-instruct',
+  '@cf/meta/llama-3.1-8b-instruct-fast',
+  '@hf/nousresearch/hermes-2-pro-mistral-7b',
+]);
+
+/**
+ * Profiles with per-deployment overrides from env vars:
+ * LLM_MODEL / LLM_FALLBACK_MODEL for every profile, then per profile
+ * LLM_<PROFILE>_MODEL, _FALLBACK_MODEL ("none" disables), _MAX_TOKENS, _TEMPERATURE, _TIMEOUT_MS
+ */
+export function resolveProfiles(env: Record<string, unknown> = {}): Record<ProfileName, ModelProfile> {
+  const text = (key: string) => (typeof env[key] === 'string' && (env[key] as string).trim()) || undefined;
+  const number = (key: string) => {
+    const value = Number(text(key));
+    return text(key) !== undefined && Number.isFinite(value) && value >= 0 ? value : undefined;
+  };
+  // "none" turns the fallback off, so it can't be chained with ?? like the rest
+  const fallback = (keys: string[], defaultModel: string | null) => {
+    const value = keys.map(text).find((v) => v !== undefined);
+    return value === undefined ? defaultModel : value === 'none' ? null : value;
+  };
+
+  const profiles = {} as Record<ProfileName, ModelProfile>;
+  for (const [name, defaults] of Object.entries(DEFAULT_PROFILES) as Array<[ProfileName, ModelProfile]>) {
+    const prefix = `LLM_${name.toUpperCase()}_`;
+    profiles[name] = {
+      model: text(`${prefix}MODEL`) ?? text('LLM_MODEL') ?? defaults.model,
+      fallbackModel: fallback([`${prefix}FALLBACK_MODEL`, 'LLM_FALLBACK_MODEL'], defaults.fallbackModel),
+      maxTokens: number(`${prefix}MAX_TOKENS`) ?? defaults.maxTokens,
+      temperature: number(`${prefix}TEMPERATURE`) ?? defaults.temperature,
+      timeoutMs: number(`${prefix}TIMEOUT_MS`) ?? defaults.timeoutMs,
+    };
+  }
+  return profiles;
+}
+
+/**
+ * Rough token count (~4 characters a token) for providers that don't report usage
+ */
+export function estimateTokens(text: string): number {
+  return Math.ceil(text.length / 4);
+}
+
+function responseText(response: unknown): string {
+  if (typeof response === 'string') return response;
+  return response === undefined || response === null ? '' : JSON.stringify(response);
+}
+
+/**
+ * Tool calls in either Workers AI shape: `{ name, arguments }` or the
+ * OpenAI-style `{ function: { name, arguments: "<json>" } }`
+ */
+export function parseToolCalls(raw: unknown): ToolCall[] {
+  if (!Array.isArray(raw)) return [];
+  return raw.flatMap((entry: any) => {
+    const call = entry?.function ?? entry;
+    if (typeof call?.name !== 'string') return [];
+    let args = call.arguments ?? {};
+    if (typeof args === 'string') {
+      try {
+        args = JSON.parse(args || '{}');
+      } catch {
+        return [];
+      }
+    }
+    return args && typeof args === 'object' && !Array.isArray(args) ? [{ name: call.name, arguments: args }] : [];
+  });
+}
+
+/**
+ * Reject with `message` if the promise hasn't settled within `ms`
+ */
+export function withTimeout<T>(promise: Promise<T>, ms: number, message: string): Promise<T> {
+  let timer: ReturnType<typeof setTimeout> | null = null;
+  const timeout = new Promise<never>((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+interface LLMClientOptions {
+  // Called after every call, e.g. to add the tokens to a job
+  onUsage?: (usage: UsageRecord) => void | Promise<void>;
+}
+
+export class LLMClient {
+  // Running totals for everything this client has called
+  readonly usage = { calls: 0, promptTokens: 0, completionTokens: 0 };
+
+  constructor(
+    readonly provider: LLMProvider,
+    readonly profiles: Record<ProfileName, ModelProfile> = DEFAULT_PROFILES,
+    private options: LLMClientOptions = {}
+  ) {}
+
+  async complete(profileName: ProfileName, request: LLMRequest): Promise<LLMResult> {
+    const profile = this.profiles[profileName];
+    const providerRequest = this.providerRequest(profile, request);
+
+    return this.withFallback(profileName, profile, async (model) => {
+      const result = await this.provider.complete(model, providerRequest);
+      const text = responseText(result.response);
+      const toolCalls = result.toolCalls ?? [];
+      const generated = toolCalls.length > 0 ? text + JSON.stringify(toolCalls) : text;
+      const usage = await this.record(profileName, model, providerRequest, generated, result.usage);
+      return { response: result.response, text, toolCalls, model, usage };
+    });
+  }
+
+  /**
+   * Start a streamed reply; yields tokens. Falls back only if the stream can't be started.
+   */
+  async stream(profileName: ProfileName, request: LLMRequest): Promise<AsyncGenerator<string>> {
+    const profile = this.profiles[profileName];
+    const providerRequest = this.providerRequest(profile, request);
+
+    return this.withFallback(profileName, profile, async (model) => {
+      const upstream = await this.provider.stream(model, providerRequest);
+      const record = (text: string) => this.record(profileName, model, providerRequest, text);
+
+      return (async function* () {
+        let text = '';
+        try {
+          for await (const token of readAIStream(upstream)) {
+            text += token;
+            yield token;
+          }
+        } finally {
+          // Counted even when the reader stops early: those tokens were generated
+          await record(text);
+        }
+      })();
+    });
+  }
+
+  private providerRequest(profile: ModelProfile, request: LLMRequest): ProviderRequest {
+    return {
+      messages: request.messages,
+      maxTokens: request.maxTokens ?? profile.maxTokens,
+      temperature: profile.temperature,
+      jsonSchema: request.jsonSchema,
+      tools: request.tools,
+    };
+  }
+
+  private async withFallback<T>(profileName: ProfileName, profile: ModelProfile, call: (model: string) => Promise<T>): Promise<T> {
+    const models = [profile.model, profile.fallbackModel].filter((m, i, all): m is string => Boolean(m) && all.indexOf(m) === i);
+    let lastError: unknown;
+
+    for (const model of models) {
+      try {
+        return await withTimeout(call(model), profile.timeoutMs, `${model} timed out after ${profile.timeoutMs}ms`);
+      } catch (error) {
+        lastError = error;
+        console.error(`LLM ${profileName} call to ${model} failed:`, error);
+      }
+    }
+    throw lastError;
+  }
+
+  private async record(
+    profile: ProfileName,
+    model: string,
+    request: ProviderRequest,
+    text: string,
+    reported?: ProviderResponse['usage']
+  ): Promise<UsageRecord> {
+    const usage: UsageRecord = {
+      profile,
+      model,
+      promptTokens: reported?.promptTokens ?? estimateTokens(request.messages.map((m) => m.content).join('\n')),
+      completionTokens: reported?.completionTokens ?? estimateTokens(text),
+      estimated: !reported,
+    };
+
+    this.usage.calls++;
+    this.usage.promptTokens += usage.promptTokens;
+    this.usage.completionTokens += usage.completionTokens;
+    await this.options.onUsage?.(usage);
+    return usage;
+  }
+}
+
+export class WorkersAIProvider implements LLMProvider {
+  readonly name = 'workers-ai';
+
+  constructor(private ai: any) {}
+
+  async complete(model: string, request: ProviderRequest): Promise<ProviderResponse> {
+    const result = await this.ai.run(model, this.options(model, request));
+    const usage = result?.usage;
+    return {
+      response: result?.response,
+      toolCalls: parseToolCalls(result?.tool_calls),
+      usage: usage && Number.isFinite(usage.prompt_tokens)
+        ? { promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens ?? 0 }
+        : undefined,
+    };
+  }
+
+  async stream(model: string, request: ProviderRequest): Promise<ReadableStream<Uint8Array>> {
+    return this.ai.run(model, { ...this.options(model, request), stream: true });
+  }
+
+  private options(model: string, request: ProviderRequest) {
+    return {
+      messages: request.messages,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      ...(request.jsonSchema && JSON_MODE_MODELS.has(model)
+        ? { response_format: { type: 'json_schema', json_schema: request.jsonSchema } }
+        : {}),
+      ...(request.tools?.length ? { tools: request.tools } : {}),
+    };
+  }
+}
+
+// A scripted reply: a fixed value, or worked out from the request (throw to simulate a failure).
+// `{ toolCalls: [...] }` (optionally with `response`) plays back tool calls.
+export type FakeReply = unknown | ((request: ProviderRequest, model: string) => unknown);
+
+/**
+ * Deterministic stand-in for Workers AI. Plays back queued replies in order;
+ * once they run out it echoes the last user message, or for JSON requests
+ * returns the simplest value that fits the schema.
+ */
+export class FakeProvider implements LLMProvider {
+  readonly name = 'fake';
+  readonly calls: Array<{ model: string; request: ProviderRequest }> = [];
+  private queue: FakeReply[];
+
+  constructor(replies: FakeReply[] = []) {
+    this.queue = [...replies];
+  }
+
+  async complete(model: string, request: ProviderRequest): Promise<ProviderResponse> {
+    this.record(model, request);
+    const reply: any = await this.next(model, request);
+    if (reply && typeof reply === 'object' && Array.isArray(reply.toolCalls)) {
+      return { response: reply.response ?? '', toolCalls: reply.toolCalls };
+    }
+    return { response: reply };
+  }
+
+  async stream(model: string, request: ProviderRequest): Promise<ReadableStream<Uint8Array>> {
+    this.record(model, request);
+    const text = responseText(await this.next(model, request));
+    const tokens = text.match(/\S+\s*|\s+/g) ?? [];
+    const encoder = new TextEncoder();
+
+    return new ReadableStream<Uint8Array>({
+      start(controller) {
+        for (const token of tokens) {
+          controller.enqueue(encoder.encode(`data: ${JSON.stringify({ response: token })}\n\n`));
+        }
+        controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+        controller.close();
+      },
+    });
+  }
+
+  // Copy the messages: callers such as generateStructured keep appending to theirs
+  private record(model: string, request: ProviderRequest) {
+    this.calls.push({ model, request: { ...request, messages: [...request.messages] } });
+  }
+
+  private async next(model: string, request: ProviderRequest): Promise<unknown> {
+    if (this.queue.length > 0) {
+      const reply = this.queue.shift();
+      return typeof reply === 'function' ? reply(request, model) : reply;
+    }
+    if (request.jsonSchema) return sampleFromSchema(request.jsonSchema);
+    const lastUser = [...request.messages].reverse().find((m) => m.role === 'user');
+    return `Fake reply: ${(lastUser?.content ?? '').slice(0, 80)}`;
+  }
+}
+
+/**
+ * The simplest value matching a schema (first enum option, minimum counts)
+ */
+export function sampleFromSchema(schema: JsonSchema, path = 'value'): unknown {
+  switch (schema.type) {
+    case 'string':
+      return schema.enum?.[0] ?? `Sample ${path}`;
+    case 'number':
+    case 'integer':
+      return schema.minimum ?? 0;
+    case 'boolean':
+      return false;
+    case 'array':
+      return Array.from({ length: Math.max(schema.minItems ?? 1, 1) }, (_, i) => sampleFromSchema(schema.items, `${path} ${i + 1}`));
+    case 'object':
+      return Object.fromEntries(Object.entries(schema.properties).map(([key, property]) => [key, sampleFromSchema(property, key)]));
+  }
+}
+
+/**
+ * The client for this deployment: LLM_PROVIDER=fake swaps Workers AI for FakeProvider
+ */
+export function createLLM(env: any, options: LLMClientOptions = {}): LLMClient {
+  const provider = env?.LLM_PROVIDER === 'fake' ? new FakeProvider() : new WorkersAIProvider(env?.AI);
+  return new LLMClient(provider, resolveProfiles(env ?? {}), options);
+}
@@ -0,0 +1,10 @@
+// Non-code modules bundled by the "rules" in wrangler.jsonc
+declare module '*.css' {
+  const text: string;
+  export default text;
+}
+
+declare module '*.woff2' {
+  const data: ArrayBuffer;
+  export default data;
+}
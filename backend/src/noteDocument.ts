@@ -0,0 +1,493 @@
+/**
+ * NoteDocument Durable Object
+ * The live copy of one note. Editors connect over WebSocket and send text
+ * operations; concurrent operations are merged with OT (./ot), broadcast to
+ * everyone else along with cursor positions, and the merged text is flushed
+ * to D1 every few seconds. A connection's access is checked again before each
+ * edit, and the Worker reports share changes so sockets whose access was
+ * revoked or changed are closed.
+ */
+
+import { OTError, TextOperation, apply, isNoop, operationFromDiff, parseOperation, transform, transformIndex } from './ot';
+import { indexNoteStatements } from './search';
+import { linkImagesStatements } from './attachments';
+import { recordRevision } from './revisions';
+import { canEdit, getNoteRole } from './sharing';
+import { indexNoteEmbeddings } from './retrieval';
+
+interface Env {
+  DB: D1Database;
+  AI: any;
+  VECTORIZE?: VectorizeIndex;
+}
+
+interface Selection {
+  anchor: number;
+  head: number;
+}
+
+interface Session {
+  clientId: string;
+  // Stable across a client's reconnects; used to tell it which of its edits landed
+  clientKey: string;
+  userId: string;
+  email: string;
+  color: string;
+  readOnly: boolean;
+  selection: Selection | null;
+}
+
+// Client -> server messages
+type ClientMessage =
+  | { type: 'op'; revision: number; op: unknown; seq: number; selection?: Selection | null }
+  | { type: 'selection'; selection: Selection | null };
+
+// Merged text is written to D1 this long after the first unsaved edit
+const FLUSH_INTERVAL_MS = 2000;
+// Operations kept for transforming late edits; a client further behind than this resyncs
+const MAX_HISTORY = 1000;
+// Same ceiling as a note saved through the REST API would practically hit in D1
+const MAX_DOCUMENT_LENGTH = 1_000_000;
+
+const PRESENCE_COLORS = ['#2563eb', '#db2777', '#16a34a', '#ea580c', '#7c3aed', '#0891b2', '#ca8a04'];
+
+export class NoteDocument {
+  private state: DurableObjectState;
+  private env: Env;
+  private sessions = new Map<WebSocket, Session>();
+
+  private noteId: string | null = null;
+  private loaded = false;
+  private content = '';
+  // OT revision: the number of operations applied since the document was loaded
+  private revision = 0;
+  private history: TextOperation[] = [];
+  // Revision that history[0] applies to
+  private historyStart = 0;
+
+  // What D1 holds: its version, its content, and the revision that content matches
+  private version = 0;
+  private savedContent = '';
+  private savedRevision = 0;
+  private flushing: Promise<void> | null = null;
+  private alarmScheduled = false;
+  private colorIndex = 0;
+  // Highest op sequence number applied per client key
+  private appliedSeq = new Map<string, number>();
+
+  constructor(state: DurableObjectState, env: Env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  async fetch(request: Request): Promise<Response> {
+    const url = new URL(request.url);
+
+    try {
+      if (url.pathname === '/connect') {
+        return await this.handleConnect(request);
+      } else if (url.pathname === '/sync' && request.method === 'POST') {
+        return await this.handleSync(request);
+      } else if (url.pathname === '/access' && request.method === 'POST') {
+        return await this.handleAccess(request);
+      }
+
+      return new Response('Not found', { status: 404 });
+    } catch (error: any) {
+      console.error('NoteDocument error:', error);
+      return new Response(JSON.stringify({ error: error.message }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+  }
+
+  /**
+   * Accept a WebSocket from the Worker, which has already checked the caller's access
+   */
+  private async handleConnect(request: Request): Promise<Response> {
+    if (request.headers.get('Upgrade') !== 'websocket') {
+      return new Response('Expected a WebSocket upgrade', { status: 426 });
+    }
+
+    const noteId = request.headers.get('X-Note-Id') || '';
+    await this.ensureLoaded(noteId);
+    if (!this.loaded) {
+      return new Response('Note not found', { status: 404 });
+    }
+
+    const pair = new WebSocketPair();
+    const [client, server] = Object.values(pair);
+    server.accept();
+
+    const session: Session = {
+      clientId: crypto.randomUUID(),
+      clientKey: request.headers.get('X-Client-Key') || crypto.randomUUID(),
+      userId: request.headers.get('X-User-Id') || '',
+      email: request.headers.get('X-User-Email') || '',
+      color: PRESENCE_COLORS[this.colorIndex++ % PRESENCE_COLORS.length],
+      readOnly: request.headers.get('X-Note-Role') === 'viewer',
+      selection: null,
+    };
+    this.sessions.set(server, session);
+
+    server.addEventListener('message', event => {
+      this.handleMessage(server, event.data).catch(err => {
+        console.error('NoteDocument message error:', err);
+        this.send(server, { type: 'error', message: 'Failed to apply edit' });
+      });
+    });
+    server.addEventListener('close', () => this.handleClose(server));
+    server.addEventListener('error', () => this.handleClose(server));
+
+    this.send(server, {
+      type: 'init',
+      clientId: session.clientId,
+      content: this.content,
+      revision: this.revision,
+      version: this.version,
+      appliedSeq: this.appliedSeq.get(session.clientKey) ?? 0,
+      readOnly: session.readOnly,
+      peers: [...this.sessions.values()].filter(s => s !== session).map(publicPeer),
+    });
+    this.broadcast({ type: 'presence', peer: publicPeer(session) }, server);
+
+    return new Response(null, { status: 101, webSocket: client });
+  }
+
+  /**
+   * The note was changed through the REST API (save, restore or delete).
+   * Fold that change into the live text, or forget the cached copy if nobody is connected.
+   */
+  private async handleSync(request: Request): Promise<Response> {
+    const { noteId } = (await request.json()) as { noteId: string };
+
+    if (this.sessions.size === 0) {
+      if (!this.flushing && this.savedRevision === this.revision) {
+        this.loaded = false;
+      }
+    } else if (this.noteId === noteId) {
+      await this.pullExternalChanges();
+    }
+
+    return new Response(JSON.stringify({ success: true }), {
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  /**
+   * A user's share on the note was changed or revoked. Their sockets are
+   * closed: revoked ones for good, the rest to reconnect with the new role.
+   */
+  private async handleAccess(request: Request): Promise<Response> {
+    const { noteId, userId } = (await request.json()) as { noteId: string; userId: string };
+
+    if (this.noteId === noteId) {
+      const role = await getNoteRole(this.env.DB, userId, noteId);
+      for (const [ws, session] of [...this.sessions]) {
+        if (session.userId !== userId) continue;
+        if (!role) {
+          await this.disconnect(ws, 4403, 'Access revoked');
+        } else if (session.readOnly === canEdit(role)) {
+          await this.disconnect(ws, 4000, 'resync');
+        }
+      }
+    }
+
+    return new Response(JSON.stringify({ success: true }), {
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  private async handleMessage(ws: WebSocket, data: string | ArrayBuffer): Promise<void> {
+    const session = this.sessions.get(ws);
+    if (!session || typeof data !== 'string') return;
+
+    let message: ClientMessage;
+    try {
+      message = JSON.parse(data);
+    } catch {
+      return;
+    }
+
+    if (message.type === 'selection') {
+      session.selection = validSelection(message.selection, this.content.length);
+      this.broadcast({ type: 'presence', peer: publicPeer(session) }, ws);
+      return;
+    }
+
+    if (message.type !== 'op') return;
+
+    if (session.readOnly) {
+      this.send(ws, { type: 'error', message: 'You have view-only access to this note' });
+      return;
+    }
+
+    // Shares can change while the socket is open
+    const role = await getNoteRole(this.env.DB, session.userId, this.noteId || '');
+    if (!this.sessions.has(ws)) return;
+    if (!role) {
+      await this.disconnect(ws, 4403, 'Access revoked');
+      return;
+    }
+    if (!canEdit(role)) {
+      await this.disconnect(ws, 4000, 'resync');
+      return;
+    }
+
+    const op = parseOperation(message.op);
+    const revision = message.revision;
+    if (!op || !Number.isInteger(revision) || revision > this.revision || revision < this.historyStart) {
+      // Too far behind (or nonsense): the client reconnects and merges from a fresh snapshot
+      ws.close(4000, 'resync');
+      return;
+    }
+
+    // Rebase the edit over everything the client hadn't seen yet
+    let rebased = op;
+    let content: string;
+    try {
+      for (const concurrent of this.history.slice(revision - this.historyStart)) {
+        rebased = transform(rebased, concurrent)[0];
+      }
+      content = apply(this.content, rebased);
+    } catch (err) {
+      if (!(err instanceof OTError)) throw err;
+      ws.close(4000, 'resync');
+      return;
+    }
+
+    if (content.length > MAX_DOCUMENT_LENGTH) {
+      this.send(ws, { type: 'error', message: 'Note is too large' });
+      ws.close(4000, 'resync');
+      return;
+    }
+
+    this.commit(rebased, content, session);
+    if (Number.isInteger(message.seq)) this.appliedSeq.set(session.clientKey, message.seq);
+    session.selection = validSelection(message.selection, this.content.length);
+
+    this.send(ws, { type: 'ack', revision: this.revision });
+    this.broadcast(
+      { type: 'op', op: rebased, revision: this.revision, clientId: session.clientId, selection: session.selection },
+      ws
+    );
+
+    await this.scheduleFlush();
+  }
+
+  /**
+   * Close a socket from this side; reconnecting with code 4000 picks up the current role
+   */
+  private async disconnect(ws: WebSocket, code: number, reason: string): Promise<void> {
+    try {
+      ws.close(code, reason);
+    } catch {
+      // Already closed
+    }
+    await this.handleClose(ws);
+  }
+
+  private async handleClose(ws: WebSocket): Promise<void> {
+    const session = this.sessions.get(ws);
+    if (!session) return;
+
+    this.sessions.delete(ws);
+    this.broadcast({ type: 'leave', clientId: session.clientId });
+
+    // Last editor gone: save now rather than waiting for the alarm
+    if (this.sessions.size === 0) {
+      await this.flush().catch(err => console.error('NoteDocument flush error:', err));
+    }
+  }
+
+  /**
+   * Apply an already-rebased operation and move everyone else's cursors along with it
+   */
+  private commit(op: TextOperation, content: string, author: Session | null): void {
+    this.content = content;
+    this.history.push(op);
+    this.revision++;
+
+    if (this.history.length > MAX_HISTORY) {
+      const dropped = this.history.length - MAX_HISTORY;
+      this.history.splice(0, dropped);
+      this.historyStart += dropped;
+    }
+
+    for (const session of this.sessions.values()) {
+      if (session === author || !session.selection) continue;
+      session.selection = {
+        anchor: transformIndex(session.selection.anchor, op),
+        head: transformIndex(session.selection.head, op),
+      };
+    }
+  }
+
+  private async ensureLoaded(noteId: string): Promise<void> {
+    if (this.loaded && this.noteId === noteId) return;
+
+    const note = await this.env.DB.prepare('SELECT content, version FROM notes WHERE id = ? AND deleted_at IS NULL')
+      .bind(noteId)
+      .first<{ content: string; version: number }>();
+    if (!note) return;
+
+    this.noteId = noteId;
+    this.content = note.content;
+    this.revision = 0;
+    this.history = [];
+    this.historyStart = 0;
+    this.appliedSeq.clear();
+    this.version = note.version;
+    this.savedContent = note.content;
+    this.savedRevision = 0;
+    this.loaded = true;
+  }
+
+  /**
+   * Merge a write made outside this object (REST save or restore) into the live text.
+   * Returns false if the note no longer exists or is in the trash.
+   */
+  private async pullExternalChanges(): Promise<boolean> {
+    const note = await this.env.DB.prepare('SELECT content, version FROM notes WHERE id = ? AND deleted_at IS NULL')
+      .bind(this.noteId)
+      .first<{ content: string; version: number }>();
+
+    if (!note) {
+      for (const ws of this.sessions.keys()) ws.close(4404, 'Note deleted');
+      this.sessions.clear();
+      this.loaded = false;
+      return false;
+    }
+
+    if (note.version === this.version) return true;
+
+    if (note.content !== this.savedContent && this.savedRevision >= this.historyStart) {
+      // The external edit is relative to what we last saved; rebase it over the live edits since then
+      let external = operationFromDiff(this.savedContent, note.content);
+      for (const concurrent of this.history.slice(this.savedRevision - this.historyStart)) {
+        external = transform(external, concurrent)[0];
+      }
+
+      if (!isNoop(external)) {
+        const content = apply(this.content, external);
+        this.commit(external, content, null);
+        this.broadcast({ type: 'op', op: external, revision: this.revision, clientId: null });
+      }
+    } else if (note.content !== this.savedContent) {
+      console.warn('NoteDocument: live history too short to merge an external edit; keeping live text');
+    }
+
+    this.version = note.version;
+    this.savedContent = note.content;
+    // Only when nothing live is pending does D1 match the current revision
+    this.savedRevision = this.content === note.content ? this.revision : -1;
+    if (this.savedRevision !== this.revision) await this.scheduleFlush();
+    return true;
+  }
+
+  private async scheduleFlush(): Promise<void> {
+    if (this.alarmScheduled) return;
+    this.alarmScheduled = true;
+    await this.state.storage.setAlarm(Date.now() + FLUSH_INTERVAL_MS);
+  }
+
+  /**
+   * Write the merged text to D1, guarded by the note version so REST writes aren't lost
+   */
+  private flush(): Promise<void> {
+    if (!this.flushing) {
+      this.flushing = this.writeToDatabase().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  private async writeToDatabase(attempt = 0): Promise<void> {
+    if (!this.loaded || !this.noteId || this.savedRevision === this.revision) return;
+
+    const noteId = this.noteId;
+    const content = this.content;
+    const revision = this.revision;
+
+    const [update] = await this.env.DB.batch([
+      this.env.DB.prepare('UPDATE notes SET content = ?, updated_at = ?, version = version + 1 WHERE id = ? AND version = ? AND deleted_at IS NULL')
+        .bind(content, new Date().toISOString(), noteId, this.version),
+      ...indexNoteStatements(this.env.DB, noteId),
+      ...linkImagesStatements(this.env.DB, noteId, content),
+    ]);
+
+    if (update.meta.changes === 0) {
+      // Someone saved through the API since our last write: merge it, then try again
+      if (attempt >= 3 || !(await this.pullExternalChanges())) return;
+      return this.writeToDatabase(attempt + 1);
+    }
+
+    this.version++;
+    this.savedContent = content;
+    this.savedRevision = revision;
+    this.broadcast({ type: 'saved', version: this.version });
+
+    const note = await this.env.DB.prepare('SELECT id, title, content, owner_id FROM notes WHERE id = ?')
+      .bind(noteId)
+      .first<{ id: string; title: string; content: string; owner_id: string | null }>();
+    if (!note) return;
+
+    await recordRevision(this.env.DB, note);
+    await indexNoteEmbeddings(this.env, note).catch(err => console.error('indexNoteEmbeddings error:', err));
+  }
+
+  /**
+   * Alarm handler: periodic flush while people are typing
+   */
+  async alarm(): Promise<void> {
+    this.alarmScheduled = false;
+    try {
+      await this.flush();
+    } catch (err) {
+      console.error('NoteDocument flush error:', err);
+    }
+
+    if (this.loaded && this.savedRevision !== this.revision) {
+      await this.scheduleFlush();
+    }
+  }
+
+  private send(ws: WebSocket, message: unknown): void {
+    try {
+      ws.send(JSON.stringify(message));
+    } catch {
+      // Socket already closed; its close handler cleans up
+    }
+  }
+
+  private broadcast(message: unknown, except?: WebSocket): void {
+    const data = JSON.stringify(message);
+    for (const ws of this.sessions.keys()) {
+      if (ws === except) continue;
+      try {
+        ws.send(data);
+      } catch {
+        // Socket already closed; its close handler cleans up
+      }
+    }
+  }
+}
+
+function publicPeer(session: Session) {
+  return {
+    clientId: session.clientId,
+    email: session.email,
+    color: session.color,
+    selection: session.selection,
+  };
+}
+
+function validSelection(selection: unknown, length: number): Selection | null {
+  if (!selection || typeof selection !== 'object') return null;
+  const { anchor, head } = selection as Selection;
+  if (!Number.isInteger(anchor) || !Number.isInteger(head)) return null;
+  const clamp = (n: number) => Math.max(0, Math.min(length, n));
+  return { anchor: clamp(anchor), head: clamp(head) };
+}
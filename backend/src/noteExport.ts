@@ -0,0 +1,295 @@
+/**
+ * Note Export
+ * Renders a note to a standalone HTML document: Markdown with KaTeX math,
+ * highlighted code, a table of contents and the note's own images embedded
+ * as data URIs, as are KaTeX's stylesheet and fonts when the note has math.
+ * The PDF is that document printed by a headless browser (Browser
+ * Rendering), paginated with a header and page-numbered footer.
+ */
+
+import puppeteer from '@cloudflare/puppeteer';
+import hljs from 'highlight.js/lib/common';
+import katex from 'katex';
+import { Marked, Token, Tokens, TokenizerAndRendererExtension } from 'marked';
+import { KATEX_CSS, KATEX_FONTS } from './katexStyles';
+
+export type ExportFormat = 'html' | 'pdf';
+
+export const EXPORT_FORMATS: ExportFormat[] = ['html', 'pdf'];
+
+// Headings deeper than this are left out of the table of contents
+const TOC_DEPTH = 3;
+
+// Link and image URLs kept in the export; others (javascript: and the like) are dropped
+const SAFE_URL = /^(?:https?:|mailto:|#|data:image\/)/i;
+
+export interface ExportNote {
+  title: string;
+  content: string;
+  updated_at?: string;
+}
+
+export interface TocEntry {
+  depth: number;
+  text: string;
+  id: string;
+}
+
+/**
+ * Returns a data URI for an image in the note, or null to leave its URL as it is
+ */
+export type ImageLoader = (src: string) => Promise<string | null>;
+
+export function escapeHtml(text: string): string {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+function renderMath(tex: string, displayMode: boolean): string {
+  return katex.renderToString(tex, { displayMode, throwOnError: false });
+}
+
+// $$...$$ on its own lines, $...$ inline, and \newpage (or \pagebreak) to force a page break
+const extensions: TokenizerAndRendererExtension[] = [
+  {
+    name: 'blockMath',
+    level: 'block',
+    start: (src) => src.match(/^\$\$/m)?.index,
+    tokenizer(src) {
+      const match = /^\$\$\s*([\s\S]+?)\s*\$\$[^\S\n]*(?:\n|$)/.exec(src);
+      if (match) return { type: 'blockMath', raw: match[0], text: match[1] };
+    },
+    renderer: (token) => `${renderMath(token.text, true)}\n`,
+  },
+  {
+    name: 'pageBreak',
+    level: 'block',
+    start: (src) => src.match(/^\\(?:newpage|pagebreak)/m)?.index,
+    tokenizer(src) {
+      const match = /^\\(?:newpage|pagebreak)[^\S\n]*(?:\n+|$)/.exec(src);
+      if (match) return { type: 'pageBreak', raw: match[0] };
+    },
+    renderer: () => '<div class="page-break"></div>\n',
+  },
+  {
+    name: 'inlineMath',
+    level: 'inline',
+    start: (src) => src.indexOf('$'),
+    tokenizer(src) {
+      const match = /^\$\$([^$]+?)\$\$/.exec(src) || /^\$(?!\s)((?:\\.|[^\\$\n])+?)(?<!\s)\$(?!\d)/.exec(src);
+      if (match) return { type: 'inlineMath', raw: match[0], text: match[1], displayMode: match[0].startsWith('$$') };
+    },
+    renderer: (token) => renderMath(token.text, token.displayMode),
+  },
+];
+
+function slugify(text: string): string {
+  return (
+    text
+      .toLowerCase()
+      .replace(/<[^>]+>/g, '')
+      .replace(/[^\p{L}\p{N}\s-]/gu, '')
+      .trim()
+      .replace(/\s+/g, '-') || 'section'
+  );
+}
+
+/**
+ * Render note Markdown to HTML, collecting its headings for the table of contents
+ */
+export async function renderMarkdown(markdown: string, loadImage?: ImageLoader): Promise<{ html: string; toc: TocEntry[] }> {
+  const toc: TocEntry[] = [];
+  const used = new Map<string, number>();
+
+  const marked = new Marked({ gfm: true });
+  marked.use({
+    extensions,
+    renderer: {
+      heading({ tokens, depth, text }) {
+        let id = slugify(text);
+        const seen = used.get(id) || 0;
+        used.set(id, seen + 1);
+        if (seen) id = `${id}-${seen}`;
+        if (depth <= TOC_DEPTH) toc.push({ depth, text: this.parser.parseInline(tokens, this.parser.textRenderer), id });
+        return `<h${depth} id="${id}">${this.parser.parseInline(tokens)}</h${depth}>\n`;
+      },
+      code({ text, lang }) {
+        const language = (lang || '').match(/^\S*/)?.[0] || '';
+        const highlighted = language && hljs.getLanguage(language) ? hljs.highlight(text, { language }).value : escapeHtml(text);
+        return `<pre><code class="hljs${language ? ` language-${escapeHtml(language)}` : ''}">${highlighted}</code></pre>\n`;
+      },
+      // The editor preview doesn't render raw HTML either
+      html({ text }) {
+        return escapeHtml(text);
+      },
+      // Nor keep unsafe URLs: a link becomes its text, an image its alt text
+      link({ href, tokens }) {
+        return SAFE_URL.test(href) ? false : this.parser.parseInline(tokens);
+      },
+      image({ href, text }) {
+        return SAFE_URL.test(href) ? false : escapeHtml(text);
+      },
+    },
+  });
+
+  const tokens = marked.lexer(markdown);
+  if (loadImage) await embedImages(marked, tokens, loadImage);
+  return { html: marked.parser(tokens), toc };
+}
+
+async function embedImages(marked: Marked, tokens: Token[], loadImage: ImageLoader): Promise<void> {
+  const images: Tokens.Image[] = [];
+  marked.walkTokens(tokens, (token) => {
+    if (token.type === 'image') images.push(token as Tokens.Image);
+  });
+
+  const cache = new Map<string, Promise<string | null>>();
+  await Promise.all(
+    images.map(async (image) => {
+      if (!cache.has(image.href)) cache.set(image.href, loadImage(image.href).catch(() => null));
+      const dataUri = await cache.get(image.href);
+      if (dataUri) image.href = dataUri;
+    })
+  );
+}
+
+function tocHtml(toc: TocEntry[]): string {
+  const top = Math.min(...toc.map((entry) => entry.depth));
+  const items = toc
+    .map((entry) => `<li class="toc-level-${entry.depth - top}"><a href="#${entry.id}">${escapeHtml(entry.text)}</a></li>`)
+    .join('\n');
+  return `<nav class="toc">\n<h2>Contents</h2>\n<ol>\n${items}\n</ol>\n</nav>\n`;
+}
+
+const STYLES = `
+@page { size: A4; margin: 22mm 18mm; }
+body { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; font-size: 11pt; line-height: 1.6; color: #1e293b; max-width: 46rem; margin: 2rem auto; padding: 0 1.5rem; }
+@media print { body { max-width: none; margin: 0; padding: 0; } }
+h1, h2, h3, h4 { line-height: 1.25; break-after: avoid; }
+h1.title { font-size: 2em; margin-bottom: 0.25rem; }
+.updated { color: #64748b; font-size: 0.85em; margin-bottom: 2rem; }
+.toc { break-after: page; }
+.toc ol { list-style: none; padding-left: 0; }
+.toc li { margin: 0.2rem 0; }
+.toc .toc-level-1 { padding-left: 1.25rem; }
+.toc .toc-level-2 { padding-left: 2.5rem; }
+.toc a { color: inherit; text-decoration: none; }
+.page-break { break-after: page; }
+pre, table, img, blockquote, .katex-display { break-inside: avoid; }
+pre { background: #f6f8fa; border-radius: 6px; padding: 0.75rem 1rem; overflow-x: auto; font-size: 0.85em; white-space: pre-wrap; }
+code { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; }
+:not(pre) > code { background: #f1f5f9; border-radius: 4px; padding: 0.1em 0.3em; font-size: 0.9em; }
+table { border-collapse: collapse; margin: 1rem 0; }
+th, td { border: 1px solid #cbd5e1; padding: 0.35rem 0.6rem; }
+th { background: #f8fafc; }
+blockquote { margin: 1rem 0; padding: 0 1rem; border-left: 4px solid #cbd5e1; color: #475569; }
+img { max-width: 100%; }
+a { color: #2563eb; }
+.hljs-comment, .hljs-quote { color: #6a737d; font-style: italic; }
+.hljs-keyword, .hljs-selector-tag, .hljs-type { color: #d73a49; }
+.hljs-string, .hljs-regexp, .hljs-addition { color: #032f62; }
+.hljs-number, .hljs-literal, .hljs-variable, .hljs-attr, .hljs-attribute { color: #005cc5; }
+.hljs-title, .hljs-section, .hljs-built_in { color: #6f42c1; }
+.hljs-name, .hljs-tag, .hljs-deletion { color: #22863a; }
+.hljs-meta { color: #735c0f; }
+`;
+
+/**
+ * The whole note as a standalone HTML document
+ */
+export async function renderNoteDocument(note: ExportNote, loadImage?: ImageLoader): Promise<string> {
+  const { html, toc } = await renderMarkdown(note.content || '', loadImage);
+  const title = escapeHtml(note.title || 'Untitled');
+  const updated = note.updated_at ? `<div class="updated">Last updated ${escapeHtml(note.updated_at.slice(0, 10))}</div>\n` : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title}</title>
+${html.includes('class="katex') ? `<style>${katexStylesheet()}</style>\n` : ''}<style>${STYLES}</style>
+</head>
+<body>
+<h1 class="title">${title}</h1>
+${updated}${toc.length > 1 ? tocHtml(toc) : ''}<main>
+${html}</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Print a rendered document to an A4 PDF with the note title in the header and
+ * page numbers in the footer
+ */
+export async function renderPdf(browserBinding: Fetcher, html: string, title: string): Promise<ArrayBuffer> {
+  const browser = await puppeteer.launch(browserBinding);
+  try {
+    const page = await browser.newPage();
+    // Waits for images hosted elsewhere, which keep their URL
+    await page.setContent(html, { waitUntil: 'networkidle0' });
+    const pdf = await page.pdf({
+      format: 'A4',
+      printBackground: true,
+      displayHeaderFooter: true,
+      headerTemplate: `<div style="font-size: 8px; color: #94a3b8; width: 100%; padding: 0 18mm;">${escapeHtml(title)}</div>`,
+      footerTemplate:
+        '<div style="font-size: 8px; color: #94a3b8; width: 100%; padding: 0 18mm; text-align: right;"><span class="pageNumber"></span> / <span class="totalPages"></span></div>',
+      margin: { top: '22mm', bottom: '22mm', left: '18mm', right: '18mm' },
+    });
+    return pdf.buffer.slice(pdf.byteOffset, pdf.byteOffset + pdf.byteLength) as ArrayBuffer;
+  } finally {
+    await browser.close();
+  }
+}
+
+/**
+ * Loads images uploaded to R2 (`/api/images/<key>` URLs) that `canRead`
+ * allows; images hosted elsewhere keep their URL
+ */
+export function r2ImageLoader(bucket: R2Bucket, canRead: (key: string, sig: string | null) => Promise<boolean>): ImageLoader {
+  return async (src) => {
+    const match = src.match(/\/api\/images\/([^?#]+)(?:\?([^#]*))?/);
+    if (!match) return null;
+    const key = decodeURIComponent(match[1]);
+    const sig = new URLSearchParams(match[2] || '').get('sig');
+    if (!(await canRead(key, sig))) return null;
+
+    const object = await bucket.get(key);
+    if (!object) return null;
+    const type = object.httpMetadata?.contentType || 'application/octet-stream';
+    return `data:${type};base64,${toBase64(new Uint8Array(await object.arrayBuffer()))}`;
+  };
+}
+
+let katexStyles: string | null = null;
+
+/**
+ * KaTeX's stylesheet with each font's sources replaced by its woff2 as a data URI
+ */
+export function katexStylesheet(): string {
+  katexStyles ??= KATEX_CSS.replace(/src:url\(fonts\/([\w-]+)\.woff2\)[^;}]*/g, (rule, font: string) =>
+    font in KATEX_FONTS ? `src:url(data:font/woff2;base64,${toBase64(new Uint8Array(KATEX_FONTS[font]))}) format("woff2")` : rule
+  );
+  return katexStyles;
+}
+
+function toBase64(bytes: Uint8Array): string {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * File name for the download, from the note title
+ */
+export function exportFilename(title: string, format: ExportFormat): string {
+  const base = title
+    .replace(/[^\p{L}\p{N} _-]/gu, '')
+    .trim()
+    .replace(/\s+/g, '-')
+    .slice(0, 80);
+  return `${base || 'note'}.${format}`;
+}
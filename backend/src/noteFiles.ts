@@ -0,0 +1,292 @@
+/**
+ * Note Files
+ * PDFs and slide decks attached to a note. The file lives in R2; its text is
+ * extracted on upload, one row per page (or slide), and indexed with FTS5 so
+ * chat can pull in the pages relevant to a question and the study workflows
+ * can read the whole thing, both citing pages by number.
+ */
+
+import { unzipSync } from 'fflate';
+import { extractText, getDocumentProxy } from 'unpdf';
+
+export type NoteFileKind = 'pdf' | 'pptx';
+
+const PPTX_TYPE = 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+
+export const FILE_TYPES: Record<string, NoteFileKind> = {
+  'application/pdf': 'pdf',
+  [PPTX_TYPE]: 'pptx',
+};
+
+export const MAX_FILE_BYTES = 25 * 1024 * 1024;
+
+// Pages past this are stored in R2 but not extracted
+export const MAX_FILE_PAGES = 300;
+
+// Text kept per page; longer pages (dense appendices) are cut
+const MAX_PAGE_CHARS = 8000;
+
+// NoteFile text appended to a note for the summary and question workflows
+export const MAX_WORKFLOW_FILE_CHARS = 60000;
+
+export interface NoteFile {
+  id: string;
+  note_id: string;
+  owner_id: string;
+  filename: string;
+  content_type: string;
+  size: number;
+  r2_key: string;
+  page_count: number;
+  status: 'ready' | 'no_text';
+  created_at: string;
+}
+
+export interface NoteFilePage {
+  fileId: string;
+  filename: string;
+  contentType: string;
+  page: number;
+  text: string;
+}
+
+const FILE_COLUMNS = 'id, note_id, owner_id, filename, content_type, size, r2_key, page_count, status, created_at';
+
+/**
+ * What kind of document a file is. Browsers often send slide decks as
+ * application/octet-stream, so the extension decides when the type doesn't.
+ */
+export function noteFileKind(contentType: string, filename: string): NoteFileKind | null {
+  const byType = FILE_TYPES[contentType.split(';')[0].trim().toLowerCase()];
+  if (byType) return byType;
+  const ext = filename.toLowerCase().match(/\.([a-z0-9]+)$/)?.[1];
+  return ext === 'pdf' || ext === 'pptx' ? ext : null;
+}
+
+export function contentTypeFor(kind: NoteFileKind): string {
+  return kind === 'pdf' ? 'application/pdf' : PPTX_TYPE;
+}
+
+/**
+ * "page 3" or "slide 3"
+ */
+export function pageLabel(contentType: string, page: number): string {
+  return `${contentType === PPTX_TYPE ? 'slide' : 'page'} ${page}`;
+}
+
+/**
+ * Text of each page (PDF) or slide (PPTX), in order
+ */
+export async function extractPages(kind: NoteFileKind, data: Uint8Array): Promise<string[]> {
+  const pages = kind === 'pdf' ? await pdfPages(data) : slideTexts(data);
+  return pages.slice(0, MAX_FILE_PAGES).map((text) => cleanPageText(text).slice(0, MAX_PAGE_CHARS));
+}
+
+async function pdfPages(data: Uint8Array): Promise<string[]> {
+  const pdf = await getDocumentProxy(data);
+  try {
+    const { text } = await extractText(pdf, { mergePages: false });
+    return text;
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * Slide text from a .pptx: each ppt/slides/slideN.xml in slide order, one
+ * line per paragraph. Speaker notes are left out.
+ */
+export function slideTexts(data: Uint8Array): string[] {
+  const files = unzipSync(data, { filter: (file) => /^ppt\/slides\/slide\d+\.xml$/.test(file.name) });
+  const decoder = new TextDecoder();
+
+  return Object.keys(files)
+    .sort((a, b) => slideNumber(a) - slideNumber(b))
+    .map((name) =>
+      decoder
+        .decode(files[name])
+        .split('</a:p>')
+        .map((paragraph) => [...paragraph.matchAll(/<a:t(?:\s[^>]*)?>([^<]*)<\/a:t>/g)].map((run) => decodeXml(run[1])).join(''))
+        .filter((line) => line.trim())
+        .join('\n')
+    );
+}
+
+function slideNumber(name: string): number {
+  return Number(name.match(/(\d+)\.xml$/)?.[1] || 0);
+}
+
+function decodeXml(text: string): string {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (entity, code: string) => {
+    const lower = code.toLowerCase();
+    if (lower.startsWith('#x')) return String.fromCodePoint(parseInt(lower.slice(2), 16));
+    if (lower.startsWith('#')) return String.fromCodePoint(Number(lower.slice(1)));
+    return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[lower] ?? entity;
+  });
+}
+
+function cleanPageText(text: string): string {
+  return text
+    .replace(/[^\S\n]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Statements that save an attachment with its pages and index them.
+ * Returned as statements so they commit together.
+ */
+export function insertNoteFileStatements(db: D1Database, file: NoteFile, pages: string[]): D1PreparedStatement[] {
+  return [
+    db
+      .prepare(`INSERT INTO note_files (${FILE_COLUMNS}) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+      .bind(
+        file.id,
+        file.note_id,
+        file.owner_id,
+        file.filename,
+        file.content_type,
+        file.size,
+        file.r2_key,
+        file.page_count,
+        file.status,
+        file.created_at
+      ),
+    ...pages.map((text, i) =>
+      db.prepare('INSERT INTO note_file_pages (file_id, page, text) VALUES (?, ?, ?)').bind(file.id, i + 1, text)
+    ),
+    db
+      .prepare('INSERT INTO note_file_pages_fts (rowid, text) SELECT rowid, text FROM note_file_pages WHERE file_id = ?')
+      .bind(file.id),
+  ];
+}
+
+/**
+ * Statements that remove one attachment's rows. The R2 object is the caller's to delete.
+ */
+export function deleteNoteFileStatements(db: D1Database, fileId: string): D1PreparedStatement[] {
+  return [
+    db
+      .prepare('DELETE FROM note_file_pages_fts WHERE rowid IN (SELECT rowid FROM note_file_pages WHERE file_id = ?)')
+      .bind(fileId),
+    db.prepare('DELETE FROM note_file_pages WHERE file_id = ?').bind(fileId),
+    db.prepare('DELETE FROM note_files WHERE id = ?').bind(fileId),
+  ];
+}
+
+/**
+ * Statements that remove every attachment of a note
+ */
+export function deleteNoteFilesStatements(db: D1Database, noteId: string): D1PreparedStatement[] {
+  const ofNote = 'SELECT id FROM note_files WHERE note_id = ?';
+  return [
+    db
+      .prepare(`DELETE FROM note_file_pages_fts WHERE rowid IN (SELECT rowid FROM note_file_pages WHERE file_id IN (${ofNote}))`)
+      .bind(noteId),
+    db.prepare(`DELETE FROM note_file_pages WHERE file_id IN (${ofNote})`).bind(noteId),
+    db.prepare('DELETE FROM note_files WHERE note_id = ?').bind(noteId),
+  ];
+}
+
+export async function listNoteFiles(db: D1Database, noteId: string): Promise<NoteFile[]> {
+  const { results } = await db
+    .prepare(`SELECT ${FILE_COLUMNS} FROM note_files WHERE note_id = ? ORDER BY created_at`)
+    .bind(noteId)
+    .all<NoteFile>();
+  return results || [];
+}
+
+export async function getNoteFile(db: D1Database, fileId: string): Promise<NoteFile | null> {
+  return db.prepare(`SELECT ${FILE_COLUMNS} FROM note_files WHERE id = ?`).bind(fileId).first<NoteFile>();
+}
+
+export async function getNoteFilePages(db: D1Database, fileId: string): Promise<Array<{ page: number; text: string }>> {
+  const { results } = await db
+    .prepare('SELECT page, text FROM note_file_pages WHERE file_id = ? ORDER BY page')
+    .bind(fileId)
+    .all<{ page: number; text: string }>();
+  return results || [];
+}
+
+// Question words that would otherwise match nearly every page
+const STOPWORDS = new Set(
+  'the and for are but not you your with this that from what when where which who why how does did can could would should about into than then them they there these those was were has have had its also just more most some such only other explain tell give mean means please'.split(
+    ' '
+  )
+);
+
+/**
+ * FTS5 MATCH expression that ranks pages by how many of the question's words
+ * they share. Returns null when the question has nothing searchable.
+ */
+export function buildPageQuery(question: string): string | null {
+  const terms = [
+    ...new Set((question.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || []).filter((term) => term.length > 2 && !STOPWORDS.has(term))),
+  ];
+  if (terms.length === 0) return null;
+  return terms
+    .slice(0, 12)
+    .map((term) => `"${term}"`)
+    .join(' OR ');
+}
+
+/**
+ * The pages of a note's attachments that best match a question
+ */
+export async function findRelevantPages(db: D1Database, noteId: string, question: string, limit = 3): Promise<NoteFilePage[]> {
+  const match = buildPageQuery(question);
+  if (!match) return [];
+
+  const { results } = await db
+    .prepare(
+      `SELECT a.id AS fileId, a.filename, a.content_type AS contentType, p.page, p.text
+       FROM note_file_pages_fts
+       JOIN note_file_pages p ON p.rowid = note_file_pages_fts.rowid
+       JOIN note_files a ON a.id = p.file_id
+       WHERE note_file_pages_fts MATCH ? AND a.note_id = ?
+       ORDER BY bm25(note_file_pages_fts)
+       LIMIT ?`
+    )
+    .bind(match, noteId, limit)
+    .all<NoteFilePage>();
+  return results || [];
+}
+
+/**
+ * NoteFile pages as Markdown sections, one per page and in reading order,
+ * up to `maxChars`. Each heading names the file and page so summaries and
+ * questions built from them can say where a point came from.
+ */
+export function noteFilesMarkdown(pages: NoteFilePage[], maxChars = MAX_WORKFLOW_FILE_CHARS): string {
+  const sections: string[] = [];
+  let used = 0;
+  for (const page of pages) {
+    if (!page.text.trim()) continue;
+    const section = `## ${page.filename}, ${pageLabel(page.contentType, page.page)}\n\n${page.text}`;
+    if (used + section.length > maxChars) break;
+    sections.push(section);
+    used += section.length;
+  }
+  return sections.join('\n\n');
+}
+
+/**
+ * A note's content followed by its attachments' text: what the summary and
+ * question workflows read, and what the cached summary is keyed on
+ */
+export async function noteWithFiles(db: D1Database, noteId: string, content: string): Promise<string> {
+  const { results } = await db
+    .prepare(
+      `SELECT a.id AS fileId, a.filename, a.content_type AS contentType, p.page, p.text
+       FROM note_file_pages p
+       JOIN note_files a ON a.id = p.file_id
+       WHERE a.note_id = ?
+       ORDER BY a.created_at, p.page`
+    )
+    .bind(noteId)
+    .all<NoteFilePage>();
+
+  const attached = noteFilesMarkdown(results || []);
+  return attached ? `${content}\n\n${attached}` : content;
+}
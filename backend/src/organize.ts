@@ -0,0 +1,205 @@
+/**
+ * Folders and Tags
+ * Per-user organisation of notes: a nested folder tree (each note sits in at
+ * most one folder) and many-to-many tags. Both belong to the note's owner;
+ * collaborators see shared notes outside their own tree.
+ */
+
+export interface Folder {
+  id: string;
+  parent_id: string | null;
+  name: string;
+  created_at: string;
+  note_count?: number;
+}
+
+export interface Tag {
+  id: string;
+  name: string;
+  note_count?: number;
+}
+
+export const MAX_FOLDER_NAME_LENGTH = 80;
+export const MAX_TAG_LENGTH = 40;
+export const MAX_TAGS_PER_NOTE = 20;
+
+export async function listFolders(db: D1Database, ownerId: string): Promise<Folder[]> {
+  const { results } = await db
+    .prepare(
+      `SELECT f.id, f.parent_id, f.name, f.created_at,
+        (SELECT COUNT(*) FROM notes n WHERE n.folder_id = f.id AND n.deleted_at IS NULL) AS note_count
+      FROM folders f
+      WHERE f.owner_id = ?
+      ORDER BY f.name COLLATE NOCASE`
+    )
+    .bind(ownerId)
+    .all<Folder>();
+
+  return results ?? [];
+}
+
+export async function findFolder(db: D1Database, ownerId: string, folderId: string): Promise<Folder | null> {
+  return db
+    .prepare('SELECT id, parent_id, name, created_at FROM folders WHERE id = ? AND owner_id = ?')
+    .bind(folderId, ownerId)
+    .first<Folder>();
+}
+
+/**
+ * True when `folderId` is `ancestorId` or sits somewhere beneath it. Used to
+ * stop a folder being moved into its own subtree.
+ */
+export function isWithinFolder(folders: Pick<Folder, 'id' | 'parent_id'>[], folderId: string | null, ancestorId: string): boolean {
+  const parents = new Map(folders.map((f) => [f.id, f.parent_id]));
+  const seen = new Set<string>();
+  let current = folderId;
+  while (current && !seen.has(current)) {
+    if (current === ancestorId) return true;
+    seen.add(current);
+    current = parents.get(current) ?? null;
+  }
+  return false;
+}
+
+/**
+ * Deleting a folder keeps its contents: notes and subfolders move up to its parent
+ */
+export function deleteFolderStatements(db: D1Database, folder: Folder): D1PreparedStatement[] {
+  return [
+    db.prepare('UPDATE notes SET folder_id = ? WHERE folder_id = ?').bind(folder.parent_id, folder.id),
+    db.prepare('UPDATE folders SET parent_id = ? WHERE parent_id = ?').bind(folder.parent_id, folder.id),
+    db.prepare('DELETE FROM folders WHERE id = ?').bind(folder.id),
+  ];
+}
+
+/**
+ * Tidy a user-typed tag ("  #Big  O " -> "Big O"); null if nothing is left
+ */
+export function normalizeTagName(name: unknown): string | null {
+  if (typeof name !== 'string') return null;
+  const tag = name.trim().replace(/^#+/, '').replace(/\s+/g, ' ').trim().slice(0, MAX_TAG_LENGTH).trim();
+  return tag || null;
+}
+
+export async function listTags(db: D1Database, ownerId: string): Promise<Tag[]> {
+  const { results } = await db
+    .prepare(
+      `SELECT t.id, t.name, COUNT(n.id) AS note_count
+      FROM tags t
+      LEFT JOIN note_tags nt ON nt.tag_id = t.id
+      LEFT JOIN notes n ON n.id = nt.note_id AND n.deleted_at IS NULL
+      WHERE t.owner_id = ?
+      GROUP BY t.id
+      ORDER BY t.name COLLATE NOCASE`
+    )
+    .bind(ownerId)
+    .all<Tag>();
+
+  return results ?? [];
+}
+
+/**
+ * Look up tags by name, creating any the user doesn't have yet. Names match
+ * case-insensitively, so "Physics" reuses an existing "physics".
+ */
+export async function ensureTags(db: D1Database, ownerId: string, names: string[]): Promise<Tag[]> {
+  if (names.length === 0) return [];
+
+  const now = new Date().toISOString();
+  await db.batch(
+    names.map((name) =>
+      db
+        .prepare('INSERT OR IGNORE INTO tags (id, owner_id, name, created_at) VALUES (?, ?, ?, ?)')
+        .bind(crypto.randomUUID(), ownerId, name, now)
+    )
+  );
+
+  const placeholders = names.map(() => '?').join(', ');
+  const { results } = await db
+    .prepare(`SELECT id, name FROM tags WHERE owner_id = ? AND name IN (${placeholders}) ORDER BY name COLLATE NOCASE`)
+    .bind(ownerId, ...names)
+    .all<Tag>();
+
+  return results ?? [];
+}
+
+/**
+ * Replace a note's tags with the given names
+ */
+export async function setNoteTags(db: D1Database, ownerId: string, noteId: string, names: string[]): Promise<Tag[]> {
+  const tags = await ensureTags(db, ownerId, names);
+
+  await db.batch([
+    deleteNoteTagsStatement(db, noteId),
+    ...tags.map((tag) => db.prepare('INSERT OR IGNORE INTO note_tags (note_id, tag_id) VALUES (?, ?)').bind(noteId, tag.id)),
+  ]);
+
+  return tags;
+}
+
+export async function getNoteTags(db: D1Database, noteId: string): Promise<Tag[]> {
+  const { results } = await db
+    .prepare(
+      `SELECT t.id, t.name
+      FROM note_tags nt
+      JOIN tags t ON t.id = nt.tag_id
+      WHERE nt.note_id = ?
+      ORDER BY t.name COLLATE NOCASE`
+    )
+    .bind(noteId)
+    .all<Tag>();
+
+  return results ?? [];
+}
+
+/**
+ * Tags for every note a user owns, keyed by note id
+ */
+export async function getTagsByNote(db: D1Database, ownerId: string): Promise<Map<string, Tag[]>> {
+  const { results } = await db
+    .prepare(
+      `SELECT nt.note_id, t.id, t.name
+      FROM note_tags nt
+      JOIN tags t ON t.id = nt.tag_id
+      WHERE t.owner_id = ?
+      ORDER BY t.name COLLATE NOCASE`
+    )
+    .bind(ownerId)
+    .all<Tag & { note_id: string }>();
+
+  const byNote = new Map<string, Tag[]>();
+  for (const { note_id, id, name } of results ?? []) {
+    const tags = byNote.get(note_id) ?? [];
+    tags.push({ id, name });
+    byNote.set(note_id, tags);
+  }
+  return byNote;
+}
+
+export function deleteNoteTagsStatement(db: D1Database, noteId: string): D1PreparedStatement {
+  return db.prepare('DELETE FROM note_tags WHERE note_id = ?').bind(noteId);
+}
+
+export function deleteTagStatements(db: D1Database, tagId: string): D1PreparedStatement[] {
+  return [
+    db.prepare('DELETE FROM note_tags WHERE tag_id = ?').bind(tagId),
+    db.prepare('DELETE FROM tags WHERE id = ?').bind(tagId),
+  ];
+}
+
+/**
+ * Turn the summary workflow's topics into tag suggestions the note doesn't already have
+ */
+export function suggestTags(topics: unknown[], existing: string[], limit = 5): string[] {
+  const taken = new Set(existing.map((name) => name.toLowerCase()));
+  const suggestions: string[] = [];
+
+  for (const topic of topics) {
+    const name = normalizeTagName(topic);
+    if (!name || taken.has(name.toLowerCase())) continue;
+    taken.add(name.toLowerCase());
+    suggestions.push(name);
+    if (suggestions.length >= limit) break;
+  }
+  return suggestions;
+}
@@ -0,0 +1,288 @@
+/**
+ * Operational Transformation
+ * Plain-text operations in the style of ot.js: a list of components where a
+ * positive number retains characters, a negative number deletes them and a
+ * string inserts text. frontend/src/ot.js is the client copy of this module;
+ * the two must transform identically or documents drift apart.
+ */
+
+export type OpComponent = number | string;
+export type TextOperation = OpComponent[];
+
+export class OTError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'OTError';
+  }
+}
+
+const isRetain = (c: OpComponent | undefined): c is number => typeof c === 'number' && c > 0;
+const isDelete = (c: OpComponent | undefined): c is number => typeof c === 'number' && c < 0;
+const isInsert = (c: OpComponent | undefined): c is string => typeof c === 'string';
+
+/**
+ * Appends components while keeping operations canonical: adjacent components
+ * of the same kind are merged and an insert always comes before a delete.
+ */
+class OpBuilder {
+  ops: TextOperation = [];
+
+  retain(n: number): this {
+    if (n <= 0) return this;
+    const last = this.ops[this.ops.length - 1];
+    if (isRetain(last)) {
+      this.ops[this.ops.length - 1] = last + n;
+    } else {
+      this.ops.push(n);
+    }
+    return this;
+  }
+
+  insert(text: string): this {
+    if (text === '') return this;
+    const ops = this.ops;
+    const last = ops[ops.length - 1];
+    if (isInsert(last)) {
+      ops[ops.length - 1] = last + text;
+    } else if (isDelete(last)) {
+      // Insert-before-delete is the canonical order
+      const beforeLast = ops[ops.length - 2];
+      if (isInsert(beforeLast)) {
+        ops[ops.length - 2] = beforeLast + text;
+      } else {
+        ops[ops.length] = last;
+        ops[ops.length - 2] = text;
+      }
+    } else {
+      ops.push(text);
+    }
+    return this;
+  }
+
+  delete(n: number): this {
+    const count = Math.abs(n);
+    if (count === 0) return this;
+    const last = this.ops[this.ops.length - 1];
+    if (isDelete(last)) {
+      this.ops[this.ops.length - 1] = last - count;
+    } else {
+      this.ops.push(-count);
+    }
+    return this;
+  }
+}
+
+/** Length of the document the operation applies to */
+export function baseLength(op: TextOperation): number {
+  return op.reduce<number>((sum, c) => sum + (isRetain(c) ? c : isDelete(c) ? -c : 0), 0);
+}
+
+/** Length of the document after the operation */
+export function targetLength(op: TextOperation): number {
+  return op.reduce<number>((sum, c) => sum + (isRetain(c) ? c : isInsert(c) ? c.length : 0), 0);
+}
+
+export function isNoop(op: TextOperation): boolean {
+  return op.length === 0 || (op.length === 1 && isRetain(op[0]));
+}
+
+/**
+ * Validate an operation received over the wire. Returns null if it is malformed.
+ */
+export function parseOperation(value: unknown): TextOperation | null {
+  if (!Array.isArray(value)) return null;
+  const builder = new OpBuilder();
+  for (const c of value) {
+    if (typeof c === 'string') {
+      builder.insert(c);
+    } else if (typeof c === 'number' && Number.isInteger(c) && c !== 0) {
+      if (c > 0) builder.retain(c);
+      else builder.delete(c);
+    } else {
+      return null;
+    }
+  }
+  return builder.ops;
+}
+
+export function apply(doc: string, op: TextOperation): string {
+  if (baseLength(op) !== doc.length) {
+    throw new OTError('Operation does not match the document length');
+  }
+
+  let index = 0;
+  const parts: string[] = [];
+  for (const c of op) {
+    if (isRetain(c)) {
+      parts.push(doc.slice(index, index + c));
+      index += c;
+    } else if (isInsert(c)) {
+      parts.push(c);
+    } else {
+      index -= c;
+    }
+  }
+  return parts.join('');
+}
+
+/**
+ * Given a and b applied to the same document, return [a', b'] such that
+ * apply(apply(doc, a), b') === apply(apply(doc, b), a'). When both insert at
+ * the same position, a's text ends up first.
+ */
+export function transform(a: TextOperation, b: TextOperation): [TextOperation, TextOperation] {
+  if (baseLength(a) !== baseLength(b)) {
+    throw new OTError('Both operations must apply to the same document');
+  }
+
+  const aPrime = new OpBuilder();
+  const bPrime = new OpBuilder();
+  let i = 0;
+  let j = 0;
+  let opA = a[i++];
+  let opB = b[j++];
+
+  while (opA !== undefined || opB !== undefined) {
+    if (isInsert(opA)) {
+      aPrime.insert(opA);
+      bPrime.retain(opA.length);
+      opA = a[i++];
+      continue;
+    }
+    if (isInsert(opB)) {
+      aPrime.retain(opB.length);
+      bPrime.insert(opB);
+      opB = b[j++];
+      continue;
+    }
+    if (opA === undefined || opB === undefined) {
+      throw new OTError('Operations have different lengths');
+    }
+
+    let min: number;
+    if (isRetain(opA) && isRetain(opB)) {
+      min = Math.min(opA, opB);
+      aPrime.retain(min);
+      bPrime.retain(min);
+      opA = opA > min ? opA - min : a[i++];
+      opB = opB > min ? opB - min : b[j++];
+    } else if (isDelete(opA) && isDelete(opB)) {
+      // Both deleted the same text; nothing left to do for this stretch
+      min = Math.min(-opA, -opB);
+      opA = -opA > min ? opA + min : a[i++];
+      opB = -opB > min ? opB + min : b[j++];
+    } else if (isDelete(opA) && isRetain(opB)) {
+      min = Math.min(-opA, opB);
+      aPrime.delete(min);
+      opA = -opA > min ? opA + min : a[i++];
+      opB = opB > min ? opB - min : b[j++];
+    } else if (isRetain(opA) && isDelete(opB)) {
+      min = Math.min(opA, -opB);
+      bPrime.delete(min);
+      opA = opA > min ? opA - min : a[i++];
+      opB = -opB > min ? opB + min : b[j++];
+    } else {
+      throw new OTError('Unrecognised operation component');
+    }
+  }
+
+  return [aPrime.ops, bPrime.ops];
+}
+
+/**
+ * Combine a then b into a single operation
+ */
+export function compose(a: TextOperation, b: TextOperation): TextOperation {
+  if (targetLength(a) !== baseLength(b)) {
+    throw new OTError('The second operation must apply to the result of the first');
+  }
+
+  const result = new OpBuilder();
+  let i = 0;
+  let j = 0;
+  let opA = a[i++];
+  let opB = b[j++];
+
+  while (opA !== undefined || opB !== undefined) {
+    if (isDelete(opA)) {
+      result.delete(opA);
+      opA = a[i++];
+      continue;
+    }
+    if (isInsert(opB)) {
+      result.insert(opB);
+      opB = b[j++];
+      continue;
+    }
+    if (opA === undefined || opB === undefined) {
+      throw new OTError('Operations have different lengths');
+    }
+
+    if (isRetain(opA) && isRetain(opB)) {
+      const min = Math.min(opA, opB);
+      result.retain(min);
+      opA = opA > min ? opA - min : a[i++];
+      opB = opB > min ? opB - min : b[j++];
+    } else if (isInsert(opA) && isDelete(opB)) {
+      // Text inserted by a and deleted by b never existed
+      const min = Math.min(opA.length, -opB);
+      opA = opA.length > min ? opA.slice(min) : a[i++];
+      opB = -opB > min ? opB + min : b[j++];
+    } else if (isInsert(opA) && isRetain(opB)) {
+      const min = Math.min(opA.length, opB);
+      result.insert(opA.slice(0, min));
+      opA = opA.length > min ? opA.slice(min) : a[i++];
+      opB = opB > min ? opB - min : b[j++];
+    } else if (isRetain(opA) && isDelete(opB)) {
+      const min = Math.min(opA, -opB);
+      result.delete(min);
+      opA = opA > min ? opA - min : a[i++];
+      opB = -opB > min ? opB + min : b[j++];
+    } else {
+      throw new OTError('Unrecognised operation component');
+    }
+  }
+
+  return result.ops;
+}
+
+/**
+ * The operation that turns `from` into `to`, as one replaced span between
+ * the common prefix and suffix (what a textarea edit or paste produces)
+ */
+export function operationFromDiff(from: string, to: string): TextOperation {
+  const min = Math.min(from.length, to.length);
+
+  let prefix = 0;
+  while (prefix < min && from[prefix] === to[prefix]) prefix++;
+
+  let suffix = 0;
+  while (suffix < min - prefix && from[from.length - 1 - suffix] === to[to.length - 1 - suffix]) suffix++;
+
+  return new OpBuilder()
+    .retain(prefix)
+    .insert(to.slice(prefix, to.length - suffix))
+    .delete(from.length - prefix - suffix)
+    .retain(suffix).ops;
+}
+
+/**
+ * Move a cursor position through an operation. Text inserted exactly at the
+ * cursor pushes it along.
+ */
+export function transformIndex(index: number, op: TextOperation): number {
+  let remaining = index;
+  let result = index;
+  for (const c of op) {
+    if (isRetain(c)) {
+      remaining -= c;
+    } else if (isInsert(c)) {
+      result += c.length;
+    } else {
+      result -= Math.min(remaining, -c);
+      remaining += c;
+    }
+    if (remaining < 0) break;
+  }
+  return result;
+}
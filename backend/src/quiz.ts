@@ -0,0 +1,233 @@
+/**
+ * Quizzes
+ * Quiz sessions built from a note's study questions, their graded answers,
+ * and progress over time (per note, and by question type and difficulty)
+ */
+
+import type { AnswerGrade } from './workflows/gradingWorkflow';
+
+export interface QuizSession {
+  id: string;
+  note_id: string;
+  question_count: number;
+  score: number | null;
+  created_at: string;
+  completed_at: string | null;
+}
+
+export interface QuizQuestion {
+  id: string;
+  position: number;
+  question: string;
+  type: string;
+  difficulty: string;
+}
+
+export interface QuizAnswer extends QuizQuestion {
+  reference_answer?: string;
+  user_answer: string | null;
+  score: number | null;
+  missing: string[];
+  model_answer: string | null;
+  feedback: string | null;
+}
+
+export interface CategoryScore {
+  category: string;
+  attempts: number;
+  averageScore: number;
+}
+
+export interface NewQuizQuestion {
+  question: string;
+  type: string;
+  difficulty: string;
+  answer?: string;
+}
+
+const SESSION_COLUMNS = 'id, note_id, question_count, score, created_at, completed_at';
+
+export async function createQuizSession(
+  db: D1Database,
+  userId: string,
+  noteId: string,
+  questions: NewQuizQuestion[]
+): Promise<{ session: QuizSession; questions: QuizQuestion[] }> {
+  const session: QuizSession = {
+    id: crypto.randomUUID(),
+    note_id: noteId,
+    question_count: questions.length,
+    score: null,
+    created_at: new Date().toISOString(),
+    completed_at: null,
+  };
+  const rows = questions.map((q, position) => ({
+    id: crypto.randomUUID(),
+    position,
+    question: q.question,
+    type: q.type,
+    difficulty: q.difficulty,
+  }));
+
+  await db.batch([
+    db
+      .prepare('INSERT INTO quiz_sessions (id, note_id, user_id, question_count, created_at) VALUES (?, ?, ?, ?, ?)')
+      .bind(session.id, noteId, userId, session.question_count, session.created_at),
+    ...rows.map((row, i) =>
+      db
+        .prepare(
+          `INSERT INTO quiz_answers (id, session_id, position, question, type, difficulty, reference_answer)
+          VALUES (?, ?, ?, ?, ?, ?, ?)`
+        )
+        .bind(row.id, session.id, row.position, row.question, row.type, row.difficulty, questions[i].answer ?? '')
+    ),
+  ]);
+
+  return { session, questions: rows };
+}
+
+/**
+ * A session and its questions. Reference answers are included only with
+ * `withReference` (for grading); clients see model answers after grading.
+ */
+export async function getQuizSession(
+  db: D1Database,
+  userId: string,
+  sessionId: string,
+  { withReference = false } = {}
+): Promise<{ session: QuizSession; answers: QuizAnswer[] } | null> {
+  const session = await db
+    .prepare(`SELECT ${SESSION_COLUMNS} FROM quiz_sessions WHERE id = ? AND user_id = ?`)
+    .bind(sessionId, userId)
+    .first<QuizSession>();
+  if (!session) return null;
+
+  const { results } = await db
+    .prepare(
+      `SELECT id, position, question, type, difficulty, reference_answer, user_answer, score, missing, model_answer, feedback
+      FROM quiz_answers
+      WHERE session_id = ?
+      ORDER BY position`
+    )
+    .bind(sessionId)
+    .all<Omit<QuizAnswer, 'missing'> & { missing: string | null; reference_answer: string }>();
+
+  const answers = (results ?? []).map(({ reference_answer, missing, ...row }) => ({
+    ...row,
+    ...(withReference ? { reference_answer } : {}),
+    missing: missing ? (JSON.parse(missing) as string[]) : [],
+  }));
+
+  return { session, answers };
+}
+
+/**
+ * Mark an open session as being graded, so only one submission grades it.
+ * False if it's already graded or another submission got there first.
+ */
+export async function claimQuizSession(db: D1Database, sessionId: string): Promise<boolean> {
+  const { meta } = await db
+    .prepare('UPDATE quiz_sessions SET completed_at = ? WHERE id = ? AND completed_at IS NULL')
+    .bind(new Date().toISOString(), sessionId)
+    .run();
+  return meta.changes > 0;
+}
+
+/**
+ * Reopen a claimed session whose grading failed, so it can be submitted again
+ */
+export async function releaseQuizSession(db: D1Database, sessionId: string): Promise<void> {
+  await db.prepare('UPDATE quiz_sessions SET completed_at = NULL WHERE id = ? AND score IS NULL').bind(sessionId).run();
+}
+
+/**
+ * Store the user's answers and their grades, and close the session
+ */
+export async function saveQuizGrades(
+  db: D1Database,
+  sessionId: string,
+  graded: Array<{ id: string; userAnswer: string; grade: AnswerGrade }>,
+  score: number
+): Promise<void> {
+  await db.batch([
+    ...graded.map(({ id, userAnswer, grade }) =>
+      db
+        .prepare(
+          `UPDATE quiz_answers SET user_answer = ?, score = ?, missing = ?, model_answer = ?, feedback = ?
+          WHERE id = ? AND session_id = ?`
+        )
+        .bind(userAnswer, grade.score, JSON.stringify(grade.missing), grade.modelAnswer, grade.feedback, id, sessionId)
+    ),
+    db
+      .prepare('UPDATE quiz_sessions SET score = ?, completed_at = ? WHERE id = ?')
+      .bind(score, new Date().toISOString(), sessionId),
+  ]);
+}
+
+/**
+ * A user's graded sessions, oldest first (for a progress line), optionally for one note
+ */
+export async function listQuizSessions(db: D1Database, userId: string, noteId?: string | null): Promise<QuizSession[]> {
+  const { results } = await db
+    .prepare(
+      `SELECT ${SESSION_COLUMNS} FROM quiz_sessions
+      WHERE user_id = ?1 AND score IS NOT NULL ${noteId ? 'AND note_id = ?2' : ''}
+      ORDER BY completed_at`
+    )
+    .bind(...(noteId ? [userId, noteId] : [userId]))
+    .all<QuizSession>();
+
+  return results ?? [];
+}
+
+export async function listGradedAnswers(
+  db: D1Database,
+  userId: string,
+  noteId?: string | null
+): Promise<Array<{ type: string; difficulty: string; score: number }>> {
+  const { results } = await db
+    .prepare(
+      `SELECT a.type, a.difficulty, a.score
+      FROM quiz_answers a
+      JOIN quiz_sessions s ON s.id = a.session_id
+      WHERE s.user_id = ?1 AND a.score IS NOT NULL ${noteId ? 'AND s.note_id = ?2' : ''}`
+    )
+    .bind(...(noteId ? [userId, noteId] : [userId]))
+    .all<{ type: string; difficulty: string; score: number }>();
+
+  return results ?? [];
+}
+
+/**
+ * Average score per question type and per difficulty, weakest first
+ */
+export function breakdownScores(rows: Array<{ type: string; difficulty: string; score: number }>): {
+  byType: CategoryScore[];
+  byDifficulty: CategoryScore[];
+} {
+  const group = (key: 'type' | 'difficulty'): CategoryScore[] => {
+    const totals = new Map<string, { sum: number; count: number }>();
+    for (const row of rows) {
+      const total = totals.get(row[key]) ?? { sum: 0, count: 0 };
+      total.sum += row.score;
+      total.count++;
+      totals.set(row[key], total);
+    }
+    return [...totals]
+      .map(([category, { sum, count }]) => ({
+        category,
+        attempts: count,
+        averageScore: Math.round((sum / count) * 10) / 10,
+      }))
+      .sort((a, b) => a.averageScore - b.averageScore);
+  };
+
+  return { byType: group('type'), byDifficulty: group('difficulty') };
+}
+
+export function deleteQuizStatements(db: D1Database, noteId: string): D1PreparedStatement[] {
+  return [
+    db.prepare('DELETE FROM quiz_answers WHERE session_id IN (SELECT id FROM quiz_sessions WHERE note_id = ?)').bind(noteId),
+    db.prepare('DELETE FROM quiz_sessions WHERE note_id = ?').bind(noteId),
+  ];
+}
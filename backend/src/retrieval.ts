@@ -0,0 +1,157 @@
+/**
+ * Note Retrieval
+ * Chunks and embeds notes as they are saved, and finds the chunks most
+ * relevant to a question across a user's notes
+ */
+
+import { chunkMarkdown } from './chunker';
+import { VectorStore, createVectorStore } from './vectorStore';
+
+const EMBEDDING_MODEL = '@cf/baai/bge-base-en-v1.5';
+const EMBEDDING_BATCH_SIZE = 50;
+
+export interface RetrievedChunk {
+  noteId: string;
+  title: string;
+  heading: string;
+  content: string;
+  score: number;
+}
+
+/**
+ * Embed a batch of texts with Workers AI
+ */
+export async function embedTexts(env: any, texts: string[]): Promise<number[][]> {
+  const vectors: number[][] = [];
+  for (let start = 0; start < texts.length; start += EMBEDDING_BATCH_SIZE) {
+    const batch = texts.slice(start, start + EMBEDDING_BATCH_SIZE);
+    const response = await env.AI.run(EMBEDDING_MODEL, { text: batch });
+    vectors.push(...response.data);
+  }
+  return vectors;
+}
+
+async function sha256(text: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function chunkId(noteId: string, index: number): string {
+  return `${noteId}:${index}`;
+}
+
+/**
+ * (Re)index a note. Only chunks whose text changed since the last run are
+ * re-embedded, so saving after a small edit costs one embedding call.
+ */
+export async function indexNoteEmbeddings(
+  env: any,
+  note: { id: string; title: string; content: string; owner_id?: string | null },
+  store: VectorStore = createVectorStore(env)
+): Promise<void> {
+  const chunks = chunkMarkdown(note.content || '');
+
+  const { results: existing } = await env.DB.prepare(
+    'SELECT chunk_index, content_hash FROM note_chunks WHERE note_id = ?'
+  )
+    .bind(note.id)
+    .all();
+  const existingHashes = new Map<number, string>(
+    (existing ?? []).map((row: any) => [row.chunk_index, row.content_hash])
+  );
+
+  // The title is embedded with every chunk so "my notes on X" finds the right note
+  const prepared = await Promise.all(
+    chunks.map(async chunk => {
+      const embedText = [note.title, chunk.heading, chunk.text].filter(Boolean).join('\n');
+      return { chunk, embedText, hash: await sha256(embedText) };
+    })
+  );
+  const changed = prepared.filter(p => existingHashes.get(p.chunk.index) !== p.hash);
+
+  if (changed.length > 0) {
+    const vectors = await embedTexts(env, changed.map(p => p.embedText));
+    const now = new Date().toISOString();
+
+    await store.upsert(
+      changed.map((p, i) => ({
+        id: chunkId(note.id, p.chunk.index),
+        values: vectors[i],
+        metadata: { noteId: note.id, chunkIndex: p.chunk.index, ...(note.owner_id ? { ownerId: note.owner_id } : {}) },
+      }))
+    );
+
+    await env.DB.batch(
+      changed.map(p =>
+        env.DB.prepare(
+          'INSERT OR REPLACE INTO note_chunks (note_id, chunk_index, heading, content, content_hash, updated_at) VALUES (?, ?, ?, ?, ?, ?)'
+        ).bind(note.id, p.chunk.index, p.chunk.heading, p.chunk.text, p.hash, now)
+      )
+    );
+  }
+
+  // Drop chunks past the new end of the note
+  const staleIndexes = [...existingHashes.keys()].filter(index => index >= chunks.length);
+  if (staleIndexes.length > 0) {
+    await store.deleteByIds(staleIndexes.map(index => chunkId(note.id, index)));
+    await env.DB.prepare('DELETE FROM note_chunks WHERE note_id = ? AND chunk_index >= ?')
+      .bind(note.id, chunks.length)
+      .run();
+  }
+}
+
+/**
+ * Remove every chunk and vector belonging to a note
+ */
+export async function removeNoteEmbeddings(
+  env: any,
+  noteId: string,
+  store: VectorStore = createVectorStore(env)
+): Promise<void> {
+  const { results } = await env.DB.prepare('SELECT chunk_index FROM note_chunks WHERE note_id = ?')
+    .bind(noteId)
+    .all();
+
+  await store.deleteByIds((results ?? []).map((row: any) => chunkId(noteId, row.chunk_index)));
+  await env.DB.prepare('DELETE FROM note_chunks WHERE note_id = ?').bind(noteId).run();
+}
+
+/**
+ * Find the top-k chunks across one user's notes for a question
+ */
+export async function retrieveRelevantChunks(
+  env: any,
+  ownerId: string,
+  question: string,
+  topK = 6,
+  store: VectorStore = createVectorStore(env)
+): Promise<RetrievedChunk[]> {
+  const [vector] = await embedTexts(env, [question]);
+  const matches = await store.query(vector, topK, { ownerId });
+  if (matches.length === 0) return [];
+
+  const placeholders = matches.map(() => '(?, ?)').join(', ');
+  const { results } = await env.DB.prepare(
+    `SELECT c.note_id, c.chunk_index, c.heading, c.content, n.title
+    FROM note_chunks c
+    JOIN notes n ON n.id = c.note_id
+    WHERE n.owner_id = ? AND n.deleted_at IS NULL AND (c.note_id, c.chunk_index) IN (VALUES ${placeholders})`
+  )
+    .bind(ownerId, ...matches.flatMap(m => [m.noteId, m.chunkIndex]))
+    .all();
+
+  const rows = new Map<string, any>((results ?? []).map((row: any) => [chunkId(row.note_id, row.chunk_index), row]));
+
+  return matches
+    .filter(match => rows.has(chunkId(match.noteId, match.chunkIndex)))
+    .map(match => {
+      const row = rows.get(chunkId(match.noteId, match.chunkIndex));
+      return {
+        noteId: row.note_id,
+        title: row.title,
+        heading: row.heading,
+        content: row.content,
+        score: match.score,
+      };
+    });
+}
@@ -0,0 +1,109 @@
+/**
+ * Note Revisions
+ * Snapshots of note content in note_revisions. Keystroke-level saves are
+ * coalesced into the latest revision; a new revision starts after a quiet
+ * period or when a single save changes a lot of text (a big paste or an
+ * accidental select-all delete), so the text before it stays recoverable.
+ * A note's first revision is the text it was created with and never absorbs
+ * later edits, so history always has that baseline to diff and restore.
+ */
+
+import { changedSpan } from './diff';
+
+// A revision absorbs further edits for this long after it was started...
+const COALESCE_WINDOW_MS = 10 * 60 * 1000;
+// ...as long as each save changes fewer characters than this
+const COALESCE_MAX_CHANGE = 200;
+
+export interface RevisionRow {
+  id: number;
+  note_id: string;
+  title: string;
+  content: string;
+  created_at: string;
+  updated_at: string;
+}
+
+/**
+ * Statement that records a new note's first revision. Returned as a statement
+ * so it can be batched with the insert that creates the note.
+ */
+export function initialRevisionStatement(
+  db: D1Database,
+  note: { id: string; title: string; content: string },
+  createdAt: string
+): D1PreparedStatement {
+  return db
+    .prepare('INSERT INTO note_revisions (note_id, title, content, created_at, updated_at) VALUES (?, ?, ?, ?, ?)')
+    .bind(note.id, note.title, note.content, createdAt, createdAt);
+}
+
+/**
+ * Record the note's current state as a revision, folding it into the
+ * latest revision when the change is small and recent.
+ * `force` always starts a new revision (used around restores).
+ */
+export async function recordRevision(
+  db: D1Database,
+  note: { id: string; title: string; content: string },
+  options: { force?: boolean } = {}
+): Promise<void> {
+  const now = new Date();
+  const latest = await db
+    .prepare(
+      `SELECT id, title, content, created_at,
+        (SELECT COUNT(*) FROM note_revisions WHERE note_id = ?1) AS count
+      FROM note_revisions WHERE note_id = ?1 ORDER BY id DESC LIMIT 1`
+    )
+    .bind(note.id)
+    .first<Pick<RevisionRow, 'id' | 'title' | 'content' | 'created_at'> & { count: number }>();
+
+  if (latest && latest.title === note.title && latest.content === note.content) {
+    return;
+  }
+
+  const canCoalesce =
+    !options.force &&
+    latest &&
+    latest.count > 1 &&
+    now.getTime() - Date.parse(latest.created_at) < COALESCE_WINDOW_MS &&
+    changedSpan(latest.content, note.content) < COALESCE_MAX_CHANGE;
+
+  if (canCoalesce) {
+    await db
+      .prepare('UPDATE note_revisions SET title = ?, content = ?, updated_at = ? WHERE id = ?')
+      .bind(note.title, note.content, now.toISOString(), latest.id)
+      .run();
+    return;
+  }
+
+  await db
+    .prepare('INSERT INTO note_revisions (note_id, title, content, created_at, updated_at) VALUES (?, ?, ?, ?, ?)')
+    .bind(note.id, note.title, note.content, now.toISOString(), now.toISOString())
+    .run();
+}
+
+export async function listRevisions(db: D1Database, noteId: string) {
+  const { results } = await db
+    .prepare(
+      `SELECT id, title, created_at, updated_at, length(content) AS length
+      FROM note_revisions
+      WHERE note_id = ?
+      ORDER BY id DESC`
+    )
+    .bind(noteId)
+    .all<{ id: number; title: string; created_at: string; updated_at: string; length: number }>();
+
+  return results ?? [];
+}
+
+export async function getRevision(db: D1Database, noteId: string, revisionId: number): Promise<RevisionRow | null> {
+  return db
+    .prepare('SELECT id, note_id, title, content, created_at, updated_at FROM note_revisions WHERE note_id = ? AND id = ?')
+    .bind(noteId, revisionId)
+    .first<RevisionRow>();
+}
+
+export function deleteRevisionsStatement(db: D1Database, noteId: string): D1PreparedStatement {
+  return db.prepare('DELETE FROM note_revisions WHERE note_id = ?').bind(noteId);
+}
@@ -0,0 +1,124 @@
+/**
+ * Full-text search
+ * Keeps the notes_fts (SQLite FTS5) index in step with the notes table and
+ * runs ranked queries with highlighted snippets
+ */
+
+// Control characters never appear in typed notes, so they make safe highlight markers
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+export interface TextSegment {
+  text: string;
+  match: boolean;
+}
+
+export interface SearchHit {
+  id: string;
+  title: string;
+  updated_at: string;
+  titleSegments: TextSegment[];
+  snippet: TextSegment[];
+  score: number;
+}
+
+/**
+ * Statements that (re)index a note from its current notes row.
+ * Returned as statements so callers can batch them with their own writes.
+ */
+export function indexNoteStatements(db: D1Database, noteId: string): D1PreparedStatement[] {
+  return [
+    db.prepare('DELETE FROM notes_fts WHERE rowid = (SELECT rowid FROM notes WHERE id = ?)').bind(noteId),
+    db.prepare('INSERT INTO notes_fts (rowid, title, content) SELECT rowid, title, content FROM notes WHERE id = ?').bind(noteId),
+  ];
+}
+
+/**
+ * Statement that drops a note from the index. Must run before the notes row is deleted.
+ */
+export function unindexNoteStatement(db: D1Database, noteId: string): D1PreparedStatement {
+  return db.prepare('DELETE FROM notes_fts WHERE rowid = (SELECT rowid FROM notes WHERE id = ?)').bind(noteId);
+}
+
+/**
+ * Turn free text into an FTS5 MATCH expression: every word must appear, and
+ * each matches as a prefix so results update while typing. Words are quoted,
+ * so FTS5 operators and punctuation in the query are never parsed as syntax.
+ * Returns null when there is nothing searchable.
+ */
+export function buildMatchQuery(query: string): string | null {
+  const terms = query.match(/[\p{L}\p{N}_]+/gu);
+  if (!terms || terms.length === 0) return null;
+
+  return terms
+    .slice(0, 10)
+    .map(term => `"${term.replace(/"/g, '""')}"*`)
+    .join(' ');
+}
+
+/**
+ * Split an FTS5 highlight()/snippet() string into plain and matched segments
+ */
+export function toSegments(marked: string): TextSegment[] {
+  const segments: TextSegment[] = [];
+  let rest = marked;
+
+  while (rest.length > 0) {
+    const start = rest.indexOf(MATCH_START);
+    if (start === -1) {
+      segments.push({ text: rest, match: false });
+      break;
+    }
+    if (start > 0) {
+      segments.push({ text: rest.slice(0, start), match: false });
+    }
+
+    const end = rest.indexOf(MATCH_END, start);
+    const stop = end === -1 ? rest.length : end;
+    segments.push({ text: rest.slice(start + 1, stop), match: true });
+    rest = end === -1 ? '' : rest.slice(end + 1);
+  }
+
+  return segments.filter(segment => segment.text.length > 0);
+}
+
+/**
+ * Ranked search across one user's note titles and content.
+ * Title hits weigh 10x content hits in the BM25 score.
+ */
+export async function searchNotes(db: D1Database, ownerId: string, query: string, limit = 20): Promise<SearchHit[]> {
+  const match = buildMatchQuery(query);
+  if (!match) return [];
+
+  const { results } = await db
+    .prepare(
+      `SELECT n.id, n.title, n.updated_at,
+        highlight(notes_fts, 0, ?1, ?2) AS marked_title,
+        snippet(notes_fts, 1, ?1, ?2, '…', 16) AS marked_snippet,
+        bm25(notes_fts, 10.0, 1.0) AS rank
+      FROM notes_fts
+      JOIN notes n ON n.rowid = notes_fts.rowid
+      WHERE notes_fts MATCH ?3 AND n.owner_id = ?4 AND n.deleted_at IS NULL
+      ORDER BY rank
+      LIMIT ?5`
+    )
+    .bind(MATCH_START, MATCH_END, match, ownerId, limit)
+    .all<{
+      id: string;
+      title: string;
+      updated_at: string;
+      marked_title: string;
+      marked_snippet: string;
+      rank: number;
+    }>();
+
+  return (results ?? []).map(row => ({
+    id: row.id,
+    title: row.title,
+    updated_at: row.updated_at,
+    titleSegments: toSegments(row.marked_title || row.title),
+    snippet: toSegments(row.marked_snippet || ''),
+    // bm25() is lower-is-better; flip it so clients can sort descending
+    score: -row.rank,
+  }));
+}
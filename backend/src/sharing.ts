@@ -0,0 +1,97 @@
+/**
+ * Note Sharing
+ * Per-note access roles (owner, editor, viewer) and signed read-only public links
+ */
+
+import { signValue, verifySignedValue } from './auth';
+
+export type ShareRole = 'viewer' | 'editor';
+export type NoteRole = 'owner' | ShareRole;
+
+export const SHARE_ROLES: ShareRole[] = ['viewer', 'editor'];
+
+export interface NoteShare {
+  user_id: string;
+  email: string;
+  role: ShareRole;
+  created_at: string;
+}
+
+/**
+ * The caller's role on a note, or null when they can't see it at all
+ * (trashed notes included)
+ */
+export async function getNoteRole(db: D1Database, userId: string, noteId: string): Promise<NoteRole | null> {
+  const row = await db
+    .prepare(
+      `SELECT n.owner_id, s.role
+      FROM notes n
+      LEFT JOIN note_shares s ON s.note_id = n.id AND s.user_id = ?1
+      WHERE n.id = ?2 AND n.deleted_at IS NULL`
+    )
+    .bind(userId, noteId)
+    .first<{ owner_id: string | null; role: ShareRole | null }>();
+
+  if (!row) return null;
+  if (row.owner_id === userId) return 'owner';
+  return row.role ?? null;
+}
+
+export function canEdit(role: NoteRole | null): boolean {
+  return role === 'owner' || role === 'editor';
+}
+
+export async function listShares(db: D1Database, noteId: string): Promise<NoteShare[]> {
+  const { results } = await db
+    .prepare(
+      `SELECT s.user_id, u.email, s.role, s.created_at
+      FROM note_shares s
+      JOIN users u ON u.id = s.user_id
+      WHERE s.note_id = ?
+      ORDER BY s.created_at`
+    )
+    .bind(noteId)
+    .all<NoteShare>();
+
+  return results ?? [];
+}
+
+/**
+ * Notes other people have shared with a user, newest first
+ */
+export async function listSharedWithUser(db: D1Database, userId: string) {
+  const { results } = await db
+    .prepare(
+      `SELECT n.id, n.title, n.updated_at, s.role, u.email AS owner_email
+      FROM note_shares s
+      JOIN notes n ON n.id = s.note_id
+      LEFT JOIN users u ON u.id = n.owner_id
+      WHERE s.user_id = ? AND n.deleted_at IS NULL
+      ORDER BY n.updated_at DESC`
+    )
+    .bind(userId)
+    .all<{ id: string; title: string; updated_at: string; role: ShareRole; owner_email: string | null }>();
+
+  return results ?? [];
+}
+
+export function deleteSharesStatement(db: D1Database, noteId: string): D1PreparedStatement {
+  return db.prepare('DELETE FROM note_shares WHERE note_id = ?').bind(noteId);
+}
+
+function publicLinkValue(noteId: string, linkId: string): string {
+  return `public-note:${noteId}:${linkId}`;
+}
+
+export async function signPublicLink(env: any, noteId: string, linkId: string): Promise<string> {
+  return signValue(env, publicLinkValue(noteId, linkId));
+}
+
+/**
+ * Check a public link signature against the note's current link id.
+ * Fails once the link has been revoked or regenerated.
+ */
+export async function verifyPublicLink(env: any, noteId: string, linkId: string | null, sig: string | null): Promise<boolean> {
+  if (!linkId) return false;
+  return verifySignedValue(env, publicLinkValue(noteId, linkId), sig);
+}
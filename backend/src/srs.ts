@@ -0,0 +1,56 @@
+/**
+ * Spaced Repetition
+ * SM-2 scheduling (SuperMemo 2): each review is graded 0-5; grades of 3 and
+ * up count as remembered and grow the interval by the card's ease factor,
+ * anything lower sends the card back to day one.
+ */
+
+export type ReviewGrade = 0 | 1 | 2 | 3 | 4 | 5;
+
+export interface ScheduleState {
+  ease: number;
+  intervalDays: number;
+  repetitions: number;
+}
+
+export interface ScheduledReview extends ScheduleState {
+  dueAt: string;
+}
+
+export const INITIAL_EASE = 2.5;
+export const MIN_EASE = 1.3;
+// Lowest grade that counts as a successful recall
+export const PASSING_GRADE = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function isReviewGrade(value: unknown): value is ReviewGrade {
+  return typeof value === 'number' && Number.isInteger(value) && value >= 0 && value <= 5;
+}
+
+/**
+ * The card's schedule after a review graded `grade` at `now`
+ */
+export function scheduleReview(state: ScheduleState, grade: ReviewGrade, now: Date = new Date()): ScheduledReview {
+  let { intervalDays, repetitions } = state;
+
+  if (grade >= PASSING_GRADE) {
+    if (repetitions === 0) intervalDays = 1;
+    else if (repetitions === 1) intervalDays = 6;
+    else intervalDays = Math.round(intervalDays * state.ease);
+    repetitions++;
+  } else {
+    repetitions = 0;
+    intervalDays = 1;
+  }
+
+  const miss = 5 - grade;
+  const ease = Math.max(MIN_EASE, state.ease + (0.1 - miss * (0.08 + miss * 0.02)));
+
+  return {
+    ease: Math.round(ease * 100) / 100,
+    intervalDays,
+    repetitions,
+    dueAt: new Date(now.getTime() + intervalDays * DAY_MS).toISOString(),
+  };
+}
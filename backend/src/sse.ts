@@ -0,0 +1,77 @@
+/**
+ * Server-Sent Events helpers
+ * Parses Workers AI token streams and encodes events for the browser
+ */
+
+export const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream; charset=utf-8',
+  'Cache-Control': 'no-cache',
+  'Connection': 'keep-alive',
+};
+
+const encoder = new TextEncoder();
+
+/**
+ * Encode a JSON payload as a single SSE `data:` event
+ */
+export function sseEvent(data: unknown): Uint8Array {
+  return encoder.encode(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Whether the client asked for a streamed response, either through the
+ * `Accept` header or a `?stream=1` query parameter
+ */
+export function wantsEventStream(request: Request): boolean {
+  const url = new URL(request.url);
+  const accept = request.headers.get('Accept') || '';
+  return url.searchParams.get('stream') === '1' || accept.includes('text/event-stream');
+}
+
+/**
+ * Yield response tokens from a Workers AI `stream: true` result.
+ * Stops at `[DONE]`; cancels the upstream stream if the consumer bails early.
+ */
+export async function* readAIStream(stream: ReadableStream<Uint8Array>): AsyncGenerator<string> {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let finished = false;
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) {
+        finished = true;
+        return;
+      }
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+
+      for (const line of lines) {
+        if (!line.startsWith('data:')) continue;
+        const payload = line.slice(5).trim();
+        if (payload === '[DONE]') {
+          finished = true;
+          return;
+        }
+
+        try {
+          const event = JSON.parse(payload);
+          if (typeof event.response === 'string' && event.response.length > 0) {
+            yield event.response;
+          }
+        } catch {
+          // Ignore keep-alives and partial frames
+        }
+      }
+    }
+  } finally {
+    if (!finished) {
+      await reader.cancel().catch(() => {});
+    }
+    reader.releaseLock();
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * Summary Cache
+ * Stores the summary workflow's result on the note together with a hash of
+ * the content it was built from, so repeat requests skip the LLM calls until
+ * the note changes.
+ */
+
+import type { KeyPoint } from './workflows/mapReduce';
+
+export interface SummaryData {
+  summary: string;
+  keyPoints: KeyPoint[];
+  topics: string[];
+}
+
+export interface CachedSummary extends SummaryData {
+  generatedAt: string | null;
+  // The note's content has changed since the summary was generated
+  stale: boolean;
+}
+
+interface SummaryColumns {
+  summary: string | null;
+  summary_hash: string | null;
+  summary_generated_at: string | null;
+}
+
+/**
+ * Hex SHA-256 of the note content
+ */
+export async function contentHash(content: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(content));
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Parse the stored JSON; null when there is no usable cached summary
+ */
+export function parseSummary(value: string | null): SummaryData | null {
+  if (!value) return null;
+  try {
+    const data = JSON.parse(value);
+    if (typeof data?.summary !== 'string') return null;
+    return {
+      summary: data.summary,
+      keyPoints: Array.isArray(data.keyPoints) ? data.keyPoints.map(parseKeyPoint) : [],
+      topics: Array.isArray(data.topics) ? data.topics : [],
+    };
+  } catch {
+    return null;
+  }
+}
+
+// Summaries cached before key points carried their sections stored plain strings
+function parseKeyPoint(point: unknown): KeyPoint {
+  if (typeof point === 'string') return { text: point, sections: [] };
+  const { text, sections } = point as Partial<KeyPoint>;
+  return { text: String(text ?? ''), sections: Array.isArray(sections) ? sections : [] };
+}
+
+/**
+ * The cached summary for a note, marked stale if `content` no longer matches
+ */
+export async function getCachedSummary(db: D1Database, noteId: string, content: string): Promise<CachedSummary | null> {
+  const row = await db
+    .prepare('SELECT summary, summary_hash, summary_generated_at FROM notes WHERE id = ?')
+    .bind(noteId)
+    .first<SummaryColumns>();
+
+  const data = parseSummary(row?.summary ?? null);
+  if (!row || !data) return null;
+
+  return {
+    ...data,
+    generatedAt: row.summary_generated_at,
+    stale: row.summary_hash !== (await contentHash(content)),
+  };
+}
+
+/**
+ * Cache a freshly generated summary. Doesn't touch updated_at or version:
+ * a summary isn't an edit.
+ */
+export async function saveSummary(db: D1Database, noteId: string, content: string, data: SummaryData): Promise<CachedSummary> {
+  const generatedAt = new Date().toISOString();
+  const { summary, keyPoints, topics } = data;
+
+  await db
+    .prepare('UPDATE notes SET summary = ?, summary_hash = ?, summary_generated_at = ? WHERE id = ?')
+    .bind(JSON.stringify({ summary, keyPoints, topics }), await contentHash(content), generatedAt, noteId)
+    .run();
+
+  return { summary, keyPoints, topics, generatedAt, stale: false };
+}
@@ -0,0 +1,89 @@
+/**
+ * Trash
+ * Deleting a note moves it to the trash (notes.deleted_at) instead of removing
+ * it. Trashed notes are hidden from every other route, can be restored by
+ * their owner, and are purged for good when the owner empties the trash or,
+ * by the scheduled handler, after TRASH_RETENTION_DAYS.
+ */
+
+// Trashed notes are purged after this many days unless TRASH_RETENTION_DAYS says otherwise
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export interface TrashedNote {
+  id: string;
+  title: string | null;
+  folder_id: string | null;
+  updated_at: string;
+  deleted_at: string;
+  // When the scheduled purge will remove it; null if the trash is kept
+  purge_at: string | null;
+}
+
+/**
+ * Days a note stays in the trash; null keeps trashed notes until they're
+ * purged by hand ("0" or "never" in TRASH_RETENTION_DAYS)
+ */
+export function trashRetentionDays(env: { TRASH_RETENTION_DAYS?: unknown } = {}): number | null {
+  const value = typeof env.TRASH_RETENTION_DAYS === 'string' ? env.TRASH_RETENTION_DAYS.trim().toLowerCase() : '';
+  if (value === 'never' || value === '0') return null;
+  const days = Number(value);
+  return value && Number.isFinite(days) && days > 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * Notes trashed before this moment are due to be purged
+ */
+export function purgeCutoff(now: Date, days: number): string {
+  return new Date(now.getTime() - days * DAY_MS).toISOString();
+}
+
+export function trashNoteStatement(db: D1Database, noteId: string, now = new Date()): D1PreparedStatement {
+  return db.prepare('UPDATE notes SET deleted_at = ? WHERE id = ? AND deleted_at IS NULL').bind(now.toISOString(), noteId);
+}
+
+export function restoreNoteStatement(db: D1Database, noteId: string): D1PreparedStatement {
+  return db.prepare('UPDATE notes SET deleted_at = NULL WHERE id = ?').bind(noteId);
+}
+
+/**
+ * The owner's trashed notes, most recently deleted first
+ */
+export async function listTrash(db: D1Database, ownerId: string, days: number | null): Promise<TrashedNote[]> {
+  const { results } = await db
+    .prepare(
+      `SELECT id, title, folder_id, updated_at, deleted_at FROM notes
+      WHERE owner_id = ? AND deleted_at IS NOT NULL
+      ORDER BY deleted_at DESC`
+    )
+    .bind(ownerId)
+    .all<Omit<TrashedNote, 'purge_at'>>();
+
+  return (results ?? []).map((note) => ({
+    ...note,
+    purge_at: days === null ? null : new Date(Date.parse(note.deleted_at) + days * DAY_MS).toISOString(),
+  }));
+}
+
+/**
+ * Ids of the owner's trashed notes; just the one when `noteId` is given
+ */
+export async function trashedNoteIds(db: D1Database, ownerId: string, noteId?: string): Promise<string[]> {
+  const { results } = await db
+    .prepare(`SELECT id FROM notes WHERE owner_id = ? AND deleted_at IS NOT NULL ${noteId ? 'AND id = ?' : ''}`)
+    .bind(...(noteId ? [ownerId, noteId] : [ownerId]))
+    .all<{ id: string }>();
+  return (results ?? []).map((row) => row.id);
+}
+
+/**
+ * Ids of notes (anyone's) trashed before the cutoff, oldest first
+ */
+export async function expiredTrashIds(db: D1Database, cutoff: string, limit: number): Promise<string[]> {
+  const { results } = await db
+    .prepare('SELECT id FROM notes WHERE deleted_at IS NOT NULL AND deleted_at < ? ORDER BY deleted_at LIMIT ?')
+    .bind(cutoff, limit)
+    .all<{ id: string }>();
+  return (results ?? []).map((row) => row.id);
+}
@@ -0,0 +1,9 @@
+// The part of highlight.js that noteExport.ts uses, in place of the package's
+// typings, which reference the DOM lib (see "paths" in tsconfig.json)
+
+declare const hljs: {
+  getLanguage(name: string): object | undefined;
+  highlight(code: string, options: { language: string; ignoreIllegals?: boolean }): { value: string };
+};
+
+export default hljs;
@@ -0,0 +1,27 @@
+// The part of @cloudflare/puppeteer that noteExport.ts uses, in place of the
+// package's typings, which reference @types/node (see "paths" in tsconfig.json)
+
+export interface PDFOptions {
+  format?: 'A4' | 'Letter';
+  printBackground?: boolean;
+  displayHeaderFooter?: boolean;
+  headerTemplate?: string;
+  footerTemplate?: string;
+  margin?: { top?: string; bottom?: string; left?: string; right?: string };
+}
+
+export interface Page {
+  setContent(html: string, options?: { waitUntil?: 'load' | 'domcontentloaded' | 'networkidle0' | 'networkidle2' }): Promise<void>;
+  pdf(options?: PDFOptions): Promise<Uint8Array>;
+}
+
+export interface Browser {
+  newPage(): Promise<Page>;
+  close(): Promise<void>;
+}
+
+declare const puppeteer: {
+  launch(endpoint: Fetcher): Promise<Browser>;
+};
+
+export default puppeteer;
@@ -0,0 +1,432 @@
+/**
+ * Markdown Vault
+ * Bulk export and import of notes as a zip of Markdown files, laid out like an
+ * Obsidian vault: one `.md` per note in its folder's directory, YAML
+ * front-matter for id, title, timestamps and tags, and images under `assets/`
+ * with relative links. Import also reads Obsidian `![[embeds]]` and Notion
+ * exports (whose file and folder names end in a page id).
+ */
+
+import { Zip, ZipDeflate, ZipPassThrough, unzipSync } from 'fflate';
+import type { Folder } from './organize';
+
+export const MAX_IMPORT_BYTES = 50 * 1024 * 1024;
+export const MAX_IMPORT_NOTES = 500;
+// Same limit as uploading an image in the editor
+export const MAX_IMPORT_IMAGE_BYTES = 5 * 1024 * 1024;
+// What the kept files may add up to once decompressed
+export const MAX_IMPORT_EXPANDED_BYTES = 50 * 1024 * 1024;
+
+export class VaultTooLargeError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'VaultTooLargeError';
+  }
+}
+
+export const IMAGE_TYPES: Record<string, string> = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+};
+
+export interface VaultNote {
+  id: string;
+  title: string;
+  content: string;
+  created_at: string;
+  updated_at: string;
+  folder_id: string | null;
+  tags: string[];
+}
+
+export interface VaultImage {
+  data: Uint8Array;
+  contentType: string;
+}
+
+/**
+ * Reads an image from R2 by key, or null when it can't be exported
+ */
+export type VaultImageLoader = (key: string, sig: string | null) => Promise<VaultImage | null>;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// Full or relative URLs of images uploaded to R2, with the signature if there is one
+const R2_IMAGE_URL = /(?:https?:\/\/[^\s()<>"']*?)?\/api\/images\/([^\s()<>"'?#]+)(?:\?([^\s()<>"'#]*))?/g;
+
+// ---- Export ----
+
+/**
+ * YAML front-matter; strings are written JSON-quoted, which YAML reads as is
+ */
+export function frontMatter(note: VaultNote): string {
+  const lines = [
+    `id: ${note.id}`,
+    `title: ${JSON.stringify(note.title)}`,
+    `created: ${note.created_at}`,
+    `updated: ${note.updated_at}`,
+    `tags: [${note.tags.map((tag) => JSON.stringify(tag)).join(', ')}]`,
+  ];
+  return `---\n${lines.join('\n')}\n---\n\n`;
+}
+
+export function safeFileName(name: string): string {
+  return (
+    name
+      .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '-')
+      .replace(/^\.+/, '')
+      .trim()
+      .slice(0, 100) || 'Untitled'
+  );
+}
+
+function folderPaths(folders: Pick<Folder, 'id' | 'parent_id' | 'name'>[]): Map<string, string[]> {
+  const byId = new Map(folders.map((f) => [f.id, f]));
+  const paths = new Map<string, string[]>();
+  const pathOf = (id: string, seen = new Set<string>()): string[] => {
+    const cached = paths.get(id);
+    if (cached) return cached;
+    const folder = byId.get(id);
+    if (!folder || seen.has(id)) return [];
+    seen.add(id);
+    const path = [...(folder.parent_id ? pathOf(folder.parent_id, seen) : []), safeFileName(folder.name)];
+    paths.set(id, path);
+    return path;
+  };
+  for (const folder of folders) pathOf(folder.id);
+  return paths;
+}
+
+/**
+ * Zip of every note, streamed as it is built. Images the loader returns are
+ * copied into `assets/` and their links rewritten to point there.
+ */
+export function exportVault(
+  notes: VaultNote[],
+  folders: Pick<Folder, 'id' | 'parent_id' | 'name'>[],
+  loadImage: VaultImageLoader
+): ReadableStream<Uint8Array> {
+  const { readable, writable } = new TransformStream<Uint8Array, Uint8Array>();
+  const writer = writable.getWriter();
+
+  const zip = new Zip((err, chunk, final) => {
+    if (err) {
+      writer.abort(err).catch(() => {});
+      return;
+    }
+    // Writing detaches the buffer, and stored files hand over the caller's own array
+    writer.write(chunk.slice()).catch(() => {});
+    if (final) writer.close().catch(() => {});
+  });
+
+  const addFile = (path: string, data: Uint8Array, compress: boolean) => {
+    const file = compress ? new ZipDeflate(path, { level: 6 }) : new ZipPassThrough(path);
+    zip.add(file);
+    file.push(data, true);
+  };
+
+  const build = async () => {
+    const paths = folderPaths(folders);
+    const usedPaths = new Set<string>();
+    // R2 key -> file name under assets/ (null once it failed to load)
+    const assets = new Map<string, string | null>();
+    const usedAssets = new Set<string>();
+
+    for (const note of notes) {
+      const dir = note.folder_id ? paths.get(note.folder_id) || [] : [];
+      const base = [...dir, safeFileName(note.title)].join('/');
+      let path = `${base}.md`;
+      for (let n = 2; usedPaths.has(path.toLowerCase()); n++) path = `${base} (${n}).md`;
+      usedPaths.add(path.toLowerCase());
+
+      let content = note.content || '';
+      for (const [, rawKey, query] of [...content.matchAll(R2_IMAGE_URL)]) {
+        const key = safeDecode(rawKey);
+        if (assets.has(key)) continue;
+        const image = await loadImage(key, new URLSearchParams(query || '').get('sig')).catch(() => null);
+        if (!image) {
+          assets.set(key, null);
+          continue;
+        }
+        const name = uniqueName(safeFileName(key.split('/').pop() || 'image'), usedAssets);
+        assets.set(key, name);
+        addFile(`assets/${name}`, image.data, false);
+        // Let the zip drain before reading the next image
+        await writer.ready;
+      }
+
+      const up = '../'.repeat(dir.length);
+      content = content.replace(R2_IMAGE_URL, (match, rawKey: string) => {
+        const name = assets.get(safeDecode(rawKey));
+        return name ? `${up}assets/${encodeURI(name)}` : match;
+      });
+
+      addFile(path, encoder.encode(frontMatter(note) + content), true);
+      await writer.ready;
+    }
+    zip.end();
+  };
+
+  build().catch((err) => {
+    console.error('exportVault error:', err);
+    zip.terminate();
+    writer.abort(err).catch(() => {});
+  });
+
+  return readable;
+}
+
+function uniqueName(name: string, used: Set<string>): string {
+  const dot = name.lastIndexOf('.');
+  const [stem, ext] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+  let candidate = name;
+  for (let n = 2; used.has(candidate.toLowerCase()); n++) candidate = `${stem}-${n}${ext}`;
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+function safeDecode(value: string): string {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+// ---- Import ----
+
+export interface FrontMatter {
+  data: Record<string, string | string[]>;
+  body: string;
+}
+
+/**
+ * Split off and read YAML front-matter. Only what notes use is understood:
+ * `key: value` scalars and lists, either `[a, b]` or `- a` lines.
+ */
+export function parseFrontMatter(text: string): FrontMatter {
+  const match = text.match(/^\uFEFF?---\r?\n([\s\S]*?)\r?\n---[^\S\n]*(?:\r?\n|$)/);
+  if (!match) return { data: {}, body: text };
+
+  const data: Record<string, string | string[]> = {};
+  let listKey: string | null = null;
+  for (const line of match[1].split(/\r?\n/)) {
+    const item = line.match(/^\s+-\s*(.*)$/) || line.match(/^-\s+(.*)$/);
+    if (item && listKey) {
+      (data[listKey] as string[]).push(unquote(item[1]));
+      continue;
+    }
+    const pair = line.match(/^([A-Za-z_][\w-]*)\s*:\s*(.*)$/);
+    if (!pair) continue;
+    const key = pair[1].toLowerCase();
+    const value = pair[2].trim();
+    listKey = null;
+    if (value === '') {
+      data[key] = [];
+      listKey = key;
+    } else if (value.startsWith('[') && value.endsWith(']')) {
+      data[key] = splitList(value.slice(1, -1));
+    } else {
+      data[key] = unquote(value);
+    }
+  }
+  return { data, body: text.slice(match[0].length).replace(/^\r?\n/, '') };
+}
+
+function splitList(value: string): string[] {
+  return (value.match(/"(?:\\.|[^"\\])*"|'(?:''|[^'])*'|[^,]+/g) || []).map(unquote).filter(Boolean);
+}
+
+function unquote(value: string): string {
+  const trimmed = value.trim();
+  if (trimmed.startsWith('"') && trimmed.endsWith('"') && trimmed.length > 1) {
+    try {
+      return JSON.parse(trimmed);
+    } catch {
+      return trimmed.slice(1, -1);
+    }
+  }
+  if (trimmed.startsWith("'") && trimmed.endsWith("'") && trimmed.length > 1) {
+    return trimmed.slice(1, -1).replace(/''/g, "'");
+  }
+  return trimmed;
+}
+
+export interface ImportedNote {
+  path: string;
+  title: string;
+  content: string;
+  // Directories the note sat in, as folder names from the top
+  folders: string[];
+  tags: string[];
+  created_at: string | null;
+  updated_at: string | null;
+  // Paths of the images in the zip it shows
+  assets: string[];
+}
+
+export interface ParsedVault {
+  notes: ImportedNote[];
+  assets: Map<string, Uint8Array>;
+  skipped: Array<{ path: string; reason: string }>;
+}
+
+// Notion appends the page id to exported file and folder names
+const NOTION_ID = /\s+[0-9a-f]{32}$/i;
+
+// ![alt](target "title") and Obsidian's ![[target|size]]
+const MARKDOWN_IMAGE = /!\[([^\]\n]*)\]\(\s*(<[^>\n]+>|[^\s)]+)((?:\s+"[^"\n]*")?\s*)\)/g;
+const WIKI_EMBED = /!\[\[([^\]|#\n]+)(?:[|#][^\]\n]*)?\]\]/g;
+
+/**
+ * Read the notes and images out of a Markdown zip. Hidden files (like
+ * `.obsidian/`) are ignored; a single top-level directory around everything is
+ * dropped rather than turned into a folder. Entries are skipped or the zip
+ * rejected (VaultTooLargeError) by their sizes in the zip's directory, before
+ * anything is decompressed; fflate never inflates an entry past that size,
+ * and an entry stored uncompressed takes its compressed size.
+ */
+export function parseVault(zipData: Uint8Array): ParsedVault {
+  const rejected: Array<{ name: string; reason: string }> = [];
+  let expanded = 0;
+  const files = unzipSync(zipData, {
+    filter: (file) => {
+      if (file.name.endsWith('/') || file.name.split('/').some((part) => part.startsWith('.') || part === '__MACOSX')) return false;
+
+      const ext = extension(file.name);
+      const bytes = Math.max(file.originalSize, file.size);
+      if (ext !== 'md' && ext !== 'markdown' && !IMAGE_TYPES[ext]) {
+        rejected.push({ name: file.name, reason: 'Not a Markdown file or image' });
+        return false;
+      }
+      if (IMAGE_TYPES[ext] && bytes > MAX_IMPORT_IMAGE_BYTES) {
+        rejected.push({ name: file.name, reason: 'Image larger than 5MB' });
+        return false;
+      }
+
+      expanded += bytes;
+      if (expanded > MAX_IMPORT_EXPANDED_BYTES) {
+        throw new VaultTooLargeError(`The files in the zip add up to more than ${MAX_IMPORT_EXPANDED_BYTES / 1024 / 1024}MB`);
+      }
+      return true;
+    },
+  });
+
+  const paths = Object.keys(files);
+  const roots = new Set([...paths, ...rejected.map((file) => file.name)].map((p) => (p.includes('/') ? p.split('/')[0] : '')));
+  const [root] = roots;
+  const strip = roots.size === 1 && root ? root.length + 1 : 0;
+
+  const notes: ImportedNote[] = [];
+  const assets = new Map<string, Uint8Array>();
+  const skipped: ParsedVault['skipped'] = rejected.map(({ name, reason }) => ({ path: name.slice(strip), reason }));
+  const markdown: Array<[string, Uint8Array]> = [];
+
+  for (const original of paths) {
+    const path = original.slice(strip);
+    const ext = extension(path);
+    if (ext === 'md' || ext === 'markdown') {
+      markdown.push([path, files[original]]);
+    } else {
+      assets.set(path, files[original]);
+    }
+  }
+  const assetPaths = [...assets.keys()];
+
+  for (const [path, data] of markdown.sort(([a], [b]) => a.localeCompare(b))) {
+    if (notes.length >= MAX_IMPORT_NOTES) {
+      skipped.push({ path, reason: `More than ${MAX_IMPORT_NOTES} notes` });
+      continue;
+    }
+    const { data: meta, body } = parseFrontMatter(decoder.decode(data));
+    const parts = path.split('/');
+    const fileTitle = parts.pop()!.replace(/\.(md|markdown)$/i, '').replace(NOTION_ID, '');
+    const title = typeof meta.title === 'string' && meta.title.trim() ? meta.title.trim() : fileTitle.trim() || 'Untitled';
+
+    // Obsidian also accepts `tags: a, b`
+    const tags = typeof meta.tags === 'string' ? meta.tags.split(/[,\s]+/) : meta.tags ?? [];
+    const used = new Set<string>();
+    mapImageLinks(body, parts, assetPaths, (asset) => {
+      used.add(asset);
+      return null;
+    });
+
+    notes.push({
+      path,
+      title,
+      content: body,
+      folders: parts.map((part) => part.replace(NOTION_ID, '')).filter(Boolean),
+      tags: tags.map((tag) => tag.replace(/^#/, '').trim()).filter(Boolean),
+      created_at: isoDate(meta.created ?? meta.created_at ?? meta.date),
+      updated_at: isoDate(meta.updated ?? meta.updated_at ?? meta.modified),
+      assets: [...used],
+    });
+  }
+
+  return { notes, assets, skipped };
+}
+
+/**
+ * Point a note's image links at their new URLs; links to images that weren't
+ * imported are left as they were
+ */
+export function relinkImages(note: ImportedNote, urls: Map<string, string>, assetPaths: string[]): string {
+  return mapImageLinks(note.content, note.path.split('/').slice(0, -1), assetPaths, (asset) => urls.get(asset) ?? null);
+}
+
+// Calls `replace` with the zip path of each image the note shows; a string return rewrites the link
+function mapImageLinks(content: string, dir: string[], assetPaths: string[], replace: (asset: string) => string | null): string {
+  const resolve = (target: string, byName: boolean) => {
+    const clean = safeDecode(target.replace(/^<|>$/g, '').trim());
+    if (/^[a-z][a-z0-9+.-]*:/i.test(clean) || clean.startsWith('/')) return null;
+    const joined = normalizePath([...(byName ? [] : dir), ...clean.split('/')]);
+    if (joined && assetPaths.includes(joined)) return joined;
+    // Obsidian links by file name alone when it is unique in the vault
+    const name = clean.split('/').pop()!.toLowerCase();
+    const matches = assetPaths.filter((p) => p.split('/').pop()!.toLowerCase() === name);
+    return matches.length === 1 ? matches[0] : null;
+  };
+
+  return content
+    .replace(MARKDOWN_IMAGE, (match, alt: string, target: string, title: string) => {
+      const asset = resolve(target, false);
+      const url = asset && replace(asset);
+      return url ? `![${alt}](${url}${title})` : match;
+    })
+    .replace(WIKI_EMBED, (match, target: string) => {
+      const asset = resolve(target, true);
+      const url = asset && replace(asset);
+      return url ? `![${asset.split('/').pop()!.replace(/\.[^.]+$/, '')}](${url})` : match;
+    });
+}
+
+function normalizePath(parts: string[]): string | null {
+  const out: string[] = [];
+  for (const part of parts) {
+    if (part === '' || part === '.') continue;
+    if (part === '..') {
+      if (!out.length) return null;
+      out.pop();
+    } else {
+      out.push(part);
+    }
+  }
+  return out.join('/');
+}
+
+export function extension(path: string): string {
+  const name = path.split('/').pop() || '';
+  const dot = name.lastIndexOf('.');
+  return dot > 0 ? name.slice(dot + 1).toLowerCase() : '';
+}
+
+function isoDate(value: string | string[] | undefined): string | null {
+  if (typeof value !== 'string' || !value) return null;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
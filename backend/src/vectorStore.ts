@@ -0,0 +1,181 @@
+/**
+ * Vector Stores
+ * Pluggable storage for note chunk embeddings. Cloudflare Vectorize is used
+ * when the VECTORIZE binding exists; otherwise vectors live in D1 (SQLite).
+ * MemoryVectorStore is an in-process stand-in for tests.
+ */
+
+export interface VectorRecord {
+  id: string;
+  values: number[];
+  metadata: {
+    noteId: string;
+    chunkIndex: number;
+    ownerId?: string;
+  };
+}
+
+// Restricts a query to one user's notes
+export interface VectorFilter {
+  ownerId?: string;
+}
+
+export interface VectorMatch {
+  id: string;
+  score: number;
+  noteId: string;
+  chunkIndex: number;
+}
+
+export interface VectorStore {
+  upsert(records: VectorRecord[]): Promise<void>;
+  deleteByIds(ids: string[]): Promise<void>;
+  query(values: number[], topK: number, filter?: VectorFilter): Promise<VectorMatch[]>;
+}
+
+export function cosineSimilarity(a: ArrayLike<number>, b: ArrayLike<number>): number {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * In-memory store, mainly for tests
+ */
+export class MemoryVectorStore implements VectorStore {
+  private records = new Map<string, VectorRecord>();
+
+  async upsert(records: VectorRecord[]): Promise<void> {
+    for (const record of records) {
+      this.records.set(record.id, record);
+    }
+  }
+
+  async deleteByIds(ids: string[]): Promise<void> {
+    for (const id of ids) {
+      this.records.delete(id);
+    }
+  }
+
+  async query(values: number[], topK: number, filter: VectorFilter = {}): Promise<VectorMatch[]> {
+    return [...this.records.values()]
+      .filter(record => !filter.ownerId || record.metadata.ownerId === filter.ownerId)
+      .map(record => ({
+        id: record.id,
+        score: cosineSimilarity(values, record.values),
+        noteId: record.metadata.noteId,
+        chunkIndex: record.metadata.chunkIndex,
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+}
+
+/**
+ * SQLite-backed store using the note_vectors table in D1.
+ * Queries are a brute-force scan, which is fine for a personal notebook.
+ */
+export class D1VectorStore implements VectorStore {
+  constructor(private db: D1Database) {}
+
+  async upsert(records: VectorRecord[]): Promise<void> {
+    if (records.length === 0) return;
+    await this.db.batch(
+      records.map(record =>
+        this.db
+          .prepare(
+            'INSERT OR REPLACE INTO note_vectors (id, note_id, chunk_index, embedding) VALUES (?, ?, ?, ?)'
+          )
+          .bind(record.id, record.metadata.noteId, record.metadata.chunkIndex, new Float32Array(record.values).buffer)
+      )
+    );
+  }
+
+  async deleteByIds(ids: string[]): Promise<void> {
+    if (ids.length === 0) return;
+    await this.db.batch(ids.map(id => this.db.prepare('DELETE FROM note_vectors WHERE id = ?').bind(id)));
+  }
+
+  async query(values: number[], topK: number, filter: VectorFilter = {}): Promise<VectorMatch[]> {
+    // Ownership lives on the notes row, so D1 doesn't need ownerId copied into note_vectors
+    const statement = filter.ownerId
+      ? this.db
+          .prepare(
+            `SELECT v.id, v.note_id, v.chunk_index, v.embedding
+            FROM note_vectors v
+            JOIN notes n ON n.id = v.note_id
+            WHERE n.owner_id = ? AND n.deleted_at IS NULL`
+          )
+          .bind(filter.ownerId)
+      : this.db.prepare('SELECT id, note_id, chunk_index, embedding FROM note_vectors');
+    const { results } = await statement.all<{ id: string; note_id: string; chunk_index: number; embedding: ArrayBuffer | number[] }>();
+
+    return (results ?? [])
+      .map(row => ({
+        id: row.id,
+        score: cosineSimilarity(values, toFloat32(row.embedding)),
+        noteId: row.note_id,
+        chunkIndex: row.chunk_index,
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+}
+
+/**
+ * Cloudflare Vectorize index
+ */
+export class VectorizeStore implements VectorStore {
+  constructor(private index: VectorizeIndex) {}
+
+  async upsert(records: VectorRecord[]): Promise<void> {
+    if (records.length === 0) return;
+    await this.index.upsert(
+      records.map(record => ({
+        id: record.id,
+        values: record.values,
+        metadata: record.metadata,
+      }))
+    );
+  }
+
+  async deleteByIds(ids: string[]): Promise<void> {
+    if (ids.length === 0) return;
+    await this.index.deleteByIds(ids);
+  }
+
+  async query(values: number[], topK: number, filter: VectorFilter = {}): Promise<VectorMatch[]> {
+    // Filtering on ownerId needs a metadata index: wrangler vectorize create-metadata-index <index> --property-name=ownerId --type=string
+    const { matches } = await this.index.query(values, {
+      topK,
+      returnMetadata: 'all',
+      ...(filter.ownerId ? { filter: { ownerId: filter.ownerId } } : {}),
+    });
+    return matches.map(match => ({
+      id: match.id,
+      score: match.score,
+      noteId: String(match.metadata?.noteId ?? ''),
+      chunkIndex: Number(match.metadata?.chunkIndex ?? 0),
+    }));
+  }
+}
+
+export function createVectorStore(env: any): VectorStore {
+  if (env.VECTORIZE) {
+    return new VectorizeStore(env.VECTORIZE);
+  }
+  return new D1VectorStore(env.DB);
+}
+
+// D1 hands BLOBs back as number[] (bytes) or ArrayBuffer depending on runtime
+function toFloat32(blob: ArrayBuffer | number[]): Float32Array {
+  if (blob instanceof ArrayBuffer) return new Float32Array(blob);
+  return new Float32Array(new Uint8Array(blob).buffer);
+}
@@ -0,0 +1,125 @@
+/**
+ * Answer Grading Workflow
+ * Multi-step AI workflow to grade free-text quiz answers against the note
+ */
+
+import { LLMClient, createLLM } from '../llm';
+
+interface GradingWorkflowParams {
+  noteId: string;
+  noteContent: string;
+  noteTitle: string;
+  answers: AnswerToGrade[];
+}
+
+export interface AnswerToGrade {
+  question: string;
+  referenceAnswer: string;
+  userAnswer: string;
+}
+
+export interface AnswerGrade {
+  // 0-100
+  score: number;
+  // Points from the note the answer left out or got wrong
+  missing: string[];
+  modelAnswer: string;
+  feedback: string;
+}
+
+interface GradingResult {
+  grades: AnswerGrade[];
+  // Average score across all answers
+  score: number;
+}
+
+export class GradingWorkflow {
+  // Defaults to the deployment's client (see createLLM)
+  constructor(private llm?: LLMClient) {}
+
+  async run(env: any, params: GradingWorkflowParams): Promise<GradingResult> {
+    const { noteContent, noteTitle, answers } = params;
+    const llm = this.llm ?? createLLM(env);
+
+    // Step 1: Grade each answer against the note (blank answers score 0 without asking the model)
+    const grades: AnswerGrade[] = [];
+    for (const answer of answers) {
+      grades.push(
+        answer.userAnswer.trim()
+          ? await this.gradeAnswer(llm, noteContent, noteTitle, answer)
+          : this.blankGrade(answer)
+      );
+    }
+
+    // Step 2: Overall score
+    const score = grades.length ? grades.reduce((sum, g) => sum + g.score, 0) / grades.length : 0;
+
+    return {
+      grades,
+      score: Math.round(score * 10) / 10,
+    };
+  }
+
+  private async gradeAnswer(llm: LLMClient, content: string, title: string, answer: AnswerToGrade): Promise<AnswerGrade> {
+    const prompt = `Grade a student's answer to a study question. The note is the source of truth.
+
+Title: ${title}
+Note:
+${content.slice(0, 4000)}
+
+Question: ${answer.question}
+${answer.referenceAnswer ? `Reference answer: ${answer.referenceAnswer}\n` : ''}Student answer: ${answer.userAnswer.slice(0, 2000)}
+
+Score from 0 (wrong or irrelevant) to 100 (complete and correct). Judge meaning, not wording.
+Return ONLY a JSON object like:
+{"score": 70, "missing": ["key point the answer left out"], "modelAnswer": "a complete 1-3 sentence answer", "feedback": "one sentence of feedback"}`;
+
+    try {
+      const { text } = await llm.complete('grading', {
+        messages: [
+          { role: 'system', content: 'You are a fair, encouraging examiner who grades answers strictly against the provided notes. Return only valid JSON.' },
+          { role: 'user', content: prompt }
+        ],
+      });
+
+      const gradeText = text || '{}';
+      // Try to extract JSON object from response
+      const match = gradeText.match(/\{.*\}/s);
+      if (match) {
+        return parseGrade(JSON.parse(match[0]), answer.referenceAnswer);
+      }
+    } catch (error) {
+      console.error('Error grading answer:', error);
+    }
+
+    // Fallback: ungraded, but still show the reference answer
+    return {
+      score: 0,
+      missing: [],
+      modelAnswer: answer.referenceAnswer,
+      feedback: 'This answer could not be graded automatically.',
+    };
+  }
+
+  private blankGrade(answer: AnswerToGrade): AnswerGrade {
+    return {
+      score: 0,
+      missing: [],
+      modelAnswer: answer.referenceAnswer,
+      feedback: 'No answer given.',
+    };
+  }
+}
+
+/**
+ * Validate the model's grade, clamping the score into 0-100
+ */
+export function parseGrade(raw: any, referenceAnswer = ''): AnswerGrade {
+  const score = Number(raw?.score);
+  return {
+    score: Number.isFinite(score) ? Math.round(Math.min(100, Math.max(0, score))) : 0,
+    missing: Array.isArray(raw?.missing) ? raw.missing.filter((m: unknown) => typeof m === 'string' && m.trim()) : [],
+    modelAnswer: typeof raw?.modelAnswer === 'string' && raw.modelAnswer.trim() ? raw.modelAnswer.trim() : referenceAnswer,
+    feedback: typeof raw?.feedback === 'string' ? raw.feedback.trim() : '',
+  };
+}
@@ -0,0 +1,201 @@
+/**
+ * Map-Reduce over Long Notes
+ * Notes are split into token-sized chunks (see chunkByTokens). Each chunk is
+ * read once, as its own durable step, for its topics, key points and (when
+ * there are several chunks) a partial summary. The results are merged here:
+ * topics and key points are deduplicated across chunks, and each key point
+ * keeps the sections it came from.
+ */
+
+import { AI_STEP, StepRunner } from './steps';
+import { JsonSchema, generateStructured } from './structuredOutput';
+import { TokenChunk } from '../chunker';
+import type { LLMClient } from '../llm';
+
+// Note text per map call; a note this size or smaller is read in one go
+export const CHUNK_TOKENS = 1500;
+
+// Reported as "summarize sections (2/5)" etc., one step per chunk
+export const SECTIONS_STEP = 'summarize sections';
+
+const MAX_TOPICS = 8;
+const MAX_KEY_POINTS = 10;
+
+export interface KeyPoint {
+  text: string;
+  // Headings of the sections the point was drawn from; empty for notes without headings
+  sections: string[];
+}
+
+export interface SectionDigest {
+  headings: string[];
+  // Only asked for when the note spans several chunks
+  summary: string;
+  topics: string[];
+  keyPoints: KeyPoint[];
+}
+
+interface SectionReply {
+  summary?: string;
+  topics: string[];
+  keyPoints: Array<{ text: string; section?: string }>;
+}
+
+function sectionSchema(headings: string[], withSummary: boolean): JsonSchema {
+  // The model picks each point's section from the chunk's own headings
+  const keyPoint: JsonSchema = headings.length > 0
+    ? {
+        type: 'object',
+        properties: { text: { type: 'string', minLength: 1 }, section: { type: 'string', enum: headings } },
+        required: ['text', 'section'],
+      }
+    : { type: 'object', properties: { text: { type: 'string', minLength: 1 } }, required: ['text'] };
+
+  return {
+    type: 'object',
+    properties: {
+      ...(withSummary ? { summary: { type: 'string', minLength: 1 } } : {}),
+      topics: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1, maxItems: 5 },
+      keyPoints: { type: 'array', items: keyPoint, minItems: 1, maxItems: 7 },
+    },
+    required: withSummary ? ['summary', 'topics', 'keyPoints'] : ['topics', 'keyPoints'],
+  };
+}
+
+/**
+ * Map step: read every chunk, one durable step each
+ */
+export async function digestSections(
+  llm: LLMClient,
+  step: StepRunner,
+  title: string,
+  chunks: TokenChunk[]
+): Promise<SectionDigest[]> {
+  const withSummary = chunks.length > 1;
+  const digests: SectionDigest[] = [];
+
+  for (const chunk of chunks) {
+    const name = `${SECTIONS_STEP} (${chunk.index + 1}/${chunks.length})`;
+    digests.push(await step.do(name, AI_STEP, () => digestChunk(llm, name, title, chunk, chunks.length, withSummary)));
+  }
+  return digests;
+}
+
+async function digestChunk(
+  llm: LLMClient,
+  name: string,
+  title: string,
+  chunk: TokenChunk,
+  total: number,
+  withSummary: boolean
+): Promise<SectionDigest> {
+  const part = total > 1 ? ` (part ${chunk.index + 1} of ${total})` : '';
+  const prompt = `Read this note${part} and extract:
+${withSummary ? '- summary: 2-4 sentences covering this part\n' : ''}- topics: the 2-5 main topics or concepts
+- keyPoints: 3-7 key points or takeaways${chunk.headings.length > 0 ? ', each with the heading of the section it comes from' : ''}
+
+Title: ${title}
+Content:
+${chunk.text}
+
+Return ONLY a JSON object, e.g., {${withSummary ? '"summary": "...", ' : ''}"topics": ["topic1", "topic2"], "keyPoints": [{"text": "point1"${chunk.headings.length > 0 ? `, "section": ${JSON.stringify(chunk.headings[0])}` : ''}}]}`;
+
+  const reply = await generateStructured<SectionReply>(llm, {
+    step: name,
+    profile: 'extraction',
+    schema: sectionSchema(chunk.headings, withSummary),
+    messages: [
+      { role: 'system', content: 'You are a study assistant that pulls the main topics and key takeaways out of educational notes. Return only valid JSON.' },
+      { role: 'user', content: prompt }
+    ],
+  });
+
+  return {
+    headings: chunk.headings,
+    summary: reply.summary?.trim() ?? '',
+    topics: reply.topics.map((topic) => topic.trim()),
+    keyPoints: reply.keyPoints.map((point) => ({
+      text: point.text.trim(),
+      sections: point.section ? [point.section] : [],
+    })),
+  };
+}
+
+/**
+ * The partial summaries as one text for the reduce prompts, labelled by section
+ */
+export function digestText(digests: SectionDigest[]): string {
+  return digests
+    .map((digest, i) => {
+      const label = digest.headings.length > 0 ? digest.headings.join(' / ') : `Part ${i + 1}`;
+      const points = digest.keyPoints.map((point) => `- ${point.text}`).join('\n');
+      return `### ${label}\n${digest.summary}\n${points}`;
+    })
+    .join('\n\n');
+}
+
+function normalize(text: string): string {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function words(text: string): Set<string> {
+  return new Set(normalize(text).split(' ').filter((word) => word.length > 2));
+}
+
+// Rephrasings of the same point share most of their words
+function similar(a: Set<string>, b: Set<string>): boolean {
+  if (a.size === 0 || b.size === 0) return false;
+  let shared = 0;
+  for (const word of a) if (b.has(word)) shared++;
+  return shared / (a.size + b.size - shared) >= 0.8;
+}
+
+/**
+ * Topics across chunks, case-insensitively deduplicated; those found in more chunks come first
+ */
+export function mergeTopics(digests: SectionDigest[], max = MAX_TOPICS): string[] {
+  const topics = new Map<string, { topic: string; count: number; order: number }>();
+  for (const topic of digests.flatMap((digest) => digest.topics)) {
+    const key = normalize(topic);
+    if (!key) continue;
+    const seen = topics.get(key);
+    if (seen) seen.count++;
+    else topics.set(key, { topic, count: 1, order: topics.size });
+  }
+
+  return [...topics.values()]
+    .sort((a, b) => b.count - a.count || a.order - b.order)
+    .slice(0, max)
+    .map((entry) => entry.topic);
+}
+
+/**
+ * Key points across chunks with near-duplicates merged (their sections combined).
+ * When there are too many, points made in several sections are kept first;
+ * the result stays in note order.
+ */
+export function mergeKeyPoints(digests: SectionDigest[], max = MAX_KEY_POINTS): KeyPoint[] {
+  const merged: Array<{ point: KeyPoint; words: Set<string>; count: number }> = [];
+
+  for (const point of digests.flatMap((digest) => digest.keyPoints)) {
+    const pointWords = words(point.text);
+    const duplicate = merged.find(
+      (entry) => normalize(entry.point.text) === normalize(point.text) || similar(entry.words, pointWords)
+    );
+    if (duplicate) {
+      duplicate.count++;
+      for (const section of point.sections) {
+        if (!duplicate.point.sections.includes(section)) duplicate.point.sections.push(section);
+      }
+    } else {
+      merged.push({ point: { text: point.text, sections: [...point.sections] }, words: pointWords, count: 1 });
+    }
+  }
+
+  const kept = new Set(
+    [...merged]
+      .sort((a, b) => b.count - a.count || merged.indexOf(a) - merged.indexOf(b))
+      .slice(0, max)
+  );
+  return merged.filter((entry) => kept.has(entry)).map((entry) => entry.point);
+}
@@ -0,0 +1,166 @@
+/**
+ * Note Jobs
+ * Runs the summary and study-question workflows in the background. With the
+ * NOTE_JOBS binding they run on Cloudflare Workflows, so each step is a durable
+ * checkpoint that survives failures; without it the same steps run in-process.
+ * Either way every step attempt and the final result are recorded on the job.
+ */
+
+import { WorkflowEntrypoint, WorkflowEvent, WorkflowStep } from 'cloudflare:workers';
+import { NonRetryableError } from 'cloudflare:workflows';
+import { SummaryWorkflow } from './summaryWorkflow';
+import { QuestionsResult, QuestionsWorkflow } from './questionsWorkflow';
+import { DB_STEP, LocalStepRunner, StepRunner, isRetryable } from './steps';
+import { JobKind, JobParams, addJobUsage, completeJob, completeJobStep, failJob, failJobStep, setJobRunning, startJobStep } from '../jobs';
+import { CachedSummary, saveSummary } from '../summaryCache';
+import { addFlashcards } from '../flashcards';
+import { noteWithFiles } from '../noteFiles';
+import { createLLM } from '../llm';
+
+// Every step a job reports, in order
+export const JOB_STEPS: Record<JobKind, readonly string[]> = {
+  summary: ['load note', ...SummaryWorkflow.STEPS, 'save result'],
+  questions: ['load note', ...QuestionsWorkflow.STEPS, 'save result'],
+};
+
+interface NoteInput {
+  noteId: string;
+  noteContent: string;
+  noteTitle: string;
+}
+
+export class NoteJobWorkflow extends WorkflowEntrypoint<any, JobParams> {
+  async run(event: Readonly<WorkflowEvent<JobParams>>, step: WorkflowStep): Promise<unknown> {
+    return runNoteJob(this.env, event.payload, {
+      do: (name, config, callback) =>
+        step.do(name, config, async (): Promise<any> => {
+          try {
+            return await callback();
+          } catch (err: any) {
+            // Tell Workflows not to retry errors that say so
+            if (!isRetryable(err)) throw new NonRetryableError(err.message, err.name);
+            throw err;
+          }
+        }),
+    });
+  }
+}
+
+/**
+ * Queue a job: on Cloudflare Workflows when bound, otherwise in-process after the response
+ */
+export async function startNoteJob(env: any, ctx: ExecutionContext, params: JobParams): Promise<void> {
+  if (env.NOTE_JOBS) {
+    await env.NOTE_JOBS.create({ id: params.jobId, params });
+    return;
+  }
+  ctx.waitUntil(
+    runNoteJob(env, params, new LocalStepRunner()).catch((err) => console.error('Note job failed:', err))
+  );
+}
+
+export async function runNoteJob(env: any, params: JobParams, step: StepRunner): Promise<unknown> {
+  const { jobId, kind, noteId, userId } = params;
+  const steps = trackSteps(env.DB, jobId, step);
+  // Every model call (retries included) counts towards the job's token usage
+  const llm = createLLM(env, {
+    onUsage: (usage) => addJobUsage(env.DB, jobId, usage).catch((err) => console.error('Job usage error:', err)),
+  });
+
+  try {
+    await setJobRunning(env.DB, jobId);
+
+    // Read once, so a replayed run works from the same content. Text from the
+    // note's attachments comes after the note, a section per page.
+    const note = await steps.do('load note', DB_STEP, async () => {
+      const row = await env.DB.prepare('SELECT id, title, content FROM notes WHERE id = ? AND deleted_at IS NULL').bind(noteId).first();
+      return row && { ...row, content: await noteWithFiles(env.DB, row.id, row.content || '') };
+    }) as { id: string; title: string | null; content: string } | null;
+    if (!note) {
+      await failJob(env.DB, jobId, 'Note not found');
+      return null;
+    }
+
+    const input: NoteInput = {
+      noteId: note.id,
+      noteContent: note.content,
+      noteTitle: note.title || 'Untitled',
+    };
+
+    if (kind === 'summary') {
+      const generated = await new SummaryWorkflow(llm).run(env, input, steps);
+      return await steps.do('save result', DB_STEP, async () => {
+        // A failed run isn't cached, so the next request tries again
+        const saved = generated.ok
+          ? await saveSummary(env.DB, note.id, input.noteContent, generated)
+          : { ...generated, generatedAt: null, stale: true };
+        const result = formatSummary(saved, false);
+        await completeJob(env.DB, jobId, result);
+        return result;
+      });
+    }
+
+    const generated = await new QuestionsWorkflow(llm).run(env, input, steps);
+    return await steps.do('save result', DB_STEP, async () => {
+      // Keep the questions (with their answers) as flashcards for spaced review
+      const flashcardsAdded = await addFlashcards(env.DB, userId, note.id, generated.questions);
+      const result = formatQuestions(generated, flashcardsAdded);
+      await completeJob(env.DB, jobId, result);
+      return result;
+    });
+  } catch (err: any) {
+    await failJob(env.DB, jobId, err?.message || 'Job failed');
+    throw err;
+  }
+}
+
+/**
+ * Record each attempt of each step on the job
+ */
+function trackSteps(db: D1Database, jobId: string, step: StepRunner): StepRunner {
+  return {
+    do: (name, config, callback) =>
+      step.do(name, config, async () => {
+        await startJobStep(db, jobId, name);
+        try {
+          const result = await callback();
+          await completeJobStep(db, jobId, name);
+          return result;
+        } catch (err: any) {
+          const maxAttempts = isRetryable(err) ? 1 + (config.retries?.limit ?? 0) : 0;
+          await failJobStep(db, jobId, name, err?.message || String(err), maxAttempts);
+          throw err;
+        }
+      }),
+  };
+}
+
+export function formatSummary(result: CachedSummary, cached: boolean) {
+  return {
+    success: true,
+    summary: result.summary,
+    keyPoints: result.keyPoints,
+    topics: result.topics,
+    generatedAt: result.generatedAt,
+    cached,
+    // Format result as markdown for display - keep it brief, just the summary
+    markdown: result.summary,
+  };
+}
+
+export function formatQuestions(result: QuestionsResult, flashcardsAdded: number) {
+  // Format result as markdown for display
+  const markdown = `## Study Questions (${result.totalCount} questions)\n\n${result.questions.map((q, i) => {
+    const icon = q.type === 'recall' ? '🧠' : q.type === 'comprehension' ? '💡' : '🔧';
+    const difficultyLabel = q.difficulty === 'easy' ? '⭐' : q.difficulty === 'medium' ? '⭐⭐' : '⭐⭐⭐';
+    return `${i + 1}. ${icon} ${q.question} ${difficultyLabel}`;
+  }).join('\n\n')}`;
+
+  return {
+    success: true,
+    questions: result.questions,
+    totalCount: result.totalCount,
+    flashcardsAdded,
+    markdown,
+  };
+}
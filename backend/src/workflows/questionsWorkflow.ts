@@ -3,43 +3,122 @@
  * Multi-step AI workflow to generate study questions from notes
  */
 
+import { AI_STEP, LocalStepRunner, StepRunner, withFallback } from './steps';
+import { JsonSchema, generateStructured } from './structuredOutput';
+import { CHUNK_TOKENS, SECTIONS_STEP, digestSections, digestText } from './mapReduce';
+import { chunkByTokens } from '../chunker';
+import { LLMClient, createLLM } from '../llm';
+
+const QUESTION_TYPES = ['recall', 'comprehension', 'application'] as const;
+const DIFFICULTIES = ['easy', 'medium', 'hard'] as const;
+
+const QUESTIONS_SCHEMA: JsonSchema = {
+  type: 'object',
+  properties: {
+    questions: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1, maxItems: 15 },
+  },
+  required: ['questions'],
+};
+
+// One category per question, in question order
+function categoriesSchema(count: number): JsonSchema {
+  return {
+    type: 'object',
+    properties: {
+      categories: {
+        type: 'array',
+        minItems: count,
+        maxItems: count,
+        items: {
+          type: 'object',
+          properties: {
+            type: { type: 'string', enum: QUESTION_TYPES },
+            difficulty: { type: 'string', enum: DIFFICULTIES },
+          },
+          required: ['type', 'difficulty'],
+        },
+      },
+    },
+    required: ['categories'],
+  };
+}
+
+// One answer per question
+function answersSchema(count: number): JsonSchema {
+  return {
+    type: 'object',
+    properties: {
+      answers: { type: 'array', items: { type: 'string' }, minItems: count, maxItems: count },
+    },
+    required: ['answers'],
+  };
+}
+
 interface QuestionsWorkflowParams {
   noteId: string;
   noteContent: string;
   noteTitle: string;
 }
 
-interface StudyQuestion {
+export interface StudyQuestion {
   question: string;
-  type: 'recall' | 'comprehension' | 'application';
-  difficulty: 'easy' | 'medium' | 'hard';
+  type: (typeof QUESTION_TYPES)[number];
+  difficulty: (typeof DIFFICULTIES)[number];
+  // Model answer for the flashcard back; empty if none could be generated
+  answer: string;
 }
 
-interface QuestionsResult {
+export interface QuestionsResult {
   questions: StudyQuestion[];
   totalCount: number;
 }
 
 export class QuestionsWorkflow {
-  async run(env: any, params: QuestionsWorkflowParams): Promise<QuestionsResult> {
-    const { noteContent, noteTitle } = params;
+  // Step names, in order, as reported on a job
+  static readonly STEPS = [SECTIONS_STEP, 'analyze difficulty', 'generate questions', 'categorize questions', 'generate answers'];
 
-    // Step 1: Analyze content difficulty
-    const difficulty = await this.analyzeContentDifficulty(env, noteContent);
+  // Defaults to the deployment's client (see createLLM)
+  constructor(private llm?: LLMClient, private chunkTokens = CHUNK_TOKENS) {}
 
-    // Step 2: Generate questions
-    const questions = await this.generateQuestions(env, noteContent, noteTitle, difficulty);
-
-    // Step 3: Categorize questions
-    const categorizedQuestions = await this.categorizeQuestions(env, questions);
+  async run(env: any, params: QuestionsWorkflowParams, step: StepRunner = new LocalStepRunner()): Promise<QuestionsResult> {
+    const { noteContent, noteTitle } = params;
+    const llm = this.llm ?? createLLM(env);
+
+    // Step 1: A note too long for one prompt is read section by section (as for summaries),
+    // and the questions are written from the section summaries so they cover all of it
+    const chunks = chunkByTokens(noteContent, this.chunkTokens);
+    const merged = chunks.length > 1;
+    const source = merged ? digestText(await digestSections(llm, step, noteTitle, chunks)) : noteContent;
+
+    // Step 2: Analyze content difficulty
+    const difficulty = await withFallback(
+      step.do('analyze difficulty', AI_STEP, () => this.analyzeContentDifficulty(llm, source)),
+      'intermediate',
+      'analyzing difficulty'
+    );
+
+    // Step 3: Generate questions
+    const questions = await step.do('generate questions', AI_STEP, () =>
+      this.generateQuestions(llm, source, noteTitle, difficulty, merged)
+    );
+
+    // Step 4: Categorize questions
+    const categorizedQuestions = await step.do('categorize questions', AI_STEP, () => this.categorizeQuestions(llm, questions));
+
+    // Step 5: Answer them from the note, for flashcards (blank answers if the model can't)
+    const answeredQuestions = await withFallback(
+      step.do('generate answers', AI_STEP, () => this.generateAnswers(llm, source, categorizedQuestions)),
+      categorizedQuestions.map((question) => ({ ...question, answer: '' })),
+      'generating answers'
+    );
 
     return {
-      questions: categorizedQuestions,
-      totalCount: categorizedQuestions.length,
+      questions: answeredQuestions,
+      totalCount: answeredQuestions.length,
     };
   }
 
-  private async analyzeContentDifficulty(env: any, content: string): Promise<string> {
+  private async analyzeContentDifficulty(llm: LLMClient, content: string): Promise<string> {
     const prompt = `Analyze the difficulty level of this educational content. 
 Consider: technical terminology, concept complexity, prerequisites needed.
 
@@ -48,74 +127,54 @@ ${content.slice(0, 2000)}
 
 Return ONLY one word: "beginner", "intermediate", or "advanced"`;
 
-    try {
-      const response = await env.AI.run('@cf/meta/llama-3.3-70b-instruct-fp8-fast', {
-        messages: [
-          { role: 'system', content: 'You analyze educational content difficulty. Return only one word.' },
-          { role: 'user', content: prompt }
-        ],
-        max_tokens: 10,
-        temperature: 0.3,
-      });
-
-      const level = (response.response || 'intermediate').toLowerCase().trim();
-      if (['beginner', 'intermediate', 'advanced'].includes(level)) {
-        return level;
-      }
-      return 'intermediate';
-    } catch (error) {
-      console.error('Error analyzing difficulty:', error);
-      return 'intermediate';
+    const { text } = await llm.complete('extraction', {
+      messages: [
+        { role: 'system', content: 'You analyze educational content difficulty. Return only one word.' },
+        { role: 'user', content: prompt }
+      ],
+      maxTokens: 10,
+    });
+
+    const level = (text || 'intermediate').toLowerCase().trim();
+    if (['beginner', 'intermediate', 'advanced'].includes(level)) {
+      return level;
     }
+    return 'intermediate';
   }
 
   private async generateQuestions(
-    env: any,
+    llm: LLMClient,
     content: string,
     title: string,
-    difficulty: string
+    difficulty: string,
+    merged: boolean
   ): Promise<string[]> {
-    const prompt = `Generate 7-10 study questions for this note. Include a mix of:
+    const prompt = `Generate 7-10 study questions for this note${merged ? ', spread across all of its sections' : ''}. Include a mix of:
 - Recall questions (testing memory)
 - Comprehension questions (testing understanding)
 - Application questions (testing ability to use concepts)
 
 Title: ${title}
 Difficulty Level: ${difficulty}
-Content:
-${content.slice(0, 4000)}
-
-Return ONLY a JSON array of question strings, e.g., ["Question 1?", "Question 2?", "Question 3?"]`;
-
-    try {
-      const response = await env.AI.run('@cf/meta/llama-3.3-70b-instruct-fp8-fast', {
-        messages: [
-          { role: 'system', content: 'You generate study questions for educational content. Return only valid JSON.' },
-          { role: 'user', content: prompt }
-        ],
-        max_tokens: 600,
-        temperature: 0.6,
-      });
-
-      const questionsText = response.response || '[]';
-      // Try to extract JSON array from response
-      const match = questionsText.match(/\[.*\]/s);
-      if (match) {
-        const questions = JSON.parse(match[0]);
-        return questions.filter((q: any) => typeof q === 'string' && q.length > 0);
-      }
-      return [];
-    } catch (error) {
-      console.error('Error generating questions:', error);
-      return [];
-    }
+${merged ? 'Section summaries' : 'Content'}:
+${content}
+
+Return ONLY a JSON object, e.g., {"questions": ["Question 1?", "Question 2?", "Question 3?"]}`;
+
+    const { questions } = await generateStructured<{ questions: string[] }>(llm, {
+      step: 'generate questions',
+      profile: 'writing',
+      schema: QUESTIONS_SCHEMA,
+      messages: [
+        { role: 'system', content: 'You generate study questions for educational content. Return only valid JSON.' },
+        { role: 'user', content: prompt }
+      ],
+      maxTokens: 600,
+    });
+    return questions.map((question) => question.trim());
   }
 
-  private async categorizeQuestions(env: any, questions: string[]): Promise<StudyQuestion[]> {
-    if (questions.length === 0) {
-      return [];
-    }
-
+  private async categorizeQuestions(llm: LLMClient, questions: string[]): Promise<Omit<StudyQuestion, 'answer'>[]> {
     const prompt = `Categorize each study question by TYPE and DIFFICULTY.
 
 Questions:
@@ -125,70 +184,55 @@ For each question, determine:
 TYPE: "recall" (memory/facts), "comprehension" (understanding), or "application" (using concepts)
 DIFFICULTY: "easy", "medium", or "hard"
 
-Return ONLY a JSON array of objects like:
-[
-  {"index": 0, "type": "recall", "difficulty": "easy"},
-  {"index": 1, "type": "comprehension", "difficulty": "medium"}
-]`;
-
-    try {
-      const response = await env.AI.run('@cf/meta/llama-3.3-70b-instruct-fp8-fast', {
-        messages: [
-          { role: 'system', content: 'You categorize study questions. Return only valid JSON.' },
-          { role: 'user', content: prompt }
-        ],
-        max_tokens: 400,
-        temperature: 0.2,
-      });
-
-      const categoriesText = response.response || '[]';
-      // Try to extract JSON array from response
-      const match = categoriesText.match(/\[.*\]/s);
-      if (match) {
-        const categories = JSON.parse(match[0]) as Array<{
-          index: number;
-          type: string;
-          difficulty: string;
-        }>;
-
-        return questions.map((question, idx) => {
-          const category = categories.find(c => c.index === idx) || {
-            type: 'comprehension',
-            difficulty: 'medium',
-          };
-
-          return {
-            question,
-            type: this.validateType(category.type),
-            difficulty: this.validateDifficulty(category.difficulty),
-          };
-        });
-      }
-    } catch (error) {
-      console.error('Error categorizing questions:', error);
-    }
-
-    // Fallback: return questions with default categories
-    return questions.map(question => ({
+Return ONLY a JSON object with one entry per question, in the same order, like:
+{"categories": [
+  {"type": "recall", "difficulty": "easy"},
+  {"type": "comprehension", "difficulty": "medium"}
+]}`;
+
+    const { categories } = await generateStructured<{ categories: Array<Omit<StudyQuestion, 'question' | 'answer'>> }>(llm, {
+      step: 'categorize questions',
+      profile: 'extraction',
+      schema: categoriesSchema(questions.length),
+      messages: [
+        { role: 'system', content: 'You categorize study questions. Return only valid JSON.' },
+        { role: 'user', content: prompt }
+      ],
+      maxTokens: 400,
+    });
+
+    return questions.map((question, idx) => ({
       question,
-      type: 'comprehension' as const,
-      difficulty: 'medium' as const,
+      type: categories[idx].type,
+      difficulty: categories[idx].difficulty,
     }));
   }
 
-  private validateType(type: string): 'recall' | 'comprehension' | 'application' {
-    const normalized = type.toLowerCase().trim();
-    if (['recall', 'comprehension', 'application'].includes(normalized)) {
-      return normalized as 'recall' | 'comprehension' | 'application';
-    }
-    return 'comprehension';
-  }
+  private async generateAnswers(llm: LLMClient, content: string, questions: Omit<StudyQuestion, 'answer'>[]): Promise<StudyQuestion[]> {
+    const prompt = `Answer each study question using the note below. Keep every answer to 1-3 sentences, suitable for the back of a flashcard.
 
-  private validateDifficulty(difficulty: string): 'easy' | 'medium' | 'hard' {
-    const normalized = difficulty.toLowerCase().trim();
-    if (['easy', 'medium', 'hard'].includes(normalized)) {
-      return normalized as 'easy' | 'medium' | 'hard';
-    }
-    return 'medium';
+Note:
+${content}
+
+Questions:
+${questions.map((q, i) => `${i + 1}. ${q.question}`).join('\n')}
+
+Return ONLY a JSON object with the answers in the same order as the questions, e.g., {"answers": ["Answer 1", "Answer 2"]}`;
+
+    const { answers } = await generateStructured<{ answers: string[] }>(llm, {
+      step: 'generate answers',
+      profile: 'extraction',
+      schema: answersSchema(questions.length),
+      messages: [
+        { role: 'system', content: 'You write short, accurate flashcard answers from study notes. Return only valid JSON.' },
+        { role: 'user', content: prompt }
+      ],
+      maxTokens: 1200,
+    });
+
+    return questions.map((question, idx) => ({
+      ...question,
+      answer: answers[idx].trim(),
+    }));
   }
 }
@@ -0,0 +1,123 @@
+/**
+ * Workflow Steps
+ * Workflows are written as named steps against the Cloudflare Workflows
+ * `step.do` API, so each step is checkpointed and retried when run durably.
+ * `LocalStepRunner` runs the same steps in-process (tests, inline requests,
+ * and deployments without a Workflows binding).
+ */
+
+import type { WorkflowStepConfig } from 'cloudflare:workers';
+import { withTimeout } from '../llm';
+
+export type StepConfig = WorkflowStepConfig;
+
+export interface StepRunner {
+  do<T>(name: string, config: StepConfig, callback: () => Promise<T>): Promise<T>;
+}
+
+// Model calls: a few quick retries, then the workflow falls back
+export const AI_STEP: StepConfig = {
+  retries: { limit: 3, delay: '2 seconds', backoff: 'exponential' },
+  timeout: '2 minutes',
+};
+
+// Database reads and writes around a job
+export const DB_STEP: StepConfig = {
+  retries: { limit: 2, delay: '1 second', backoff: 'constant' },
+  timeout: '30 seconds',
+};
+
+const UNIT_MS: Record<string, number> = {
+  second: 1000,
+  minute: 60_000,
+  hour: 3_600_000,
+  day: 86_400_000,
+  week: 604_800_000,
+  month: 2_592_000_000,
+  year: 31_536_000_000,
+};
+
+/**
+ * "2 seconds" / "1 minute" / 500 (already ms) -> milliseconds
+ */
+export function durationMs(duration: string | number): number {
+  if (typeof duration === 'number') return duration;
+  const match = duration.trim().match(/^(\d+(?:\.\d+)?)\s*(second|minute|hour|day|week|month|year)s?$/);
+  if (!match) throw new Error(`Invalid duration: ${duration}`);
+  return Number(match[1]) * UNIT_MS[match[2]];
+}
+
+/**
+ * Wait before retry number `retry` (1 = first retry), using the step's backoff
+ */
+export function retryDelay(config: StepConfig, retry: number): number {
+  if (!config.retries) return 0;
+  const delay = durationMs(config.retries.delay);
+  switch (config.retries.backoff) {
+    case 'linear':
+      return delay * retry;
+    case 'exponential':
+      return delay * 2 ** (retry - 1);
+    default:
+      return delay;
+  }
+}
+
+/**
+ * Errors marked `retryable = false` (e.g. StructuredOutputError) fail a step straight away
+ */
+export function isRetryable(error: unknown): boolean {
+  return (error as { retryable?: boolean } | null)?.retryable !== false;
+}
+
+/**
+ * Await a step, using `fallback` once its retries are used up
+ */
+export async function withFallback<T>(step: Promise<T>, fallback: T, label: string): Promise<T> {
+  try {
+    return await step;
+  } catch (error) {
+    console.error(`Error ${label}:`, error);
+    return fallback;
+  }
+}
+
+interface LocalStepRunnerOptions {
+  // Results of steps that already completed, keyed by step name; replayed instead of re-run
+  checkpoints?: Map<string, unknown>;
+  sleep?: (ms: number) => Promise<void>;
+}
+
+export class LocalStepRunner implements StepRunner {
+  readonly checkpoints: Map<string, unknown>;
+  private sleep: (ms: number) => Promise<void>;
+
+  constructor(options: LocalStepRunnerOptions = {}) {
+    this.checkpoints = options.checkpoints ?? new Map();
+    this.sleep = options.sleep ?? ((ms) => new Promise((resolve) => setTimeout(resolve, ms)));
+  }
+
+  async do<T>(name: string, config: StepConfig, callback: () => Promise<T>): Promise<T> {
+    if (this.checkpoints.has(name)) {
+      return this.checkpoints.get(name) as T;
+    }
+
+    const attempts = 1 + (config.retries?.limit ?? 0);
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await this.timeLimited(callback(), config, name);
+        this.checkpoints.set(name, result);
+        return result;
+      } catch (error) {
+        if (attempt >= attempts || !isRetryable(error)) throw error;
+        await this.sleep(retryDelay(config, attempt));
+      }
+    }
+  }
+
+  private timeLimited<T>(promise: Promise<T>, config: StepConfig, name: string): Promise<T> {
+    if (config.timeout === undefined) return promise;
+    const ms = durationMs(config.timeout);
+    return withTimeout(promise, ms, `Step "${name}" timed out after ${ms}ms`);
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * Structured Output
+ * Asks the model for JSON matching a schema (JSON mode when the model
+ * supports it), validates the reply, and re-prompts with the problems found.
+ * A reply that still doesn't fit raises StructuredOutputError instead of
+ * falling back to a made-up default.
+ */
+
+import type { LLMClient, LLMMessage, ProfileName } from '../llm';
+
+// The subset of JSON Schema the workflows use
+export type JsonSchema = (
+  | { type: 'string'; enum?: readonly string[]; minLength?: number }
+  | { type: 'number' | 'integer'; minimum?: number; maximum?: number }
+  | { type: 'boolean' }
+  | { type: 'array'; items: JsonSchema; minItems?: number; maxItems?: number }
+  | { type: 'object'; properties: Record<string, JsonSchema>; required?: readonly string[] }
+) & {
+  // Shown to the model, e.g. for tool arguments
+  description?: string;
+};
+
+interface StructuredRequest<T> {
+  // Names the step in errors
+  step: string;
+  profile: ProfileName;
+  schema: JsonSchema;
+  messages: LLMMessage[];
+  maxTokens?: number;
+  // Re-prompts after the first reply (so at most 1 + maxRepairs model calls)
+  maxRepairs?: number;
+  // Checks the schema can't express, run once the shape is valid
+  check?: (value: T) => string[];
+}
+
+/**
+ * The model's reply never matched the schema. Not worth retrying the step:
+ * the re-prompts have already been spent.
+ */
+export class StructuredOutputError extends Error {
+  readonly retryable = false;
+
+  constructor(
+    readonly step: string,
+    readonly issues: string[],
+    readonly attempts: number
+  ) {
+    super(`Model output for "${step}" was invalid after ${attempts} attempt${attempts === 1 ? '' : 's'}: ${issues.join('; ')}`);
+    this.name = 'StructuredOutputError';
+  }
+}
+
+/**
+ * Problems with `value` against `schema`, as "$.path: message" strings; empty when valid
+ */
+export function validateJson(schema: JsonSchema, value: unknown, path = '$'): string[] {
+  switch (schema.type) {
+    case 'string': {
+      if (typeof value !== 'string') return [`${path}: expected a string`];
+      if (schema.enum && !schema.enum.includes(value)) return [`${path}: must be one of ${schema.enum.map((v) => `"${v}"`).join(', ')}`];
+      if (schema.minLength !== undefined && value.trim().length < schema.minLength) return [`${path}: must not be empty`];
+      return [];
+    }
+    case 'number':
+    case 'integer': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return [`${path}: expected a number`];
+      if (schema.type === 'integer' && !Number.isInteger(value)) return [`${path}: expected a whole number`];
+      if (schema.minimum !== undefined && value < schema.minimum) return [`${path}: must be at least ${schema.minimum}`];
+      if (schema.maximum !== undefined && value > schema.maximum) return [`${path}: must be at most ${schema.maximum}`];
+      return [];
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? [] : [`${path}: expected true or false`];
+    case 'array': {
+      if (!Array.isArray(value)) return [`${path}: expected an array`];
+      const issues: string[] = [];
+      if (schema.minItems !== undefined && value.length < schema.minItems) issues.push(`${path}: expected at least ${schema.minItems} items`);
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) issues.push(`${path}: expected at most ${schema.maxItems} items`);
+      value.forEach((item, i) => issues.push(...validateJson(schema.items, item, `${path}[${i}]`)));
+      return issues;
+    }
+    case 'object': {
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) return [`${path}: expected an object`];
+      const record = value as Record<string, unknown>;
+      const issues: string[] = [];
+      for (const key of schema.required ?? []) {
+        if (record[key] === undefined) issues.push(`${path}.${key}: is required`);
+      }
+      for (const [key, property] of Object.entries(schema.properties)) {
+        if (record[key] !== undefined) issues.push(...validateJson(property, record[key], `${path}.${key}`));
+      }
+      return issues;
+    }
+  }
+}
+
+/**
+ * The JSON in a model reply: JSON mode hands back parsed values, other replies
+ * may wrap it in prose or a ``` fence. Throws SyntaxError when there is none.
+ */
+export function parseJsonReply(reply: unknown): unknown {
+  if (typeof reply !== 'string') return reply;
+
+  const text = reply.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  try {
+    return JSON.parse(text);
+  } catch {
+    // Fall through to the outermost object or array in the text
+  }
+
+  const start = text.search(/[[{]/);
+  const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+  if (start === -1 || end <= start) throw new SyntaxError('No JSON found in reply');
+  return JSON.parse(text.slice(start, end + 1));
+}
+
+/**
+ * Ask for JSON matching `schema`, re-prompting with the validation problems up to `maxRepairs` times
+ */
+export async function generateStructured<T>(llm: LLMClient, request: StructuredRequest<T>): Promise<T> {
+  const { step, profile, schema, maxTokens, maxRepairs = 2, check } = request;
+  const messages = [...request.messages];
+  let issues: string[] = [];
+
+  for (let attempt = 1; attempt <= 1 + maxRepairs; attempt++) {
+    const { response: reply, text } = await llm.complete(profile, { messages, maxTokens, jsonSchema: schema });
+
+    let value: unknown;
+    try {
+      value = parseJsonReply(reply ?? '');
+      issues = validateJson(schema, value);
+      if (issues.length === 0 && check) issues = check(value as T);
+    } catch {
+      issues = ['the reply was not valid JSON'];
+    }
+    if (issues.length === 0) return value as T;
+
+    messages.push(
+      { role: 'assistant', content: text },
+      {
+        role: 'user',
+        content: `That reply doesn't match the required format:\n${issues.map((issue) => `- ${issue}`).join('\n')}\n\nReply again with ONLY the corrected JSON.`,
+      }
+    );
+  }
+
+  throw new StructuredOutputError(step, issues, 1 + maxRepairs);
+}
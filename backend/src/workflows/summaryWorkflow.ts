@@ -3,128 +3,79 @@
  * Multi-step AI workflow to generate concise note summaries
  */
 
+import { AI_STEP, LocalStepRunner, StepRunner, withFallback } from './steps';
+import { CHUNK_TOKENS, KeyPoint, SECTIONS_STEP, digestSections, digestText, mergeKeyPoints, mergeTopics } from './mapReduce';
+import { chunkByTokens } from '../chunker';
+import { LLMClient, createLLM } from '../llm';
+
 interface SummaryWorkflowParams {
   noteId: string;
   noteContent: string;
   noteTitle: string;
 }
 
-interface SummaryResult {
+export interface SummaryResult {
   summary: string;
-  keyPoints: string[];
+  keyPoints: KeyPoint[];
   topics: string[];
+  // False when the summary step failed and `summary` is a placeholder message
+  ok: boolean;
 }
 
 export class SummaryWorkflow {
-  async run(env: any, params: SummaryWorkflowParams): Promise<SummaryResult> {
-    const { noteContent, noteTitle } = params;
-
-    // Step 1: Analyze content and extract main topics
-    const topics = await this.extractTopics(env, noteContent, noteTitle);
+  // Step names, in order, as reported on a job
+  static readonly STEPS = [SECTIONS_STEP, 'generate summary'];
 
-    // Step 2: Generate concise summary
-    const summary = await this.generateSummary(env, noteContent, noteTitle, topics);
+  // Defaults to the deployment's client (see createLLM)
+  constructor(private llm?: LLMClient, private chunkTokens = CHUNK_TOKENS) {}
 
-    // Step 3: Extract key points
-    const keyPoints = await this.extractKeyPoints(env, noteContent, summary);
+  async run(env: any, params: SummaryWorkflowParams, step: StepRunner = new LocalStepRunner()): Promise<SummaryResult> {
+    const { noteContent, noteTitle } = params;
+    const llm = this.llm ?? createLLM(env);
+    const chunks = chunkByTokens(noteContent, this.chunkTokens);
+
+    // Step 1: Topics and key points from each chunk (plus a partial summary when there are several)
+    const sections = await digestSections(llm, step, noteTitle, chunks);
+    const topics = mergeTopics(sections);
+    const keyPoints = mergeKeyPoints(sections);
+
+    // Step 2: One summary of the whole note, written from the partial summaries of a long one
+    const source = chunks.length > 1 ? digestText(sections) : noteContent;
+    const generated = await withFallback<string | null>(
+      step.do('generate summary', AI_STEP, () => this.generateSummary(llm, source, noteTitle, topics, chunks.length > 1)),
+      null,
+      'generating summary'
+    );
 
     return {
-      summary,
+      summary: generated ?? 'Unable to generate summary.',
       keyPoints,
       topics,
+      ok: generated !== null,
     };
   }
 
-  private async extractTopics(env: any, content: string, title: string): Promise<string[]> {
-    const prompt = `Analyze this note and identify 3-5 main topics or concepts:
-
-Title: ${title}
-Content:
-${content.slice(0, 3000)}
-
-Return ONLY a JSON array of topic strings, e.g., ["topic1", "topic2", "topic3"]`;
-
-    try {
-      const response = await env.AI.run('@cf/meta/llama-3.3-70b-instruct-fp8-fast', {
-        messages: [
-          { role: 'system', content: 'You are a study assistant that identifies key topics in educational notes. Return only valid JSON.' },
-          { role: 'user', content: prompt }
-        ],
-        max_tokens: 200,
-        temperature: 0.3,
-      });
-
-      const topicsText = response.response || '[]';
-      // Try to extract JSON array from response
-      const match = topicsText.match(/\[.*\]/s);
-      if (match) {
-        return JSON.parse(match[0]);
-      }
-      return [];
-    } catch (error) {
-      console.error('Error extracting topics:', error);
-      return ['General'];
-    }
-  }
-
-  private async generateSummary(env: any, content: string, title: string, topics: string[]): Promise<string> {
-    const prompt = `Generate a concise 2-3 paragraph summary of this note:
+  private async generateSummary(llm: LLMClient, source: string, title: string, topics: string[], merged: boolean): Promise<string> {
+    const prompt = `Generate a concise 2-3 paragraph summary of this note${merged ? ' from the summaries of its sections' : ''}:
 
 Title: ${title}
 Main Topics: ${topics.join(', ')}
-Content:
-${content.slice(0, 4000)}
-
-Write a clear, concise summary that captures the essential information. Use proper formatting with markdown.`;
-
-    try {
-      const response = await env.AI.run('@cf/meta/llama-3.3-70b-instruct-fp8-fast', {
-        messages: [
-          { role: 'system', content: 'You are a study assistant that creates clear, concise summaries of educational notes.' },
-          { role: 'user', content: prompt }
-        ],
-        max_tokens: 400,
-        temperature: 0.5,
-      });
-
-      return response.response || 'Unable to generate summary.';
-    } catch (error) {
-      console.error('Error generating summary:', error);
-      return 'Error generating summary.';
-    }
-  }
-
-  private async extractKeyPoints(env: any, content: string, summary: string): Promise<string[]> {
-    const prompt = `Based on this note summary, extract 5-7 key points or takeaways:
-
-Summary:
-${summary}
-
-Original Content (for context):
-${content.slice(0, 2000)}
+${merged ? 'Section summaries' : 'Content'}:
+${source}
 
-Return ONLY a JSON array of key point strings, e.g., ["point1", "point2", "point3"]`;
+Write a clear, concise summary that captures the essential information${merged ? ' from every section' : ''}. Use proper formatting with markdown.`;
 
-    try {
-      const response = await env.AI.run('@cf/meta/llama-3.3-70b-instruct-fp8-fast', {
-        messages: [
-          { role: 'system', content: 'You are a study assistant that identifies key takeaways. Return only valid JSON.' },
-          { role: 'user', content: prompt }
-        ],
-        max_tokens: 300,
-        temperature: 0.3,
-      });
+    const { text } = await llm.complete('writing', {
+      messages: [
+        { role: 'system', content: 'You are a study assistant that creates clear, concise summaries of educational notes.' },
+        { role: 'user', content: prompt }
+      ],
+      maxTokens: 400,
+    });
 
-      const pointsText = response.response || '[]';
-      // Try to extract JSON array from response
-      const match = pointsText.match(/\[.*\]/s);
-      if (match) {
-        return JSON.parse(match[0]);
-      }
-      return [];
-    } catch (error) {
-      console.error('Error extracting key points:', error);
-      return [];
+    if (!text.trim()) {
+      throw new Error('Empty summary response');
     }
+    return text;
   }
 }
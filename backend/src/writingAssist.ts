@@ -0,0 +1,133 @@
+/**
+ * Writing Assist
+ * AI actions on the text selected in the editor. Most rewrite the selection;
+ * explain and continue write new text to go after it. The model sees some of
+ * the note around the selection so the result fits in, and the reply is
+ * streamed back for the student to preview before applying it.
+ */
+
+import type { LLMMessage } from './llm';
+
+export type AssistAction = 'explain' | 'simplify' | 'expand' | 'fix_grammar' | 'bullets' | 'latex' | 'continue';
+
+interface AssistActionSpec {
+  // 'replace' swaps the selection for the result; 'insert' puts it after the selection
+  mode: 'replace' | 'insert';
+  // continue also works from the cursor, writing on from the text before it
+  needsSelection: boolean;
+  instruction: string;
+}
+
+export const ASSIST_ACTIONS: Record<AssistAction, AssistActionSpec> = {
+  explain: {
+    mode: 'insert',
+    needsSelection: true,
+    instruction: 'Explain the selected text for a student in 2-4 sentences. Format the explanation as a Markdown blockquote (each line starting with "> ").',
+  },
+  simplify: {
+    mode: 'replace',
+    needsSelection: true,
+    instruction: 'Rewrite the selected text in simpler words and shorter sentences, keeping its meaning and any Markdown formatting.',
+  },
+  expand: {
+    mode: 'replace',
+    needsSelection: true,
+    instruction: 'Rewrite the selected text with more detail: add explanation, an example or the missing steps, in the same style.',
+  },
+  fix_grammar: {
+    mode: 'replace',
+    needsSelection: true,
+    instruction: 'Fix the spelling, grammar and punctuation of the selected text. Change nothing else.',
+  },
+  bullets: {
+    mode: 'replace',
+    needsSelection: true,
+    instruction: 'Turn the selected text into a Markdown bullet list of its points, using nested bullets where it helps.',
+  },
+  latex: {
+    mode: 'replace',
+    needsSelection: true,
+    instruction: 'Rewrite the mathematics in the selected text as LaTeX: $...$ inline and $$...$$ for display equations. Keep the surrounding words.',
+  },
+  continue: {
+    mode: 'insert',
+    needsSelection: false,
+    instruction: 'Continue writing the note from where the text before the cursor ends, for one or two paragraphs, in the same style. Do not repeat what is already written.',
+  },
+};
+
+// Note text sent on each side of the selection
+export const ASSIST_CONTEXT_CHARS = 1500;
+const MAX_SELECTION_CHARS = 6000;
+
+export interface AssistRequest {
+  action: AssistAction;
+  selection: string;
+  before: string;
+  after: string;
+}
+
+/**
+ * Check a request body; returns the problem as a string when it isn't usable
+ */
+export function parseAssistRequest(body: any): AssistRequest | string {
+  const action = body?.action;
+  if (typeof action !== 'string' || !Object.keys(ASSIST_ACTIONS).includes(action)) {
+    return `Unknown action; expected one of ${Object.keys(ASSIST_ACTIONS).join(', ')}`;
+  }
+
+  const selection = typeof body.selection === 'string' ? body.selection : '';
+  const before = typeof body.before === 'string' ? body.before.slice(-ASSIST_CONTEXT_CHARS) : '';
+  const after = typeof body.after === 'string' ? body.after.slice(0, ASSIST_CONTEXT_CHARS) : '';
+
+  if (ASSIST_ACTIONS[action as AssistAction].needsSelection && !selection.trim()) {
+    return 'Select some text first';
+  }
+  if (action === 'continue' && !selection.trim() && !before.trim()) {
+    return 'There is nothing to continue from';
+  }
+  if (selection.length > MAX_SELECTION_CHARS) {
+    return `Select at most ${MAX_SELECTION_CHARS} characters`;
+  }
+  return { action: action as AssistAction, selection, before, after };
+}
+
+export function assistMessages(request: AssistRequest, noteTitle: string): LLMMessage[] {
+  const spec = ASSIST_ACTIONS[request.action];
+  const prompt = `Note: ${noteTitle}
+
+Text before the selection:
+"""
+${request.before}
+"""
+
+Selected text:
+"""
+${request.selection}
+"""
+
+Text after the selection:
+"""
+${request.after}
+"""
+
+${spec.instruction}
+Reply with only the ${spec.mode === 'replace' ? 'replacement text' : 'new text'}, with no preamble and no surrounding quotes.`;
+
+  return [
+    { role: 'system', content: 'You are a writing assistant inside a study notes editor. Your reply is inserted into the note as it is, in Markdown.' },
+    { role: 'user', content: prompt },
+  ];
+}
+
+/**
+ * Strip what models wrap their answer in despite being asked not to:
+ * a code fence around the whole reply or a "Here is..." line
+ */
+export function cleanAssistOutput(text: string): string {
+  let result = text.trim();
+  result = result.replace(/^(?:here(?:'s| is)\b[^\n]*:)\s*\n/i, '');
+  const fenced = result.match(/^```(?:markdown|md|latex|tex)?\n([\s\S]*?)\n```$/);
+  if (fenced) result = fenced[1];
+  return result.trim();
+}
@@ -0,0 +1,13 @@
+import { applyD1Migrations, env } from 'cloudflare:test';
+
+// Spec files share one database and start side by side, so another file may be
+// applying the same migration; already-applied ones are skipped on the retry
+for (let attempt = 1; ; attempt++) {
+	try {
+		await applyD1Migrations(env.DB, env.TEST_MIGRATIONS);
+		break;
+	} catch (err) {
+		if (attempt === 5) throw err;
+		await new Promise((resolve) => setTimeout(resolve, 100 * attempt));
+	}
+}
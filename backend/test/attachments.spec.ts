@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { imageKeys } from '../src/attachments';
+import { IMAGE_GRACE_MS, unreferencedImages } from '../src/gc';
+
+describe('imageKeys', () => {
+	it('finds each uploaded image a note links to, once', () => {
+		const markdown = [
+			'![diagram](https://notex.example.workers.dev/api/images/u1/1700000000000-abcd1234.png?sig=xyz)',
+			'![again](/api/images/u1/1700000000000-abcd1234.png)',
+			'<img src="/api/images/u1/1700000000001-ef%2056.jpg">',
+			'![elsewhere](https://example.com/cat.png)',
+		].join('\n');
+
+		expect(imageKeys(markdown)).toEqual(['u1/1700000000000-abcd1234.png', 'u1/1700000000001-ef 56.jpg']);
+		expect(imageKeys('/api/images/u1/%E0%A4%A.png')).toEqual([]);
+	});
+});
+
+describe('unreferencedImages', () => {
+	it('keeps linked images and recent uploads', () => {
+		const now = new Date('2026-03-02T00:00:00Z');
+		const old = new Date(now.getTime() - IMAGE_GRACE_MS - 1);
+		const objects = [
+			{ key: 'u1/linked.png', size: 10, uploaded: old },
+			{ key: 'u1/orphan.png', size: 20, uploaded: old },
+			{ key: 'u1/just-uploaded.png', size: 30, uploaded: now },
+		];
+
+		expect(unreferencedImages(objects, new Set(['u1/linked.png']), now)).toEqual([
+			{ key: 'u1/orphan.png', size: 20, uploaded: old.toISOString() },
+		]);
+	});
+});
@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { hashPassword, signToken, signValue, verifyPassword, verifySignedValue, verifyToken } from '../src/auth';
+
+const env = { AUTH_SECRET: 'test-secret' };
+
+describe('passwords', () => {
+	it('verifies the original password and rejects others', async () => {
+		const { hash, salt } = await hashPassword('correct horse');
+		expect(await verifyPassword('correct horse', hash, salt)).toBe(true);
+		expect(await verifyPassword('wrong horse', hash, salt)).toBe(false);
+	});
+
+	it('salts each hash', async () => {
+		const a = await hashPassword('same password');
+		const b = await hashPassword('same password');
+		expect(a.hash).not.toBe(b.hash);
+	});
+});
+
+describe('tokens', () => {
+	it('round-trips the user', async () => {
+		const token = await signToken(env, { id: 'u1', email: 'a@example.com' });
+		expect(await verifyToken(env, token)).toEqual({ id: 'u1', email: 'a@example.com' });
+	});
+
+	it('rejects tokens signed with another secret or tampered with', async () => {
+		const token = await signToken(env, { id: 'u1', email: 'a@example.com' });
+		expect(await verifyToken({ AUTH_SECRET: 'other' }, token)).toBeNull();
+
+		const [header, , signature] = token.split('.');
+		const forged = btoa(JSON.stringify({ sub: 'u2', exp: 9999999999 })).replace(/=+$/, '');
+		expect(await verifyToken(env, `${header}.${forged}.${signature}`)).toBeNull();
+		expect(await verifyToken(env, 'not-a-token')).toBeNull();
+	});
+});
+
+describe('signed values', () => {
+	it('only accepts the signature for the same value', async () => {
+		const sig = await signValue(env, 'u1/photo.png');
+		expect(await verifySignedValue(env, 'u1/photo.png', sig)).toBe(true);
+		expect(await verifySignedValue(env, 'u2/photo.png', sig)).toBe(false);
+		expect(await verifySignedValue(env, 'u1/photo.png', null)).toBe(false);
+	});
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { FOLD_BATCH, RECENT_MESSAGES, emptyMemory, foldMemory, memoryPrompt, retentionDays, splitConversation } from '../src/chatMemory';
+import { ChatMessage } from '../src/chatThreads';
+import { FakeProvider, LLMClient } from '../src/llm';
+
+function conversation(length: number, prefix = 'm'): ChatMessage[] {
+	return Array.from({ length }, (_, i) => ({
+		id: `${prefix}${i}`,
+		parentId: i > 0 ? `${prefix}${i - 1}` : null,
+		role: i % 2 === 0 ? 'user' : 'assistant',
+		content: `message ${i}`,
+		timestamp: i,
+	}));
+}
+
+describe('splitConversation', () => {
+	it('sends a short conversation as it is', () => {
+		const path = conversation(4);
+		expect(splitConversation(path, emptyMemory())).toEqual({ stale: false, unfolded: [], recent: path });
+	});
+
+	it('leaves out what the summary already covers', () => {
+		const path = conversation(RECENT_MESSAGES + 4);
+		const split = splitConversation(path, { ...emptyMemory(), summary: 'Talked about heaps', throughId: 'm1' });
+
+		expect(split.unfolded.map((m) => m.id)).toEqual(['m2', 'm3']);
+		expect(split.recent).toHaveLength(RECENT_MESSAGES);
+	});
+
+	it('treats a summary of another branch as stale', () => {
+		const split = splitConversation(conversation(3), { ...emptyMemory(), summary: 'Old branch', throughId: 'x7' });
+		expect(split.stale).toBe(true);
+	});
+});
+
+describe('foldMemory', () => {
+	it('waits for a batch of older messages before summarising', async () => {
+		const provider = new FakeProvider(['Remembered']);
+		const llm = new LLMClient(provider);
+
+		expect(await foldMemory(llm, emptyMemory(), conversation(RECENT_MESSAGES + FOLD_BATCH - 1))).toBeNull();
+
+		const memory = await foldMemory(llm, emptyMemory(), conversation(RECENT_MESSAGES + FOLD_BATCH));
+		expect(memory).toMatchObject({ summary: 'Remembered', throughId: `m${FOLD_BATCH - 1}` });
+		expect(provider.calls).toHaveLength(1);
+	});
+
+	it('builds on what was remembered, including edits', async () => {
+		const provider = new FakeProvider(['Heaps, then tries']);
+		const previous = { summary: 'Student wants exam-style answers', throughId: 'm1', updatedAt: 1, edited: true };
+
+		const memory = await foldMemory(new LLMClient(provider), previous, conversation(RECENT_MESSAGES + FOLD_BATCH + 2));
+
+		const prompt = provider.calls[0].request.messages[1].content;
+		expect(prompt).toContain('Student wants exam-style answers');
+		expect(prompt).not.toContain('message 1\n');
+		expect(memory).toMatchObject({ summary: 'Heaps, then tries', throughId: `m${FOLD_BATCH + 1}`, edited: true });
+	});
+
+	it('rebuilds the summary after the conversation branched above it', async () => {
+		const provider = new FakeProvider(['Rebuilt']);
+		const previous = { summary: 'From the old branch', throughId: 'old3', updatedAt: 1, edited: true };
+
+		const memory = await foldMemory(new LLMClient(provider), previous, conversation(RECENT_MESSAGES + 2));
+
+		expect(provider.calls[0].request.messages[1].content).not.toContain('From the old branch');
+		expect(memory).toMatchObject({ summary: 'Rebuilt', throughId: 'm1', edited: false });
+	});
+});
+
+describe('memory settings', () => {
+	it('only adds a memory section when there is something to remember', () => {
+		expect(memoryPrompt(emptyMemory())).toBe('');
+		expect(memoryPrompt({ ...emptyMemory(), summary: 'Likes diagrams' })).toContain('Likes diagrams');
+	});
+
+	it('reads the retention period, defaulting to 30 days', () => {
+		expect(retentionDays({})).toBe(30);
+		expect(retentionDays({ CHAT_RETENTION_DAYS: '7' })).toBe(7);
+		expect(retentionDays({ CHAT_RETENTION_DAYS: 'never' })).toBeNull();
+		expect(retentionDays({ CHAT_RETENTION_DAYS: '0' })).toBeNull();
+		expect(retentionDays({ CHAT_RETENTION_DAYS: 'soon' })).toBe(30);
+	});
+});
@@ -0,0 +1,198 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { ChatSession } from '../src/chatSession';
+import { ChatMessage, describePath, latestLeaf, pathTo, threadTitleFrom } from '../src/chatThreads';
+import { FakeProvider, LLMClient } from '../src/llm';
+
+// In-memory stand-in for the Durable Object's state
+function fakeState(initial: Record<string, unknown> = {}) {
+	const storage = new Map<string, unknown>(Object.entries(initial));
+	return {
+		storage,
+		state: {
+			blockConcurrencyWhile: async (callback: () => Promise<void>) => callback(),
+			storage: {
+				get: async (key: string) => storage.get(key),
+				put: async (key: string | Record<string, unknown>, value?: unknown) => {
+					if (typeof key === 'string') storage.set(key, value);
+					else for (const [k, v] of Object.entries(key)) storage.set(k, v);
+				},
+				delete: async (keys: string | string[]) => {
+					for (const key of [keys].flat()) storage.delete(key);
+				},
+				list: async ({ prefix }: { prefix: string }) => new Map([...storage].filter(([key]) => key.startsWith(prefix))),
+				setAlarm: async () => {},
+			},
+		},
+	};
+}
+
+async function openSession(initial?: Record<string, unknown>) {
+	const { state, storage } = fakeState(initial);
+	const session = new ChatSession(state as any, { AI: null, LLM_PROVIDER: 'fake' } as any);
+	// Let the constructor's blockConcurrencyWhile finish
+	await new Promise((resolve) => setTimeout(resolve, 0));
+
+	const call = async (method: string, path: string, body?: unknown) => {
+		const res = await session.fetch(new Request(`https://chat${path}`, { method, body: body ? JSON.stringify(body) : undefined }));
+		return { status: res.status, body: (await res.json()) as any };
+	};
+	await call('POST', '/init', { noteId: 'n1', noteContext: 'Recursion notes' });
+	return { call, storage, session };
+}
+
+// a -> b -> c, with c2 as an edit of c
+const tree = new Map<string, ChatMessage>(
+	[
+		{ id: 'a', parentId: null, role: 'user', content: 'Q1', timestamp: 1 },
+		{ id: 'b', parentId: 'a', role: 'assistant', content: 'A1', timestamp: 2 },
+		{ id: 'c', parentId: 'b', role: 'user', content: 'Q2', timestamp: 3 },
+		{ id: 'c2', parentId: 'b', role: 'user', content: 'Q2, edited', timestamp: 5 },
+		{ id: 'd2', parentId: 'c2', role: 'assistant', content: 'A2', timestamp: 6 },
+	].map((m) => [m.id, m as ChatMessage])
+);
+
+describe('chat thread trees', () => {
+	it('follows a branch and marks where it split', () => {
+		expect(pathTo(tree, 'd2').map((m) => m.id)).toEqual(['a', 'b', 'c2', 'd2']);
+		expect(latestLeaf(tree, 'b')).toBe('d2');
+		expect(latestLeaf(tree, 'c')).toBe('c');
+		expect(describePath(tree, 'c').map((m) => m.branches)).toEqual([undefined, undefined, ['c', 'c2']]);
+	});
+
+	it('names threads after their first question', () => {
+		expect(threadTitleFrom('  What is   a base case?  ')).toBe('What is a base case?');
+		expect(threadTitleFrom('x'.repeat(60))).toBe(`${'x'.repeat(40)}…`);
+	});
+});
+
+describe('ChatSession', () => {
+	it('replies and keeps the conversation', async () => {
+		const { call } = await openSession();
+
+		const { body } = await call('POST', '/message', { message: 'What is a base case?' });
+
+		expect(body.reply).toBe('Fake reply: What is a base case?');
+		expect(body.history.map((m: ChatMessage) => m.role)).toEqual(['user', 'assistant']);
+		const { body: threads } = await call('GET', '/threads');
+		expect(threads.threads.map((t: { title: string }) => t.title)).toEqual(['What is a base case?']);
+	});
+
+	it('branches when an earlier message is edited and can switch back', async () => {
+		const { call } = await openSession();
+		const first = await call('POST', '/message', { message: 'Explain recursion' });
+		const { threadId } = first.body;
+		await call('POST', '/message', { message: 'Give an example', threadId });
+
+		const edited = await call('POST', '/message', { message: 'Explain iteration', threadId, editOf: first.body.history[0].id });
+
+		expect(edited.body.history.map((m: ChatMessage) => m.content)).toEqual(['Explain iteration', 'Fake reply: Explain iteration']);
+		expect(edited.body.history[0].branches).toHaveLength(2);
+
+		// The original branch is still there, with its follow-up
+		const original = await call('POST', `/threads/${threadId}/branch`, { messageId: edited.body.history[0].branches[0] });
+		expect(original.body.messages.map((m: ChatMessage) => m.content)).toEqual([
+			'Explain recursion',
+			'Fake reply: Explain recursion',
+			'Give an example',
+			'Fake reply: Give an example',
+		]);
+	});
+
+	it('keeps threads apart and deletes one without touching the others', async () => {
+		const { call } = await openSession();
+		await call('POST', '/message', { message: 'Other topic' });
+		const { body: created } = await call('POST', '/threads', { title: 'Exam prep' });
+		await call('POST', '/message', { message: 'Quiz me', threadId: created.thread.id });
+
+		const renamed = await call('PUT', `/threads/${created.thread.id}`, { title: 'Finals' });
+		expect(renamed.body.thread.title).toBe('Finals');
+
+		await call('DELETE', `/threads/${created.thread.id}`);
+		const { body } = await call('GET', '/history');
+		expect(body.threads).toHaveLength(1);
+		expect(body.messages.map((m: ChatMessage) => m.content)).toEqual(['Other topic', 'Fake reply: Other topic']);
+		expect((await call('GET', `/history?threadId=${created.thread.id}`)).status).toBe(404);
+	});
+
+	it('remembers older turns and lets the student edit the memory', async () => {
+		const { call, session } = await openSession();
+		const provider = new FakeProvider();
+		(session as any).llm = new LLMClient(provider);
+
+		let threadId: string | undefined;
+		for (let i = 0; i < 9; i++) {
+			({ threadId } = (await call('POST', '/message', { message: `Question ${i}`, threadId })).body);
+		}
+
+		// The first turns were folded into memory and no longer sent verbatim
+		const { body } = await call('GET', `/memory?threadId=${threadId}`);
+		expect(body.memory.summary).toMatch(/^Fake reply:/);
+		const lastPrompt = provider.calls[provider.calls.length - 1].request.messages;
+		expect(lastPrompt[0].content).toContain('What you remember from earlier');
+		expect(lastPrompt.some((m) => m.content === 'Question 0')).toBe(false);
+
+		const edited = await call('PUT', `/memory?threadId=${threadId}`, { summary: 'Student prefers short answers' });
+		expect(edited.body.memory).toMatchObject({ summary: 'Student prefers short answers', edited: true });
+		await call('POST', '/message', { message: 'One more', threadId });
+		expect(provider.calls[provider.calls.length - 1].request.messages[0].content).toContain('Student prefers short answers');
+	});
+
+	it('returns suggested edits as actions and records the decision', async () => {
+		const { call, session } = await openSession();
+		const provider = new FakeProvider([
+			{ toolCalls: [{ name: 'append_section', arguments: { heading: 'Summary', content: 'Recursion calls itself.' } }] },
+			'I suggested a summary section.',
+		]);
+		(session as any).llm = new LLMClient(provider);
+
+		const { body } = await call('POST', '/message', { message: 'Add a summary', tools: true, canEdit: true });
+
+		expect(body.reply).toBe('I suggested a summary section.');
+		expect(body.actions).toMatchObject([{ type: 'append_section', heading: 'Summary', status: 'proposed' }]);
+		expect(provider.calls[0].request.tools?.map((t) => t.name)).toContain('append_section');
+		expect(provider.calls[1].request.messages.at(-1)).toMatchObject({ role: 'tool', name: 'append_section' });
+
+		const reply = body.history[1];
+		const decide = (status: string) => call('POST', '/actions', { threadId: body.threadId, messageId: reply.id, actionId: reply.actions[0].id, status });
+		expect((await decide('accepted')).body.action.status).toBe('accepted');
+		expect((await decide('rejected')).status).toBe(409);
+		expect((await call('GET', '/history')).body.messages[1].actions[0].status).toBe('accepted');
+	});
+
+	it('moves history saved before threads into a thread', async () => {
+		const { call, storage } = await openSession({
+			messages: [
+				{ role: 'user', content: 'Old question', timestamp: 1 },
+				{ role: 'assistant', content: 'Old answer', timestamp: 2 },
+			],
+		});
+
+		const { body } = await call('GET', '/history');
+		expect(body.messages.map((m: ChatMessage) => m.content)).toEqual(['Old question', 'Old answer']);
+		expect(body.threads[0].title).toBe('Old question');
+		expect(storage.has('messages')).toBe(false);
+	});
+});
+
+describe('ChatSession tracking', () => {
+	it('records itself in chat_sessions on its first write only', async () => {
+		const { state, storage } = fakeState();
+		const session = new ChatSession(state as any, { AI: null, LLM_PROVIDER: 'fake', DB: env.DB } as any);
+		await new Promise((resolve) => setTimeout(resolve, 0));
+		const headers = { 'X-Chat-Session': 'track-note:u2', 'X-Note-Id': 'track-note', 'X-User-Id': 'u2' };
+		const row = () => env.DB.prepare('SELECT note_id, user_id FROM chat_sessions WHERE name = ?').bind('track-note:u2').first();
+
+		await session.fetch(new Request('https://chat/history', { headers }));
+		expect(await row()).toBeNull();
+
+		await session.fetch(new Request('https://chat/threads', { method: 'POST', headers, body: JSON.stringify({ title: 'Exam prep' }) }));
+		expect(await row()).toEqual({ note_id: 'track-note', user_id: 'u2' });
+		expect(storage.get('tracked')).toBe(true);
+
+		// Not written again once recorded
+		await env.DB.prepare('DELETE FROM chat_sessions WHERE name = ?').bind('track-note:u2').run();
+		await session.fetch(new Request('https://chat/threads', { method: 'POST', headers, body: JSON.stringify({ title: 'Finals' }) }));
+		expect(await row()).toBeNull();
+	});
+});
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { NoteAction, chatTools, proposeAction } from '../src/chatTools';
+import { parseToolCalls } from '../src/llm';
+
+const editor = { canEdit: true, selection: { start: 10, end: 24, text: 'recursion is\nhard' } };
+
+describe('chatTools', () => {
+	it('offers editing tools only to editors, and replacing only with a selection', () => {
+		const names = (context: typeof editor | { canEdit: boolean; selection: null }) => chatTools(context).map((t) => t.name);
+
+		expect(names(editor)).toEqual(['search_notes', 'append_section', 'replace_selection', 'create_note', 'generate_flashcards']);
+		expect(names({ canEdit: true, selection: null })).not.toContain('replace_selection');
+		expect(names({ canEdit: false, selection: null })).toEqual(['search_notes', 'create_note', 'generate_flashcards']);
+	});
+
+	it('turns edits into proposed actions with a diff', () => {
+		const appended = proposeAction({ name: 'append_section', arguments: { heading: '## Summary', content: 'Calls itself.\n' } }, editor) as NoteAction;
+		expect(appended).toMatchObject({ type: 'append_section', status: 'proposed', heading: 'Summary', content: 'Calls itself.' });
+
+		const replaced = proposeAction({ name: 'replace_selection', arguments: { text: 'recursion is\neasy' } }, editor);
+		expect(replaced).toMatchObject({ type: 'replace_selection', start: 10, end: 24, original: 'recursion is\nhard' });
+		expect((replaced as any).diff).toEqual([
+			{ type: 'equal', lines: ['recursion is'] },
+			{ type: 'delete', lines: ['hard'] },
+			{ type: 'insert', lines: ['easy'] },
+		]);
+	});
+
+	it('explains bad calls instead of proposing them', () => {
+		expect(proposeAction({ name: 'generate_flashcards', arguments: { cards: [] } }, editor)).toMatch(/^Invalid arguments/);
+		expect(proposeAction({ name: 'append_section', arguments: { heading: 'x', content: 'y' } }, { canEdit: false, selection: null })).toBe(
+			'Unknown tool: append_section'
+		);
+	});
+});
+
+describe('parseToolCalls', () => {
+	it('reads both Workers AI shapes and drops malformed calls', () => {
+		expect(
+			parseToolCalls([
+				{ name: 'search_notes', arguments: { query: 'heaps' } },
+				{ id: 'call_1', type: 'function', function: { name: 'create_note', arguments: '{"title":"T","content":"C"}' } },
+				{ function: { name: 'broken', arguments: '{not json' } },
+				{ arguments: {} },
+			])
+		).toEqual([
+			{ name: 'search_notes', arguments: { query: 'heaps' } },
+			{ name: 'create_note', arguments: { title: 'T', content: 'C' } },
+		]);
+		expect(parseToolCalls(undefined)).toEqual([]);
+	});
+});
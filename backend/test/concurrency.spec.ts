@@ -0,0 +1,136 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, beforeAll } from 'vitest';
+import worker from '../src';
+import { createQuizSession } from '../src/quiz';
+
+// Saving refreshes embeddings in the background; keep that off the network.
+// Calls are counted to tell how often a quiz was graded.
+let aiCalls = 0;
+const testEnv = {
+	...env,
+	AUTH_SECRET: 'concurrency-spec-secret',
+	AI: {
+		run: async () => {
+			aiCalls++;
+			throw new Error('Workers AI is not available in tests');
+		},
+	},
+};
+
+async function call(path: string, init: RequestInit = {}, token?: string): Promise<Response> {
+	const headers = new Headers(init.headers);
+	if (token) headers.set('Authorization', `Bearer ${token}`);
+	const ctx = createExecutionContext();
+	const response = await worker.fetch(new Request(`https://notex.test${path}`, { ...init, headers }), testEnv, ctx);
+	await waitOnExecutionContext(ctx);
+	return response;
+}
+
+describe('note updates with If-Match', () => {
+	let token: string;
+	let noteId: string;
+	let etag: string;
+
+	beforeAll(async () => {
+		const signup = await call('/api/auth/signup', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({ email: `concurrency-${crypto.randomUUID()}@example.com`, password: 'correct horse' }),
+		});
+		token = ((await signup.json()) as { token: string }).token;
+
+		const created = await call('/api/notes', { method: 'POST', body: JSON.stringify({ content: 'First draft' }) }, token);
+		noteId = ((await created.json()) as { note: { id: string } }).note.id;
+		etag = (await call(`/api/notes/${noteId}`, {}, token)).headers.get('ETag')!;
+	});
+
+	const save = (content: string, ifMatch?: string) =>
+		call(
+			`/api/notes/${noteId}`,
+			{
+				method: 'PUT',
+				headers: { 'Content-Type': 'application/json', ...(ifMatch ? { 'If-Match': ifMatch } : {}) },
+				body: JSON.stringify({ content }),
+			},
+			token
+		);
+
+	it('requires If-Match', async () => {
+		const response = await save('No version');
+		expect(response.status).toBe(428);
+	});
+
+	it('saves with the current ETag and hands back the next one', async () => {
+		const response = await save('Second draft', etag);
+		expect(response.status).toBe(200);
+
+		const next = response.headers.get('ETag');
+		expect(next).toBeTruthy();
+		expect(next).not.toBe(etag);
+		expect(((await response.json()) as { note: { content: string } }).note.content).toBe('Second draft');
+	});
+
+	it('refuses a stale ETag with the server copy', async () => {
+		const stale = (await call(`/api/notes/${noteId}`, {}, token)).headers.get('ETag')!;
+		expect((await save('Second draft', stale)).status).toBe(200);
+
+		const response = await save('Written over an old copy ![x](/api/images/u1/stale.png)', stale);
+		expect(response.status).toBe(409);
+
+		const body = (await response.json()) as { note: { content: string; version: number } };
+		expect(body.note.content).toBe('Second draft');
+		expect(response.headers.get('ETag')).toBe(`"${body.note.version}"`);
+
+		// Images only the rejected text used aren't linked to the note, so they can still be collected
+		const linked = await testEnv.DB.prepare('SELECT COUNT(*) AS count FROM attachments WHERE note_id = ?').bind(noteId).first<{ count: number }>();
+		expect(linked?.count).toBe(0);
+	});
+});
+
+describe('quiz submission', () => {
+	let token: string;
+	let userId: string;
+	let noteId: string;
+
+	beforeAll(async () => {
+		const signup = await call('/api/auth/signup', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({ email: `quiz-${crypto.randomUUID()}@example.com`, password: 'correct horse' }),
+		});
+		({ token, user: { id: userId } } = (await signup.json()) as { token: string; user: { id: string } });
+
+		const created = await call('/api/notes', { method: 'POST', body: JSON.stringify({ content: 'Heaps keep the smallest key on top.' }) }, token);
+		noteId = ((await created.json()) as { note: { id: string } }).note.id;
+	});
+
+	const startQuiz = async () => {
+		const { session, questions } = await createQuizSession(testEnv.DB, userId, noteId, [
+			{ question: 'Where is the smallest key?', type: 'recall', difficulty: 'easy', answer: 'At the root' },
+		]);
+		return { sessionId: session.id, answers: [{ id: questions[0].id, answer: 'On top' }] };
+	};
+
+	const submit = (sessionId: string, answers: Array<{ id: string; answer: string }>) =>
+		call(
+			`/api/quiz/${sessionId}/submit`,
+			{ method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ answers }) },
+			token
+		);
+
+	it('grades a quiz submitted twice at once only once', async () => {
+		const single = await startQuiz();
+		aiCalls = 0;
+		expect((await submit(single.sessionId, single.answers)).status).toBe(200);
+		const callsPerGrading = aiCalls;
+		expect(callsPerGrading).toBeGreaterThan(0);
+
+		const quiz = await startQuiz();
+		aiCalls = 0;
+		const responses = await Promise.all([submit(quiz.sessionId, quiz.answers), submit(quiz.sessionId, quiz.answers)]);
+
+		expect(responses.map((r) => r.status).sort()).toEqual([200, 409]);
+		expect(aiCalls).toBe(callsPerGrading);
+		expect((await submit(quiz.sessionId, quiz.answers)).status).toBe(409);
+	});
+});
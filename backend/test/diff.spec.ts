@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { changedSpan, diffLines } from '../src/diff';
+
+describe('changedSpan', () => {
+	it('measures single edits exactly', () => {
+		expect(changedSpan('hello world', 'hello world')).toBe(0);
+		expect(changedSpan('hello world', 'hello, world')).toBe(1);
+		expect(changedSpan('hello world', 'hello')).toBe(6);
+		expect(changedSpan('abc', 'axc')).toBe(1);
+	});
+
+	it('treats a select-all delete as a change of the whole text', () => {
+		const text = 'x'.repeat(500);
+		expect(changedSpan(text, '')).toBe(500);
+	});
+});
+
+describe('diffLines', () => {
+	it('groups unchanged, removed and added lines', () => {
+		const hunks = diffLines('a\nb\nc\nd', 'a\nB\nc\nd\ne');
+		expect(hunks).toEqual([
+			{ type: 'equal', lines: ['a'] },
+			{ type: 'delete', lines: ['b'] },
+			{ type: 'insert', lines: ['B'] },
+			{ type: 'equal', lines: ['c', 'd'] },
+			{ type: 'insert', lines: ['e'] },
+		]);
+	});
+
+	it('returns a single equal hunk for identical text', () => {
+		expect(diffLines('same\ntext', 'same\ntext')).toEqual([{ type: 'equal', lines: ['same', 'text'] }]);
+	});
+
+	it('keeps lines that moved relative to an insertion', () => {
+		const hunks = diffLines('one\ntwo\nthree', 'zero\none\ntwo\nthree');
+		expect(hunks).toEqual([
+			{ type: 'insert', lines: ['zero'] },
+			{ type: 'equal', lines: ['one', 'two', 'three'] },
+		]);
+	});
+});
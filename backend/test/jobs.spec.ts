@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { describeJobSteps } from '../src/jobs';
+
+const names = ['load note', 'extract topics', 'generate summary', 'save result'];
+
+describe('describeJobSteps', () => {
+	it('lists steps not reached yet as pending while the job runs', () => {
+		const steps = describeJobSteps(
+			names,
+			[
+				{ name: 'load note', status: 'complete', attempts: 1, error: null },
+				{ name: 'extract topics', status: 'retrying', attempts: 2, error: 'upstream timeout' },
+			],
+			'running'
+		);
+
+		expect(steps.map((s) => s.status)).toEqual(['complete', 'retrying', 'pending', 'pending']);
+		expect(steps[1]).toEqual({ name: 'extract topics', status: 'retrying', attempts: 2, error: 'upstream timeout' });
+	});
+
+	it('marks unreached steps skipped and unfinished ones failed once the job is over', () => {
+		const steps = describeJobSteps(names, [{ name: 'load note', status: 'running', attempts: 1, error: null }], 'failed');
+		expect(steps.map((s) => s.status)).toEqual(['failed', 'skipped', 'skipped', 'skipped']);
+	});
+
+	it('lists a per-section step as its parts', () => {
+		const steps = describeJobSteps(
+			['load note', 'summarize sections', 'generate summary'],
+			[
+				{ name: 'load note', status: 'complete', attempts: 1, error: null },
+				{ name: 'summarize sections (1/2)', status: 'complete', attempts: 1, error: null },
+				{ name: 'summarize sections (2/2)', status: 'running', attempts: 1, error: null },
+			],
+			'running'
+		);
+
+		expect(steps.map((s) => `${s.name}: ${s.status}`)).toEqual([
+			'load note: complete',
+			'summarize sections (1/2): complete',
+			'summarize sections (2/2): running',
+			'generate summary: pending',
+		]);
+	});
+});
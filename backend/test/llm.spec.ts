@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_PROFILES, FakeProvider, LLMClient, UsageRecord, createLLM, resolveProfiles, sampleFromSchema } from '../src/llm';
+import { QuestionsWorkflow } from '../src/workflows/questionsWorkflow';
+import { LocalStepRunner } from '../src/workflows/steps';
+
+const messages = [{ role: 'user' as const, content: 'Explain recursion' }];
+
+describe('resolveProfiles', () => {
+	it('applies global then per-profile overrides', () => {
+		const profiles = resolveProfiles({
+			LLM_MODEL: '@cf/test/primary',
+			LLM_GRADING_MODEL: '@cf/test/grader',
+			LLM_GRADING_FALLBACK_MODEL: 'none',
+			LLM_CHAT_MAX_TOKENS: '256',
+			LLM_CHAT_TEMPERATURE: 'warm',
+		});
+
+		expect(profiles.chat).toMatchObject({ model: '@cf/test/primary', maxTokens: 256, temperature: DEFAULT_PROFILES.chat.temperature });
+		expect(profiles.grading).toMatchObject({ model: '@cf/test/grader', fallbackModel: null });
+		expect(profiles.extraction.fallbackModel).toBe(DEFAULT_PROFILES.extraction.fallbackModel);
+		expect(resolveProfiles({ LLM_FALLBACK_MODEL: 'none' }).writing.fallbackModel).toBeNull();
+	});
+});
+
+describe('LLMClient', () => {
+	it('falls back to the secondary model when the primary fails', async () => {
+		const provider = new FakeProvider([
+			() => {
+				throw new Error('capacity exceeded');
+			},
+			'Recursion is a function calling itself.',
+		]);
+		const llm = new LLMClient(provider);
+
+		const result = await llm.complete('chat', { messages });
+
+		expect(result.text).toBe('Recursion is a function calling itself.');
+		expect(result.model).toBe(DEFAULT_PROFILES.chat.fallbackModel);
+		expect(provider.calls.map((c) => c.model)).toEqual([DEFAULT_PROFILES.chat.model, DEFAULT_PROFILES.chat.fallbackModel]);
+	});
+
+	it('falls back when the primary times out', async () => {
+		const profiles = { ...DEFAULT_PROFILES, chat: { ...DEFAULT_PROFILES.chat, timeoutMs: 10 } };
+		const llm = new LLMClient(new FakeProvider([() => new Promise(() => {}), 'late but fine']), profiles);
+
+		const result = await llm.complete('chat', { messages });
+		expect(result).toMatchObject({ text: 'late but fine', model: DEFAULT_PROFILES.chat.fallbackModel });
+	});
+
+	it('throws once every model has failed', async () => {
+		const fail = () => {
+			throw new Error('down');
+		};
+		const llm = new LLMClient(new FakeProvider([fail, fail]));
+		await expect(llm.complete('chat', { messages })).rejects.toThrow('down');
+	});
+
+	it('adds up token usage and reports each call', async () => {
+		const seen: UsageRecord[] = [];
+		const llm = new LLMClient(new FakeProvider(['abcdefgh']), DEFAULT_PROFILES, { onUsage: (usage) => void seen.push(usage) });
+
+		await llm.complete('extraction', { messages });
+		const tokens = await llm.stream('chat', { messages });
+		let streamed = '';
+		for await (const token of tokens) streamed += token;
+
+		expect(streamed).toBe('Fake reply: Explain recursion');
+		expect(seen.map((u) => u.profile)).toEqual(['extraction', 'chat']);
+		expect(seen[0]).toMatchObject({ promptTokens: 5, completionTokens: 2, estimated: true });
+		expect(llm.usage).toEqual({
+			calls: 2,
+			promptTokens: seen[0].promptTokens + seen[1].promptTokens,
+			completionTokens: seen[0].completionTokens + seen[1].completionTokens,
+		});
+	});
+});
+
+describe('FakeProvider', () => {
+	it('answers JSON requests with a value that fits the schema', async () => {
+		const schema = { type: 'object', properties: { level: { type: 'string', enum: ['easy', 'hard'] }, items: { type: 'array', items: { type: 'integer', minimum: 1 }, minItems: 2 } } } as const;
+		expect(sampleFromSchema(schema)).toEqual({ level: 'easy', items: [1, 1] });
+
+		const llm = createLLM({ LLM_PROVIDER: 'fake' });
+		const result = await llm.complete('extraction', { messages, jsonSchema: schema });
+		expect(result.response).toEqual({ level: 'easy', items: [1, 1] });
+	});
+
+	it('runs a whole workflow deterministically', async () => {
+		const provider = new FakeProvider(['medium']);
+		const result = await new QuestionsWorkflow(new LLMClient(provider)).run({}, { noteId: 'n1', noteTitle: 'Recursion', noteContent: 'Base case...' }, new LocalStepRunner());
+
+		expect(result.questions).toEqual([{ question: 'Sample questions 1', type: 'recall', difficulty: 'easy', answer: 'Sample answers 1' }]);
+		// A short note is read whole, so there is no per-section step
+		expect(provider.calls).toHaveLength(QuestionsWorkflow.STEPS.length - 1);
+	});
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { chunkByTokens } from '../src/chunker';
+import { FakeProvider, LLMClient, ProviderRequest, sampleFromSchema } from '../src/llm';
+import { SectionDigest, mergeKeyPoints, mergeTopics } from '../src/workflows/mapReduce';
+import { SummaryWorkflow } from '../src/workflows/summaryWorkflow';
+import { QuestionsWorkflow } from '../src/workflows/questionsWorkflow';
+import { LocalStepRunner } from '../src/workflows/steps';
+
+const lecture = ['# Sorting', 'Merge sort splits the list in half. '.repeat(20), '# Graphs', 'BFS visits nodes level by level. '.repeat(20), '# Heaps', 'A heap keeps the smallest item on top. '.repeat(20)].join('\n\n');
+
+function digest(headings: string[], topics: string[], points: Array<[string, string?]>): SectionDigest {
+	return { headings, summary: '', topics, keyPoints: points.map(([text, section]) => ({ text, sections: section ? [section] : [] })) };
+}
+
+describe('chunkByTokens', () => {
+	it('keeps a short note in one chunk', () => {
+		const chunks = chunkByTokens(lecture, 2000);
+		expect(chunks).toHaveLength(1);
+		expect(chunks[0].headings).toEqual(['Sorting', 'Graphs', 'Heaps']);
+	});
+
+	it('splits on headings to stay under the token budget', () => {
+		const chunks = chunkByTokens(lecture, 250);
+		expect(chunks.map((c) => c.headings)).toEqual([['Sorting'], ['Graphs'], ['Heaps']]);
+		expect(chunks.every((c) => c.tokens <= 250)).toBe(true);
+		expect(chunks[1].text.startsWith('# Graphs')).toBe(true);
+	});
+});
+
+describe('merging sections', () => {
+	it('deduplicates topics, putting those found in more sections first', () => {
+		const topics = mergeTopics([digest([], ['Sorting', 'Big O'], []), digest([], ['big o', 'Graphs'], [])]);
+		expect(topics).toEqual(['Big O', 'Sorting', 'Graphs']);
+	});
+
+	it('merges repeated key points and keeps every section they came from', () => {
+		const points = mergeKeyPoints([
+			digest(['Sorting'], [], [['Merge sort runs in O(n log n) time', 'Sorting'], ['Quicksort is in-place', 'Sorting']]),
+			digest(['Review'], [], [['Merge sort runs in O(n log n) time.', 'Review'], ['BFS uses a queue', 'Review']]),
+		]);
+
+		expect(points).toEqual([
+			{ text: 'Merge sort runs in O(n log n) time', sections: ['Sorting', 'Review'] },
+			{ text: 'Quicksort is in-place', sections: ['Sorting'] },
+			{ text: 'BFS uses a queue', sections: ['Review'] },
+		]);
+	});
+
+	it('keeps points made in several sections when there are too many', () => {
+		const points = mergeKeyPoints(
+			[digest(['A'], [], [['first point here', 'A'], ['shared point here', 'A']]), digest(['B'], [], [['shared point here', 'B']])],
+			1
+		);
+		expect(points).toEqual([{ text: 'shared point here', sections: ['A', 'B'] }]);
+	});
+});
+
+// Answers each map call with a point from the section it was given
+function sectionReplies(request: ProviderRequest) {
+	const prompt = request.messages[1].content;
+	if (!request.jsonSchema) return prompt.startsWith('Generate a concise') ? 'Whole-note summary.' : 'intermediate';
+	if (prompt.startsWith('Read this note')) {
+		const heading = prompt.match(/^# (\w+)/m)![1];
+		return { summary: `About ${heading}.`, topics: [heading, 'Algorithms'], keyPoints: [{ text: `${heading} matters`, section: heading }] };
+	}
+	return sampleFromSchema(request.jsonSchema);
+}
+
+describe('long notes', () => {
+	it('summarises every section and merges the results', async () => {
+		const provider = new FakeProvider(Array(4).fill(sectionReplies));
+		const runner = new LocalStepRunner();
+		const result = await new SummaryWorkflow(new LLMClient(provider), 250).run({}, { noteId: 'n1', noteTitle: 'Lecture 3', noteContent: lecture }, runner);
+
+		expect([...runner.checkpoints.keys()]).toEqual(['summarize sections (1/3)', 'summarize sections (2/3)', 'summarize sections (3/3)', 'generate summary']);
+		expect(result.summary).toBe('Whole-note summary.');
+		expect(result.topics[0]).toBe('Algorithms');
+		expect(result.keyPoints).toEqual([
+			{ text: 'Sorting matters', sections: ['Sorting'] },
+			{ text: 'Graphs matters', sections: ['Graphs'] },
+			{ text: 'Heaps matters', sections: ['Heaps'] },
+		]);
+		// The merge prompt sees every section's summary
+		const reduce = provider.calls[3].request.messages[1].content;
+		expect(['About Sorting.', 'About Graphs.', 'About Heaps.'].every((s) => reduce.includes(s))).toBe(true);
+	});
+
+	it('writes questions from every section', async () => {
+		const provider = new FakeProvider(Array(5).fill(sectionReplies));
+		await new QuestionsWorkflow(new LLMClient(provider), 250).run({}, { noteId: 'n1', noteTitle: 'Lecture 3', noteContent: lecture }, new LocalStepRunner());
+
+		const questionsPrompt = provider.calls.find((c) => c.request.messages[1].content.startsWith('Generate 7-10 study questions'))!.request.messages[1].content;
+		expect(questionsPrompt).toContain('spread across all of its sections');
+		expect(['Sorting matters', 'Graphs matters', 'Heaps matters'].every((p) => questionsPrompt.includes(p))).toBe(true);
+	});
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { exportFilename, r2ImageLoader, renderMarkdown, renderNoteDocument } from '../src/noteExport';
+
+describe('renderMarkdown', () => {
+	it('renders math, highlighted code and page breaks', async () => {
+		const { html } = await renderMarkdown('Area is $\\pi r^2$.\n\n$$\n\\int_0^1 x\\,dx\n$$\n\n\\newpage\n\n```js\nconst x = 1;\n```');
+
+		expect(html).toContain('<span class="katex">');
+		expect(html).toContain('<span class="katex-display">');
+		expect(html).toContain('<div class="page-break"></div>');
+		expect(html).toContain('<span class="hljs-keyword">const</span>');
+	});
+
+	it('leaves prices alone and escapes raw HTML', async () => {
+		const { html } = await renderMarkdown('It costs $5 and $10.\n\n<script>alert(1)</script>');
+
+		expect(html).not.toContain('katex');
+		expect(html).toContain('&lt;script&gt;');
+	});
+
+	it('drops javascript: and other unsafe link and image URLs', async () => {
+		const { html } = await renderMarkdown(
+			'[x](javascript:alert(1)) [y](JaVaScRiPt:alert(1)) <javascript:alert(1)> [z](java&#9;script:alert(1)) ![pic](javascript:alert(1))\n\n' +
+				'[web](https://example.com) [mail](mailto:a@example.com) [top](#intro) ![dot](data:image/png;base64,AQID)'
+		);
+
+		expect(html).toContain('<p>x y javascript:alert(1) z pic</p>');
+		expect(html).toContain('<a href="https://example.com">web</a>');
+		expect(html).toContain('<a href="mailto:a@example.com">mail</a>');
+		expect(html).toContain('<a href="#intro">top</a>');
+		expect(html).toContain('<img src="data:image/png;base64,AQID" alt="dot">');
+	});
+
+	it('collects headings with unique anchors for the contents', async () => {
+		const { html, toc } = await renderMarkdown('# Heaps\n## Insert\n## Insert\n#### Detail');
+
+		expect(toc).toEqual([
+			{ depth: 1, text: 'Heaps', id: 'heaps' },
+			{ depth: 2, text: 'Insert', id: 'insert' },
+			{ depth: 2, text: 'Insert', id: 'insert-1' },
+		]);
+		expect(html).toContain('<h2 id="insert-1">Insert</h2>');
+	});
+});
+
+describe('renderNoteDocument', () => {
+	it('builds a standalone document with the note images embedded', async () => {
+		const bucket = {
+			get: async (key: string) =>
+				key === 'u1/a.png' ? { httpMetadata: { contentType: 'image/png' }, arrayBuffer: async () => new Uint8Array([1, 2, 3]).buffer } : null,
+		};
+		const loadImage = r2ImageLoader(bucket as any, async (key) => key.startsWith('u1/'));
+
+		const html = await renderNoteDocument(
+			{
+				title: 'Trees & <Heaps>',
+				content: '# One\n\n![a](https://api.example.com/api/images/u1/a.png?sig=x)\n\n# Two\n\n![b](https://api.example.com/api/images/u2/b.png)',
+			},
+			loadImage
+		);
+
+		expect(html).toMatch(/^<!DOCTYPE html>/);
+		expect(html).toContain('<title>Trees &amp; &lt;Heaps&gt;</title>');
+		expect(html).toContain('<nav class="toc">');
+		expect(html).toContain('src="data:image/png;base64,AQID"');
+		expect(html).toContain('src="https://api.example.com/api/images/u2/b.png"');
+	});
+
+	it('inlines the KaTeX stylesheet and fonts only when the note has math', async () => {
+		const withMath = await renderNoteDocument({ title: 'Circles', content: 'Area is $\\pi r^2$.' });
+		expect(withMath).toContain('.katex{');
+		expect(withMath).toContain('src:url(data:font/woff2;base64,');
+		expect(withMath).not.toContain('url(fonts/');
+		expect(withMath).not.toMatch(/<link|https?:\/\/cdn/);
+
+		const withoutMath = await renderNoteDocument({ title: 'Prices', content: 'It costs $5 and $10.' });
+		expect(withoutMath).not.toContain('.katex{');
+	});
+
+	it('names downloads after the note', () => {
+		expect(exportFilename('Week 3: Heaps / Trees', 'pdf')).toBe('Week-3-Heaps-Trees.pdf');
+		expect(exportFilename('???', 'html')).toBe('note.html');
+	});
+});
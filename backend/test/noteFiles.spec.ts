@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { strToU8, zipSync } from 'fflate';
+import { buildPageQuery, extractPages, noteFileKind, noteFilesMarkdown, slideTexts } from '../src/noteFiles';
+
+const PPTX = 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+
+const slide = (...paragraphs: string[]) =>
+	strToU8(
+		`<p:sld><p:cSld><p:spTree>${paragraphs
+			.map((runs) => `<a:p>${runs.split('|').map((run) => `<a:r><a:rPr lang="en-GB"/><a:t>${run}</a:t></a:r>`).join('')}</a:p>`)
+			.join('')}</p:spTree></p:cSld></p:sld>`
+	);
+
+// One page per object, with the text drawn by a content stream; pdf.js rebuilds the missing xref table
+function minimalPdf(pages: string[]): Uint8Array {
+	const objects = ['<< /Type /Catalog /Pages 2 0 R >>', `<< /Type /Pages /Kids [${pages.map((_, i) => `${4 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'];
+	for (const [i, text] of pages.entries()) {
+		const stream = `BT /F1 12 Tf 72 720 Td (${text}) Tj ET`;
+		objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${5 + i * 2} 0 R >>`);
+		objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+	}
+	const body = objects.map((object, i) => `${i + 1} 0 obj\n${object}\nendobj\n`).join('');
+	return strToU8(`%PDF-1.4\n${body}trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\n%%EOF\n`);
+}
+
+describe('noteFileKind', () => {
+	it('goes by the content type, then the extension', () => {
+		expect(noteFileKind('application/pdf', 'notes')).toBe('pdf');
+		expect(noteFileKind('application/octet-stream', 'Week 3.PPTX')).toBe('pptx');
+		expect(noteFileKind('image/png', 'diagram.png')).toBeNull();
+		expect(noteFileKind('', 'deck.ppt')).toBeNull();
+	});
+});
+
+describe('extractPages', () => {
+	it('reads PDF text page by page', async () => {
+		const pages = await extractPages('pdf', minimalPdf(['Entropy always increases', 'Second page']));
+		expect(pages).toEqual(['Entropy always increases', 'Second page']);
+	});
+
+	it('reads slides in slide order, a line per paragraph', () => {
+		const deck = zipSync({
+			'ppt/slides/slide10.xml': slide('Last'),
+			'ppt/slides/slide2.xml': slide('Heaps', 'Insert is O(log n)|, always'),
+			'ppt/slides/slide1.xml': slide('Trees &amp; graphs'),
+			'ppt/notesSlides/notesSlide1.xml': slide('Speaker notes'),
+		});
+
+		expect(slideTexts(deck)).toEqual(['Trees & graphs', 'Heaps\nInsert is O(log n), always', 'Last']);
+	});
+});
+
+describe('buildPageQuery', () => {
+	it('ORs the meaningful words of a question', () => {
+		expect(buildPageQuery('What does the lecture say about "Carnot" engines?')).toBe('"lecture" OR "say" OR "carnot" OR "engines"');
+		expect(buildPageQuery('what is it?')).toBeNull();
+	});
+});
+
+describe('noteFilesMarkdown', () => {
+	it('labels each page and stops at the limit', () => {
+		const page = (page: number, text: string, contentType = 'application/pdf') => ({ fileId: 'f1', filename: 'lecture.pdf', contentType, page, text });
+
+		expect(noteFilesMarkdown([page(1, 'Intro'), page(2, ''), page(3, 'Proof')])).toBe('## lecture.pdf, page 1\n\nIntro\n\n## lecture.pdf, page 3\n\nProof');
+		expect(noteFilesMarkdown([{ ...page(4, 'Summary', PPTX), filename: 'deck.pptx' }])).toBe('## deck.pptx, slide 4\n\nSummary');
+		expect(noteFilesMarkdown([page(1, 'x'.repeat(50)), page(2, 'more')], 80)).toBe(`## lecture.pdf, page 1\n\n${'x'.repeat(50)}`);
+	});
+});
@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { isWithinFolder, normalizeTagName, suggestTags } from '../src/organize';
+
+describe('normalizeTagName', () => {
+	it('trims, collapses spaces and drops a leading #', () => {
+		expect(normalizeTagName('  #Big   O  ')).toBe('Big O');
+		expect(normalizeTagName('physics')).toBe('physics');
+	});
+
+	it('rejects empty and non-string names', () => {
+		expect(normalizeTagName('  # ')).toBeNull();
+		expect(normalizeTagName(42)).toBeNull();
+	});
+});
+
+describe('suggestTags', () => {
+	it('skips topics the note is already tagged with, ignoring case', () => {
+		expect(suggestTags(['Recursion', 'Big O', 'recursion', 'Sorting'], ['big o'])).toEqual(['Recursion', 'Sorting']);
+	});
+
+	it('caps the number of suggestions', () => {
+		expect(suggestTags(['a', 'b', 'c', 'd'], [], 2)).toEqual(['a', 'b']);
+	});
+});
+
+describe('isWithinFolder', () => {
+	const folders = [
+		{ id: 'root', parent_id: null },
+		{ id: 'child', parent_id: 'root' },
+		{ id: 'grandchild', parent_id: 'child' },
+		{ id: 'other', parent_id: null },
+	];
+
+	it('finds a folder anywhere beneath an ancestor', () => {
+		expect(isWithinFolder(folders, 'grandchild', 'root')).toBe(true);
+		expect(isWithinFolder(folders, 'root', 'root')).toBe(true);
+	});
+
+	it('is false for folders outside the subtree', () => {
+		expect(isWithinFolder(folders, 'other', 'root')).toBe(false);
+		expect(isWithinFolder(folders, 'root', 'child')).toBe(false);
+		expect(isWithinFolder(folders, null, 'root')).toBe(false);
+	});
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { apply, compose, operationFromDiff, parseOperation, transform, transformIndex } from '../src/ot';
+
+describe('operationFromDiff', () => {
+	it('describes an edit as one replaced span', () => {
+		expect(operationFromDiff('hello world', 'hello, world')).toEqual([5, ',', 6]);
+		expect(operationFromDiff('abc', 'axc')).toEqual([1, 'x', -1, 1]);
+		expect(operationFromDiff('same', 'same')).toEqual([4]);
+	});
+
+	it('round-trips through apply', () => {
+		const op = operationFromDiff('The quick fox', 'The slow brown fox');
+		expect(apply('The quick fox', op)).toBe('The slow brown fox');
+	});
+});
+
+describe('transform', () => {
+	const converge = (doc: string, a: string, b: string) => {
+		const opA = operationFromDiff(doc, a);
+		const opB = operationFromDiff(doc, b);
+		const [aPrime, bPrime] = transform(opA, opB);
+		const left = apply(apply(doc, opA), bPrime);
+		const right = apply(apply(doc, opB), aPrime);
+		expect(left).toBe(right);
+		return left;
+	};
+
+	it('keeps both users\' concurrent inserts', () => {
+		expect(converge('Big O notation', 'Big O notation!', 'Big-O notation')).toBe('Big-O notation!');
+	});
+
+	it('orders inserts at the same spot by the first operation', () => {
+		expect(converge('ab', 'aXb', 'aYb')).toBe('aXYb');
+	});
+
+	it('handles overlapping deletes', () => {
+		expect(converge('0123456789', '0189', '0123789')).toBe('0189');
+	});
+
+	it('handles an insert inside a deleted range', () => {
+		expect(converge('hello world', 'hello', 'hello big world')).toBe('hellobig ');
+	});
+
+	it('converges for random concurrent edits', () => {
+		let seed = 42;
+		const random = (n: number) => {
+			seed = (seed * 16807) % 2147483647;
+			return seed % n;
+		};
+		const randomEdit = (doc: string) => {
+			const start = random(doc.length + 1);
+			const end = start + random(doc.length - start + 1);
+			return doc.slice(0, start) + 'xyz'.slice(0, random(4)) + doc.slice(end);
+		};
+
+		for (let n = 0; n < 200; n++) {
+			const doc = 'abcdefghij'.slice(0, random(11));
+			converge(doc, randomEdit(doc), randomEdit(doc));
+		}
+	});
+});
+
+describe('compose', () => {
+	it('matches applying both operations in turn', () => {
+		const a = operationFromDiff('abc', 'abXc');
+		const b = operationFromDiff('abXc', 'Xc');
+		expect(apply('abc', compose(a, b))).toBe('Xc');
+	});
+});
+
+describe('transformIndex', () => {
+	it('shifts cursors after an earlier insert and clamps into deletions', () => {
+		expect(transformIndex(5, [2, 'abc', 3])).toBe(8);
+		expect(transformIndex(1, [2, 'abc', 3])).toBe(1);
+		expect(transformIndex(4, [2, -3])).toBe(2);
+	});
+});
+
+describe('parseOperation', () => {
+	it('rejects malformed components', () => {
+		expect(parseOperation([1, 'a', -1])).toEqual([1, 'a', -1]);
+		expect(parseOperation([1.5])).toBeNull();
+		expect(parseOperation([{}])).toBeNull();
+		expect(parseOperation('abc')).toBeNull();
+	});
+});
@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { breakdownScores } from '../src/quiz';
+import { parseGrade } from '../src/workflows/gradingWorkflow';
+
+describe('breakdownScores', () => {
+	it('averages scores per type and difficulty, weakest first', () => {
+		const { byType, byDifficulty } = breakdownScores([
+			{ type: 'recall', difficulty: 'easy', score: 90 },
+			{ type: 'application', difficulty: 'hard', score: 20 },
+			{ type: 'application', difficulty: 'medium', score: 50 },
+			{ type: 'recall', difficulty: 'hard', score: 70 },
+		]);
+
+		expect(byType).toEqual([
+			{ category: 'application', attempts: 2, averageScore: 35 },
+			{ category: 'recall', attempts: 2, averageScore: 80 },
+		]);
+		expect(byDifficulty.map((c) => c.category)).toEqual(['hard', 'medium', 'easy']);
+		expect(byDifficulty[0]).toEqual({ category: 'hard', attempts: 2, averageScore: 45 });
+	});
+
+	it('is empty before any quiz is graded', () => {
+		expect(breakdownScores([])).toEqual({ byType: [], byDifficulty: [] });
+	});
+});
+
+describe('parseGrade', () => {
+	it('clamps the score and falls back to the reference answer', () => {
+		expect(parseGrade({ score: 140, missing: ['Big O is an upper bound', 3], feedback: ' Close. ' }, 'O(n)')).toEqual({
+			score: 100,
+			missing: ['Big O is an upper bound'],
+			modelAnswer: 'O(n)',
+			feedback: 'Close.',
+		});
+		expect(parseGrade({ score: 'high' }).score).toBe(0);
+	});
+});
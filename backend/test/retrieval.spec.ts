@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { chunkMarkdown } from '../src/chunker';
+import { MemoryVectorStore, cosineSimilarity } from '../src/vectorStore';
+
+describe('chunkMarkdown', () => {
+	it('splits on headings and remembers the nearest heading', () => {
+		const chunks = chunkMarkdown('Intro line\n\n# Big O\nUpper bound.\n\n## Examples\n- O(1)\n- O(n)');
+		expect(chunks.map((c) => c.heading)).toEqual(['', 'Big O', 'Examples']);
+		expect(chunks[1].text).toContain('Upper bound.');
+		expect(chunks.map((c) => c.index)).toEqual([0, 1, 2]);
+	});
+
+	it('packs paragraphs up to the size limit and hard-splits long ones', () => {
+		const paragraph = 'word '.repeat(40).trim();
+		const chunks = chunkMarkdown([paragraph, paragraph, 'x'.repeat(500)].join('\n\n'), { maxChars: 250 });
+		expect(chunks.every((c) => c.text.length <= 250)).toBe(true);
+		expect(chunks.length).toBe(4);
+	});
+
+	it('does not treat # lines inside code fences as headings', () => {
+		const chunks = chunkMarkdown('# Script\n```python\n# a comment\n\nprint(1)\n```');
+		expect(chunks).toHaveLength(1);
+		expect(chunks[0].heading).toBe('Script');
+		expect(chunks[0].text).toContain('# a comment\n\nprint(1)');
+	});
+});
+
+describe('MemoryVectorStore', () => {
+	it('returns the closest vectors first', async () => {
+		const store = new MemoryVectorStore();
+		await store.upsert([
+			{ id: 'a:0', values: [1, 0, 0], metadata: { noteId: 'a', chunkIndex: 0 } },
+			{ id: 'b:0', values: [0, 1, 0], metadata: { noteId: 'b', chunkIndex: 0 } },
+			{ id: 'b:1', values: [0.7, 0.7, 0], metadata: { noteId: 'b', chunkIndex: 1 } },
+		]);
+
+		const matches = await store.query([1, 0.1, 0], 2);
+		expect(matches.map((m) => m.id)).toEqual(['a:0', 'b:1']);
+		expect(matches[0].noteId).toBe('a');
+	});
+
+	it('forgets deleted vectors', async () => {
+		const store = new MemoryVectorStore();
+		await store.upsert([{ id: 'a:0', values: [1, 0], metadata: { noteId: 'a', chunkIndex: 0 } }]);
+		await store.deleteByIds(['a:0']);
+		expect(await store.query([1, 0], 5)).toEqual([]);
+	});
+
+	it('only searches the requested owner\'s vectors', async () => {
+		const store = new MemoryVectorStore();
+		await store.upsert([
+			{ id: 'a:0', values: [1, 0], metadata: { noteId: 'a', chunkIndex: 0, ownerId: 'alice' } },
+			{ id: 'b:0', values: [1, 0], metadata: { noteId: 'b', chunkIndex: 0, ownerId: 'bob' } },
+		]);
+
+		const matches = await store.query([1, 0], 5, { ownerId: 'bob' });
+		expect(matches.map((m) => m.id)).toEqual(['b:0']);
+	});
+
+	it('scores identical directions as 1', () => {
+		expect(cosineSimilarity([2, 2], [1, 1])).toBeCloseTo(1);
+		expect(cosineSimilarity([0, 0], [1, 1])).toBe(0);
+	});
+});
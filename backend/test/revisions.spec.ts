@@ -0,0 +1,29 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { initialRevisionStatement, listRevisions, getRevision, recordRevision } from '../src/revisions';
+
+describe('revision history', () => {
+	it('starts at the text the note was created with, which later edits never absorb', async () => {
+		const note = { id: 'revisions-spec-note', title: 'Lecture 1', content: 'Entropy' };
+		const now = new Date().toISOString();
+		await env.DB.batch([
+			env.DB.prepare('INSERT INTO notes (id, title, content, created_at, updated_at) VALUES (?, ?, ?, ?, ?)').bind(
+				note.id,
+				note.title,
+				note.content,
+				now,
+				now
+			),
+			initialRevisionStatement(env.DB, note, now),
+		]);
+
+		// Two small edits straight after creating it: the second folds into the first, not into the baseline
+		await recordRevision(env.DB, { ...note, content: 'Entropy always' });
+		await recordRevision(env.DB, { ...note, content: 'Entropy always increases' });
+
+		const revisions = await listRevisions(env.DB, note.id);
+		expect(revisions).toHaveLength(2);
+		expect((await getRevision(env.DB, note.id, revisions[1].id))?.content).toBe('Entropy');
+		expect((await getRevision(env.DB, note.id, revisions[0].id))?.content).toBe('Entropy always increases');
+	});
+});
@@ -0,0 +1,81 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeAll } from 'vitest';
+import { buildMatchQuery, indexNoteStatements, searchNotes, toSegments } from '../src/search';
+
+describe('buildMatchQuery', () => {
+	it('quotes each word as a prefix term and drops FTS5 syntax', () => {
+		expect(buildMatchQuery('heat engine')).toBe('"heat"* "engine"*');
+		expect(buildMatchQuery('"carnot" AND (cycle* OR -entropy) NEAR/2 col:x ^start')).toBe(
+			'"carnot"* "AND"* "cycle"* "OR"* "entropy"* "NEAR"* "2"* "col"* "x"* "start"*'
+		);
+		expect(buildMatchQuery("Schrödinger's λ")).toBe('"Schrödinger"* "s"* "λ"*');
+	});
+
+	it('returns null when nothing is searchable', () => {
+		expect(buildMatchQuery('')).toBeNull();
+		expect(buildMatchQuery('  "*()-: ')).toBeNull();
+	});
+
+	it('keeps at most ten terms', () => {
+		expect(buildMatchQuery('a b c d e f g h i j k l')?.split(' ')).toHaveLength(10);
+	});
+});
+
+describe('toSegments', () => {
+	it('splits highlight markers into matched and plain text', () => {
+		expect(toSegments('…the \u0002Carnot\u0003 cycle and \u0002Carnot\u0003')).toEqual([
+			{ text: '…the ', match: false },
+			{ text: 'Carnot', match: true },
+			{ text: ' cycle and ', match: false },
+			{ text: 'Carnot', match: true },
+		]);
+	});
+
+	it('handles text without markers, empty text and a missing end marker', () => {
+		expect(toSegments('plain')).toEqual([{ text: 'plain', match: false }]);
+		expect(toSegments('')).toEqual([]);
+		expect(toSegments('cut \u0002off')).toEqual([
+			{ text: 'cut ', match: false },
+			{ text: 'off', match: true },
+		]);
+	});
+});
+
+describe('searchNotes', () => {
+	const ownerId = 'search-spec-user';
+
+	beforeAll(async () => {
+		const now = new Date().toISOString();
+		await env.DB.batch([
+			env.DB.prepare('INSERT OR IGNORE INTO users (id, email, password_hash, password_salt, created_at) VALUES (?, ?, ?, ?, ?)').bind(
+				ownerId,
+				'search-spec@example.com',
+				'x',
+				'x',
+				now
+			),
+			env.DB.prepare('INSERT OR REPLACE INTO notes (id, title, content, created_at, updated_at, owner_id) VALUES (?, ?, ?, ?, ?, ?)').bind(
+				'search-spec-note',
+				'Thermodynamics',
+				'The Carnot cycle is the most efficient heat engine.',
+				now,
+				now,
+				ownerId
+			),
+			...indexNoteStatements(env.DB, 'search-spec-note'),
+		]);
+	});
+
+	it('finds notes by prefix with highlighted snippets', async () => {
+		const [hit] = await searchNotes(env.DB, ownerId, 'carn eng');
+		expect(hit.id).toBe('search-spec-note');
+		expect(hit.snippet.filter((segment) => segment.match).map((segment) => segment.text)).toEqual(['Carnot', 'engine']);
+	});
+
+	it('treats FTS5 operators and stray quotes as plain words', async () => {
+		for (const query of ['"carnot', 'carnot AND', 'NEAR(carnot', '-heat*', 'title:carnot', '"""', '^']) {
+			await expect(searchNotes(env.DB, ownerId, query)).resolves.toBeInstanceOf(Array);
+		}
+		expect(await searchNotes(env.DB, ownerId, '')).toEqual([]);
+	});
+});
@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest';
+import { canEdit, signPublicLink, verifyPublicLink } from '../src/sharing';
+
+const env = { AUTH_SECRET: 'test-secret' };
+
+describe('public links', () => {
+	it('accept the signature for the current link id', async () => {
+		const sig = await signPublicLink(env, 'note-1', 'link-a');
+		expect(await verifyPublicLink(env, 'note-1', 'link-a', sig)).toBe(true);
+	});
+
+	it('stop working once the link is revoked or regenerated', async () => {
+		const sig = await signPublicLink(env, 'note-1', 'link-a');
+		expect(await verifyPublicLink(env, 'note-1', null, sig)).toBe(false);
+		expect(await verifyPublicLink(env, 'note-1', 'link-b', sig)).toBe(false);
+	});
+
+	it('are bound to one note', async () => {
+		const sig = await signPublicLink(env, 'note-1', 'link-a');
+		expect(await verifyPublicLink(env, 'note-2', 'link-a', sig)).toBe(false);
+	});
+});
+
+describe('canEdit', () => {
+	it('allows owners and editors only', () => {
+		expect(canEdit('owner')).toBe(true);
+		expect(canEdit('editor')).toBe(true);
+		expect(canEdit('viewer')).toBe(false);
+		expect(canEdit(null)).toBe(false);
+	});
+});
@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { INITIAL_EASE, MIN_EASE, isReviewGrade, scheduleReview } from '../src/srs';
+
+const now = new Date('2025-01-01T00:00:00.000Z');
+const fresh = { ease: INITIAL_EASE, intervalDays: 0, repetitions: 0 };
+
+describe('scheduleReview', () => {
+	it('follows the SM-2 intervals of 1, 6, then interval x ease', () => {
+		const first = scheduleReview(fresh, 4, now);
+		expect(first).toMatchObject({ intervalDays: 1, repetitions: 1, ease: 2.5 });
+		expect(first.dueAt).toBe('2025-01-02T00:00:00.000Z');
+
+		const second = scheduleReview(first, 4, now);
+		expect(second).toMatchObject({ intervalDays: 6, repetitions: 2 });
+
+		const third = scheduleReview(second, 4, now);
+		expect(third).toMatchObject({ intervalDays: 15, repetitions: 3 });
+	});
+
+	it('resets a forgotten card but keeps it due tomorrow', () => {
+		const learned = { ease: 2.5, intervalDays: 15, repetitions: 3 };
+		const lapsed = scheduleReview(learned, 1, now);
+		expect(lapsed).toMatchObject({ intervalDays: 1, repetitions: 0 });
+		expect(lapsed.ease).toBeLessThan(2.5);
+	});
+
+	it('raises ease on easy answers and never drops it below the minimum', () => {
+		expect(scheduleReview(fresh, 5, now).ease).toBe(2.6);
+
+		let state = { ...fresh };
+		for (let i = 0; i < 10; i++) state = scheduleReview(state, 0, now);
+		expect(state.ease).toBe(MIN_EASE);
+	});
+});
+
+describe('isReviewGrade', () => {
+	it('accepts whole numbers from 0 to 5 only', () => {
+		expect(isReviewGrade(0)).toBe(true);
+		expect(isReviewGrade(5)).toBe(true);
+		expect(isReviewGrade(6)).toBe(false);
+		expect(isReviewGrade(2.5)).toBe(false);
+		expect(isReviewGrade('3')).toBe(false);
+	});
+});
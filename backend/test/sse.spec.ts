@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { readAIStream, sseEvent, wantsEventStream } from '../src/sse';
+
+// A stream that hands out the given chunks as they are, however they split the lines
+function chunked(...chunks: string[]): ReadableStream<Uint8Array> {
+	const encoder = new TextEncoder();
+	return new ReadableStream({
+		start(controller) {
+			for (const chunk of chunks) controller.enqueue(encoder.encode(chunk));
+			controller.close();
+		},
+	});
+}
+
+async function collect(stream: ReadableStream<Uint8Array>): Promise<string[]> {
+	const tokens: string[] = [];
+	for await (const token of readAIStream(stream)) tokens.push(token);
+	return tokens;
+}
+
+describe('readAIStream', () => {
+	it('rejoins lines split across chunks', async () => {
+		const stream = chunked('data: {"respon', 'se":"Hel"}\n\ndata: {"response":"lo"}', '\n\n');
+		expect(await collect(stream)).toEqual(['Hel', 'lo']);
+	});
+
+	it('stops at [DONE] and ignores what follows', async () => {
+		const stream = chunked('data: {"response":"a"}\n\n: keep-alive\n\ndata: {"response":""}\n\ndata: [DONE]\n\ndata: {"response":"b"}\n\n');
+		expect(await collect(stream)).toEqual(['a']);
+	});
+
+	it('cancels the upstream stream when the consumer stops early', async () => {
+		let cancelled = false;
+		const stream = new ReadableStream<Uint8Array>({
+			start(controller) {
+				controller.enqueue(new TextEncoder().encode('data: {"response":"a"}\n\ndata: {"response":"b"}\n\n'));
+			},
+			cancel() {
+				cancelled = true;
+			},
+		});
+
+		for await (const token of readAIStream(stream)) {
+			expect(token).toBe('a');
+			break;
+		}
+		expect(cancelled).toBe(true);
+	});
+});
+
+describe('wantsEventStream', () => {
+	it('streams for the SSE Accept header or ?stream=1, and falls back to JSON otherwise', () => {
+		expect(wantsEventStream(new Request('https://notex.test/api/chat', { headers: { Accept: 'text/event-stream' } }))).toBe(true);
+		expect(wantsEventStream(new Request('https://notex.test/api/chat?stream=1'))).toBe(true);
+		expect(wantsEventStream(new Request('https://notex.test/api/chat', { headers: { Accept: 'application/json' } }))).toBe(false);
+		expect(wantsEventStream(new Request('https://notex.test/api/chat?stream=0'))).toBe(false);
+	});
+});
+
+describe('sseEvent', () => {
+	it('encodes one data event', () => {
+		expect(new TextDecoder().decode(sseEvent({ token: 'hi' }))).toBe('data: {"token":"hi"}\n\n');
+	});
+});
@@ -0,0 +1,127 @@
+import { describe, it, expect } from 'vitest';
+import { LocalStepRunner, durationMs, retryDelay } from '../src/workflows/steps';
+import { SummaryWorkflow } from '../src/workflows/summaryWorkflow';
+
+function recordingRunner() {
+	const delays: number[] = [];
+	const runner = new LocalStepRunner({ sleep: async (ms) => void delays.push(ms) });
+	return { runner, delays };
+}
+
+describe('retryDelay', () => {
+	it('follows the configured backoff', () => {
+		const retries = { limit: 3, delay: '2 seconds' as const };
+		expect([1, 2, 3].map((n) => retryDelay({ retries: { ...retries, backoff: 'exponential' } }, n))).toEqual([2000, 4000, 8000]);
+		expect([1, 2, 3].map((n) => retryDelay({ retries: { ...retries, backoff: 'linear' } }, n))).toEqual([2000, 4000, 6000]);
+		expect(retryDelay({ retries }, 3)).toBe(2000);
+		expect(durationMs('1 minute')).toBe(60_000);
+		expect(durationMs(250)).toBe(250);
+	});
+});
+
+describe('LocalStepRunner', () => {
+	const config = { retries: { limit: 2, delay: '1 second' as const, backoff: 'exponential' as const } };
+
+	it('retries a failing step with backoff', async () => {
+		const { runner, delays } = recordingRunner();
+		let calls = 0;
+		const result = await runner.do('flaky', config, async () => {
+			if (++calls < 3) throw new Error('temporary');
+			return 'done';
+		});
+
+		expect(result).toBe('done');
+		expect(calls).toBe(3);
+		expect(delays).toEqual([1000, 2000]);
+	});
+
+	it('gives up once the retries are used', async () => {
+		const { runner } = recordingRunner();
+		let calls = 0;
+		await expect(
+			runner.do('broken', config, async () => {
+				calls++;
+				throw new Error('down');
+			})
+		).rejects.toThrow('down');
+		expect(calls).toBe(3);
+	});
+
+	it('does not retry errors marked non-retryable', async () => {
+		const { runner } = recordingRunner();
+		let calls = 0;
+		const fatal = Object.assign(new Error('bad output'), { retryable: false });
+		await expect(
+			runner.do('fatal', config, async () => {
+				calls++;
+				throw fatal;
+			})
+		).rejects.toBe(fatal);
+		expect(calls).toBe(1);
+	});
+
+	it('replays completed steps from checkpoints', async () => {
+		const checkpoints = new Map<string, unknown>([['first', 'saved']]);
+		const runner = new LocalStepRunner({ checkpoints });
+		let ran = false;
+
+		expect(await runner.do('first', {}, async () => ((ran = true), 'fresh'))).toBe('saved');
+		expect(ran).toBe(false);
+		await runner.do('second', {}, async () => 42);
+		expect(checkpoints.get('second')).toBe(42);
+	});
+});
+
+describe('SummaryWorkflow in-process', () => {
+	it('retries a failed model call and keeps earlier steps', async () => {
+		const prompts: string[] = [];
+		let summaryCalls = 0;
+		const env = {
+			// No fallback model, so the failure is left to the step's retries
+			LLM_FALLBACK_MODEL: 'none',
+			AI: {
+				async run(_model: string, { messages }: { messages: Array<{ content: string }> }) {
+					const prompt = messages[1].content;
+					prompts.push(prompt);
+					if (prompt.startsWith('Generate a concise')) {
+						if (++summaryCalls === 1) throw new Error('upstream timeout');
+						return { response: 'Sorting algorithms compared by Big O.' };
+					}
+					return { response: '{"topics": ["Sorting", "Big O"], "keyPoints": [{"text": "Merge sort is O(n log n)"}]}' };
+				},
+			},
+		};
+
+		const { runner, delays } = recordingRunner();
+		const result = await new SummaryWorkflow().run(env, { noteId: 'n1', noteTitle: 'Sorting', noteContent: 'Merge sort...' }, runner);
+
+		expect(result).toEqual({
+			summary: 'Sorting algorithms compared by Big O.',
+			keyPoints: [{ text: 'Merge sort is O(n log n)', sections: [] }],
+			topics: ['Sorting', 'Big O'],
+			ok: true,
+		});
+		expect(summaryCalls).toBe(2);
+		expect(delays).toEqual([2000]);
+		expect(prompts.filter((p) => p.startsWith('Read this note'))).toHaveLength(1);
+		expect([...runner.checkpoints.keys()]).toEqual(['summarize sections (1/1)', 'generate summary']);
+	});
+
+	it('falls back to a placeholder when the summary step keeps failing', async () => {
+		const env = {
+			AI: {
+				async run(_model: string, { messages }: { messages: Array<{ content: string }> }) {
+					if (messages[1].content.startsWith('Read this note')) return { response: { topics: ['Sorting'], keyPoints: [{ text: 'Stable sorts keep order' }] } };
+					return { response: '' };
+				},
+			},
+		};
+
+		const { runner } = recordingRunner();
+		const result = await new SummaryWorkflow().run(env, { noteId: 'n1', noteTitle: 'Sorting', noteContent: 'Merge sort...' }, runner);
+		expect(result.ok).toBe(false);
+		expect(result.summary).toBe('Unable to generate summary.');
+		// Key points come from the sections, so they survive a failed summary
+		expect(result.keyPoints).toEqual([{ text: 'Stable sorts keep order', sections: [] }]);
+	});
+});
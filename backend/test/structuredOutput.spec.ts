@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import { JsonSchema, StructuredOutputError, generateStructured, parseJsonReply, validateJson } from '../src/workflows/structuredOutput';
+import { FakeProvider, LLMClient } from '../src/llm';
+
+const schema: JsonSchema = {
+	type: 'object',
+	properties: {
+		items: {
+			type: 'array',
+			minItems: 1,
+			items: {
+				type: 'object',
+				properties: {
+					index: { type: 'integer', minimum: 0 },
+					type: { type: 'string', enum: ['recall', 'application'] },
+				},
+				required: ['index', 'type'],
+			},
+		},
+	},
+	required: ['items'],
+};
+
+// Plays back replies and records each call's request
+function fakeLLM(replies: unknown[]) {
+	const provider = new FakeProvider(replies);
+	return { llm: new LLMClient(provider), calls: provider.calls };
+}
+
+describe('validateJson', () => {
+	it('reports each problem with its path', () => {
+		expect(validateJson(schema, { items: [{ index: 0, type: 'recall' }] })).toEqual([]);
+		expect(validateJson(schema, { items: [{ index: 1.5, type: 'Recall' }, {}] })).toEqual([
+			'$.items[0].index: expected a whole number',
+			'$.items[0].type: must be one of "recall", "application"',
+			'$.items[1].index: is required',
+			'$.items[1].type: is required',
+		]);
+		expect(validateJson(schema, [])).toEqual(['$: expected an object']);
+	});
+});
+
+describe('parseJsonReply', () => {
+	it('finds JSON in fenced or chatty replies', () => {
+		expect(parseJsonReply('```json\n{"a": 1}\n```')).toEqual({ a: 1 });
+		expect(parseJsonReply('Sure! Here you go: {"a": [1, 2]} Hope that helps.')).toEqual({ a: [1, 2] });
+		expect(parseJsonReply({ a: 1 })).toEqual({ a: 1 });
+		expect(() => parseJsonReply('no json here')).toThrow(SyntaxError);
+	});
+});
+
+describe('generateStructured', () => {
+	const request = {
+		step: 'categorize questions',
+		profile: 'extraction' as const,
+		schema,
+		messages: [{ role: 'user' as const, content: 'Categorize' }],
+		maxTokens: 100,
+	};
+
+	it('asks for the schema and re-prompts with the validation errors', async () => {
+		const { llm, calls } = fakeLLM(['{"items": [{"index": 0, "type": "memory"}]}', '{"items": [{"index": 0, "type": "recall"}]}']);
+
+		const result = await generateStructured(llm, request);
+
+		expect(result).toEqual({ items: [{ index: 0, type: 'recall' }] });
+		expect(calls).toHaveLength(2);
+		expect(calls[0].request.jsonSchema).toEqual(schema);
+		const repair = calls[1].request.messages.at(-1)!;
+		expect(repair.role).toBe('user');
+		expect(repair.content).toContain('$.items[0].type: must be one of "recall", "application"');
+	});
+
+	it('runs extra checks once the shape is valid', async () => {
+		const { llm, calls } = fakeLLM(['{"items": [{"index": 0, "type": "recall"}]}', '{"items": [{"index": 0, "type": "recall"}, {"index": 1, "type": "application"}]}']);
+
+		await generateStructured<{ items: unknown[] }>(llm, {
+			...request,
+			check: ({ items }) => (items.length < 2 ? ['$.items: need both questions'] : []),
+		});
+		expect(calls).toHaveLength(2);
+	});
+
+	it('throws a typed, non-retryable error once the repairs run out', async () => {
+		const { llm, calls } = fakeLLM(['not json', '{"items": []}', '{"items": []}']);
+
+		const error = await generateStructured(llm, request).catch((err) => err);
+
+		expect(error).toBeInstanceOf(StructuredOutputError);
+		expect(error).toMatchObject({ step: 'categorize questions', attempts: 3, retryable: false, issues: ['$.items: expected at least 1 items'] });
+		expect(calls).toHaveLength(3);
+	});
+});
@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { contentHash, parseSummary } from '../src/summaryCache';
+
+describe('contentHash', () => {
+	it('is stable for the same content and changes with it', async () => {
+		const hash = await contentHash('# Big O\nUpper bound on runtime');
+		expect(hash).toMatch(/^[0-9a-f]{64}$/);
+		expect(await contentHash('# Big O\nUpper bound on runtime')).toBe(hash);
+		expect(await contentHash('# Big O\nUpper bound on runtime.')).not.toBe(hash);
+	});
+});
+
+describe('parseSummary', () => {
+	it('reads the stored workflow result', () => {
+		const keyPoints = [{ text: 'merge sort', sections: ['Sorting'] }];
+		const stored = JSON.stringify({ summary: 'Sorting', keyPoints, topics: ['Algorithms'] });
+		expect(parseSummary(stored)).toEqual({ summary: 'Sorting', keyPoints, topics: ['Algorithms'] });
+	});
+
+	it('reads key points cached as plain strings', () => {
+		const stored = JSON.stringify({ summary: 'Sorting', keyPoints: ['merge sort'], topics: [] });
+		expect(parseSummary(stored)?.keyPoints).toEqual([{ text: 'merge sort', sections: [] }]);
+	});
+
+	it('ignores empty or unreadable values', () => {
+		expect(parseSummary(null)).toBeNull();
+		expect(parseSummary('not json')).toBeNull();
+		expect(parseSummary(JSON.stringify({ keyPoints: [] }))).toBeNull();
+	});
+});
@@ -0,0 +1,19 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_TRASH_RETENTION_DAYS, purgeCutoff, trashRetentionDays } from '../src/trash';
+
+describe('trashRetentionDays', () => {
+	it('defaults to 30 days, and 0 or never keeps the trash', () => {
+		expect(trashRetentionDays({})).toBe(DEFAULT_TRASH_RETENTION_DAYS);
+		expect(trashRetentionDays({ TRASH_RETENTION_DAYS: ' 7 ' })).toBe(7);
+		expect(trashRetentionDays({ TRASH_RETENTION_DAYS: 'Never' })).toBeNull();
+		expect(trashRetentionDays({ TRASH_RETENTION_DAYS: '0' })).toBeNull();
+		expect(trashRetentionDays({ TRASH_RETENTION_DAYS: '-3' })).toBe(DEFAULT_TRASH_RETENTION_DAYS);
+	});
+});
+
+describe('purgeCutoff', () => {
+	it('purges notes trashed more than the retention period ago', () => {
+		expect(purgeCutoff(new Date('2025-03-31T03:00:00.000Z'), 30)).toBe('2025-03-01T03:00:00.000Z');
+		expect(purgeCutoff(new Date('2025-03-01T12:00:00.000Z'), 0.5)).toBe('2025-03-01T00:00:00.000Z');
+	});
+});
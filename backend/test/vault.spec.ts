@@ -0,0 +1,127 @@
+import { describe, it, expect } from 'vitest';
+import { strToU8, unzipSync, zipSync } from 'fflate';
+import { MAX_IMPORT_EXPANDED_BYTES, VaultNote, VaultTooLargeError, exportVault, parseFrontMatter, parseVault, relinkImages } from '../src/vault';
+
+const note = (fields: Partial<VaultNote>): VaultNote => ({
+	id: 'n1',
+	title: 'Heaps',
+	content: '',
+	created_at: '2025-01-01T00:00:00.000Z',
+	updated_at: '2025-01-02T00:00:00.000Z',
+	folder_id: null,
+	tags: [],
+	...fields,
+});
+
+async function readZip(stream: ReadableStream<Uint8Array>) {
+	const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+	const files = unzipSync(bytes);
+	return Object.fromEntries(Object.entries(files).map(([path, data]) => [path, data]));
+}
+
+describe('exportVault', () => {
+	it('writes notes with front-matter into their folders and copies images into assets/', async () => {
+		const image = { data: new Uint8Array([1, 2, 3]), contentType: 'image/png' };
+		const stream = exportVault(
+			[
+				note({ content: '![tree](https://api.example.com/api/images/u1/100-a.png?sig=s)\n![gone](/api/images/u1/missing.png)', tags: ['cs'] }),
+				note({ id: 'n2', title: 'Heaps', folder_id: 'f2', content: '![tree](/api/images/u1/100-a.png)' }),
+			],
+			[
+				{ id: 'f1', parent_id: null, name: 'CS' },
+				{ id: 'f2', parent_id: 'f1', name: 'Data/Structures' },
+			],
+			async (key) => (key === 'u1/100-a.png' ? image : null)
+		);
+
+		const files = await readZip(stream);
+		expect(Object.keys(files).sort()).toEqual(['CS/Data-Structures/Heaps.md', 'Heaps.md', 'assets/100-a.png']);
+		expect(files['assets/100-a.png']).toEqual(image.data);
+
+		const top = new TextDecoder().decode(files['Heaps.md']);
+		expect(top).toMatch(/^---\nid: n1\ntitle: "Heaps"\ncreated: 2025-01-01T00:00:00.000Z\nupdated: 2025-01-02T00:00:00.000Z\ntags: \["cs"\]\n---\n\n/);
+		expect(top).toContain('![tree](assets/100-a.png)');
+		expect(top).toContain('![gone](/api/images/u1/missing.png)');
+		expect(new TextDecoder().decode(files['CS/Data-Structures/Heaps.md'])).toContain('![tree](../../assets/100-a.png)');
+	});
+});
+
+describe('parseFrontMatter', () => {
+	it('reads scalars and both list styles', () => {
+		const { data, body } = parseFrontMatter('---\ntitle: "Week 1: \\"Intro\\""\ntags:\n  - physics\n  - "#waves"\naliases: [a, \'b c\']\n---\n\n# Body');
+		expect(data).toEqual({ title: 'Week 1: "Intro"', tags: ['physics', '#waves'], aliases: ['a', 'b c'] });
+		expect(body).toBe('# Body');
+	});
+
+	it('leaves notes without front-matter alone', () => {
+		expect(parseFrontMatter('# Just text\n---\n')).toEqual({ data: {}, body: '# Just text\n---\n' });
+	});
+});
+
+describe('parseVault', () => {
+	it('reads an Obsidian vault: folders, tags, embeds and relative image links', () => {
+		const zip = zipSync({
+			'My Vault/.obsidian/app.json': strToU8('{}'),
+			'My Vault/Physics/Waves.md': strToU8('---\ntags: physics, exam\ncreated: 2024-03-01\n---\n![[diagram.png]]\n![alt](../img/graph%201.png "Graph")'),
+			'My Vault/img/diagram.png': new Uint8Array([1]),
+			'My Vault/img/graph 1.png': new Uint8Array([2]),
+			'My Vault/notes.pdf': new Uint8Array([3]),
+		});
+
+		const vault = parseVault(zip);
+
+		expect(vault.notes).toHaveLength(1);
+		const [waves] = vault.notes;
+		expect(waves).toMatchObject({
+			path: 'Physics/Waves.md',
+			title: 'Waves',
+			folders: ['Physics'],
+			tags: ['physics', 'exam'],
+			created_at: '2024-03-01T00:00:00.000Z',
+		});
+		expect(waves.assets.sort()).toEqual(['img/diagram.png', 'img/graph 1.png']);
+		expect(vault.skipped).toEqual([{ path: 'notes.pdf', reason: 'Not a Markdown file or image' }]);
+
+		const urls = new Map([
+			['img/diagram.png', 'https://x/api/images/u/1.png'],
+			['img/graph 1.png', 'https://x/api/images/u/2.png'],
+		]);
+		expect(relinkImages(waves, urls, [...vault.assets.keys()])).toBe(
+			'![diagram](https://x/api/images/u/1.png)\n![alt](https://x/api/images/u/2.png "Graph")'
+		);
+	});
+
+	it('drops Notion page ids from titles and folders', () => {
+		const zip = zipSync({
+			'Course 0123456789abcdef0123456789abcdef/Lecture 1 fedcba9876543210fedcba9876543210.md': strToU8('# Lecture 1'),
+			'Overview 11111111111111111111111111111111.md': strToU8('Hi'),
+		});
+
+		const titles = parseVault(zip).notes.map((n) => [n.title, n.folders]);
+		expect(titles).toEqual([
+			['Lecture 1', ['Course']],
+			['Overview', []],
+		]);
+	});
+
+	it('skips oversized images and other files by their declared size, and rejects a zip that expands too far', () => {
+		// Zeros compress to almost nothing, as in a zip bomb
+		const zeros = new Uint8Array(MAX_IMPORT_EXPANDED_BYTES / 2 + 1);
+		const skippedOnly = zipSync({
+			'Notes/Heaps.md': strToU8('# Heaps'),
+			'Notes/huge.png': zeros.subarray(0, 6 * 1024 * 1024),
+			'Notes/dump.bin': zeros,
+		});
+
+		const vault = parseVault(skippedOnly);
+		expect(vault.notes.map((n) => n.title)).toEqual(['Heaps']);
+		expect(vault.assets.size).toBe(0);
+		expect(vault.skipped).toEqual([
+			{ path: 'huge.png', reason: 'Image larger than 5MB' },
+			{ path: 'dump.bin', reason: 'Not a Markdown file or image' },
+		]);
+
+		const bomb = zipSync({ 'a.md': zeros, 'b.md': zeros });
+		expect(() => parseVault(bomb)).toThrow(VaultTooLargeError);
+	});
+});
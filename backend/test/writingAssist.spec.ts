@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+import { ASSIST_ACTIONS, ASSIST_CONTEXT_CHARS, assistMessages, cleanAssistOutput, parseAssistRequest } from '../src/writingAssist';
+
+describe('parseAssistRequest', () => {
+	it('keeps the selection and trims the context around it', () => {
+		const request = parseAssistRequest({ action: 'simplify', selection: 'Entropy is…', before: 'x'.repeat(2000), after: 'after' });
+		expect(request).toMatchObject({ action: 'simplify', selection: 'Entropy is…', after: 'after' });
+		expect((request as any).before).toHaveLength(ASSIST_CONTEXT_CHARS);
+	});
+
+	it('rejects unknown actions and missing selections', () => {
+		expect(parseAssistRequest({ action: 'translate', selection: 'x' })).toMatch(/^Unknown action/);
+		expect(parseAssistRequest({ action: 'toString', selection: 'x' })).toMatch(/^Unknown action/);
+		expect(parseAssistRequest({ action: 'explain', selection: '   ' })).toBe('Select some text first');
+	});
+
+	it('continues from the cursor without a selection', () => {
+		expect(parseAssistRequest({ action: 'continue', selection: '', before: 'Heaps are' })).toMatchObject({ action: 'continue' });
+		expect(parseAssistRequest({ action: 'continue', selection: '', before: '' })).toBe('There is nothing to continue from');
+	});
+});
+
+describe('assist prompts', () => {
+	it('sends the action instruction with the selection in context', () => {
+		const [, user] = assistMessages({ action: 'latex', selection: 'x squared', before: 'Area is', after: '.' }, 'Geometry');
+		expect(user.content).toContain(ASSIST_ACTIONS.latex.instruction);
+		expect(user.content).toContain('Selected text:\n"""\nx squared\n"""');
+		expect(user.content).toContain('replacement text');
+	});
+
+	it('strips fences and preambles from the reply', () => {
+		expect(cleanAssistOutput('```markdown\n- one\n- two\n```')).toBe('- one\n- two');
+		expect(cleanAssistOutput("Here's the simplified text:\nHeat flows from hot to cold.")).toBe('Heat flows from hot to cold.');
+		expect(cleanAssistOutput('  $x^2$  ')).toBe('$x^2$');
+	});
+});
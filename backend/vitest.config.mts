@@ -1,11 +1,24 @@
-import { defineWorkersConfig } from '@cloudflare/vitest-pool-workers/config';
+import path from 'node:path';
+import { defineWorkersConfig, readD1Migrations } from '@cloudflare/vitest-pool-workers/config';
 
-export default defineWorkersConfig({
-	test: {
-		poolOptions: {
-			workers: {
-				wrangler: { configPath: './wrangler.jsonc' },
+export default defineWorkersConfig(async () => {
+	// Specs that go through the database get the real schema (see test/applyMigrations.ts)
+	const migrations = await readD1Migrations(path.join(__dirname, 'migrations'));
+
+	return {
+		test: {
+			setupFiles: ['./test/applyMigrations.ts'],
+			poolOptions: {
+				workers: {
+					wrangler: { configPath: './wrangler.jsonc' },
+					// Saving a note reaches NoteDocument, whose SQLite storage the pool can't snapshot
+					// per test, and the pool requires it anyway once Workflows are bound (NOTE_JOBS)
+					isolatedStorage: false,
+					miniflare: {
+						bindings: { TEST_MIGRATIONS: migrations },
+					},
+				},
 			},
 		},
-	},
+	};
 });
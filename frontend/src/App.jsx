@@ -1,23 +1,169 @@
-import { useState, useEffect, useRef } from "react";
-import { Pencil, Trash2, Bold, Italic, Heading1, Heading2, List, ListOrdered, Code, Upload, Link, MessageCircle, Sparkles, FileText, HelpCircle } from "lucide-react";
+import { useState, useEffect, useLayoutEffect, useRef } from "react";
+import { Pencil, Trash2, LogOut, Share2, Users, Search, X, History, RotateCcw, Bold, Italic, Heading1, Heading2, List, ListOrdered, Code, Upload, Link, MessageCircle, Sparkles, FileText, HelpCircle, Pin, Tag, Folder, FolderPlus, FilePlus, ChevronRight, ChevronDown, ChevronLeft, Layers, GraduationCap, Plus, Brain, Wrench, Check, Download, Paperclip } from "lucide-react";
 import ReactMarkdown from 'react-markdown';
 import remarkMath from 'remark-math';
 import rehypeKatex from 'rehype-katex';
 import remarkGfm from 'remark-gfm';
 import rehypeHighlight from 'rehype-highlight';
+import { Document, Page, pdfjs } from 'react-pdf';
 import 'katex/dist/katex.min.css';
 import 'highlight.js/styles/github.css';
+import 'react-pdf/dist/Page/TextLayer.css';
+import { CollabSession } from './collab';
+import { transformIndex } from './ot';
 
 const API_URL = import.meta.env.VITE_BACKEND_URL || 'http://localhost:8787';
 
-// Chat message type
+pdfjs.GlobalWorkerOptions.workerSrc = new URL('pdfjs-dist/build/pdf.worker.min.mjs', import.meta.url).toString();
+
+// Edits are batched for this long before being sent
+const SAVE_DEBOUNCE_MS = 600;
+
+const TOKEN_KEY = 'notex.token';
+// dataTransfer type for dragging notes and folders around the sidebar tree
+const DRAG_TYPE = 'application/x-notex-item';
+const LOGOUT_EVENT = 'notex:logout';
+// How often to check on a summary / study questions job
+const JOB_POLL_MS = 1500;
+// AI actions on the editor selection; 'insert' actions add their text after the selection
+const WRITING_ACTIONS = [
+  { value: 'explain', label: 'Explain', mode: 'insert' },
+  { value: 'simplify', label: 'Simplify', mode: 'replace' },
+  { value: 'expand', label: 'Expand', mode: 'replace' },
+  { value: 'fix_grammar', label: 'Fix grammar', mode: 'replace' },
+  { value: 'bullets', label: 'Convert to bullet list', mode: 'replace' },
+  { value: 'latex', label: 'Convert to LaTeX', mode: 'replace' },
+  { value: 'continue', label: 'Continue writing', mode: 'insert' },
+];
+// Note text sent on each side of the selection
+const ASSIST_CONTEXT_CHARS = 1500;
+// Files that can be attached to a note (the backend also accepts a .pptx sent as octet-stream)
+const NOTE_FILE_ACCEPT = '.pdf,.pptx,application/pdf,application/vnd.openxmlformats-officedocument.presentationml.presentation';
+const MAX_NOTE_FILE_BYTES = 25 * 1024 * 1024;
+
+// fetch() against the backend with the signed-in user's token; a 401 signs the user out
+async function apiFetch(path, options = {}) {
+  const token = localStorage.getItem(TOKEN_KEY);
+  const headers = new Headers(options.headers);
+  if (token) headers.set('Authorization', `Bearer ${token}`);
+
+  const res = await fetch(`${API_URL}${path}`, { ...options, headers });
+  if (res.status === 401) {
+    window.dispatchEvent(new Event(LOGOUT_EVENT));
+  }
+  return res;
+}
+
+// Read a text/event-stream response, calling onEvent with each parsed `data:` payload
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const events = buffer.split('\n\n');
+    buffer = events.pop() || '';
+
+    for (const event of events) {
+      const data = event
+        .split('\n')
+        .filter((line) => line.startsWith('data:'))
+        .map((line) => line.slice(5).trim())
+        .join('\n');
+      if (data) onEvent(JSON.parse(data));
+    }
+  }
+}
+
+// Text an AI action adds after the selection, set off from its neighbours as its own paragraph
+function asParagraph(text, before, after) {
+  const lead = !before || before.endsWith("\n\n") ? "" : before.endsWith("\n") ? "\n" : "\n\n";
+  const trail = !after || after.startsWith("\n\n") ? "" : after.startsWith("\n") ? "\n" : "\n\n";
+  return lead + text + trail;
+}
+
+// Signed-in shell: the login screen until there is a token, then the notebook
 function App() {
+  const [user, setUser] = useState(() => (localStorage.getItem(TOKEN_KEY) ? { email: '' } : null));
+  // ?public=<noteId>&sig=<sig> opens a read-only shared note without logging in
+  const [publicLink] = useState(() => {
+    const params = new URLSearchParams(window.location.search);
+    return params.get('public') && params.get('sig') ? { noteId: params.get('public'), sig: params.get('sig') } : null;
+  });
+
+  useEffect(() => {
+    const handleLogout = () => {
+      localStorage.removeItem(TOKEN_KEY);
+      setUser(null);
+    };
+    window.addEventListener(LOGOUT_EVENT, handleLogout);
+
+    // Confirm a stored token is still valid (a 401 here logs out via the event)
+    if (localStorage.getItem(TOKEN_KEY)) {
+      apiFetch('/api/auth/me')
+        .then((res) => (res.ok ? res.json() : null))
+        .then((data) => data?.user && setUser(data.user))
+        .catch(() => {});
+    }
+
+    return () => window.removeEventListener(LOGOUT_EVENT, handleLogout);
+  }, []);
+
+  const handleAuthenticated = ({ token, user }) => {
+    localStorage.setItem(TOKEN_KEY, token);
+    setUser(user);
+  };
+
+  if (publicLink) {
+    return <PublicNoteView noteId={publicLink.noteId} sig={publicLink.sig} />;
+  }
+
+  if (!user) {
+    return <AuthScreen onAuthenticated={handleAuthenticated} />;
+  }
+
+  return <Notebook user={user} onLogout={() => window.dispatchEvent(new Event(LOGOUT_EVENT))} />;
+}
+
+// Chat message type
+function Notebook({ user, onLogout }) {
   // Notes state
   const [notes, setNotes] = useState([]);
+  const [sharedNotes, setSharedNotes] = useState([]);
   const [selectedNoteId, setSelectedNoteId] = useState(null);
+  // Caller's role on the open note: "owner", "editor" or "viewer" (read-only)
+  const [noteRole, setNoteRole] = useState("owner");
   const [noteText, setNoteText] = useState("");
   const [noteTitle, setNoteTitle] = useState("");
 
+  // Search state
+  const [searchQuery, setSearchQuery] = useState("");
+  const [searchResults, setSearchResults] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [pendingJump, setPendingJump] = useState(null);
+
+  // Save pipeline: edits are debounced, then sent one at a time in order,
+  // each carrying the note version it was based on (If-Match)
+  const noteVersionsRef = useRef(new Map());
+  const pendingSaveRef = useRef(null);
+  const saveTimerRef = useRef(null);
+  const saveChainRef = useRef(Promise.resolve());
+  const conflictRef = useRef(false);
+  const [saveStatus, setSaveStatus] = useState("saved");
+  const [conflict, setConflict] = useState(null);
+  const [mergeText, setMergeText] = useState("");
+
+  // Live editing: while connected, edits go to the note's NoteDocument over
+  // WebSocket instead of the save pipeline above
+  const liveRef = useRef(null);
+  const pendingSelectionRef = useRef(null);
+  const [liveStatus, setLiveStatus] = useState(null);
+  const [livePeers, setLivePeers] = useState([]);
+
   // Rename state
   const [renamingNoteId, setRenamingNoteId] = useState(null);
   const [renameInput, setRenameInput] = useState("");
@@ -26,20 +172,90 @@ function App() {
   const [messages, setMessages] = useState([]);
   const [input, setInput] = useState("");
   const [isLoading, setIsLoading] = useState(false);
+  // Step a background job is on, shown while waiting for it
+  const [jobStep, setJobStep] = useState(null);
   const [error, setError] = useState(null);
+  const [isStreaming, setIsStreaming] = useState(false);
+  // "note" asks about the open note, "all" lets Bob pull from every note
+  const [chatScope, setChatScope] = useState("note");
+  const chatAbortRef = useRef(null);
+  // The note's chat threads and the one shown; messages are that thread's current branch
+  const [chatThreads, setChatThreads] = useState([]);
+  const [activeThreadId, setActiveThreadId] = useState(null);
+  // Earlier user message being rewritten; sending branches the conversation there
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  // Let Bob search notes and suggest edits, notes and flashcards
+  const [bobTools, setBobTools] = useState(true);
+  // Action being accepted or rejected
+  const [actionBusyId, setActionBusyId] = useState(null);
+  // What Bob remembers of the active thread, while the memory view is open
+  const [chatMemory, setChatMemory] = useState(null);
+  const [memoryDraft, setMemoryDraft] = useState("");
 
   // Editor ref for toolbar actions
   const editorRef = useRef(null);
-  const previewRef = useRef(null);
+  // AI writing action being previewed, and the applied ones that can still be undone
+  const [assist, setAssist] = useState(null);
+  const [assistUndo, setAssistUndo] = useState([]);
+  const assistAbortRef = useRef(null);
   const fileInputRef = useRef(null);
+  const vaultInputRef = useRef(null);
+  const [importingVault, setImportingVault] = useState(false);
   
   // PDF preview state
   const [pdfUrl, setPdfUrl] = useState(null);
   const [showPdf, setShowPdf] = useState(false);
+  const [exporting, setExporting] = useState(false);
   
   // Chat panel state
   const [showChat, setShowChat] = useState(false);
+
+  // Attached PDFs and slide decks; fileFocus opens one at a page (from a citation)
+  const [showFiles, setShowFiles] = useState(false);
+  const [fileFocus, setFileFocus] = useState(null);
   
+  // Version history state
+  const [showHistory, setShowHistory] = useState(false);
+  const [revisions, setRevisions] = useState([]);
+  const [selectedRevisionId, setSelectedRevisionId] = useState(null);
+  const [compareTo, setCompareTo] = useState("current");
+  const [revisionDiff, setRevisionDiff] = useState(null);
+  const [historyLoading, setHistoryLoading] = useState(false);
+
+  // Sharing dialog state (owner only)
+  const [showShare, setShowShare] = useState(false);
+  const [shares, setShares] = useState([]);
+  const [publicLinkSig, setPublicLinkSig] = useState(null);
+  const [shareEmail, setShareEmail] = useState("");
+  const [shareRole, setShareRole] = useState("viewer");
+  const [shareError, setShareError] = useState(null);
+
+  // Folders, tags and sidebar filters (the tree itself is built from notes' folder_id)
+  const [folders, setFolders] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [noteTags, setNoteTags] = useState([]);
+  const [suggestedTags, setSuggestedTags] = useState([]);
+  const [tagInput, setTagInput] = useState("");
+  const [tagFilter, setTagFilter] = useState(null);
+  const [pinnedOnly, setPinnedOnly] = useState(false);
+  const [collapsedFolders, setCollapsedFolders] = useState(() => new Set());
+  const [dropTarget, setDropTarget] = useState(null);
+
+  // Cached AI summary of the open note; baseText is the text it was generated from
+  const [noteSummary, setNoteSummary] = useState(null);
+  const [summaryCollapsed, setSummaryCollapsed] = useState(false);
+
+  // Trash: deleted notes can be restored until they're purged; trashUndo offers an undo right after deleting
+  const [showTrash, setShowTrash] = useState(false);
+  const [trash, setTrash] = useState({ notes: [], retentionDays: null });
+  const [trashUndo, setTrashUndo] = useState(null);
+  const trashUndoTimerRef = useRef(null);
+
+  // Flashcard review mode
+  const [showReview, setShowReview] = useState(false);
+  const [showQuiz, setShowQuiz] = useState(false);
+  const [dueCount, setDueCount] = useState(0);
+
   // Dropdown states
   const [openDropdown, setOpenDropdown] = useState(null);
   const [symbolCategory, setSymbolCategory] = useState('greek');
@@ -49,36 +265,53 @@ function App() {
   const [uploadingImage, setUploadingImage] = useState(false);
   const [imagePreview, setImagePreview] = useState(null);
 
-  // Generate PDF from preview
-  const generatePdf = async () => {
-    if (!previewRef.current) return;
-    
-    const { jsPDF } = await import('jspdf');
-    const html2canvas = (await import('html2canvas')).default;
-    
-    const element = previewRef.current;
-    const canvas = await html2canvas(element, {
-      scale: 2,
-      useCORS: true,
-      logging: false,
-    });
-    
-    const imgData = canvas.toDataURL('image/png');
-    const pdf = new jsPDF({
-      orientation: 'portrait',
-      unit: 'mm',
-      format: 'a4',
-    });
-    
-    const imgWidth = 210; // A4 width in mm
-    const imgHeight = (canvas.height * imgWidth) / canvas.width;
-    
-    pdf.addImage(imgData, 'PNG', 0, 0, imgWidth, imgHeight);
-    
-    const blob = pdf.output('blob');
-    const url = URL.createObjectURL(blob);
-    setPdfUrl(url);
-    setShowPdf(true);
+  // Exports come from the backend: a standalone HTML document, or a paginated PDF printed from it
+  const fetchExport = async (format) => {
+    // Export what's in the editor, not an older save
+    await flushSave();
+    const res = await apiFetch(`/api/notes/${selectedNoteId}/export?format=${format}`);
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      throw new Error(data.error || "Export failed");
+    }
+    return res.blob();
+  };
+
+  const showPdfPreview = async () => {
+    setExporting(true);
+    try {
+      const blob = await fetchExport("pdf");
+      if (pdfUrl) URL.revokeObjectURL(pdfUrl);
+      setPdfUrl(URL.createObjectURL(blob));
+      setShowPdf(true);
+    } catch (err) {
+      alert(`Failed to make the PDF: ${err.message}`);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const downloadExport = async (format) => {
+    setOpenDropdown(null);
+    setExporting(true);
+    try {
+      const url = URL.createObjectURL(await fetchExport(format));
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `${noteTitle.replace(/[^\p{L}\p{N} _-]/gu, "").trim().replace(/\s+/g, "-") || "note"}.${format}`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    } catch (err) {
+      alert(`Failed to export: ${err.message}`);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // A cited page of an attached file opens in the attachments panel
+  const openFileSource = (source) => {
+    setShowFiles(true);
+    setFileFocus({ fileId: source.fileId, page: source.page });
   };
 
   // Handle image upload
@@ -104,9 +337,11 @@ function App() {
       // Create FormData for upload
       const formData = new FormData();
       formData.append('image', file);
+      // Links the image to this note right away, so cleanup doesn't treat it as unused
+      if (selectedNoteId) formData.append('noteId', selectedNoteId);
       
       // Upload to backend API
-      const response = await fetch(`${API_URL}/api/upload`, {
+      const response = await apiFetch(`/api/upload`, {
         method: 'POST',
         body: formData,
       });
@@ -151,15 +386,14 @@ function App() {
   // Toolbar insert helpers
   const insertAtCursor = (before, after = "") => {
     const textarea = editorRef.current;
-    if (!textarea) return;
+    if (!textarea || noteRole === "viewer") return;
 
     const start = textarea.selectionStart;
     const end = textarea.selectionEnd;
     const selectedText = noteText.substring(start, end);
     const newText = noteText.substring(0, start) + before + selectedText + after + noteText.substring(end);
     
-    setNoteText(newText);
-    saveNote({ content: newText });
+    updateContent(newText);
     
     // Set cursor position after insert
     setTimeout(() => {
@@ -171,6 +405,144 @@ function App() {
     setOpenDropdown(null);
   };
   
+  // Run an AI writing action on the selection (or, for continue, from the cursor); the result
+  // streams into a preview and only reaches the note once applied
+  const runWritingAction = async (action, range = null) => {
+    const textarea = editorRef.current;
+    setOpenDropdown(null);
+    if (noteRole === "viewer" || (!range && !textarea)) return;
+
+    const { start, end } = range || { start: textarea.selectionStart, end: textarea.selectionEnd };
+    const original = noteText.slice(start, end);
+    const mode = WRITING_ACTIONS.find((a) => a.value === action).mode;
+    assistAbortRef.current?.abort();
+    if (action !== "continue" && !original.trim()) {
+      assistAbortRef.current = null;
+      setAssist({ action, mode, start, end, original, text: "", status: "error", error: "Select some text in the editor first." });
+      return;
+    }
+
+    const controller = new AbortController();
+    assistAbortRef.current = controller;
+    setAssist({ action, mode, start, end, original, text: "", status: "streaming" });
+
+    // Only the latest request may touch the preview
+    const update = (fields) => {
+      if (assistAbortRef.current === controller) setAssist((prev) => prev && { ...prev, ...fields });
+    };
+    let text = "";
+
+    try {
+      const res = await apiFetch(`/api/notes/${selectedNoteId}/assist?stream=1`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "text/event-stream",
+        },
+        body: JSON.stringify({
+          action,
+          selection: original,
+          before: noteText.slice(Math.max(0, start - ASSIST_CONTEXT_CHARS), start),
+          after: noteText.slice(end, end + ASSIST_CONTEXT_CHARS),
+        }),
+        signal: controller.signal,
+      });
+
+      if (!res.ok || !res.headers.get("content-type")?.includes("text/event-stream")) {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || "AI request failed");
+        update({ text: data.text, status: "ready" });
+        return;
+      }
+
+      await readEventStream(res, (event) => {
+        if (event.error) throw new Error(event.error);
+        if (event.token) {
+          text += event.token;
+          update({ text });
+        } else if (event.done) {
+          text = event.text;
+          update({ text });
+        }
+      });
+      update({ status: "ready" });
+    } catch (err) {
+      if (err.name === "AbortError") {
+        // Stopped: what was written so far can still be applied
+        update({ status: text ? "ready" : "error", error: text ? null : "Stopped before the AI wrote anything." });
+      } else {
+        update({ status: "error", error: err.message === "Failed to fetch" ? "Could not reach backend." : err.message });
+      }
+    } finally {
+      if (assistAbortRef.current === controller) assistAbortRef.current = null;
+    }
+  };
+
+  // Run the same action again, on the current selection if the previewed one has since changed
+  const retryWritingAction = () => {
+    const unchanged = assist.original && noteText.slice(assist.start, assist.end) === assist.original;
+    runWritingAction(assist.action, unchanged ? { start: assist.start, end: assist.end } : null);
+  };
+
+  const stopWritingAction = () => {
+    assistAbortRef.current?.abort();
+  };
+
+  const discardWritingAction = () => {
+    const controller = assistAbortRef.current;
+    assistAbortRef.current = null;
+    controller?.abort();
+    setAssist(null);
+  };
+
+  const applyWritingAction = () => {
+    if (!assist || assist.status !== "ready" || !assist.text) return;
+
+    // The note may have changed while the AI was writing; look for the selection if it moved
+    const start = noteText.slice(assist.start, assist.end) === assist.original ? assist.start : noteText.indexOf(assist.original);
+    if (start < 0) {
+      setAssist({ ...assist, status: "error", error: "The selected text has changed since; select it again and retry." });
+      return;
+    }
+    const end = start + assist.original.length;
+    const at = assist.mode === "replace" ? start : end;
+    const removed = assist.mode === "replace" ? assist.original : "";
+    const replacement = assist.mode === "replace"
+      ? assist.text
+      : asParagraph(assist.text, noteText.slice(0, end), noteText.slice(end));
+
+    updateContent(noteText.slice(0, at) + replacement + noteText.slice(at + removed.length));
+    setAssistUndo((prev) => [...prev, { action: assist.action, at, removed, replacement }]);
+    setAssist(null);
+
+    const textarea = editorRef.current;
+    setTimeout(() => {
+      textarea?.focus();
+      textarea?.setSelectionRange(at, at + replacement.length);
+    }, 0);
+  };
+
+  // Put back what the most recent applied AI edit replaced
+  const undoWritingAction = () => {
+    const last = assistUndo[assistUndo.length - 1];
+    if (!last || noteRole === "viewer") return;
+    setAssistUndo((prev) => prev.slice(0, -1));
+
+    const { removed, replacement } = last;
+    const at = noteText.slice(last.at, last.at + replacement.length) === replacement ? last.at : noteText.indexOf(replacement);
+    if (at < 0) {
+      const mode = WRITING_ACTIONS.find((a) => a.value === last.action).mode;
+      setAssist({ action: last.action, mode, original: "", text: "", status: "error", undo: true, error: "That AI edit has been changed since, so it can't be undone." });
+      return;
+    }
+    updateContent(noteText.slice(0, at) + removed + noteText.slice(at + replacement.length));
+  };
+
+  const resetWritingAssist = () => {
+    discardWritingAction();
+    setAssistUndo([]);
+  };
+
   // Symbol categories
   const symbols = {
     greek: ['α', 'β', 'γ', 'δ', 'ε', 'ζ', 'η', 'θ', 'λ', 'μ', 'π', 'ρ', 'σ', 'τ', 'φ', 'χ', 'ψ', 'ω', 'Γ', 'Δ', 'Θ', 'Λ', 'Π', 'Σ', 'Φ', 'Ψ', 'Ω'],
@@ -182,16 +554,236 @@ function App() {
   // Load notes on mount
   useEffect(() => {
     fetchNotes();
+    fetchOrganization();
+    fetchDueCount();
   }, []);
 
-  const fetchNotes = async () => {
+  // Debounced full-text search
+  useEffect(() => {
+    const query = searchQuery.trim();
+    const controller = new AbortController();
+
+    const timer = setTimeout(async () => {
+      if (!query) {
+        setSearchResults([]);
+        setIsSearching(false);
+        return;
+      }
+
+      setIsSearching(true);
+      try {
+        const res = await apiFetch(`/api/notes/search?q=${encodeURIComponent(query)}`, {
+          signal: controller.signal,
+        });
+        const data = await res.json();
+        setSearchResults(data.results || []);
+      } catch (err) {
+        if (err.name !== "AbortError") console.error("Search failed", err);
+      } finally {
+        setIsSearching(false);
+      }
+    }, 250);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [searchQuery]);
+
+  // Once a search hit's note is loaded, select the matched text in the editor
+  useEffect(() => {
+    if (!pendingJump || pendingJump.noteId !== selectedNoteId) return;
+    const textarea = editorRef.current;
+    if (!textarea) return;
+
+    const index = noteText.toLowerCase().indexOf(pendingJump.text.toLowerCase());
+
+    const timer = setTimeout(() => {
+      setPendingJump(null);
+      if (index === -1) return;
+
+      textarea.focus();
+      textarea.setSelectionRange(index, index + pendingJump.text.length);
+
+      // Scroll so the selected line sits roughly a third of the way down
+      const lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 20;
+      const line = noteText.slice(0, index).split("\n").length - 1;
+      textarea.scrollTop = Math.max(0, line * lineHeight - textarea.clientHeight / 3);
+    }, 0);
+
+    return () => clearTimeout(timer);
+  }, [pendingJump, selectedNoteId, noteText]);
+
+  const fetchRevisions = async (noteId) => {
+    try {
+      const res = await apiFetch(`/api/notes/${noteId}/revisions`);
+      const data = await res.json();
+      const list = data.revisions || [];
+      setRevisions(list);
+      setSelectedRevisionId((current) =>
+        list.some((r) => r.id === current) ? current : list[0]?.id ?? null
+      );
+    } catch (err) {
+      console.error("Failed to load revisions", err);
+    }
+  };
+
+  // Load history when the panel opens or another note is selected
+  useEffect(() => {
+    if (!showHistory || !selectedNoteId) return;
+    const timer = setTimeout(() => fetchRevisions(selectedNoteId), 0);
+    return () => clearTimeout(timer);
+  }, [showHistory, selectedNoteId]);
+
+  // Diff the selected revision against the current text or the revision before it
+  useEffect(() => {
+    if (!showHistory || !selectedNoteId || !selectedRevisionId) return;
+    const controller = new AbortController();
+
+    const load = async () => {
+      const index = revisions.findIndex((r) => r.id === selectedRevisionId);
+      const previous = revisions[index + 1];
+      const params =
+        compareTo === "previous"
+          ? previous
+            ? `from=${previous.id}&to=${selectedRevisionId}`
+            : null
+          : `from=${selectedRevisionId}&to=current`;
+
+      if (!params) {
+        setRevisionDiff(null);
+        return;
+      }
+
+      setHistoryLoading(true);
+      try {
+        const res = await apiFetch(`/api/notes/${selectedNoteId}/revisions/diff?${params}`, {
+          signal: controller.signal,
+        });
+        setRevisionDiff(await res.json());
+      } catch (err) {
+        if (err.name !== "AbortError") console.error("Failed to load diff", err);
+      } finally {
+        setHistoryLoading(false);
+      }
+    };
+
+    load();
+    return () => controller.abort();
+  }, [showHistory, selectedNoteId, selectedRevisionId, compareTo, revisions]);
+
+  const restoreRevision = async (revisionId) => {
+    if (!selectedNoteId) return;
+    const confirmed = window.confirm("Restore this version? Your current text is kept in the history.");
+    if (!confirmed) return;
+
+    try {
+      const res = await apiFetch(`/api/notes/${selectedNoteId}/revisions/${revisionId}/restore`, {
+        method: "POST",
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Restore failed");
+
+      const note = data.note;
+      noteVersionsRef.current.set(note.id, note.version);
+      // A live session receives the restored text from the server as an edit
+      if (!usingLiveSession()) setNoteText(note.content);
+      setNoteTitle(note.title);
+      setNotes((prev) =>
+        prev.map((n) => (n.id === note.id ? { ...n, title: note.title, updated_at: note.updated_at } : n))
+      );
+      await fetchRevisions(note.id);
+    } catch (err) {
+      alert(`Failed to restore: ${err.message}`);
+    }
+  };
+
+  const openSearchResult = (result) => {
+    const matched = result.snippet.find((s) => s.match) || result.titleSegments.find((s) => s.match);
+    if (matched && result.snippet.some((s) => s.match)) {
+      setPendingJump({ noteId: result.id, text: matched.text });
+    }
+    selectNote(result.id, result.title);
+    setRenamingNoteId(null);
+  };
+
+  const usingLiveSession = () => liveRef.current && liveRef.current.status !== "unavailable";
+
+  // Every local content edit goes through here
+  const updateContent = (newText) => {
+    setNoteText(newText);
+    if (usingLiveSession()) {
+      const textarea = editorRef.current;
+      liveRef.current.setText(newText, textarea ? { anchor: textarea.selectionStart, head: textarea.selectionEnd } : null);
+    } else {
+      saveNote({ content: newText });
+    }
+  };
+
+  const closeLiveSession = () => {
+    liveRef.current?.close();
+    liveRef.current = null;
+    setLiveStatus(null);
+    setLivePeers([]);
+  };
+
+  const openLiveSession = (noteId, text) => {
+    closeLiveSession();
+    const token = localStorage.getItem(TOKEN_KEY) || "";
+    const session = new CollabSession({
+      url: `${API_URL.replace(/^http/, "ws")}/api/notes/${encodeURIComponent(noteId)}/live?token=${encodeURIComponent(token)}`,
+      text,
+      onChange: (newText, op) => {
+        // Keep the local caret where it was relative to the surrounding text
+        const textarea = editorRef.current;
+        if (textarea && document.activeElement === textarea) {
+          pendingSelectionRef.current = {
+            start: transformIndex(textarea.selectionStart, op),
+            end: transformIndex(textarea.selectionEnd, op),
+          };
+        }
+        setNoteText(newText);
+      },
+      onPeers: setLivePeers,
+      onStatus: (status) => {
+        setLiveStatus(status);
+        // No live editing (e.g. no WebSocket support): fall back to plain saves
+        if (status === "unavailable" && session.text !== session.serverText) {
+          saveNote({ content: session.text }, noteId);
+        }
+      },
+      onSaved: (version) => noteVersionsRef.current.set(noteId, version),
+      onAccess: (readOnly) =>
+        setNoteRole((role) => (readOnly ? "viewer" : role === "viewer" ? "editor" : role)),
+    });
+    liveRef.current = session;
+  };
+
+  useLayoutEffect(() => {
+    const selection = pendingSelectionRef.current;
+    if (selection && editorRef.current) {
+      editorRef.current.setSelectionRange(selection.start, selection.end);
+    }
+    pendingSelectionRef.current = null;
+  }, [noteText]);
+
+  useEffect(() => () => liveRef.current?.close(), []);
+
+  const fetchNotes = async (filters = { tag: tagFilter, pinned: pinnedOnly }) => {
     try {
-      const res = await fetch(`${API_URL}/api/notes`);
+      const params = new URLSearchParams();
+      if (filters.tag) params.set("tag", filters.tag);
+      if (filters.pinned) params.set("pinned", "1");
+      const filtered = params.toString() !== "";
+
+      const res = await apiFetch(`/api/notes${filtered ? `?${params}` : ""}`);
       const data = await res.json();
       const list = data.notes || [];
       setNotes(list);
+      setSharedNotes(data.shared || []);
 
       // Auto-select first note or create sample note if empty
+      if (filtered) return;
       if (list.length > 0 && !selectedNoteId) {
         selectNote(list[0].id, list[0].title);
       } else if (list.length === 0) {
@@ -203,6 +795,81 @@ function App() {
     }
   };
 
+  const fetchOrganization = async () => {
+    try {
+      const [foldersRes, tagsRes] = await Promise.all([apiFetch(`/api/folders`), apiFetch(`/api/tags`)]);
+      setFolders((await foldersRes.json()).folders || []);
+      setTags((await tagsRes.json()).tags || []);
+    } catch (err) {
+      console.error("Failed to load folders and tags", err);
+    }
+  };
+
+  const fetchDueCount = async () => {
+    try {
+      const res = await apiFetch(`/api/review/due?limit=0`);
+      const data = await res.json();
+      setDueCount(data.dueCount || 0);
+    } catch (err) {
+      console.error("Failed to load due flashcards", err);
+    }
+  };
+
+  const applyFilters = (changes) => {
+    const filters = { tag: tagFilter, pinned: pinnedOnly, ...changes };
+    setTagFilter(filters.tag);
+    setPinnedOnly(filters.pinned);
+    fetchNotes(filters);
+  };
+
+  // Every note as a Markdown zip: front-matter for title, dates and tags, images in assets/
+  const handleExportVault = async () => {
+    try {
+      await flushSave();
+      const res = await apiFetch(`/api/export`);
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data.error || "Export failed");
+      }
+      const url = URL.createObjectURL(await res.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `notex-${new Date().toISOString().slice(0, 10)}.zip`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    } catch (err) {
+      alert(`Failed to export notes: ${err.message}`);
+    }
+  };
+
+  // A Markdown zip (ours, an Obsidian vault or a Notion export) becomes new notes
+  const handleImportVault = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    setImportingVault(true);
+    try {
+      const res = await apiFetch(`/api/import`, {
+        method: "POST",
+        headers: { "Content-Type": "application/zip" },
+        body: file,
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Import failed");
+      await Promise.all([fetchNotes(), fetchOrganization()]);
+
+      const skipped = data.skipped.length
+        ? `\n\nSkipped ${data.skipped.length} file(s):\n${data.skipped.slice(0, 10).map((s) => `${s.path} (${s.reason})`).join("\n")}`
+        : "";
+      alert(`Imported ${data.imported.length} note(s) and ${data.images} image(s).${skipped}`);
+    } catch (err) {
+      alert(`Failed to import notes: ${err.message}`);
+    } finally {
+      setImportingVault(false);
+    }
+  };
+
   const createSampleNote = async () => {
     const sampleContent = `# Algorithm Complexity Notes
 
@@ -233,16 +900,16 @@ T(n) = O(n)
 $$`;
 
     try {
-      const res = await fetch(`${API_URL}/api/notes`, {
+      const res = await apiFetch(`/api/notes`, {
         method: "POST",
       });
       const data = await res.json();
       const note = data.note;
 
       // Update the note with sample content
-      await fetch(`${API_URL}/api/notes/${note.id}`, {
+      await apiFetch(`/api/notes/${note.id}`, {
         method: "PUT",
-        headers: { "Content-Type": "application/json" },
+        headers: { "Content-Type": "application/json", "If-Match": `"${note.version}"` },
         body: JSON.stringify({
           title: "Algorithm Complexity Notes",
           content: sampleContent,
@@ -258,118 +925,302 @@ $$`;
 
   const selectNote = async (id, titleHint) => {
     try {
-      const res = await fetch(`${API_URL}/api/notes/${id}`);
+      // Make sure edits to the note being left have reached the server first
+      await flushSave();
+
+      const res = await apiFetch(`/api/notes/${id}`);
       const data = await res.json();
       const note = data.note;
 
+      noteVersionsRef.current.set(id, note.version);
       setSelectedNoteId(id);
+      setNoteRole(data.role || "owner");
+      setNoteTags(data.tags || []);
+      setSuggestedTags([]);
+      setTagInput("");
+      setNoteSummary(data.summary ? { ...data.summary, baseText: data.summary.stale ? null : note.content } : null);
+      setShowShare(false);
+      setShowPdf(false);
+      setFileFocus(null);
+      resetWritingAssist();
       setNoteTitle(note.title ?? titleHint ?? "Untitled");
       setNoteText(note.content ?? "");
+      openLiveSession(id, note.content ?? "");
       
-      // Load chat history from Durable Object
+      // Load chat history from Durable Object (the most recent thread)
+      setEditingMessageId(null);
       try {
-        const chatRes = await fetch(`${API_URL}/api/chat/history?noteId=${id}`);
-        console.log('Chat history response:', chatRes.status, chatRes.ok);
+        const chatRes = await apiFetch(`/api/chat/history?noteId=${id}`);
         if (chatRes.ok) {
-          const chatData = await chatRes.json();
-          console.log('Chat history data:', chatData);
-          // Filter out system messages and only show user/assistant messages
-          const userMessages = chatData.messages?.filter(m => m.role !== 'system') || [];
-          console.log('Filtered messages:', userMessages);
-          setMessages(userMessages);
+          showChatHistory(await chatRes.json());
         } else {
-          console.log('No chat history or error');
-          setMessages([]); // No history yet
+          showChatHistory({}); // No history yet
         }
       } catch (err) {
         console.error("Failed to load chat history", err);
-        setMessages([]); // reset AI chat on error
+        showChatHistory({}); // reset AI chat on error
       }
     } catch (err) {
       console.error("Failed to load note", err);
     }
   };
 
-  const handleNewNote = async () => {
+  const handleNewNote = async (folderId = null) => {
     try {
-      const res = await fetch(`${API_URL}/api/notes`, {
+      const res = await apiFetch(`/api/notes`, {
         method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ folderId }),
       });
       const data = await res.json();
       const note = data.note;
 
-      setNotes((prev) => [
-        {
-          id: note.id,
-          title: note.title,
-          updated_at: note.updated_at,
-        },
-        ...prev,
-      ]);
+      setNotes((prev) =>
+        sortNotes([
+          {
+            id: note.id,
+            title: note.title,
+            updated_at: note.updated_at,
+            folder_id: note.folder_id,
+            pinned: 0,
+            tags: [],
+          },
+          ...prev,
+        ])
+      );
+      if (folderId) {
+        setCollapsedFolders((prev) => {
+          const next = new Set(prev);
+          next.delete(folderId);
+          return next;
+        });
+      }
 
       // Select new note
+      await flushSave();
+      noteVersionsRef.current.set(note.id, note.version);
       setSelectedNoteId(note.id);
+      setNoteRole("owner");
+      setNoteTags([]);
+      setSuggestedTags([]);
+      setNoteSummary(null);
+      setShowPdf(false);
+      resetWritingAssist();
       setNoteTitle(note.title);
       setNoteText(note.content);
-      setMessages([]);
+      openLiveSession(note.id, note.content);
+      showChatHistory({});
+      setEditingMessageId(null);
     } catch (err) {
       console.error("Failed to create note", err);
     }
   };
 
-  const saveNote = async (fields) => {
-    if (!selectedNoteId) return;
-    try {
-      const res = await fetch(`${API_URL}/api/notes/${selectedNoteId}`, {
-        method: "PUT",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(fields),
-      });
+  // Send one save; on 409 the conflict view takes over and later saves wait for it
+  const sendSave = async (noteId, fields, { keepalive = false } = {}) => {
+    if (conflictRef.current) {
+      pendingSaveRef.current = { noteId, fields: { ...fields, ...pendingSaveRef.current?.fields } };
+      return;
+    }
 
-      const data = await res.json();
-      const updated = data.note;
+    setSaveStatus("saving");
+    const res = await apiFetch(`/api/notes/${noteId}`, {
+      method: "PUT",
+      headers: {
+        "Content-Type": "application/json",
+        "If-Match": noteVersionsRef.current.has(noteId) ? `"${noteVersionsRef.current.get(noteId)}"` : "*",
+      },
+      body: JSON.stringify(fields),
+      keepalive,
+    });
+    const data = await res.json();
 
-      // Update sidebar list metadata
-      setNotes((prev) =>
-        prev.map((n) =>
-          n.id === updated.id
-            ? {
-                id: updated.id,
-                title: updated.title,
-                updated_at: updated.updated_at,
-              }
-            : n
-        )
-      );
-    } catch (err) {
-      console.error("Failed to save note", err);
+    if (res.status === 409) {
+      conflictRef.current = true;
+      const mine = { ...fields, ...(pendingSaveRef.current?.noteId === noteId ? pendingSaveRef.current.fields : {}) };
+      pendingSaveRef.current = null;
+      setConflict({ noteId, mine, server: data.note });
+      setMergeText(mine.content ?? data.note.content);
+      setSaveStatus("conflict");
+      return;
     }
-  };
 
-  const deleteNote = async (id) => {
-    try {
-      await fetch(`${API_URL}/api/notes/${id}`, {
-        method: "DELETE",
-      });
+    if (!res.ok) throw new Error(data.error || "Save failed");
 
-      setNotes((prev) => prev.filter((n) => n.id !== id));
+    const updated = data.note;
+    noteVersionsRef.current.set(updated.id, updated.version);
+
+    // Update sidebar list metadata
+    setNotes((prev) =>
+      prev.map((n) =>
+        n.id === updated.id
+          ? {
+              ...n,
+              id: updated.id,
+              title: updated.title,
+              updated_at: updated.updated_at,
+            }
+          : n
+      )
+    );
+    setSaveStatus(pendingSaveRef.current ? "pending" : "saved");
+  };
+
+  // Queue whatever is pending behind any save already in flight
+  const flushSave = () => {
+    clearTimeout(saveTimerRef.current);
+    const pending = pendingSaveRef.current;
+    if (!pending) return saveChainRef.current;
+    pendingSaveRef.current = null;
+
+    saveChainRef.current = saveChainRef.current
+      .then(() => sendSave(pending.noteId, pending.fields))
+      .catch((err) => {
+        console.error("Failed to save note", err);
+        setSaveStatus("error");
+        // Put the edits back (newer ones win) and try again shortly
+        const newer = pendingSaveRef.current?.noteId === pending.noteId ? pendingSaveRef.current.fields : {};
+        pendingSaveRef.current = { noteId: pending.noteId, fields: { ...pending.fields, ...newer } };
+        saveTimerRef.current = setTimeout(flushSave, 3000);
+      });
+    return saveChainRef.current;
+  };
+
+  const saveNote = (fields, noteId = selectedNoteId) => {
+    if (!noteId) return;
+    if (pendingSaveRef.current && pendingSaveRef.current.noteId !== noteId) {
+      flushSave();
+    }
+
+    pendingSaveRef.current = {
+      noteId,
+      fields: { ...pendingSaveRef.current?.fields, ...fields },
+    };
+    setSaveStatus("pending");
+    clearTimeout(saveTimerRef.current);
+    saveTimerRef.current = setTimeout(flushSave, SAVE_DEBOUNCE_MS);
+  };
+
+  // Don't lose the last keystrokes when the tab closes
+  useEffect(() => {
+    const handlePageHide = () => {
+      const pending = pendingSaveRef.current;
+      if (!pending || conflictRef.current) return;
+      pendingSaveRef.current = null;
+      sendSave(pending.noteId, pending.fields, { keepalive: true }).catch(() => {});
+    };
+    window.addEventListener("pagehide", handlePageHide);
+    return () => window.removeEventListener("pagehide", handlePageHide);
+  });
+
+  const resolveConflict = (choice) => {
+    if (!conflict) return;
+    const { noteId, mine, server } = conflict;
+
+    noteVersionsRef.current.set(noteId, server.version);
+    conflictRef.current = false;
+    setConflict(null);
+
+    if (choice === "theirs") {
+      if (noteId === selectedNoteId) {
+        setNoteText(server.content);
+        setNoteTitle(server.title);
+      }
+      setSaveStatus("saved");
+      return;
+    }
+
+    // Save the merged text on top of the server version
+    if (noteId === selectedNoteId) setNoteText(mergeText);
+    saveNote({ ...mine, content: mergeText }, noteId);
+    flushSave();
+  };
+
+  const deleteNote = async (id) => {
+    try {
+      if (pendingSaveRef.current?.noteId === id) {
+        clearTimeout(saveTimerRef.current);
+        pendingSaveRef.current = null;
+      }
+
+      const res = await apiFetch(`/api/notes/${id}`, {
+        method: "DELETE",
+      });
+      if (!res.ok) throw new Error((await res.json()).error || "Failed to delete note");
+
+      const title = notes.find((n) => n.id === id)?.title;
+      setNotes((prev) => prev.filter((n) => n.id !== id));
 
       if (selectedNoteId === id) {
+        closeLiveSession();
         setSelectedNoteId(null);
         setNoteText("");
       }
+
+      clearTimeout(trashUndoTimerRef.current);
+      setTrashUndo({ id, title: title || "Untitled" });
+      trashUndoTimerRef.current = setTimeout(() => setTrashUndo(null), 8000);
+      fetchOrganization();
+      if (showTrash) fetchTrash();
     } catch (err) {
       console.error("Failed to delete note", err);
     }
   };
 
+  const fetchTrash = async () => {
+    try {
+      const res = await apiFetch(`/api/trash`);
+      if (res.ok) setTrash(await res.json());
+    } catch (err) {
+      console.error("Failed to load trash", err);
+    }
+  };
+
+  const toggleTrash = () => {
+    if (!showTrash) fetchTrash();
+    setShowTrash(!showTrash);
+  };
+
+  const restoreNote = async (id) => {
+    if (trashUndo?.id === id) setTrashUndo(null);
+    try {
+      const res = await apiFetch(`/api/trash/${id}/restore`, { method: "POST" });
+      if (!res.ok) throw new Error((await res.json()).error || "Failed to restore note");
+      setTrash((prev) => ({ ...prev, notes: prev.notes.filter((n) => n.id !== id) }));
+      await fetchNotes();
+      fetchOrganization();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  // Permanently delete one trashed note, or (id null) empty the trash
+  const purgeTrash = async (id = null) => {
+    const note = id && trash.notes.find((n) => n.id === id);
+    const question = id
+      ? `Delete "${note?.title || "Untitled"}" for good? This can't be undone.`
+      : `Delete all ${trash.notes.length} notes in the trash for good? This can't be undone.`;
+    if (!window.confirm(question)) return;
+
+    try {
+      const res = await apiFetch(id ? `/api/trash/${id}` : `/api/trash`, { method: "DELETE" });
+      if (!res.ok) throw new Error((await res.json()).error || "Failed to empty trash");
+      setTrash((prev) => ({ ...prev, notes: id ? prev.notes.filter((n) => n.id !== id) : [] }));
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
   const renameNote = async (id, newTitle) => {
     try {
-      await fetch(`${API_URL}/api/notes/${id}`, {
+      // A title change can't lose anyone's text, so it applies to whatever version is current
+      const res = await apiFetch(`/api/notes/${id}`, {
         method: "PUT",
-        headers: { "Content-Type": "application/json" },
+        headers: { "Content-Type": "application/json", "If-Match": "*" },
         body: JSON.stringify({ title: newTitle }),
       });
+      const data = await res.json();
+      if (data.note) noteVersionsRef.current.set(id, data.note.version);
 
       setNotes((prev) =>
         prev.map((n) =>
@@ -383,53 +1234,361 @@ $$`;
     }
   };
 
+  const togglePin = async (note) => {
+    const pinned = !note.pinned;
+    setNotes((prev) => sortNotes(prev.map((n) => (n.id === note.id ? { ...n, pinned: pinned ? 1 : 0 } : n))));
+    try {
+      const res = await apiFetch(`/api/notes/${note.id}/pin`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ pinned }),
+      });
+      if (!res.ok) throw new Error((await res.json()).error || "Failed to pin note");
+      if (pinnedOnly && !pinned) setNotes((prev) => prev.filter((n) => n.id !== note.id));
+    } catch (err) {
+      console.error("Failed to pin note", err);
+      fetchNotes();
+    }
+  };
+
+  const moveNoteToFolder = async (noteId, folderId) => {
+    const note = notes.find((n) => n.id === noteId);
+    if (!note || (note.folder_id ?? null) === folderId) return;
+
+    setNotes((prev) => prev.map((n) => (n.id === noteId ? { ...n, folder_id: folderId } : n)));
+    try {
+      const res = await apiFetch(`/api/notes/${noteId}/folder`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ folderId }),
+      });
+      if (!res.ok) throw new Error((await res.json()).error || "Failed to move note");
+    } catch (err) {
+      console.error("Failed to move note", err);
+      fetchNotes();
+    }
+  };
+
+  const createFolder = async (parentId = null) => {
+    const name = window.prompt(parentId ? "Subfolder name:" : "Folder name:");
+    if (!name?.trim()) return;
+    try {
+      const res = await apiFetch(`/api/folders`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ name, parentId }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Failed to create folder");
+      setFolders((prev) => [...prev, data.folder].sort((a, b) => a.name.localeCompare(b.name)));
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const updateFolder = async (folderId, fields) => {
+    try {
+      const res = await apiFetch(`/api/folders/${folderId}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(fields),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Failed to update folder");
+      setFolders((prev) =>
+        prev.map((f) => (f.id === folderId ? { ...f, ...data.folder } : f)).sort((a, b) => a.name.localeCompare(b.name))
+      );
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const renameFolder = (folder) => {
+    const name = window.prompt("Rename folder:", folder.name);
+    if (name?.trim() && name !== folder.name) updateFolder(folder.id, { name });
+  };
+
+  // Its notes and subfolders move up to the parent, same as the server does
+  const deleteFolder = async (folder) => {
+    const confirmed = window.confirm(`Delete the folder "${folder.name}"? Notes and subfolders inside it are kept.`);
+    if (!confirmed) return;
+    try {
+      const res = await apiFetch(`/api/folders/${folder.id}`, { method: "DELETE" });
+      if (!res.ok) throw new Error((await res.json()).error || "Failed to delete folder");
+      setFolders((prev) =>
+        prev.filter((f) => f.id !== folder.id).map((f) => (f.parent_id === folder.id ? { ...f, parent_id: folder.parent_id } : f))
+      );
+      setNotes((prev) => prev.map((n) => (n.folder_id === folder.id ? { ...n, folder_id: folder.parent_id } : n)));
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const toggleFolder = (folderId) => {
+    setCollapsedFolders((prev) => {
+      const next = new Set(prev);
+      if (next.has(folderId)) next.delete(folderId);
+      else next.add(folderId);
+      return next;
+    });
+  };
+
+  const startDrag = (e, kind, id) => {
+    e.stopPropagation();
+    e.dataTransfer.setData(DRAG_TYPE, JSON.stringify({ kind, id }));
+    e.dataTransfer.effectAllowed = "move";
+  };
+
+  // Drop targets: a folder row, a note (drops into that note's folder) or the top level (null)
+  const dropHandlers = (folderId) => ({
+    onDragOver: (e) => {
+      if (!e.dataTransfer.types.includes(DRAG_TYPE)) return;
+      e.preventDefault();
+      e.stopPropagation();
+      setDropTarget(folderId ?? "root");
+    },
+    onDragLeave: () => setDropTarget(null),
+    onDrop: (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      setDropTarget(null);
+      const data = e.dataTransfer.getData(DRAG_TYPE);
+      if (!data) return;
+      const { kind, id } = JSON.parse(data);
+      if (kind === "note") {
+        moveNoteToFolder(id, folderId);
+      } else if (id !== folderId) {
+        updateFolder(id, { parentId: folderId });
+      }
+    },
+  });
+
+  const saveNoteTags = async (names) => {
+    const noteId = selectedNoteId;
+    try {
+      const res = await apiFetch(`/api/notes/${noteId}/tags`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ tags: names }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Failed to update tags");
+      setNoteTags(data.tags);
+      setNotes((prev) => prev.map((n) => (n.id === noteId ? { ...n, tags: data.tags } : n)));
+      const tagsRes = await apiFetch(`/api/tags`);
+      setTags((await tagsRes.json()).tags || []);
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const addTag = (name) => {
+    const trimmed = name.trim().replace(/^#+/, "");
+    if (!trimmed) return;
+    setSuggestedTags((prev) => prev.filter((s) => s.toLowerCase() !== trimmed.toLowerCase()));
+    if (noteTags.some((t) => t.name.toLowerCase() === trimmed.toLowerCase())) return;
+    saveNoteTags([...noteTags.map((t) => t.name), trimmed]);
+  };
+
+  const removeTag = (tagId) => {
+    saveNoteTags(noteTags.filter((t) => t.id !== tagId).map((t) => t.name));
+  };
+
+  const fetchShares = async () => {
+    try {
+      const res = await apiFetch(`/api/notes/${selectedNoteId}/shares`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Failed to load sharing");
+      setShares(data.shares || []);
+      setPublicLinkSig(data.publicLink?.sig || null);
+    } catch (err) {
+      setShareError(err.message);
+    }
+  };
+
+  const openShareDialog = () => {
+    setShowShare(true);
+    setShareError(null);
+    setShares([]);
+    setPublicLinkSig(null);
+    fetchShares();
+  };
+
+  const inviteCollaborator = async (e) => {
+    e.preventDefault();
+    const email = shareEmail.trim();
+    if (!email) return;
+    setShareError(null);
+    try {
+      const res = await apiFetch(`/api/notes/${selectedNoteId}/shares`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ email, role: shareRole }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Failed to share note");
+      setShares(data.shares || []);
+      setShareEmail("");
+    } catch (err) {
+      setShareError(err.message);
+    }
+  };
+
+  const revokeShare = async (noteId, userId) => {
+    try {
+      await apiFetch(`/api/notes/${noteId}/shares/${userId}`, { method: "DELETE" });
+      setShares((prev) => prev.filter((s) => s.user_id !== userId));
+    } catch (err) {
+      console.error("Failed to revoke share", err);
+    }
+  };
+
+  // Collaborators can drop a note someone shared with them
+  const leaveSharedNote = async (noteId) => {
+    if (!user.id) return;
+    await revokeShare(noteId, user.id);
+    setSharedNotes((prev) => prev.filter((n) => n.id !== noteId));
+    if (selectedNoteId === noteId) {
+      closeLiveSession();
+      setSelectedNoteId(null);
+      setNoteText("");
+    }
+  };
+
+  const togglePublicLink = async () => {
+    setShareError(null);
+    try {
+      const res = await apiFetch(`/api/notes/${selectedNoteId}/public-link`, {
+        method: publicLinkSig ? "DELETE" : "POST",
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Failed to update public link");
+      setPublicLinkSig(data.publicLink?.sig || null);
+    } catch (err) {
+      setShareError(err.message);
+    }
+  };
+
+  const publicLinkUrl = publicLinkSig
+    ? `${window.location.origin}${window.location.pathname}?public=${encodeURIComponent(selectedNoteId)}&sig=${publicLinkSig}`
+    : null;
+
   const handleSend = async (e) => {
     e.preventDefault();
     const trimmed = input.trim();
     if (!trimmed || isLoading) return;
 
-    const newUserMsg = { role: "user", content: trimmed };
-    const newHistory = [...messages, newUserMsg];
-    setMessages(newHistory);
+    // An edit replaces the message and everything after it on this branch
+    const editOf = editingMessageId;
+    const editIndex = editOf ? messages.findIndex((m) => m.id === editOf) : -1;
+    const kept = editIndex >= 0 ? messages.slice(0, editIndex) : messages;
+    setMessages([...kept, { role: "user", content: trimmed }]);
+    setEditingMessageId(null);
     setInput("");
     setIsLoading(true);
     setError(null);
 
+    const controller = new AbortController();
+    chatAbortRef.current = controller;
+    setIsStreaming(true);
+
+    // Grow the last (streaming) assistant message in place
+    const updateReply = (fields) => {
+      setMessages((prev) => {
+        const last = prev[prev.length - 1];
+        if (last?.role === "assistant" && last.streaming) {
+          return [...prev.slice(0, -1), { ...last, ...fields }];
+        }
+        return [...prev, { role: "assistant", content: "", streaming: true, ...fields }];
+      });
+    };
+
+    let reply = "";
+
+    // Bob can suggest a replacement for the text selected in the editor
+    const textarea = editorRef.current;
+    const selection = textarea && noteRole !== "viewer" && textarea.selectionEnd > textarea.selectionStart
+      ? { start: textarea.selectionStart, end: textarea.selectionEnd, text: noteText.slice(textarea.selectionStart, textarea.selectionEnd) }
+      : null;
+
     try {
-      const res = await fetch(`${API_URL}/api/chat`, {
+      const res = await apiFetch(`/api/chat?stream=1`, {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "text/event-stream",
+        },
         body: JSON.stringify({
           message: trimmed,
           noteId: selectedNoteId,
           noteContext: noteText.slice(0, 4000),
+          scope: chatScope,
+          threadId: activeThreadId,
+          editOf: editIndex >= 0 ? editOf : undefined,
+          tools: bobTools,
+          selection,
         }),
+        signal: controller.signal,
       });
 
-      const data = await res.json();
-      const reply = data.reply || "Empty response.";
+      if (!res.ok || !res.headers.get("content-type")?.includes("text/event-stream")) {
+        const data = await res.json();
+        if (data.error) throw new Error(data.error);
+        if (data.history) {
+          showChatBranch(data.threadId, data.history);
+        } else {
+          setMessages((prev) => [...prev, { role: "assistant", content: data.reply || "Empty response.", sources: data.sources }]);
+        }
+        return;
+      }
 
-      setMessages((prev) => [...prev, { role: "assistant", content: reply }]);
+      await readEventStream(res, (event) => {
+        if (event.error) {
+          setError(event.error);
+        } else if (event.token) {
+          reply += event.token;
+          updateReply({ content: reply });
+        } else if (event.done) {
+          reply = event.reply || reply;
+          updateReply({ content: reply || "Empty response.", sources: event.sources, streaming: false });
+          // The saved conversation carries message ids, needed to edit or switch branches
+          if (event.history) showChatBranch(event.threadId, event.history);
+        }
+      });
     } catch (err) {
-      setError("Could not reach backend.");
+      if (err.name === "AbortError") {
+        // Keep whatever Bob had said before the stop
+        if (reply) updateReply({ content: reply, streaming: false, stopped: true });
+      } else {
+        setError("Could not reach backend.");
+      }
     } finally {
+      chatAbortRef.current = null;
+      setIsStreaming(false);
+      setMessages((prev) => prev.map((m) => (m.streaming ? { ...m, streaming: false } : m)));
       setIsLoading(false);
     }
   };
 
+  const handleStopReply = () => {
+    chatAbortRef.current?.abort();
+  };
+
   const handleClearChat = async () => {
     if (!selectedNoteId || isLoading) return;
     
-    const confirmed = window.confirm("Clear chat history with Bob for this note?");
+    const confirmed = window.confirm("Clear this chat with Bob? Other chats on this note are kept.");
     if (!confirmed) return;
 
     try {
-      const res = await fetch(`${API_URL}/api/chat/clear?noteId=${selectedNoteId}`, {
+      const threadQuery = activeThreadId ? `&threadId=${encodeURIComponent(activeThreadId)}` : "";
+      const res = await apiFetch(`/api/chat/clear?noteId=${selectedNoteId}${threadQuery}`, {
         method: "POST",
       });
 
       if (res.ok) {
         setMessages([]);
+        setEditingMessageId(null);
       } else {
         setError("Failed to clear chat.");
       }
@@ -438,96 +1597,510 @@ $$`;
     }
   };
 
-  const handleGenerateSummary = async () => {
-    if (!selectedNoteId || isLoading) return;
+  // Show a thread as returned by /api/chat/history (system messages stay hidden)
+  const showChatHistory = (data) => {
+    setChatMemory(null);
+    setChatThreads(data.threads || []);
+    setActiveThreadId(data.threadId || null);
+    setMessages(data.messages?.filter((m) => m.role !== "system") || []);
+  };
 
-    setIsLoading(true);
-    setError(null);
+  // Show a thread's conversation after it changed, refreshing thread titles and order
+  const showChatBranch = (threadId, history) => {
+    setActiveThreadId(threadId);
+    setMessages(history.filter((m) => m.role !== "system"));
+    fetchChatThreads();
+  };
 
+  const fetchChatThreads = async () => {
+    if (!selectedNoteId) return;
     try {
-      const res = await fetch(`${API_URL}/api/notes/${selectedNoteId}/summary`, {
-        method: "POST",
-      });
+      const res = await apiFetch(`/api/chat/threads?noteId=${selectedNoteId}`);
+      if (res.ok) setChatThreads((await res.json()).threads || []);
+    } catch (err) {
+      console.error("Failed to load chat threads", err);
+    }
+  };
 
+  // Thread route for the open note, e.g. chatThreadUrl(id, "/branch")
+  const chatThreadUrl = (threadId, suffix = "") =>
+    `/api/chat/threads${threadId ? `/${encodeURIComponent(threadId)}` : ""}${suffix}?noteId=${selectedNoteId}`;
+
+  const handleSelectThread = async (threadId) => {
+    if (!selectedNoteId || isLoading) return;
+    setEditingMessageId(null);
+    try {
+      const res = await apiFetch(`/api/chat/history?noteId=${selectedNoteId}&threadId=${encodeURIComponent(threadId)}`);
       const data = await res.json();
-      
-      if (data.success) {
-        const summaryContent = data.markdown || data.summary;
-        
-        // Add workflow result to chat as assistant message
-        setMessages((prev) => [...prev, {
-          role: "assistant",
-          content: summaryContent,
-        }]);
-        
-        // Save to Durable Object
-        await fetch(`${API_URL}/api/chat/store`, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({
-            noteId: selectedNoteId,
-            role: "assistant",
-            content: summaryContent,
-          }),
-        });
-      } else {
-        setError(data.error || "Failed to generate summary");
-      }
+      if (!res.ok) throw new Error(data.error || "Failed to open chat");
+      showChatHistory(data);
     } catch (err) {
-      setError("Could not generate summary.");
-    } finally {
-      setIsLoading(false);
+      setError(err.message);
     }
   };
 
-  const handleGenerateQuestions = async () => {
+  const handleNewThread = async () => {
     if (!selectedNoteId || isLoading) return;
-
-    setIsLoading(true);
-    setError(null);
-
     try {
-      const res = await fetch(`${API_URL}/api/notes/${selectedNoteId}/questions`, {
+      const res = await apiFetch(chatThreadUrl(null), {
         method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({}),
       });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Failed to start a chat");
+      setChatThreads((prev) => [data.thread, ...prev]);
+      setActiveThreadId(data.thread.id);
+      setChatMemory(null);
+      setMessages([]);
+      setEditingMessageId(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRenameThread = async () => {
+    const thread = chatThreads.find((t) => t.id === activeThreadId);
+    if (!thread) return;
+    const title = window.prompt("Rename chat", thread.title)?.trim();
+    if (!title || title === thread.title) return;
 
+    try {
+      const res = await apiFetch(chatThreadUrl(thread.id), {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ title }),
+      });
       const data = await res.json();
-      
-      if (data.success) {
-        const questionsContent = data.markdown;
-        
-        // Add workflow result to chat as assistant message
-        setMessages((prev) => [
-          ...prev,
-          {
-            role: "assistant",
-            content: questionsContent,
-          },
-        ]);
-        
-        // Save to Durable Object
-        await fetch(`${API_URL}/api/chat/store`, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({
-            noteId: selectedNoteId,
-            role: "assistant",
-            content: questionsContent,
-          }),
-        });
-      } else {
-        setError(data.error || "Failed to generate questions");
-      }
+      if (!res.ok) throw new Error(data.error || "Failed to rename chat");
+      setChatThreads((prev) => prev.map((t) => (t.id === thread.id ? data.thread : t)));
     } catch (err) {
-      setError("Could not generate questions.");
-    } finally {
-      setIsLoading(false);
+      setError(err.message);
     }
   };
 
-  return (
-    <>
-      <style>
+  const handleDeleteThread = async () => {
+    const thread = chatThreads.find((t) => t.id === activeThreadId);
+    if (!thread || isLoading) return;
+    if (!window.confirm(`Delete the chat "${thread.title}" and all of its messages?`)) return;
+
+    try {
+      const res = await apiFetch(chatThreadUrl(thread.id), { method: "DELETE" });
+      if (!res.ok) throw new Error((await res.json()).error || "Failed to delete chat");
+      // Fall back to the most recent remaining thread
+      const historyRes = await apiFetch(`/api/chat/history?noteId=${selectedNoteId}`);
+      showChatHistory(historyRes.ok ? await historyRes.json() : {});
+      setEditingMessageId(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Show another version of an edited message, with the conversation that followed it
+  const handleSwitchBranch = async (messageId) => {
+    if (!activeThreadId || isLoading) return;
+    try {
+      const res = await apiFetch(chatThreadUrl(activeThreadId, "/branch"), {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ messageId }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Failed to switch branch");
+      setMessages(data.messages.filter((m) => m.role !== "system"));
+      setEditingMessageId(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleShowMemory = async () => {
+    if (chatMemory) {
+      setChatMemory(null);
+      return;
+    }
+    if (!selectedNoteId || !activeThreadId) return;
+    try {
+      const res = await apiFetch(`/api/chat/memory?noteId=${selectedNoteId}&threadId=${encodeURIComponent(activeThreadId)}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Failed to load memory");
+      setChatMemory(data.memory);
+      setMemoryDraft(data.memory.summary);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSaveMemory = async () => {
+    try {
+      const res = await apiFetch(`/api/chat/memory?noteId=${selectedNoteId}&threadId=${encodeURIComponent(activeThreadId)}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ summary: memoryDraft }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Failed to save memory");
+      setChatMemory(data.memory);
+      setMemoryDraft(data.memory.summary);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Carry out a change Bob suggested, then record the decision on his message
+  const handleAcceptAction = async (message, action) => {
+    setActionBusyId(action.id);
+    setError(null);
+    try {
+      if (action.type === "append_section") {
+        const base = noteText.replace(/\s+$/, "");
+        updateContent(`${base}${base ? "\n\n" : ""}## ${action.heading}\n\n${action.content}\n`);
+      } else if (action.type === "replace_selection") {
+        // The note may have changed since; look for the selected text if it moved
+        const start = noteText.slice(action.start, action.end) === action.original ? action.start : noteText.indexOf(action.original);
+        if (start < 0) throw new Error("The selected text has changed since Bob suggested this edit.");
+        updateContent(noteText.slice(0, start) + action.text + noteText.slice(start + action.original.length));
+      } else if (action.type === "create_note") {
+        const res = await apiFetch(`/api/notes`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ title: action.title, content: action.content }),
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || "Failed to create note");
+        setNotes((prev) => sortNotes([{ ...data.note, tags: [] }, ...prev]));
+      } else if (action.type === "add_flashcards") {
+        const res = await apiFetch(`/api/notes/${selectedNoteId}/flashcards`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ cards: action.cards }),
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || "Failed to add flashcards");
+        fetchDueCount();
+      }
+      await recordActionStatus(message, action, "accepted");
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setActionBusyId(null);
+    }
+  };
+
+  const handleRejectAction = async (message, action) => {
+    setActionBusyId(action.id);
+    try {
+      await recordActionStatus(message, action, "rejected");
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setActionBusyId(null);
+    }
+  };
+
+  const recordActionStatus = async (message, action, status) => {
+    const res = await apiFetch(`/api/chat/actions?noteId=${selectedNoteId}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ threadId: activeThreadId, messageId: message.id, actionId: action.id, status }),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || "Failed to save your decision");
+    setMessages((prev) =>
+      prev.map((m) =>
+        m.id === message.id ? { ...m, actions: m.actions.map((a) => (a.id === action.id ? data.action : a)) } : m
+      )
+    );
+  };
+
+  const startEditingMessage = (message) => {
+    setEditingMessageId(message.id);
+    setInput(message.content);
+  };
+
+  const cancelEditingMessage = () => {
+    setEditingMessageId(null);
+    setInput("");
+  };
+
+  // Served from the server's cache unless the note changed since (or `refresh` is set)
+  // Workflows run as background jobs: poll until the job finishes and return its result
+  const waitForJob = async (jobId) => {
+    for (;;) {
+      await new Promise((resolve) => setTimeout(resolve, JOB_POLL_MS));
+      const res = await apiFetch(`/api/jobs/${jobId}`);
+      const job = await res.json();
+      if (!res.ok) throw new Error(job.error || "Failed to check on the job");
+      setJobStep(job.steps.find((s) => s.status === "running" || s.status === "retrying") || null);
+      if (job.status === "complete") return job.result;
+      if (job.status === "failed") throw new Error(job.error || "The job failed");
+    }
+  };
+
+  const handleGenerateSummary = async ({ refresh = false } = {}) => {
+    if (!selectedNoteId || isLoading) return;
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const res = await apiFetch(`/api/notes/${selectedNoteId}/summary${refresh ? "?refresh=1" : ""}`, {
+        method: "POST",
+      });
+
+      let data = await res.json();
+      if (res.ok && data.jobId) data = await waitForJob(data.jobId);
+      
+      if (data.success) {
+        const summaryContent = data.markdown || data.summary;
+        setSuggestedTags(data.suggestedTags || []);
+        setNoteSummary({
+          summary: data.summary,
+          keyPoints: data.keyPoints || [],
+          topics: data.topics || [],
+          generatedAt: data.generatedAt,
+          stale: !data.generatedAt,
+          baseText: noteText,
+        });
+        setSummaryCollapsed(false);
+        
+        // Add workflow result to chat as assistant message
+        setMessages((prev) => [...prev, {
+          role: "assistant",
+          content: summaryContent,
+        }]);
+        
+        // Save to Durable Object
+        const storeRes = await apiFetch(`/api/chat/store`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            noteId: selectedNoteId,
+            threadId: activeThreadId,
+            role: "assistant",
+            content: summaryContent,
+          }),
+        });
+        // Storing into a note with no chats yet starts one
+        const stored = await storeRes.json();
+        if (stored.threadId && stored.threadId !== activeThreadId) {
+          setActiveThreadId(stored.threadId);
+          fetchChatThreads();
+        }
+      } else {
+        setError(data.error || "Failed to generate summary");
+      }
+    } catch (err) {
+      setError("Could not generate summary.");
+    } finally {
+      setIsLoading(false);
+      setJobStep(null);
+    }
+  };
+
+  const handleGenerateQuestions = async () => {
+    if (!selectedNoteId || isLoading) return;
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const res = await apiFetch(`/api/notes/${selectedNoteId}/questions`, {
+        method: "POST",
+      });
+
+      let data = await res.json();
+      if (res.ok && data.jobId) data = await waitForJob(data.jobId);
+      
+      if (data.success) {
+        const questionsContent = data.flashcardsAdded
+          ? `${data.markdown}\n\n*${data.flashcardsAdded} new flashcard${data.flashcardsAdded === 1 ? "" : "s"} saved for review.*`
+          : data.markdown;
+        fetchDueCount();
+        
+        // Add workflow result to chat as assistant message
+        setMessages((prev) => [
+          ...prev,
+          {
+            role: "assistant",
+            content: questionsContent,
+          },
+        ]);
+        
+        // Save to Durable Object
+        const storeRes = await apiFetch(`/api/chat/store`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            noteId: selectedNoteId,
+            threadId: activeThreadId,
+            role: "assistant",
+            content: questionsContent,
+          }),
+        });
+        // Storing into a note with no chats yet starts one
+        const stored = await storeRes.json();
+        if (stored.threadId && stored.threadId !== activeThreadId) {
+          setActiveThreadId(stored.threadId);
+          fetchChatThreads();
+        }
+      } else {
+        setError(data.error || "Failed to generate questions");
+      }
+    } catch (err) {
+      setError("Could not generate questions.");
+    } finally {
+      setIsLoading(false);
+      setJobStep(null);
+    }
+  };
+
+  const summaryStale = noteSummary && (noteSummary.stale || noteText !== noteSummary.baseText);
+
+  // Sidebar tree. Notes whose folder isn't loaded (yet) show at the top level.
+  const isFiltering = Boolean(tagFilter || pinnedOnly);
+  const folderIds = new Set(folders.map((f) => f.id));
+  const folderOf = (note) => (folderIds.has(note.folder_id) ? note.folder_id : null);
+
+  // While filtering, hide folders with no matching notes anywhere beneath them
+  const folderHasNotes = (folderId) =>
+    notes.some((n) => folderOf(n) === folderId) ||
+    folders.some((f) => f.parent_id === folderId && folderHasNotes(f.id));
+
+  const renderFolderContents = (parentId, depth) => (
+    <>
+      {folders
+        .filter((f) => (f.parent_id ?? null) === parentId && (!isFiltering || folderHasNotes(f.id)))
+        .map((folder) => renderFolder(folder, depth))}
+      {notes.filter((n) => folderOf(n) === parentId).map((note) => renderNoteItem(note, depth))}
+    </>
+  );
+
+  const renderFolder = (folder, depth) => {
+    const collapsed = collapsedFolders.has(folder.id);
+    return (
+      <div key={folder.id}>
+        <div
+          draggable
+          onDragStart={(e) => startDrag(e, "folder", folder.id)}
+          {...dropHandlers(folder.id)}
+          onClick={() => toggleFolder(folder.id)}
+          style={{
+            ...folderRowStyle,
+            paddingLeft: `${0.6 + depth * 0.9}rem`,
+            backgroundColor: dropTarget === folder.id ? "#1e3a8a" : "transparent",
+          }}
+        >
+          {collapsed ? <ChevronRight size={14} /> : <ChevronDown size={14} />}
+          <Folder size={14} style={{ flexShrink: 0 }} />
+          <span style={{ flex: 1, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{folder.name}</span>
+          <div style={{ display: "flex", gap: "6px" }} onClick={(e) => e.stopPropagation()}>
+            <FilePlus size={14} style={{ cursor: "pointer", opacity: 0.7 }} onClick={() => handleNewNote(folder.id)}>
+              <title>New note here</title>
+            </FilePlus>
+            <FolderPlus size={14} style={{ cursor: "pointer", opacity: 0.7 }} onClick={() => createFolder(folder.id)}>
+              <title>New subfolder</title>
+            </FolderPlus>
+            <Pencil size={14} style={{ cursor: "pointer", opacity: 0.7 }} onClick={() => renameFolder(folder)} />
+            <Trash2 size={14} style={{ cursor: "pointer", opacity: 0.7 }} onClick={() => deleteFolder(folder)} />
+          </div>
+        </div>
+        {!collapsed && renderFolderContents(folder.id, depth + 1)}
+      </div>
+    );
+  };
+
+  const renderNoteItem = (note, depth) => {
+    const isSelected = note.id === selectedNoteId;
+    return (
+      <div
+        key={note.id}
+        draggable
+        onDragStart={(e) => startDrag(e, "note", note.id)}
+        {...dropHandlers(folderOf(note))}
+        onClick={() => {
+          selectNote(note.id, note.title);
+          setRenamingNoteId(null);
+        }}
+        style={{
+          ...noteListItemStyle,
+          paddingLeft: `${0.6 + depth * 0.9}rem`,
+          backgroundColor: isSelected ? "#1d4ed8" : "transparent",
+          color: isSelected ? "white" : "#e5e7eb",
+        }}
+      >
+        {/* Title or rename input */}
+        <div style={{ flex: 1, overflow: "hidden" }}>
+          {renamingNoteId === note.id ? (
+            <input
+              value={renameInput}
+              onChange={(e) => setRenameInput(e.target.value)}
+              onBlur={() => {
+                renameNote(note.id, renameInput || "Untitled");
+                setRenamingNoteId(null);
+              }}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") {
+                  renameNote(note.id, renameInput || "Untitled");
+                  setRenamingNoteId(null);
+                }
+              }}
+              autoFocus
+              style={{
+                width: "80%",
+                padding: "2px 4px",
+                borderRadius: "4px",
+                border: "1px solid #ccc",
+                fontSize: "0.85rem",
+              }}
+            />
+          ) : (
+            <span>{note.title}</span>
+          )}
+          {note.tags?.length > 0 && (
+            <div style={{ fontSize: "0.7rem", opacity: 0.6, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+              {note.tags.map((tag) => `#${tag.name}`).join(" ")}
+            </div>
+          )}
+        </div>
+
+        {/* Icons */}
+        <div style={{ display: "flex", gap: "6px", marginLeft: "8px" }}>
+          <Pin
+            size={16}
+            onClick={(e) => {
+              e.stopPropagation();
+              togglePin(note);
+            }}
+            style={{ cursor: "pointer", opacity: note.pinned ? 1 : 0.3 }}
+          >
+            <title>{note.pinned ? "Unpin" : "Pin to top"}</title>
+          </Pin>
+          <Pencil
+            size={16}
+            onClick={(e) => {
+              e.stopPropagation();
+              setRenamingNoteId(note.id);
+              setRenameInput(note.title);
+            }}
+            style={{ cursor: "pointer", opacity: 0.7 }}
+          />
+          <Trash2
+            size={16}
+            onClick={(e) => {
+              e.stopPropagation();
+              deleteNote(note.id);
+            }}
+            style={{ cursor: "pointer", opacity: 0.7 }}
+          />
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <>
+      <style>
         {`
           @keyframes dot1 {
             0%, 100% { opacity: 0; }
@@ -553,82 +2126,217 @@ $$`;
         {/* Sidebar */}
         <aside style={leftSidebarStyle}>
         <div style={sidebarHeaderStyle}>Notex</div>
-        <button style={primaryButtonStyle} onClick={handleNewNote}>
+        <div style={accountRowStyle}>
+          <span style={accountEmailStyle} title={user.email}>{user.email}</span>
+          <button style={logoutButtonStyle} onClick={onLogout} title="Sign out">
+            <LogOut size={14} />
+          </button>
+        </div>
+        <button style={primaryButtonStyle} onClick={() => handleNewNote()}>
           New note
         </button>
+        <button style={reviewButtonStyle} onClick={() => setShowReview(true)}>
+          <Layers size={14} /> Review flashcards
+          {dueCount > 0 && <span style={dueBadgeStyle}>{dueCount}</span>}
+        </button>
 
-        <div style={notesListContainerStyle}>
-          {notes.map((note) => {
-            const isSelected = note.id === selectedNoteId;
-            return (
+        {/* Search box */}
+        <div style={searchBoxStyle}>
+          <Search size={14} style={{ opacity: 0.6, flexShrink: 0 }} />
+          <input
+            type="text"
+            value={searchQuery}
+            placeholder="Search notes…"
+            onChange={(e) => setSearchQuery(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Escape") setSearchQuery("");
+              if (e.key === "Enter" && searchResults.length > 0) openSearchResult(searchResults[0]);
+            }}
+            style={searchInputStyle}
+          />
+          {searchQuery && (
+            <X size={14} style={{ cursor: "pointer", opacity: 0.6, flexShrink: 0 }} onClick={() => setSearchQuery("")} />
+          )}
+        </div>
+
+        {searchQuery.trim() ? (
+          <div style={notesListContainerStyle}>
+            {isSearching && searchResults.length === 0 && (
+              <div style={searchEmptyStyle}>Searching…</div>
+            )}
+            {!isSearching && searchResults.length === 0 && (
+              <div style={searchEmptyStyle}>No matching notes</div>
+            )}
+            {searchResults.map((result) => (
               <div
-                key={note.id}
-                onClick={() => {
-                  selectNote(note.id, note.title);
-                  setRenamingNoteId(null);
-                }}
+                key={result.id}
+                onClick={() => openSearchResult(result)}
                 style={{
-                  ...noteListItemStyle,
-                  backgroundColor: isSelected ? "#1d4ed8" : "transparent",
-                  color: isSelected ? "white" : "#e5e7eb",
+                  ...searchResultStyle,
+                  backgroundColor: result.id === selectedNoteId ? "#1d4ed8" : "transparent",
                 }}
               >
-                {/* Title or rename input */}
-                <div style={{ flex: 1, overflow: "hidden" }}>
-                  {renamingNoteId === note.id ? (
-                    <input
-                      value={renameInput}
-                      onChange={(e) => setRenameInput(e.target.value)}
-                      onBlur={() => {
-                        renameNote(note.id, renameInput || "Untitled");
-                        setRenamingNoteId(null);
-                      }}
-                      onKeyDown={(e) => {
-                        if (e.key === "Enter") {
-                          renameNote(note.id, renameInput || "Untitled");
-                          setRenamingNoteId(null);
-                        }
-                      }}
-                      autoFocus
-                      style={{
-                        width: "80%",
-                        padding: "2px 4px",
-                        borderRadius: "4px",
-                        border: "1px solid #ccc",
-                        fontSize: "0.85rem",
-                      }}
-                    />
-                  ) : (
-                    <span>{note.title}</span>
-                  )}
+                <div style={{ fontWeight: 600, fontSize: "0.85rem" }}>
+                  <HighlightedText segments={result.titleSegments} />
                 </div>
+                {result.snippet.length > 0 && (
+                  <div style={{ fontSize: "0.75rem", opacity: 0.8, marginTop: "0.2rem", lineHeight: 1.4 }}>
+                    <HighlightedText segments={result.snippet} />
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        ) : (
+        <div style={notesListContainerStyle}>
+          {/* Filters: pinned notes and one tag at a time */}
+          <div style={filterBarStyle}>
+            <button
+              style={{ ...filterChipStyle, ...(pinnedOnly ? activeFilterChipStyle : {}) }}
+              onClick={() => applyFilters({ pinned: !pinnedOnly })}
+            >
+              <Pin size={11} /> Pinned
+            </button>
+            {tags.map((tag) => (
+              <button
+                key={tag.id}
+                style={{ ...filterChipStyle, ...(tagFilter === tag.id ? activeFilterChipStyle : {}) }}
+                onClick={() => applyFilters({ tag: tagFilter === tag.id ? null : tag.id })}
+                title={`${tag.note_count ?? 0} notes`}
+              >
+                #{tag.name}
+              </button>
+            ))}
+          </div>
+
+          <div
+            {...dropHandlers(null)}
+            style={{
+              ...sidebarSectionLabelStyle,
+              padding: "0.25rem 0.35rem",
+              borderRadius: "0.35rem",
+              backgroundColor: dropTarget === "root" ? "#1e3a8a" : "transparent",
+            }}
+          >
+            <span style={{ flex: 1 }}>Notes</span>
+            <Download size={14} style={{ cursor: "pointer" }} onClick={handleExportVault}>
+              <title>Export all notes (Markdown zip)</title>
+            </Download>
+            <Upload
+              size={14}
+              style={{ cursor: importingVault ? "wait" : "pointer", opacity: importingVault ? 0.5 : 1 }}
+              onClick={() => !importingVault && vaultInputRef.current?.click()}
+            >
+              <title>{importingVault ? "Importing…" : "Import a Markdown zip"}</title>
+            </Upload>
+            <input ref={vaultInputRef} type="file" accept=".zip,application/zip" style={{ display: "none" }} onChange={handleImportVault} />
+            <FolderPlus size={14} style={{ cursor: "pointer" }} onClick={() => createFolder(null)}>
+              <title>New folder</title>
+            </FolderPlus>
+          </div>
+          {renderFolderContents(null, 0)}
+          {isFiltering && notes.length === 0 && (
+            <div style={searchEmptyStyle}>No notes match this filter</div>
+          )}
 
-                {/* Icons */}
-                <div style={{ display: "flex", gap: "6px", marginLeft: "8px" }}>
-                  <Pencil
-                    size={16}
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      setRenamingNoteId(note.id);
-                      setRenameInput(note.title);
+          {sharedNotes.length > 0 && (
+            <>
+              <div style={sidebarSectionLabelStyle}>
+                <Users size={12} /> Shared with me
+              </div>
+              {sharedNotes.map((note) => {
+                const isSelected = note.id === selectedNoteId;
+                return (
+                  <div
+                    key={note.id}
+                    onClick={() => {
+                      selectNote(note.id, note.title);
+                      setRenamingNoteId(null);
                     }}
-                    style={{ cursor: "pointer", opacity: 0.7 }}
-                  />
-                  <Trash2
-                    size={16}
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      deleteNote(note.id);
+                    style={{
+                      ...noteListItemStyle,
+                      backgroundColor: isSelected ? "#1d4ed8" : "transparent",
+                      color: isSelected ? "white" : "#e5e7eb",
                     }}
-                    style={{ cursor: "pointer", opacity: 0.7 }}
-                  />
+                    title={note.owner_email ? `Shared by ${note.owner_email}` : undefined}
+                  >
+                    <div style={{ flex: 1, overflow: "hidden" }}>
+                      <span>{note.title}</span>
+                      <div style={{ fontSize: "0.7rem", opacity: 0.6 }}>
+                        {note.role === "editor" ? "Can edit" : "View only"}
+                      </div>
+                    </div>
+                    <X
+                      size={16}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        leaveSharedNote(note.id);
+                      }}
+                      style={{ cursor: "pointer", opacity: 0.7, marginLeft: "8px" }}
+                    >
+                      <title>Remove from my list</title>
+                    </X>
+                  </div>
+                );
+              })}
+            </>
+          )}
+
+          <div style={{ ...sidebarSectionLabelStyle, cursor: "pointer" }} onClick={toggleTrash}>
+            {showTrash ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
+            <Trash2 size={12} />
+            <span style={{ flex: 1 }}>Trash</span>
+            {showTrash && trash.notes.length > 0 && (
+              <span
+                style={{ textTransform: "none", letterSpacing: 0, fontWeight: 500 }}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  purgeTrash();
+                }}
+              >
+                Empty
+              </span>
+            )}
+          </div>
+          {showTrash && (
+            <>
+              {trash.notes.length === 0 && <div style={searchEmptyStyle}>Trash is empty</div>}
+              {trash.notes.map((note) => (
+                <div key={note.id} style={{ ...noteListItemStyle, cursor: "default", color: "#94a3b8" }}>
+                  <div style={{ flex: 1, overflow: "hidden" }}>
+                    <span>{note.title || "Untitled"}</span>
+                    <div style={{ fontSize: "0.7rem", opacity: 0.6 }}>
+                      {note.purge_at
+                        ? `Deleted for good ${new Date(note.purge_at).toLocaleDateString()}`
+                        : `Deleted ${new Date(note.deleted_at).toLocaleDateString()}`}
+                    </div>
+                  </div>
+                  <div style={{ display: "flex", gap: "6px", marginLeft: "8px" }}>
+                    <RotateCcw size={16} style={{ cursor: "pointer", opacity: 0.7 }} onClick={() => restoreNote(note.id)}>
+                      <title>Restore</title>
+                    </RotateCcw>
+                    <X size={16} style={{ cursor: "pointer", opacity: 0.7 }} onClick={() => purgeTrash(note.id)}>
+                      <title>Delete for good</title>
+                    </X>
+                  </div>
                 </div>
-              </div>
-            );
-          })}
+              ))}
+            </>
+          )}
         </div>
+        )}
       </aside>
 
+      {trashUndo && (
+        <div style={trashToastStyle}>
+          <span style={{ overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>Moved "{trashUndo.title}" to the trash</span>
+          <button style={trashToastButtonStyle} onClick={() => restoreNote(trashUndo.id)}>
+            Undo
+          </button>
+          <X size={14} style={{ cursor: "pointer", flexShrink: 0 }} onClick={() => setTrashUndo(null)} />
+        </div>
+      )}
+
       {/* Center Editor */}
       <main style={editorStyle}>
         {selectedNoteId ? (
@@ -811,6 +2519,47 @@ $$`;
                 )}
               </div>
               
+              {/* AI writing actions on the selection */}
+              {noteRole !== 'viewer' && (
+                <div style={{ position: 'relative' }}>
+                  <button
+                    style={toolbarButtonStyle}
+                    // Keep the editor selection while the menu is opened
+                    onMouseDown={(e) => e.preventDefault()}
+                    onClick={() => setOpenDropdown(openDropdown === 'ai' ? null : 'ai')}
+                    title="AI actions on the selected text"
+                  >
+                    <Sparkles size={14} style={{ marginRight: '0.25rem' }} />
+                    AI ▾
+                  </button>
+                  {openDropdown === 'ai' && (
+                    <div style={dropdownStyle}>
+                      {WRITING_ACTIONS.map((item) => (
+                        <button
+                          key={item.value}
+                          style={dropdownItemStyle}
+                          onMouseDown={(e) => e.preventDefault()}
+                          onClick={() => runWritingAction(item.value)}
+                        >
+                          {item.label}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {assistUndo.length > 0 && noteRole !== 'viewer' && (
+                <button
+                  style={toolbarButtonStyle}
+                  onClick={undoWritingAction}
+                  title={`Undo ${WRITING_ACTIONS.find((a) => a.value === assistUndo[assistUndo.length - 1].action)?.label.toLowerCase()}`}
+                >
+                  <RotateCcw size={14} style={{ marginRight: '0.25rem' }} />
+                  Undo AI
+                </button>
+              )}
+
               <div style={{ flex: 1 }} />
               
               {/* Chat Toggle */}
@@ -823,37 +2572,197 @@ $$`;
                 <Sparkles size={10} style={{ position: 'absolute', top: '4px', right: '4px' }} />
               </button>
               
-              {/* PDF Toggle */}
-              <button 
-                style={{...toolbarButtonStyle, backgroundColor: showPdf ? '#2563eb' : 'white', color: showPdf ? 'white' : '#475569'}} 
-                onClick={() => {
-                  if (!showPdf) {
-                    generatePdf();
-                  } else {
-                    setShowPdf(false);
-                  }
-                }} 
-                title="Toggle PDF Preview"
+              {/* Share (owner only) */}
+              {noteRole === 'owner' && (
+                <button
+                  style={{...toolbarButtonStyle, backgroundColor: showShare ? '#2563eb' : 'white', color: showShare ? 'white' : '#475569'}}
+                  onClick={() => (showShare ? setShowShare(false) : openShareDialog())}
+                  title="Share note"
+                >
+                  <Share2 size={16} />
+                </button>
+              )}
+
+              {/* History Toggle */}
+              <button
+                style={{...toolbarButtonStyle, backgroundColor: showHistory ? '#2563eb' : 'white', color: showHistory ? 'white' : '#475569'}}
+                onClick={() => setShowHistory(!showHistory)}
+                title="Version history"
+              >
+                <History size={16} />
+              </button>
+
+              {/* Attachments Toggle */}
+              <button
+                style={{...toolbarButtonStyle, backgroundColor: showFiles ? '#2563eb' : 'white', color: showFiles ? 'white' : '#475569'}}
+                onClick={() => setShowFiles(!showFiles)}
+                title="Attached PDFs and slides"
+              >
+                <Paperclip size={16} />
+              </button>
+
+              {/* Export */}
+              <div style={{ position: 'relative' }}>
+                <button
+                  style={toolbarButtonStyle}
+                  onClick={() => setOpenDropdown(openDropdown === 'export' ? null : 'export')}
+                  disabled={exporting}
+                  title="Download the note"
+                >
+                  <Download size={16} />
+                </button>
+                {openDropdown === 'export' && (
+                  <div style={{ ...dropdownStyle, left: 'auto', right: 0 }}>
+                    <button style={dropdownItemStyle} onClick={() => downloadExport('pdf')}>PDF</button>
+                    <button style={dropdownItemStyle} onClick={() => downloadExport('html')}>HTML</button>
+                  </div>
+                )}
+              </div>
+
+              {/* PDF Toggle */}
+              <button 
+                style={{...toolbarButtonStyle, backgroundColor: showPdf ? '#2563eb' : 'white', color: showPdf ? 'white' : '#475569'}} 
+                onClick={() => {
+                  if (!showPdf) {
+                    showPdfPreview();
+                  } else {
+                    setShowPdf(false);
+                  }
+                }} 
+                disabled={exporting}
+                title="Toggle PDF Preview"
               >
-                {showPdf ? 'Show HTML' : 'Show PDF'}
+                {exporting ? 'Exporting…' : showPdf ? 'Show HTML' : 'Show PDF'}
               </button>
             </div>
 
+            {/* Tags (owner only); topics from the last summary are offered as suggestions */}
+            {noteRole === 'owner' && (
+              <div style={tagBarStyle}>
+                <Tag size={14} style={{ color: '#94a3b8', flexShrink: 0 }} />
+                {noteTags.map((tag) => (
+                  <span key={tag.id} style={noteTagChipStyle}>
+                    #{tag.name}
+                    <X size={12} style={{ cursor: 'pointer', opacity: 0.6 }} onClick={() => removeTag(tag.id)} />
+                  </span>
+                ))}
+                <form
+                  onSubmit={(e) => {
+                    e.preventDefault();
+                    addTag(tagInput);
+                    setTagInput('');
+                  }}
+                >
+                  <input
+                    value={tagInput}
+                    onChange={(e) => setTagInput(e.target.value)}
+                    placeholder="Add tag…"
+                    list="notex-tag-options"
+                    style={tagInputStyle}
+                  />
+                  <datalist id="notex-tag-options">
+                    {tags.map((tag) => (
+                      <option key={tag.id} value={tag.name} />
+                    ))}
+                  </datalist>
+                </form>
+                {suggestedTags.map((name) => (
+                  <button key={name} style={suggestedTagStyle} onClick={() => addTag(name)} title="Suggested from the summary">
+                    + {name}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {/* Cached summary, shown without asking the AI again */}
+            {noteSummary && (
+              <div style={summaryPanelStyle}>
+                <div style={summaryHeaderStyle}>
+                  <button style={summaryToggleStyle} onClick={() => setSummaryCollapsed(!summaryCollapsed)}>
+                    {summaryCollapsed ? <ChevronRight size={14} /> : <ChevronDown size={14} />}
+                    <FileText size={14} /> Summary
+                  </button>
+                  {summaryStale && <span style={{ color: '#b45309' }}>Out of date: the note has changed since</span>}
+                  <button
+                    style={{ ...summaryToggleStyle, marginLeft: 'auto' }}
+                    onClick={() => handleGenerateSummary({ refresh: true })}
+                    disabled={isLoading}
+                    title="Generate a new summary"
+                  >
+                    <RotateCcw size={12} /> Regenerate
+                  </button>
+                </div>
+                {!summaryCollapsed && (
+                  <div style={summaryBodyStyle}>
+                    <ReactMarkdown remarkPlugins={[remarkMath, remarkGfm]} rehypePlugins={[rehypeKatex]}>
+                      {noteSummary.summary}
+                    </ReactMarkdown>
+                    {noteSummary.keyPoints.length > 0 && (
+                      <ul style={{ margin: '0.25rem 0 0', paddingLeft: '1.25rem' }}>
+                        {noteSummary.keyPoints.map((point, i) => (
+                          <li key={i}>
+                            {point.text}
+                            {point.sections.length > 0 && (
+                              <span style={keyPointSectionStyle}> — {point.sections.join(", ")}</span>
+                            )}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+
             {/* Split Editor and Preview */}
             <div style={splitContainerStyle}>
               {/* Markdown Editor */}
               <div style={editorPanelStyle}>
-                <div style={panelLabelStyle}>Markdown Editor</div>
+                <div style={{ ...panelLabelStyle, display: 'flex', justifyContent: 'space-between' }}>
+                  <span>Markdown Editor</span>
+                  <span style={{ textTransform: 'none', letterSpacing: 0, fontWeight: 500, color: saveStatus === 'error' || saveStatus === 'conflict' ? '#dc2626' : '#94a3b8' }}>
+                    {noteRole === 'viewer'
+                      ? 'View only'
+                      : liveStatus && liveStatus !== 'unavailable'
+                        ? { connecting: 'Connecting…', live: 'Live', reconnecting: 'Offline – reconnecting' }[liveStatus]
+                        : { saved: 'Saved', pending: 'Unsaved changes', saving: 'Saving…', conflict: 'Conflict', error: 'Offline – retrying' }[saveStatus]}
+                  </span>
+                </div>
+                {assist && (
+                  <WritingAssistPreview
+                    assist={assist}
+                    onApply={applyWritingAction}
+                    onDiscard={discardWritingAction}
+                    onRetry={retryWritingAction}
+                    onStop={stopWritingAction}
+                  />
+                )}
                 <textarea
                   ref={editorRef}
                   style={editorTextareaStyle}
                   placeholder="Write your notes here…"
                   value={noteText}
-                  onChange={(e) => {
-                    setNoteText(e.target.value);
-                    saveNote({ content: e.target.value });
-                  }}
+                  readOnly={noteRole === 'viewer'}
+                  onChange={(e) => updateContent(e.target.value)}
+                  onSelect={(e) =>
+                    liveRef.current?.setSelection({ anchor: e.target.selectionStart, head: e.target.selectionEnd })
+                  }
                 />
+                {livePeers.length > 0 && (
+                  <div style={presenceBarStyle}>
+                    {livePeers.map((peer) => (
+                      <span key={peer.clientId} style={{ ...presenceChipStyle, borderColor: peer.color }}>
+                        <span style={{ ...presenceDotStyle, backgroundColor: peer.color }} />
+                        {peer.email || 'Someone'}
+                        {peer.selection && (
+                          <span style={{ color: '#94a3b8' }}>
+                            · line {noteText.slice(0, peer.selection.head).split('\n').length}
+                          </span>
+                        )}
+                      </span>
+                    ))}
+                  </div>
+                )}
               </div>
 
               {/* Rendered Preview */}
@@ -871,7 +2780,7 @@ $$`;
                     title="PDF Preview"
                   />
                 ) : (
-                  <div ref={previewRef} style={previewContentStyle}>
+                  <div style={previewContentStyle}>
                     <ReactMarkdown
                       remarkPlugins={[remarkMath, remarkGfm]}
                       rehypePlugins={[rehypeKatex, rehypeHighlight]}
@@ -902,6 +2811,78 @@ $$`;
                   </div>
                 )}
               </div>
+
+              {/* Attached files beside the preview */}
+              {showFiles && (
+                <NoteFilesPanel key={selectedNoteId} noteId={selectedNoteId} readOnly={noteRole === 'viewer'} focus={fileFocus} />
+              )}
+
+              {/* Version history beside the preview */}
+              {showHistory && (
+                <div style={historyPanelStyle}>
+                  <div style={panelLabelStyle}>History</div>
+                  <div style={revisionListStyle}>
+                    {revisions.length === 0 && (
+                      <div style={{ fontSize: '0.8rem', color: '#94a3b8', padding: '0.5rem' }}>No saved versions yet</div>
+                    )}
+                    {revisions.map((revision, i) => (
+                      <div
+                        key={revision.id}
+                        onClick={() => setSelectedRevisionId(revision.id)}
+                        style={{
+                          ...revisionItemStyle,
+                          backgroundColor: revision.id === selectedRevisionId ? '#eff6ff' : 'transparent',
+                          borderColor: revision.id === selectedRevisionId ? '#93c5fd' : 'transparent',
+                        }}
+                      >
+                        <div style={{ fontWeight: 600 }}>
+                          {new Date(revision.updated_at).toLocaleString()}
+                          {i === 0 && <span style={{ color: '#64748b', fontWeight: 400 }}> · latest</span>}
+                        </div>
+                        <div style={{ color: '#64748b' }}>
+                          {revision.title} · {revision.length} chars
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+
+                  {selectedRevisionId && (
+                    <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', padding: '0.5rem', borderTop: '1px solid #e2e8f0' }}>
+                      <select
+                        value={compareTo}
+                        onChange={(e) => setCompareTo(e.target.value)}
+                        style={{ flex: 1, fontSize: '0.8rem', padding: '0.25rem' }}
+                      >
+                        <option value="current">Compare with current text</option>
+                        <option value="previous">Changes in this version</option>
+                      </select>
+                      <button
+                        style={{ ...toolbarButtonStyle, padding: '0.25rem 0.5rem', gap: '0.25rem' }}
+                        onClick={() => restoreRevision(selectedRevisionId)}
+                        title="Restore this version"
+                      >
+                        <RotateCcw size={14} /> Restore
+                      </button>
+                    </div>
+                  )}
+
+                  <div style={diffContainerStyle}>
+                    {historyLoading && !revisionDiff && <div style={{ color: '#94a3b8' }}>Loading…</div>}
+                    {revisionDiff?.hunks && (
+                      <>
+                        <div style={{ color: '#64748b', marginBottom: '0.5rem' }}>
+                          <span style={{ color: '#16a34a' }}>+{revisionDiff.added}</span>{' '}
+                          <span style={{ color: '#dc2626' }}>−{revisionDiff.removed}</span> lines
+                        </div>
+                        <DiffView hunks={revisionDiff.hunks} />
+                      </>
+                    )}
+                    {!historyLoading && !revisionDiff && selectedRevisionId && compareTo === 'previous' && (
+                      <div style={{ color: '#94a3b8' }}>This is the oldest version.</div>
+                    )}
+                  </div>
+                </div>
+              )}
             </div>
           </>
         ) : (
@@ -916,11 +2897,74 @@ $$`;
         <section style={aiPanelStyle}>
           <div style={aiHeaderStyle}>Ask me anything!</div>
 
+        {/* Thread switcher */}
+        <div style={threadBarStyle}>
+          <select
+            value={activeThreadId || ""}
+            onChange={(e) => handleSelectThread(e.target.value)}
+            disabled={isLoading || chatThreads.length === 0}
+            style={threadSelectStyle}
+            title="Switch chat"
+          >
+            {chatThreads.length === 0 && <option value="">New chat</option>}
+            {chatThreads.map((thread) => (
+              <option key={thread.id} value={thread.id}>
+                {thread.title}
+              </option>
+            ))}
+          </select>
+          <button style={threadButtonStyle} onClick={handleNewThread} disabled={isLoading || !selectedNoteId} title="New chat">
+            <Plus size={14} />
+          </button>
+          <button style={threadButtonStyle} onClick={handleRenameThread} disabled={isLoading || !activeThreadId} title="Rename chat">
+            <Pencil size={14} />
+          </button>
+          <button style={threadButtonStyle} onClick={handleDeleteThread} disabled={isLoading || !activeThreadId} title="Delete chat">
+            <Trash2 size={14} />
+          </button>
+          <button
+            style={{ ...threadButtonStyle, backgroundColor: chatMemory ? "#e0e7ff" : "white" }}
+            onClick={handleShowMemory}
+            disabled={!activeThreadId}
+            title="What Bob remembers of this chat"
+          >
+            <Brain size={14} />
+          </button>
+        </div>
+
+        {chatMemory && (
+          <div style={memoryPanelStyle}>
+            <div style={memoryHeaderStyle}>
+              <span>Bob remembers{chatMemory.edited ? " (edited)" : ""}</span>
+              {chatMemory.updatedAt > 0 && <span>{new Date(chatMemory.updatedAt).toLocaleString()}</span>}
+            </div>
+            <textarea
+              value={memoryDraft}
+              onChange={(e) => setMemoryDraft(e.target.value)}
+              placeholder="Nothing yet. Older messages are summarised here as the chat grows; you can also add things for Bob to remember."
+              style={memoryTextareaStyle}
+              rows={5}
+            />
+            <div style={{ display: "flex", justifyContent: "flex-end", gap: "0.25rem" }}>
+              <button style={threadButtonStyle} onClick={() => setChatMemory(null)}>
+                Close
+              </button>
+              <button
+                style={threadButtonStyle}
+                onClick={handleSaveMemory}
+                disabled={memoryDraft.trim() === chatMemory.summary}
+              >
+                Save
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Workflow preset buttons */}
         <div style={workflowButtonsStyle}>
           <button
             style={workflowButtonStyle}
-            onClick={handleGenerateSummary}
+            onClick={() => handleGenerateSummary()}
             disabled={isLoading || !selectedNoteId}
             title="Generate a summary of this note"
           >
@@ -936,12 +2980,21 @@ $$`;
             <HelpCircle size={16} style={{ marginRight: '0.5rem' }} />
             Create Study Questions
           </button>
+          <button
+            style={workflowButtonStyle}
+            onClick={() => setShowQuiz(true)}
+            disabled={isLoading || !selectedNoteId}
+            title="Answer questions on this note and get them graded"
+          >
+            <GraduationCap size={16} style={{ marginRight: '0.5rem' }} />
+            Take a Quiz
+          </button>
         </div>
 
         <div style={chatBoxStyle}>
           {messages.map((m, i) => (
             <div
-              key={i}
+              key={m.id || i}
               style={{
                 marginBottom: "0.75rem",
                 textAlign: m.role === "user" ? "right" : "left",
@@ -976,9 +3029,76 @@ $$`;
                   m.content
                 )}
               </div>
+              {m.sources?.length > 0 && (
+                <div style={sourcesStyle}>
+                  {m.sources.map((source) => (
+                    <button
+                      key={`${source.ref}-${source.noteId}`}
+                      style={sourceLinkStyle}
+                      onClick={() => (source.fileId ? openFileSource(source) : selectNote(source.noteId, source.title))}
+                      title={source.heading || source.title}
+                    >
+                      [{source.ref}] {source.title}{source.fileId ? `, ${source.heading}` : ''}
+                    </button>
+                  ))}
+                </div>
+              )}
+              {m.actions?.map((action) => (
+                <ActionCard
+                  key={action.id}
+                  action={action}
+                  busy={actionBusyId === action.id || isLoading}
+                  readOnly={noteRole === "viewer" && (action.type === "append_section" || action.type === "replace_selection")}
+                  onAccept={() => handleAcceptAction(m, action)}
+                  onReject={() => handleRejectAction(m, action)}
+                />
+              ))}
+              {m.stopped && (
+                <div style={{ fontSize: "0.7rem", color: "#94a3b8", marginTop: "0.25rem", marginLeft: "0.25rem" }}>
+                  Stopped
+                </div>
+              )}
+              {(m.branches?.length > 1 || (m.role === "user" && m.id)) && (
+                <div style={messageControlsStyle}>
+                  {m.branches?.length > 1 && (() => {
+                    const branch = m.branches.indexOf(m.id);
+                    return (
+                      <>
+                        <button
+                          style={branchButtonStyle}
+                          onClick={() => handleSwitchBranch(m.branches[branch - 1])}
+                          disabled={isLoading || branch <= 0}
+                          title="Previous version"
+                        >
+                          <ChevronLeft size={12} />
+                        </button>
+                        <span>{branch + 1}/{m.branches.length}</span>
+                        <button
+                          style={branchButtonStyle}
+                          onClick={() => handleSwitchBranch(m.branches[branch + 1])}
+                          disabled={isLoading || branch >= m.branches.length - 1}
+                          title="Next version"
+                        >
+                          <ChevronRight size={12} />
+                        </button>
+                      </>
+                    );
+                  })()}
+                  {m.role === "user" && m.id && (
+                    <button
+                      style={branchButtonStyle}
+                      onClick={() => startEditingMessage(m)}
+                      disabled={isLoading}
+                      title="Edit and regenerate from here"
+                    >
+                      <Pencil size={12} />
+                    </button>
+                  )}
+                </div>
+              )}
             </div>
           ))}
-          {isLoading && (
+          {isLoading && !messages[messages.length - 1]?.streaming && (
             <div style={{ textAlign: "left", marginBottom: "0.75rem" }}>
               <div style={{ fontSize: "0.7rem", fontWeight: 600, color: "#64748b", marginBottom: "0.25rem", marginLeft: "0.25rem" }}>
                 Bob
@@ -993,7 +3113,10 @@ $$`;
                   fontStyle: "italic",
                 }}
               >
-                Bob is thinking<span className="thinking-dots"><span className="dot1">.</span><span className="dot2">.</span><span className="dot3">.</span></span>
+                {jobStep
+                  ? `Bob is working: ${jobStep.name}${jobStep.status === "retrying" ? ` (retrying, attempt ${jobStep.attempts + 1})` : ""}`
+                  : "Bob is thinking"}
+                <span className="thinking-dots"><span className="dot1">.</span><span className="dot2">.</span><span className="dot3">.</span></span>
               </div>
             </div>
           )}
@@ -1003,11 +3126,57 @@ $$`;
           <div style={{ color: "red", fontSize: "0.8rem" }}>{error}</div>
         )}
 
+        <div style={scopeToggleStyle}>
+          {[
+            { value: "note", label: "This note" },
+            { value: "all", label: "All my notes" },
+          ].map((option) => (
+            <button
+              key={option.value}
+              type="button"
+              onClick={() => setChatScope(option.value)}
+              style={{
+                ...scopeButtonStyle,
+                backgroundColor: chatScope === option.value ? "#2563eb" : "white",
+                color: chatScope === option.value ? "white" : "#475569",
+              }}
+            >
+              {option.label}
+            </button>
+          ))}
+          <button
+            type="button"
+            onClick={() => setBobTools(!bobTools)}
+            style={{
+              ...scopeButtonStyle,
+              flex: "none",
+              display: "flex",
+              alignItems: "center",
+              gap: "0.25rem",
+              backgroundColor: bobTools ? "#2563eb" : "white",
+              color: bobTools ? "white" : "#475569",
+            }}
+            title="Let Bob search your notes and suggest edits, new notes and flashcards"
+          >
+            <Wrench size={12} />
+            Tools
+          </button>
+        </div>
+
+        {editingMessageId && (
+          <div style={editingBannerStyle}>
+            Editing a message. Sending starts a new branch; the old one is kept.
+            <button type="button" style={branchButtonStyle} onClick={cancelEditingMessage}>
+              Cancel
+            </button>
+          </div>
+        )}
+
         <form onSubmit={handleSend} style={chatFormStyle}>
           <input
             type="text"
             value={input}
-            placeholder="Ask Bob about this note…"
+            placeholder={editingMessageId ? "Edit your message…" : chatScope === "all" ? "Ask Bob about any of your notes…" : "Ask Bob about this note…"}
             onChange={(e) => setInput(e.target.value)}
             style={chatInputStyle}
           />
@@ -1019,45 +3188,1269 @@ $$`;
           >
             Clear Chat
           </button>
-          <button style={sendButtonStyle} disabled={isLoading}>
-            {isLoading ? "…" : "Send"}
-          </button>
+          {isStreaming ? (
+            <button type="button" onClick={handleStopReply} style={sendButtonStyle}>
+              Stop
+            </button>
+          ) : (
+            <button style={sendButtonStyle} disabled={isLoading}>
+              {isLoading ? "…" : "Send"}
+            </button>
+          )}
         </form>
         </section>
       )}
+
+      {/* Conflict resolution */}
+      {conflict && (
+        <div style={modalOverlayStyle}>
+          <div style={conflictModalStyle}>
+            <div style={{ fontSize: '1.1rem', fontWeight: 700 }}>This note was changed somewhere else</div>
+            <div style={{ fontSize: '0.85rem', color: '#475569' }}>
+              Another tab or device saved "{conflict.server.title}" after you started editing.
+              Nothing has been overwritten yet. Edit the right-hand side into the version you want to keep.
+            </div>
+            <div style={{ display: 'flex', gap: '1rem', flex: 1, minHeight: 0 }}>
+              <div style={conflictColumnStyle}>
+                <div style={panelLabelStyle}>Saved elsewhere (version {conflict.server.version})</div>
+                <textarea readOnly value={conflict.server.content} style={{ ...editorTextareaStyle, backgroundColor: '#f8fafc' }} />
+              </div>
+              <div style={conflictColumnStyle}>
+                <div style={panelLabelStyle}>Your version</div>
+                <textarea value={mergeText} onChange={(e) => setMergeText(e.target.value)} style={editorTextareaStyle} />
+              </div>
+            </div>
+            <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '0.5rem' }}>
+              <button style={toolbarButtonStyle} onClick={() => resolveConflict('theirs')}>
+                Discard mine, use theirs
+              </button>
+              <button style={{ ...sendButtonStyle, padding: '0.5rem 1rem' }} onClick={() => resolveConflict('mine')}>
+                Save my version
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Sharing */}
+      {showReview && (
+        <ReviewSession
+          onClose={() => {
+            setShowReview(false);
+            fetchDueCount();
+          }}
+        />
+      )}
+
+      {showQuiz && selectedNoteId && (
+        <QuizSession noteId={selectedNoteId} noteTitle={noteTitle} onClose={() => setShowQuiz(false)} />
+      )}
+
+      {showShare && (
+        <div style={modalOverlayStyle} onClick={() => setShowShare(false)}>
+          <div style={shareModalStyle} onClick={(e) => e.stopPropagation()}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <div style={{ fontSize: '1.1rem', fontWeight: 700 }}>Share "{noteTitle}"</div>
+              <X size={18} style={{ cursor: 'pointer' }} onClick={() => setShowShare(false)} />
+            </div>
+
+            <form style={{ display: 'flex', gap: '0.5rem' }} onSubmit={inviteCollaborator}>
+              <input
+                style={{ ...authInputStyle, flex: 1 }}
+                type="email"
+                placeholder="Classmate's email"
+                value={shareEmail}
+                onChange={(e) => setShareEmail(e.target.value)}
+              />
+              <select style={authInputStyle} value={shareRole} onChange={(e) => setShareRole(e.target.value)}>
+                <option value="viewer">Can view</option>
+                <option value="editor">Can edit</option>
+              </select>
+              <button style={{ ...sendButtonStyle, padding: '0.5rem 1rem' }} type="submit">
+                Invite
+              </button>
+            </form>
+            {shareError && <div style={{ color: '#b91c1c', fontSize: '0.85rem' }}>{shareError}</div>}
+
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '0.25rem' }}>
+              {shares.length === 0 && (
+                <div style={{ fontSize: '0.85rem', color: '#94a3b8' }}>Only you can see this note</div>
+              )}
+              {shares.map((share) => (
+                <div key={share.user_id} style={shareRowStyle}>
+                  <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis' }}>{share.email}</span>
+                  <span style={{ color: '#64748b' }}>{share.role === 'editor' ? 'Can edit' : 'Can view'}</span>
+                  <Trash2
+                    size={14}
+                    style={{ cursor: 'pointer', color: '#94a3b8' }}
+                    onClick={() => revokeShare(selectedNoteId, share.user_id)}
+                  />
+                </div>
+              ))}
+            </div>
+
+            <div style={{ borderTop: '1px solid #e2e8f0', paddingTop: '0.75rem', display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+              <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+                <span style={{ fontSize: '0.9rem', fontWeight: 600 }}>
+                  <Link size={14} style={{ verticalAlign: 'middle' }} /> Public read-only link
+                </span>
+                <button style={toolbarButtonStyle} onClick={togglePublicLink}>
+                  {publicLinkSig ? 'Disable link' : 'Create link'}
+                </button>
+              </div>
+              {publicLinkUrl && (
+                <input
+                  style={{ ...authInputStyle, fontSize: '0.8rem', color: '#475569' }}
+                  readOnly
+                  value={publicLinkUrl}
+                  onFocus={(e) => e.target.select()}
+                />
+              )}
+            </div>
+          </div>
+        </div>
+      )}
     </div>
     </>
   );
 }
 
+// Pinned notes first, then most recently edited (the order the API lists them in)
+function sortNotes(list) {
+  return [...list].sort(
+    (a, b) => (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0) || (b.updated_at || '').localeCompare(a.updated_at || '')
+  );
+}
+
+// Render search snippet segments, marking the matched terms
+function HighlightedText({ segments }) {
+  return segments.map((segment, i) =>
+    segment.match ? (
+      <mark key={i} style={searchMarkStyle}>{segment.text}</mark>
+    ) : (
+      <span key={i}>{segment.text}</span>
+    )
+  );
+}
+
+// A change Bob suggested in chat, shown for the student to accept or reject
+function ActionCard({ action, busy, readOnly, onAccept, onReject }) {
+  const titles = {
+    append_section: `Add section "${action.heading}"`,
+    replace_selection: 'Replace selected text',
+    create_note: `Create note "${action.title}"`,
+    add_flashcards: `Add ${action.cards?.length} flashcard${action.cards?.length === 1 ? '' : 's'}`,
+  };
+
+  return (
+    <div style={actionCardStyle}>
+      <div style={actionTitleStyle}>
+        <Wrench size={12} />
+        {titles[action.type]}
+      </div>
+      <div style={actionBodyStyle}>
+        {action.diff && <DiffView hunks={action.diff} />}
+        {action.type === 'create_note' && <div style={{ whiteSpace: 'pre-wrap', padding: '0 0.5rem' }}>{action.content}</div>}
+        {action.type === 'add_flashcards' && (
+          <ol style={{ margin: 0, paddingLeft: '1.5rem' }}>
+            {action.cards.map((card, i) => (
+              <li key={i}>
+                <strong>{card.question}</strong> — {card.answer}
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+      {action.status === 'proposed' ? (
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '0.25rem' }}>
+          <button style={threadButtonStyle} onClick={onReject} disabled={busy}>
+            <X size={12} style={{ marginRight: '0.25rem' }} />
+            Reject
+          </button>
+          <button
+            style={{ ...threadButtonStyle, backgroundColor: '#2563eb', color: 'white', borderColor: '#2563eb' }}
+            onClick={onAccept}
+            disabled={busy || readOnly}
+            title={readOnly ? 'You have view-only access to this note' : undefined}
+          >
+            <Check size={12} style={{ marginRight: '0.25rem' }} />
+            Accept
+          </button>
+        </div>
+      ) : (
+        <div style={{ fontSize: '0.7rem', color: action.status === 'accepted' ? '#16a34a' : '#94a3b8' }}>
+          {action.status === 'accepted' ? 'Accepted' : 'Rejected'}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// What an AI writing action would change, shown above the editor until applied or discarded
+function WritingAssistPreview({ assist, onApply, onDiscard, onRetry, onStop }) {
+  const label = WRITING_ACTIONS.find((a) => a.value === assist.action)?.label;
+  const lines = assist.text ? assist.text.split('\n') : [];
+  const hunks = assist.mode === 'replace'
+    ? [{ type: 'delete', lines: assist.original.split('\n') }, { type: 'insert', lines }]
+    : [{ type: 'insert', lines }];
+
+  return (
+    <div style={assistPanelStyle}>
+      <div style={actionTitleStyle}>
+        <Sparkles size={12} />
+        {label}
+        <span style={{ fontWeight: 400, color: '#94a3b8' }}>
+          {assist.status === 'streaming'
+            ? 'writing…'
+            : assist.undo
+              ? 'undo'
+              : assist.mode === 'replace' ? 'replaces the selection' : 'goes after the selection'}
+        </span>
+      </div>
+      {assist.status === 'error' ? (
+        <div style={{ color: '#dc2626' }}>{assist.error}</div>
+      ) : (
+        <div style={actionBodyStyle}>
+          <DiffView hunks={hunks} />
+        </div>
+      )}
+      <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '0.25rem' }}>
+        {assist.status === 'streaming' ? (
+          <button style={threadButtonStyle} onClick={onStop}>
+            Stop
+          </button>
+        ) : (
+          <>
+            <button style={threadButtonStyle} onClick={onDiscard}>
+              <X size={12} style={{ marginRight: '0.25rem' }} />
+              {assist.status === 'error' ? 'Dismiss' : 'Discard'}
+            </button>
+            {!assist.undo && (
+              <>
+                <button style={threadButtonStyle} onClick={onRetry}>
+                  <RotateCcw size={12} style={{ marginRight: '0.25rem' }} />
+                  Retry
+                </button>
+                <button
+                  style={{ ...threadButtonStyle, backgroundColor: '#2563eb', color: 'white', borderColor: '#2563eb' }}
+                  onClick={onApply}
+                  disabled={assist.status !== 'ready' || !assist.text}
+                >
+                  <Check size={12} style={{ marginRight: '0.25rem' }} />
+                  Apply
+                </button>
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Viewer state update that turns to a page, opening (and loading) the file first if it isn't open
+function showFilePage(fileId, page) {
+  return (prev) => (prev?.file.id === fileId ? { ...prev, page } : { file: { id: fileId }, page, loading: true });
+}
+
+// PDFs and slide decks attached to a note. PDFs render with react-pdf; for
+// slides the extracted text is shown, which is also what Bob reads.
+function NoteFilesPanel({ noteId, readOnly, focus }) {
+  const [files, setFiles] = useState([]);
+  const [viewer, setViewer] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    apiFetch(`/api/notes/${noteId}/files`)
+      .then((res) => (res.ok ? res.json() : { files: [] }))
+      .then((data) => setFiles(data.files || []))
+      .catch((err) => console.error('Failed to load attachments', err));
+  }, [noteId]);
+
+  const openFile = (fileId, page = 1) => setViewer(showFilePage(fileId, page));
+
+  // A cited page opens here
+  useEffect(() => {
+    if (focus) setViewer(showFilePage(focus.fileId, focus.page || 1));
+  }, [focus]);
+
+  // Load a file's pages (and the PDF itself) once it's opened
+  const loadingFileId = viewer?.loading ? viewer.file.id : null;
+  useEffect(() => {
+    if (!loadingFileId) return;
+    let cancelled = false;
+
+    (async () => {
+      try {
+        const res = await apiFetch(`/api/files/${loadingFileId}/pages`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load attachment');
+
+        let blob = null;
+        if (data.file.content_type === 'application/pdf') {
+          const content = await apiFetch(`/api/files/${loadingFileId}/content`);
+          if (!content.ok) throw new Error('Failed to load attachment');
+          blob = await content.blob();
+        }
+        if (cancelled) return;
+        setViewer((prev) =>
+          prev?.file.id === loadingFileId
+            ? { ...prev, file: data.file, pages: data.pages, blob, pageCount: data.file.page_count, loading: false }
+            : prev
+        );
+      } catch (err) {
+        if (cancelled) return;
+        setViewer(null);
+        alert(err.message);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [loadingFileId]);
+
+  const uploadFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    if (file.size > MAX_NOTE_FILE_BYTES) {
+      alert('File too large. Please choose a file smaller than 25MB.');
+      return;
+    }
+
+    setUploading(true);
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      const res = await apiFetch(`/api/notes/${noteId}/files`, { method: 'POST', body: formData });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Upload failed');
+
+      setFiles((prev) => [...prev, data.file]);
+      if (data.file.status === 'no_text') {
+        alert(`No text could be read from ${data.file.filename} (is it scanned?), so Bob won't be able to use it.`);
+      }
+    } catch (err) {
+      alert(`Failed to attach the file: ${err.message}`);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const deleteFile = async (file) => {
+    if (!confirm(`Remove ${file.filename} from this note?`)) return;
+    try {
+      const res = await apiFetch(`/api/files/${file.id}`, { method: 'DELETE' });
+      if (!res.ok) throw new Error((await res.json()).error || 'Delete failed');
+      setFiles((prev) => prev.filter((f) => f.id !== file.id));
+      if (viewer?.file.id === file.id) setViewer(null);
+    } catch (err) {
+      alert(`Failed to remove the file: ${err.message}`);
+    }
+  };
+
+  const slides = viewer && !viewer.blob;
+  const pageCount = viewer?.pageCount || 0;
+  const turnPage = (delta) => setViewer((prev) => ({ ...prev, page: Math.min(Math.max(prev.page + delta, 1), prev.pageCount || 1) }));
+
+  return (
+    <div style={historyPanelStyle}>
+      <div style={{ ...panelLabelStyle, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <span>Attachments</span>
+        {!readOnly && (
+          <button
+            style={{ ...threadButtonStyle, textTransform: 'none', letterSpacing: 0 }}
+            onClick={() => inputRef.current?.click()}
+            disabled={uploading}
+            title="Attach a PDF or slide deck (.pptx)"
+          >
+            <Upload size={12} style={{ marginRight: '0.25rem' }} />
+            {uploading ? 'Reading…' : 'Attach'}
+          </button>
+        )}
+        <input ref={inputRef} type="file" accept={NOTE_FILE_ACCEPT} onChange={uploadFile} style={{ display: 'none' }} />
+      </div>
+
+      <div style={revisionListStyle}>
+        {files.length === 0 && (
+          <div style={{ fontSize: '0.8rem', color: '#94a3b8', padding: '0.5rem' }}>
+            Attach lecture PDFs or slides and Bob can answer from them
+          </div>
+        )}
+        {files.map((file) => (
+          <div
+            key={file.id}
+            onClick={() => openFile(file.id)}
+            style={{
+              ...revisionItemStyle,
+              display: 'flex',
+              alignItems: 'center',
+              gap: '0.375rem',
+              backgroundColor: file.id === viewer?.file.id ? '#eff6ff' : 'transparent',
+            }}
+          >
+            <FileText size={14} style={{ color: '#64748b', flexShrink: 0 }} />
+            <span style={{ flex: 1, minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{file.filename}</span>
+            <span style={{ color: file.status === 'no_text' ? '#dc2626' : '#94a3b8' }}>
+              {file.status === 'no_text' ? 'no text' : `${file.page_count} ${file.content_type === 'application/pdf' ? 'pp.' : 'slides'}`}
+            </span>
+            {!readOnly && (
+              <Trash2
+                size={12}
+                style={{ color: '#94a3b8', cursor: 'pointer', flexShrink: 0 }}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  deleteFile(file);
+                }}
+              />
+            )}
+          </div>
+        ))}
+      </div>
+
+      {viewer && (
+        <>
+          <div style={filePagerStyle}>
+            <button style={threadButtonStyle} onClick={() => turnPage(-1)} disabled={viewer.page <= 1}>
+              <ChevronLeft size={12} />
+            </button>
+            <span>
+              {slides ? 'Slide' : 'Page'} {viewer.page}
+              {pageCount > 0 && ` / ${pageCount}`}
+            </span>
+            <button style={threadButtonStyle} onClick={() => turnPage(1)} disabled={pageCount > 0 && viewer.page >= pageCount}>
+              <ChevronRight size={12} />
+            </button>
+          </div>
+          <div style={fileViewerStyle}>
+            {viewer.loading ? (
+              <div style={{ color: '#94a3b8' }}>Loading…</div>
+            ) : viewer.blob ? (
+              <Document
+                file={viewer.blob}
+                onLoadSuccess={({ numPages }) => setViewer((prev) => ({ ...prev, pageCount: numPages }))}
+                loading={<div style={{ color: '#94a3b8' }}>Loading…</div>}
+                error={<div style={{ color: '#dc2626' }}>Could not display this PDF</div>}
+              >
+                <Page pageNumber={viewer.page} width={300} renderAnnotationLayer={false} />
+              </Document>
+            ) : (
+              <div style={{ whiteSpace: 'pre-wrap', fontSize: '0.8rem', color: '#334155' }}>
+                {viewer.pages?.find((p) => p.page === viewer.page)?.text || 'No text on this slide'}
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// Unified line diff; long unchanged stretches collapse to a few lines of context
+function DiffView({ hunks }) {
+  const context = 3;
+  return (
+    <div>
+      {hunks.map((hunk, i) => {
+        if (hunk.type === 'equal' && hunk.lines.length > context * 2 + 1) {
+          const head = i === 0 ? [] : hunk.lines.slice(0, context);
+          const tail = i === hunks.length - 1 ? [] : hunk.lines.slice(-context);
+          const hidden = hunk.lines.length - head.length - tail.length;
+          return (
+            <div key={i}>
+              {head.map((line, j) => <DiffLine key={`h${j}`} type="equal" line={line} />)}
+              <div style={{ color: '#94a3b8', padding: '0.15rem 0.5rem' }}>… {hidden} unchanged lines</div>
+              {tail.map((line, j) => <DiffLine key={`t${j}`} type="equal" line={line} />)}
+            </div>
+          );
+        }
+        return (
+          <div key={i}>
+            {hunk.lines.map((line, j) => <DiffLine key={j} type={hunk.type} line={line} />)}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+function DiffLine({ type, line }) {
+  const marker = type === 'insert' ? '+' : type === 'delete' ? '−' : ' ';
+  return (
+    <div
+      style={{
+        whiteSpace: 'pre-wrap',
+        wordBreak: 'break-word',
+        padding: '0 0.5rem',
+        backgroundColor: type === 'insert' ? '#dcfce7' : type === 'delete' ? '#fee2e2' : 'transparent',
+        color: type === 'delete' ? '#991b1b' : '#1e293b',
+      }}
+    >
+      {marker} {line || '\u00a0'}
+    </div>
+  );
+}
+
+// SM-2 grades sent for each answer button
+const REVIEW_GRADES = [
+  { label: 'Again', grade: 1, color: '#dc2626' },
+  { label: 'Hard', grade: 3, color: '#d97706' },
+  { label: 'Good', grade: 4, color: '#2563eb' },
+  { label: 'Easy', grade: 5, color: '#16a34a' },
+];
+
+// Flashcard review: shows each due card's question, flips to the answer, records a grade
+function ReviewSession({ onClose }) {
+  const [cards, setCards] = useState(null);
+  const [index, setIndex] = useState(0);
+  const [flipped, setFlipped] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    apiFetch('/api/review/due?limit=50')
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load flashcards');
+        setCards(data.cards || []);
+      })
+      .catch((err) => setError(err.message));
+  }, []);
+
+  const card = cards?.[index];
+
+  const grade = async (value) => {
+    if (!card || submitting) return;
+    setSubmitting(true);
+    setError(null);
+    try {
+      const res = await apiFetch(`/api/flashcards/${card.id}/review`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ grade: value }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to record review');
+      setIndex((i) => i + 1);
+      setFlipped(false);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div style={modalOverlayStyle} onClick={onClose}>
+      <div style={reviewModalStyle} onClick={(e) => e.stopPropagation()}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <div style={{ fontSize: '1.1rem', fontWeight: 700 }}>Review</div>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
+            {cards && cards.length > 0 && (
+              <span style={{ fontSize: '0.8rem', color: '#94a3b8' }}>
+                {Math.min(index + 1, cards.length)} / {cards.length}
+              </span>
+            )}
+            <X size={18} style={{ cursor: 'pointer' }} onClick={onClose} />
+          </div>
+        </div>
+
+        {error && <div style={{ color: '#b91c1c', fontSize: '0.85rem' }}>{error}</div>}
+        {!cards && !error && <div style={{ color: '#94a3b8' }}>Loading…</div>}
+
+        {cards && !card && (
+          <div style={{ ...flashcardStyle, cursor: 'default' }}>
+            <div style={{ fontWeight: 600 }}>{cards.length ? 'All caught up!' : 'Nothing due right now.'}</div>
+            <div style={{ fontSize: '0.85rem', color: '#64748b' }}>
+              Generate study questions on a note to add more flashcards.
+            </div>
+          </div>
+        )}
+
+        {card && (
+          <>
+            <div style={flashcardStyle} onClick={() => setFlipped(!flipped)}>
+              <div style={{ fontSize: '0.75rem', color: '#94a3b8' }}>
+                {card.note_title}
+                {card.type ? ` · ${card.type}` : ''}
+              </div>
+              <div style={{ fontSize: '1.05rem', fontWeight: 600 }}>{card.question}</div>
+              {flipped ? (
+                <div style={{ ...previewContentStyle, borderTop: '1px solid #e2e8f0', paddingTop: '0.75rem' }}>
+                  <ReactMarkdown remarkPlugins={[remarkMath, remarkGfm]} rehypePlugins={[rehypeKatex]}>
+                    {card.answer}
+                  </ReactMarkdown>
+                </div>
+              ) : (
+                <div style={{ fontSize: '0.8rem', color: '#94a3b8' }}>Click to show the answer</div>
+              )}
+            </div>
+
+            {flipped && (
+              <div style={{ display: 'flex', gap: '0.5rem' }}>
+                {REVIEW_GRADES.map(({ label, grade: value, color }) => (
+                  <button
+                    key={label}
+                    style={{ ...gradeButtonStyle, borderColor: color, color }}
+                    disabled={submitting}
+                    onClick={() => grade(value)}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Colour for a 0-100 quiz score
+function scoreColor(score) {
+  if (score >= 80) return '#16a34a';
+  if (score >= 50) return '#d97706';
+  return '#dc2626';
+}
+
+// Quiz on one note: answer each question in your own words, then get every answer graded
+// with what was missing and a model answer, alongside past scores for the note
+function QuizSession({ noteId, noteTitle, onClose }) {
+  const [quiz, setQuiz] = useState(null);
+  const [answers, setAnswers] = useState({});
+  const [index, setIndex] = useState(0);
+  const [results, setResults] = useState(null);
+  const [history, setHistory] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    apiFetch(`/api/notes/${encodeURIComponent(noteId)}/quiz`, { method: 'POST' })
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to start quiz');
+        setQuiz(data);
+      })
+      .catch((err) => setError(err.message));
+  }, [noteId]);
+
+  const questions = quiz?.questions || [];
+  const question = questions[index];
+
+  const submit = async () => {
+    if (!quiz || submitting) return;
+    setSubmitting(true);
+    setError(null);
+    try {
+      const res = await apiFetch(`/api/quiz/${quiz.session.id}/submit`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          answers: questions.map((q) => ({ id: q.id, answer: answers[q.id] || '' })),
+        }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to grade quiz');
+      setResults(data);
+
+      const historyRes = await apiFetch(`/api/quiz/history?noteId=${encodeURIComponent(noteId)}`);
+      if (historyRes.ok) setHistory(await historyRes.json());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const weakest = (list) => (list?.length > 1 ? list[0] : null);
+
+  return (
+    <div style={modalOverlayStyle} onClick={onClose}>
+      <div style={{ ...reviewModalStyle, maxHeight: '88vh', overflowY: 'auto' }} onClick={(e) => e.stopPropagation()}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <div style={{ fontSize: '1.1rem', fontWeight: 700 }}>Quiz: {noteTitle || 'Untitled'}</div>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
+            {!results && questions.length > 0 && (
+              <span style={{ fontSize: '0.8rem', color: '#94a3b8' }}>
+                {index + 1} / {questions.length}
+              </span>
+            )}
+            <X size={18} style={{ cursor: 'pointer' }} onClick={onClose} />
+          </div>
+        </div>
+
+        {error && <div style={{ color: '#b91c1c', fontSize: '0.85rem' }}>{error}</div>}
+        {!quiz && !error && <div style={{ color: '#94a3b8' }}>Writing questions…</div>}
+
+        {question && !results && (
+          <>
+            <div style={{ ...flashcardStyle, minHeight: 'auto', cursor: 'default' }}>
+              <div style={{ fontSize: '0.75rem', color: '#94a3b8' }}>
+                {question.type} · {question.difficulty}
+              </div>
+              <div style={{ fontSize: '1.05rem', fontWeight: 600 }}>{question.question}</div>
+              <textarea
+                style={quizAnswerStyle}
+                placeholder="Answer in your own words…"
+                value={answers[question.id] || ''}
+                disabled={submitting}
+                onChange={(e) => setAnswers({ ...answers, [question.id]: e.target.value })}
+              />
+            </div>
+
+            <div style={{ display: 'flex', gap: '0.5rem' }}>
+              <button
+                style={{ ...gradeButtonStyle, borderColor: '#cbd5e1', color: '#475569' }}
+                disabled={index === 0 || submitting}
+                onClick={() => setIndex(index - 1)}
+              >
+                Back
+              </button>
+              {index < questions.length - 1 ? (
+                <button
+                  style={{ ...gradeButtonStyle, borderColor: '#2563eb', color: '#2563eb' }}
+                  onClick={() => setIndex(index + 1)}
+                >
+                  Next
+                </button>
+              ) : (
+                <button
+                  style={{ ...gradeButtonStyle, borderColor: '#2563eb', backgroundColor: '#2563eb', color: 'white' }}
+                  disabled={submitting}
+                  onClick={submit}
+                >
+                  {submitting ? 'Grading…' : 'Submit for grading'}
+                </button>
+              )}
+            </div>
+          </>
+        )}
+
+        {results && (
+          <>
+            <div style={{ fontSize: '1.5rem', fontWeight: 700, color: scoreColor(results.session.score) }}>
+              {Math.round(results.session.score)}%
+            </div>
+
+            {results.answers.map((a) => (
+              <div key={a.id} style={quizResultStyle}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', gap: '0.75rem' }}>
+                  <div style={{ fontWeight: 600 }}>{a.question}</div>
+                  <div style={{ fontWeight: 700, color: scoreColor(a.score) }}>{a.score}</div>
+                </div>
+                <div style={{ fontSize: '0.85rem', color: '#475569', whiteSpace: 'pre-wrap' }}>
+                  {a.user_answer || <em>No answer</em>}
+                </div>
+                {a.feedback && <div style={{ fontSize: '0.85rem' }}>{a.feedback}</div>}
+                {a.missing.length > 0 && (
+                  <ul style={{ margin: 0, paddingLeft: '1.25rem', fontSize: '0.85rem', color: '#b91c1c' }}>
+                    {a.missing.map((point, i) => (
+                      <li key={i}>{point}</li>
+                    ))}
+                  </ul>
+                )}
+                {a.model_answer && (
+                  <div style={{ ...previewContentStyle, fontSize: '0.85rem', borderTop: '1px solid #e2e8f0', paddingTop: '0.5rem' }}>
+                    <ReactMarkdown remarkPlugins={[remarkMath, remarkGfm]} rehypePlugins={[rehypeKatex]}>
+                      {a.model_answer}
+                    </ReactMarkdown>
+                  </div>
+                )}
+              </div>
+            ))}
+
+            {history && history.sessions.length > 0 && (
+              <div style={quizResultStyle}>
+                <div style={{ fontWeight: 600 }}>Progress on this note</div>
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.35rem' }}>
+                  {history.sessions.map((s) => (
+                    <span
+                      key={s.id}
+                      style={{ ...filterChipStyle, color: scoreColor(s.score), cursor: 'default' }}
+                      title={new Date(s.completed_at).toLocaleString()}
+                    >
+                      {Math.round(s.score)}%
+                    </span>
+                  ))}
+                </div>
+                {[weakest(history.byType), weakest(history.byDifficulty)].filter(Boolean).map((c) => (
+                  <div key={c.category} style={{ fontSize: '0.85rem', color: '#475569' }}>
+                    Weakest on <strong>{c.category}</strong> questions: {c.averageScore}% over {c.attempts} answers
+                  </div>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Read-only page for a public link; renders markdown the same way as the editor preview
+function PublicNoteView({ noteId, sig }) {
+  const [note, setNote] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetch(`${API_URL}/api/public/notes/${encodeURIComponent(noteId)}?sig=${encodeURIComponent(sig)}`)
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'This link is no longer available');
+        setNote(data.note);
+      })
+      .catch((err) => setError(err.message));
+  }, [noteId, sig]);
+
+  return (
+    <div style={publicPageStyle}>
+      <div style={publicCardStyle}>
+        {error && <div style={{ color: '#b91c1c' }}>{error}</div>}
+        {!note && !error && <div style={{ color: '#94a3b8' }}>Loading…</div>}
+        {note && (
+          <>
+            <div style={{ fontSize: '0.8rem', color: '#94a3b8', marginBottom: '1rem' }}>
+              Shared from Notex · updated {new Date(note.updated_at).toLocaleDateString()}
+            </div>
+            <div style={previewContentStyle}>
+              <ReactMarkdown remarkPlugins={[remarkMath, remarkGfm]} rehypePlugins={[rehypeKatex, rehypeHighlight]}>
+                {note.content || '*This note is empty*'}
+              </ReactMarkdown>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function AuthScreen({ onAuthenticated }) {
+  const [mode, setMode] = useState('login');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      const res = await fetch(`${API_URL}/api/auth/${mode}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email, password }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Something went wrong');
+      onAuthenticated(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div style={authScreenStyle}>
+      <form style={authCardStyle} onSubmit={handleSubmit}>
+        <div style={{ ...sidebarHeaderStyle, color: '#0f172a' }}>Notex</div>
+        <div style={{ color: '#64748b', fontSize: '0.9rem' }}>
+          {mode === 'login' ? 'Sign in to your notes' : 'Create an account'}
+        </div>
+        <input
+          style={authInputStyle}
+          type="email"
+          placeholder="Email"
+          autoComplete="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          required
+        />
+        <input
+          style={authInputStyle}
+          type="password"
+          placeholder="Password (8+ characters)"
+          autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          minLength={mode === 'signup' ? 8 : undefined}
+          required
+        />
+        {error && <div style={{ color: '#b91c1c', fontSize: '0.85rem' }}>{error}</div>}
+        <button style={primaryButtonStyle} type="submit" disabled={submitting}>
+          {submitting ? 'Please wait…' : mode === 'login' ? 'Sign in' : 'Sign up'}
+        </button>
+        <button
+          type="button"
+          style={authSwitchStyle}
+          onClick={() => {
+            setMode(mode === 'login' ? 'signup' : 'login');
+            setError(null);
+          }}
+        >
+          {mode === 'login' ? "No account? Sign up" : 'Have an account? Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+const rootStyle = {
+  display: "flex",
+  width: "100vw",
+  height: "100vh",
+  backgroundColor: "#e5e7eb",
+  fontFamily: "system-ui, sans-serif",
+  overflow: "hidden",
+  position: "fixed",
+  top: 0,
+  left: 0,
+};
+
+const leftSidebarStyle = {
+  width: "250px",
+  minWidth: "250px",
+  backgroundColor: "#0f172a",
+  color: "white",
+  padding: "1rem",
+  display: "flex",
+  flexDirection: "column",
+  gap: "0.75rem",
+  overflowY: "auto",
+};
+
+const sidebarHeaderStyle = {
+  fontSize: "1.25rem",
+  fontWeight: 700,
+};
+
+const accountRowStyle = {
+  display: "flex",
+  alignItems: "center",
+  gap: "0.5rem",
+  fontSize: "0.8rem",
+  color: "#94a3b8",
+};
+
+const accountEmailStyle = {
+  flex: 1,
+  overflow: "hidden",
+  textOverflow: "ellipsis",
+  whiteSpace: "nowrap",
+};
+
+const logoutButtonStyle = {
+  background: "transparent",
+  border: "none",
+  color: "#94a3b8",
+  cursor: "pointer",
+  padding: "0.25rem",
+  display: "flex",
+};
+
+const authScreenStyle = {
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "center",
+  width: "100vw",
+  height: "100vh",
+  backgroundColor: "#e5e7eb",
+  fontFamily: "system-ui, sans-serif",
+};
+
+const authCardStyle = {
+  display: "flex",
+  flexDirection: "column",
+  gap: "0.75rem",
+  width: "320px",
+  padding: "2rem",
+  backgroundColor: "white",
+  borderRadius: "0.75rem",
+  boxShadow: "0 10px 30px rgba(15, 23, 42, 0.15)",
+};
+
+const authInputStyle = {
+  padding: "0.6rem 0.75rem",
+  borderRadius: "0.5rem",
+  border: "1px solid #cbd5e1",
+  fontSize: "0.95rem",
+};
+
+const authSwitchStyle = {
+  background: "transparent",
+  border: "none",
+  color: "#2563eb",
+  cursor: "pointer",
+  fontSize: "0.85rem",
+};
+
+const presenceBarStyle = {
+  display: "flex",
+  flexWrap: "wrap",
+  gap: "0.4rem",
+  padding: "0.4rem 0.75rem",
+  borderTop: "1px solid #e2e8f0",
+  backgroundColor: "#f8fafc",
+};
+
+const presenceChipStyle = {
+  display: "inline-flex",
+  alignItems: "center",
+  gap: "0.35rem",
+  fontSize: "0.75rem",
+  color: "#334155",
+  border: "1px solid",
+  borderRadius: "999px",
+  padding: "0.1rem 0.5rem",
+  backgroundColor: "white",
+};
+
+const presenceDotStyle = {
+  width: "8px",
+  height: "8px",
+  borderRadius: "50%",
+};
+
+const sidebarSectionLabelStyle = {
+  display: "flex",
+  alignItems: "center",
+  gap: "0.35rem",
+  marginTop: "0.75rem",
+  fontSize: "0.7rem",
+  fontWeight: 600,
+  textTransform: "uppercase",
+  letterSpacing: "0.05em",
+  color: "#94a3b8",
+};
+
+const filterBarStyle = {
+  display: "flex",
+  flexWrap: "wrap",
+  gap: "0.3rem",
+  marginBottom: "0.25rem",
+};
+
+const filterChipStyle = {
+  display: "inline-flex",
+  alignItems: "center",
+  gap: "0.25rem",
+  fontSize: "0.7rem",
+  color: "#cbd5e1",
+  backgroundColor: "transparent",
+  border: "1px solid #334155",
+  borderRadius: "999px",
+  padding: "0.1rem 0.5rem",
+  cursor: "pointer",
+};
+
+const activeFilterChipStyle = {
+  color: "white",
+  backgroundColor: "#1d4ed8",
+  borderColor: "#1d4ed8",
+};
+
+const folderRowStyle = {
+  display: "flex",
+  alignItems: "center",
+  gap: "0.35rem",
+  padding: "0.4rem 0.6rem",
+  borderRadius: "0.45rem",
+  cursor: "pointer",
+  fontSize: "0.85rem",
+  color: "#cbd5e1",
+};
+
+const tagBarStyle = {
+  display: "flex",
+  flexWrap: "wrap",
+  alignItems: "center",
+  gap: "0.35rem",
+  padding: "0.4rem 0.75rem",
+  borderBottom: "1px solid #e2e8f0",
+  backgroundColor: "white",
+};
+
+const noteTagChipStyle = {
+  display: "inline-flex",
+  alignItems: "center",
+  gap: "0.25rem",
+  fontSize: "0.75rem",
+  color: "#1e3a8a",
+  backgroundColor: "#dbeafe",
+  borderRadius: "999px",
+  padding: "0.1rem 0.5rem",
+};
+
+const tagInputStyle = {
+  fontSize: "0.75rem",
+  border: "none",
+  outline: "none",
+  width: "7rem",
+  padding: "0.1rem 0.25rem",
+};
+
+const suggestedTagStyle = {
+  fontSize: "0.75rem",
+  color: "#475569",
+  backgroundColor: "transparent",
+  border: "1px dashed #94a3b8",
+  borderRadius: "999px",
+  padding: "0.1rem 0.5rem",
+  cursor: "pointer",
+};
+
+const summaryPanelStyle = {
+  borderBottom: "1px solid #e2e8f0",
+  backgroundColor: "#f8fafc",
+  fontSize: "0.85rem",
+  color: "#334155",
+};
+
+const summaryHeaderStyle = {
+  display: "flex",
+  alignItems: "center",
+  gap: "0.75rem",
+  padding: "0.35rem 0.75rem",
+  fontSize: "0.75rem",
+};
+
+const summaryToggleStyle = {
+  display: "inline-flex",
+  alignItems: "center",
+  gap: "0.3rem",
+  border: "none",
+  background: "none",
+  padding: 0,
+  fontSize: "0.75rem",
+  fontWeight: 600,
+  color: "#475569",
+  cursor: "pointer",
+};
+
+const summaryBodyStyle = {
+  maxHeight: "12rem",
+  overflowY: "auto",
+  padding: "0 0.75rem 0.6rem 2rem",
+  lineHeight: 1.5,
+};
+
+const keyPointSectionStyle = {
+  fontSize: "0.75rem",
+  color: "#64748b",
+};
+
+const reviewButtonStyle = {
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "center",
+  gap: "0.4rem",
+  padding: "0.45rem 0.75rem",
+  borderRadius: "0.5rem",
+  border: "1px solid #334155",
+  backgroundColor: "transparent",
+  color: "#e5e7eb",
+  fontSize: "0.85rem",
+  cursor: "pointer",
+};
+
+const dueBadgeStyle = {
+  backgroundColor: "#dc2626",
+  color: "white",
+  borderRadius: "999px",
+  padding: "0 0.45rem",
+  fontSize: "0.7rem",
+  fontWeight: 700,
+};
+
+const reviewModalStyle = {
+  width: "min(560px, 92vw)",
+  backgroundColor: "white",
+  borderRadius: "0.75rem",
+  padding: "1.25rem",
+  display: "flex",
+  flexDirection: "column",
+  gap: "0.9rem",
+  boxShadow: "0 20px 40px rgba(0, 0, 0, 0.25)",
+};
+
+const flashcardStyle = {
+  minHeight: "12rem",
+  border: "1px solid #e2e8f0",
+  borderRadius: "0.75rem",
+  padding: "1.25rem",
+  display: "flex",
+  flexDirection: "column",
+  gap: "0.75rem",
+  cursor: "pointer",
+  backgroundColor: "#f8fafc",
+};
+
+const gradeButtonStyle = {
+  flex: 1,
+  padding: "0.5rem",
+  borderRadius: "0.5rem",
+  border: "1px solid",
+  backgroundColor: "white",
+  fontWeight: 600,
+  cursor: "pointer",
+};
+
+const quizAnswerStyle = {
+  minHeight: "7rem",
+  padding: "0.6rem",
+  borderRadius: "0.5rem",
+  border: "1px solid #cbd5e1",
+  fontFamily: "inherit",
+  fontSize: "0.9rem",
+  resize: "vertical",
+};
 
-const rootStyle = {
+const quizResultStyle = {
+  border: "1px solid #e2e8f0",
+  borderRadius: "0.75rem",
+  padding: "0.9rem",
   display: "flex",
-  width: "100vw",
-  height: "100vh",
-  backgroundColor: "#e5e7eb",
-  fontFamily: "system-ui, sans-serif",
-  overflow: "hidden",
-  position: "fixed",
-  top: 0,
-  left: 0,
+  flexDirection: "column",
+  gap: "0.5rem",
 };
 
-const leftSidebarStyle = {
-  width: "250px",
-  minWidth: "250px",
-  backgroundColor: "#0f172a",
-  color: "white",
-  padding: "1rem",
+const shareModalStyle = {
+  width: "min(520px, 90vw)",
+  backgroundColor: "white",
+  borderRadius: "0.75rem",
+  padding: "1.25rem",
   display: "flex",
   flexDirection: "column",
   gap: "0.75rem",
-  overflowY: "auto",
+  boxShadow: "0 20px 50px rgba(15, 23, 42, 0.3)",
 };
 
-const sidebarHeaderStyle = {
-  fontSize: "1.25rem",
-  fontWeight: 700,
+const shareRowStyle = {
+  display: "flex",
+  alignItems: "center",
+  gap: "0.75rem",
+  fontSize: "0.85rem",
+  padding: "0.35rem 0",
+};
+
+const publicPageStyle = {
+  minHeight: "100vh",
+  backgroundColor: "#e5e7eb",
+  fontFamily: "system-ui, sans-serif",
+  padding: "2rem 1rem",
+};
+
+const publicCardStyle = {
+  maxWidth: "800px",
+  margin: "0 auto",
+  backgroundColor: "white",
+  borderRadius: "0.75rem",
+  padding: "2rem",
+  boxShadow: "0 10px 30px rgba(15, 23, 42, 0.1)",
 };
 
 const notesListContainerStyle = {
@@ -1069,6 +4462,73 @@ const notesListContainerStyle = {
   flex: 1,
 };
 
+const searchBoxStyle = {
+  display: "flex",
+  alignItems: "center",
+  gap: "0.4rem",
+  padding: "0.4rem 0.6rem",
+  borderRadius: "0.5rem",
+  backgroundColor: "#1e293b",
+  border: "1px solid #334155",
+};
+
+const searchInputStyle = {
+  flex: 1,
+  minWidth: 0,
+  border: "none",
+  outline: "none",
+  backgroundColor: "transparent",
+  color: "white",
+  fontSize: "0.85rem",
+};
+
+const trashToastStyle = {
+  position: "fixed",
+  left: "50%",
+  bottom: "1.5rem",
+  transform: "translateX(-50%)",
+  zIndex: 1000,
+  display: "flex",
+  alignItems: "center",
+  gap: "0.75rem",
+  maxWidth: "90vw",
+  padding: "0.6rem 1rem",
+  borderRadius: "0.5rem",
+  backgroundColor: "#0f172a",
+  color: "#e5e7eb",
+  fontSize: "0.85rem",
+  boxShadow: "0 4px 12px rgba(0,0,0,0.25)",
+};
+
+const trashToastButtonStyle = {
+  background: "none",
+  border: "none",
+  color: "#93c5fd",
+  fontWeight: 600,
+  cursor: "pointer",
+  padding: 0,
+};
+
+const searchResultStyle = {
+  padding: "0.5rem 0.6rem",
+  borderRadius: "0.45rem",
+  cursor: "pointer",
+  color: "#e5e7eb",
+};
+
+const searchMarkStyle = {
+  backgroundColor: "#facc15",
+  color: "#0f172a",
+  borderRadius: "2px",
+  padding: "0 1px",
+};
+
+const searchEmptyStyle = {
+  fontSize: "0.8rem",
+  color: "#94a3b8",
+  padding: "0.5rem 0.6rem",
+};
+
 const noteListItemStyle = {
   padding: "0.5rem 0.6rem",
   borderRadius: "0.45rem",
@@ -1140,6 +4600,173 @@ const chatBoxStyle = {
   minHeight: 0,
 };
 
+const threadBarStyle = {
+  display: "flex",
+  gap: "0.25rem",
+  marginBottom: "0.5rem",
+};
+
+const threadSelectStyle = {
+  flex: 1,
+  minWidth: 0,
+  padding: "0.3rem 0.5rem",
+  borderRadius: "0.375rem",
+  border: "1px solid #cbd5e1",
+  fontSize: "0.8rem",
+  backgroundColor: "white",
+};
+
+const threadButtonStyle = {
+  display: "flex",
+  alignItems: "center",
+  padding: "0.3rem 0.45rem",
+  borderRadius: "0.375rem",
+  border: "1px solid #cbd5e1",
+  backgroundColor: "white",
+  color: "#475569",
+  cursor: "pointer",
+};
+
+const actionCardStyle = {
+  display: "flex",
+  flexDirection: "column",
+  gap: "0.35rem",
+  maxWidth: "85%",
+  marginTop: "0.35rem",
+  padding: "0.5rem",
+  border: "1px solid #e2e8f0",
+  borderRadius: "0.5rem",
+  backgroundColor: "white",
+  fontSize: "0.8rem",
+};
+
+const actionTitleStyle = {
+  display: "flex",
+  alignItems: "center",
+  gap: "0.35rem",
+  fontWeight: 600,
+  color: "#334155",
+};
+
+const actionBodyStyle = {
+  maxHeight: "12rem",
+  overflowY: "auto",
+  fontFamily: "monospace",
+  fontSize: "0.75rem",
+  border: "1px solid #f1f5f9",
+  borderRadius: "0.25rem",
+};
+
+const assistPanelStyle = {
+  display: "flex",
+  flexDirection: "column",
+  gap: "0.35rem",
+  margin: "0.5rem 0.75rem 0",
+  padding: "0.5rem",
+  border: "1px solid #bfdbfe",
+  borderRadius: "0.5rem",
+  backgroundColor: "#eff6ff",
+  fontSize: "0.8rem",
+};
+
+const memoryPanelStyle = {
+  display: "flex",
+  flexDirection: "column",
+  gap: "0.35rem",
+  marginBottom: "0.5rem",
+  padding: "0.5rem",
+  border: "1px solid #c7d2fe",
+  borderRadius: "0.5rem",
+  backgroundColor: "#eef2ff",
+};
+
+const memoryHeaderStyle = {
+  display: "flex",
+  justifyContent: "space-between",
+  fontSize: "0.75rem",
+  fontWeight: 600,
+  color: "#4338ca",
+};
+
+const memoryTextareaStyle = {
+  width: "100%",
+  boxSizing: "border-box",
+  padding: "0.4rem",
+  borderRadius: "0.375rem",
+  border: "1px solid #cbd5e1",
+  fontSize: "0.8rem",
+  fontFamily: "inherit",
+  resize: "vertical",
+};
+
+const messageControlsStyle = {
+  display: "flex",
+  justifyContent: "flex-end",
+  alignItems: "center",
+  gap: "0.25rem",
+  marginTop: "0.25rem",
+  fontSize: "0.7rem",
+  color: "#94a3b8",
+};
+
+const branchButtonStyle = {
+  display: "inline-flex",
+  alignItems: "center",
+  padding: "0.1rem 0.3rem",
+  border: "none",
+  background: "none",
+  color: "#64748b",
+  fontSize: "0.7rem",
+  cursor: "pointer",
+};
+
+const editingBannerStyle = {
+  display: "flex",
+  justifyContent: "space-between",
+  alignItems: "center",
+  gap: "0.5rem",
+  marginBottom: "0.5rem",
+  fontSize: "0.75rem",
+  color: "#475569",
+};
+
+const sourcesStyle = {
+  display: "flex",
+  flexWrap: "wrap",
+  gap: "0.25rem",
+  marginTop: "0.35rem",
+  marginLeft: "0.25rem",
+};
+
+const sourceLinkStyle = {
+  padding: "0.15rem 0.45rem",
+  borderRadius: "999px",
+  border: "1px solid #cbd5e1",
+  backgroundColor: "white",
+  color: "#1d4ed8",
+  fontSize: "0.7rem",
+  cursor: "pointer",
+  maxWidth: "100%",
+  overflow: "hidden",
+  textOverflow: "ellipsis",
+  whiteSpace: "nowrap",
+};
+
+const scopeToggleStyle = {
+  display: "flex",
+  gap: "0.25rem",
+  marginBottom: "0.5rem",
+};
+
+const scopeButtonStyle = {
+  flex: 1,
+  padding: "0.3rem 0.5rem",
+  borderRadius: "0.375rem",
+  border: "1px solid #cbd5e1",
+  fontSize: "0.75rem",
+  cursor: "pointer",
+};
+
 const chatFormStyle = {
   display: "flex",
   gap: "0.5rem",
@@ -1271,6 +4898,93 @@ const previewPanelStyle = {
   backgroundColor: "white",
 };
 
+const modalOverlayStyle = {
+  position: "fixed",
+  inset: 0,
+  backgroundColor: "rgba(15, 23, 42, 0.55)",
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "center",
+  zIndex: 2000,
+};
+
+const conflictModalStyle = {
+  width: "min(1100px, 92vw)",
+  height: "min(720px, 88vh)",
+  backgroundColor: "white",
+  borderRadius: "0.75rem",
+  padding: "1.25rem",
+  display: "flex",
+  flexDirection: "column",
+  gap: "0.75rem",
+  boxShadow: "0 20px 40px rgba(0, 0, 0, 0.25)",
+};
+
+const conflictColumnStyle = {
+  flex: 1,
+  display: "flex",
+  flexDirection: "column",
+  border: "1px solid #e2e8f0",
+  borderRadius: "0.5rem",
+  overflow: "hidden",
+};
+
+const historyPanelStyle = {
+  width: "340px",
+  minWidth: "280px",
+  display: "flex",
+  flexDirection: "column",
+  borderLeft: "1px solid #e2e8f0",
+  backgroundColor: "white",
+  overflow: "hidden",
+};
+
+const revisionListStyle = {
+  maxHeight: "35%",
+  overflowY: "auto",
+  padding: "0.5rem",
+  display: "flex",
+  flexDirection: "column",
+  gap: "0.25rem",
+};
+
+const revisionItemStyle = {
+  padding: "0.4rem 0.5rem",
+  borderRadius: "0.375rem",
+  border: "1px solid transparent",
+  cursor: "pointer",
+  fontSize: "0.75rem",
+};
+
+const diffContainerStyle = {
+  flex: 1,
+  overflow: "auto",
+  padding: "0.5rem",
+  fontFamily: "'Fira Code', 'Consolas', monospace",
+  fontSize: "0.75rem",
+  lineHeight: 1.5,
+  borderTop: "1px solid #e2e8f0",
+  minHeight: 0,
+};
+
+const filePagerStyle = {
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "space-between",
+  padding: "0.375rem 0.5rem",
+  borderTop: "1px solid #e2e8f0",
+  fontSize: "0.75rem",
+  color: "#64748b",
+};
+
+const fileViewerStyle = {
+  flex: 1,
+  overflow: "auto",
+  padding: "0.5rem",
+  backgroundColor: "#f8fafc",
+  minHeight: 0,
+};
+
 const panelLabelStyle = {
   padding: "0.5rem 1rem",
   fontSize: "0.75rem",
@@ -0,0 +1,245 @@
+/**
+ * Live note editing (client side of the NoteDocument Durable Object)
+ * One operation is in flight at a time; edits typed while waiting for the
+ * server's ack are composed into a buffer, and remote operations are
+ * transformed past both. Edits made while disconnected are merged into the
+ * fresh snapshot on reconnect.
+ */
+
+import { apply, compose, isNoop, operationFromDiff, transform, transformIndex } from './ot';
+
+const RECONNECT_DELAYS_MS = [500, 1000, 2000, 5000, 10000];
+// Attempts before giving up on a session that never connected (no live editing available)
+const MAX_INITIAL_ATTEMPTS = 3;
+const SELECTION_DELAY_MS = 80;
+
+export class CollabSession {
+  // status: connecting | live | reconnecting | unavailable | closed
+  constructor({ url, text, onChange, onPeers, onStatus, onSaved, onAccess }) {
+    this.url = url;
+    this.callbacks = { onChange, onPeers, onStatus, onSaved, onAccess };
+    this.clientKey = crypto.randomUUID();
+
+    // Local text, including edits the server hasn't acknowledged
+    this.text = text;
+    // The document at `revision` as the server has it
+    this.serverText = text;
+    this.revision = null;
+    this.outstanding = null;
+    this.outstandingSeq = 0;
+    this.buffer = null;
+    this.seq = 0;
+
+    this.readOnly = false;
+    this.peers = new Map();
+    this.status = 'connecting';
+    this.hasBeenLive = false;
+    this.attempts = 0;
+    this.pendingSelection = undefined;
+
+    this.connect();
+  }
+
+  get isLive() {
+    return this.status === 'live';
+  }
+
+  connect() {
+    const url = new URL(this.url);
+    url.searchParams.set('client', this.clientKey);
+    const ws = new WebSocket(url);
+    this.ws = ws;
+
+    ws.onmessage = (event) => {
+      try {
+        this.handleMessage(JSON.parse(event.data));
+      } catch (err) {
+        // Out of step with the server: start over from a fresh snapshot
+        console.error('Live edit failed, resyncing', err);
+        ws.close();
+      }
+    };
+
+    ws.onclose = (event) => {
+      if (this.ws !== ws) return;
+      this.ws = null;
+      this.peers.clear();
+      this.emitPeers();
+      if (this.status === 'closed') return;
+
+      // 4404: the note is gone; 4403: our share was revoked
+      if (event.code === 4404 || event.code === 4403 || (!this.hasBeenLive && this.attempts + 1 >= MAX_INITIAL_ATTEMPTS)) {
+        this.setStatus('unavailable');
+        return;
+      }
+
+      this.setStatus(this.hasBeenLive ? 'reconnecting' : 'connecting');
+      const delay = event.code === 4000 ? 0 : RECONNECT_DELAYS_MS[Math.min(this.attempts, RECONNECT_DELAYS_MS.length - 1)];
+      this.attempts++;
+      this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    };
+  }
+
+  close() {
+    this.status = 'closed';
+    clearTimeout(this.reconnectTimer);
+    clearTimeout(this.selectionTimer);
+    this.ws?.close();
+  }
+
+  /**
+   * Record a local edit. Sent right away when possible, otherwise queued.
+   */
+  setText(text, selection) {
+    if (text === this.text) return;
+    const op = operationFromDiff(this.text, text);
+    this.text = text;
+    this.transformPeers(op);
+
+    if (this.readOnly || !this.isLive) return;
+    if (this.outstanding) {
+      this.buffer = this.buffer ? compose(this.buffer, op) : op;
+    } else {
+      this.sendOperation(op, selection);
+    }
+  }
+
+  setSelection(selection) {
+    this.pendingSelection = selection;
+    if (this.selectionTimer) return;
+    this.selectionTimer = setTimeout(() => {
+      this.selectionTimer = null;
+      if (this.isLive) this.send({ type: 'selection', selection: this.pendingSelection });
+    }, SELECTION_DELAY_MS);
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case 'init':
+        this.handleInit(message);
+        break;
+      case 'ack':
+        this.handleAck(message);
+        break;
+      case 'op':
+        this.handleRemoteOperation(message);
+        break;
+      case 'presence':
+        this.peers.set(message.peer.clientId, message.peer);
+        this.emitPeers();
+        break;
+      case 'leave':
+        this.peers.delete(message.clientId);
+        this.emitPeers();
+        break;
+      case 'saved':
+        this.callbacks.onSaved?.(message.version);
+        break;
+      case 'error':
+        console.warn('Live editing:', message.message);
+        break;
+    }
+  }
+
+  // Fresh snapshot (first connect or reconnect): three-way merge our unsent edits into it
+  handleInit(message) {
+    let base = this.serverText;
+    if (this.outstanding && message.appliedSeq >= this.outstandingSeq) {
+      // Our in-flight edit landed before the connection dropped
+      base = apply(base, this.outstanding);
+    }
+
+    const local = this.text;
+    const mine = operationFromDiff(base, local);
+    const theirs = operationFromDiff(base, message.content);
+    let [minePrime, theirsPrime] = transform(mine, theirs);
+
+    this.readOnly = message.readOnly;
+    // The role can change between connections (the owner edited the share)
+    this.callbacks.onAccess?.(this.readOnly);
+    if (this.readOnly) {
+      minePrime = [];
+      theirsPrime = operationFromDiff(local, message.content);
+    }
+
+    this.serverText = message.content;
+    this.revision = message.revision;
+    this.outstanding = null;
+    this.buffer = null;
+    this.text = apply(local, theirsPrime);
+
+    this.peers = new Map(message.peers.map((peer) => [peer.clientId, peer]));
+    this.hasBeenLive = true;
+    this.attempts = 0;
+    this.setStatus('live');
+    this.emitPeers();
+    this.callbacks.onSaved?.(message.version);
+
+    if (!isNoop(theirsPrime)) this.callbacks.onChange?.(this.text, theirsPrime);
+    if (!isNoop(minePrime)) this.sendOperation(minePrime);
+  }
+
+  handleAck(message) {
+    this.serverText = apply(this.serverText, this.outstanding);
+    this.revision = message.revision;
+    this.outstanding = null;
+
+    if (this.buffer) {
+      const buffer = this.buffer;
+      this.buffer = null;
+      this.sendOperation(buffer);
+    }
+  }
+
+  handleRemoteOperation(message) {
+    let op = message.op;
+    this.serverText = apply(this.serverText, op);
+    this.revision = message.revision;
+
+    if (this.outstanding) [this.outstanding, op] = transform(this.outstanding, op);
+    if (this.buffer) [this.buffer, op] = transform(this.buffer, op);
+
+    this.text = apply(this.text, op);
+    this.transformPeers(op, message.clientId);
+    if (message.clientId && this.peers.has(message.clientId)) {
+      this.peers.set(message.clientId, { ...this.peers.get(message.clientId), selection: message.selection });
+    }
+    this.emitPeers();
+    this.callbacks.onChange?.(this.text, op);
+  }
+
+  sendOperation(op, selection) {
+    this.seq++;
+    this.outstanding = op;
+    this.outstandingSeq = this.seq;
+    this.send({ type: 'op', revision: this.revision, op, seq: this.seq, selection });
+  }
+
+  send(message) {
+    if (this.ws?.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify(message));
+    }
+  }
+
+  transformPeers(op, exceptClientId) {
+    for (const [clientId, peer] of this.peers) {
+      if (clientId === exceptClientId || !peer.selection) continue;
+      this.peers.set(clientId, {
+        ...peer,
+        selection: {
+          anchor: transformIndex(peer.selection.anchor, op),
+          head: transformIndex(peer.selection.head, op),
+        },
+      });
+    }
+  }
+
+  emitPeers() {
+    this.callbacks.onPeers?.([...this.peers.values()]);
+  }
+
+  setStatus(status) {
+    this.status = status;
+    this.callbacks.onStatus?.(status);
+  }
+}
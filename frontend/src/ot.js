@@ -0,0 +1,217 @@
+/**
+ * Operational Transformation (client copy)
+ * Mirrors backend/src/ot.ts. An operation is a list of components: a positive
+ * number retains characters, a negative number deletes them and a string
+ * inserts text. Both copies must transform identically or documents drift apart.
+ */
+
+const isRetain = (c) => typeof c === 'number' && c > 0;
+const isDelete = (c) => typeof c === 'number' && c < 0;
+const isInsert = (c) => typeof c === 'string';
+
+// Appends components in canonical form: same kinds merged, insert before delete
+class OpBuilder {
+  ops = [];
+
+  retain(n) {
+    if (n <= 0) return this;
+    const last = this.ops[this.ops.length - 1];
+    if (isRetain(last)) {
+      this.ops[this.ops.length - 1] = last + n;
+    } else {
+      this.ops.push(n);
+    }
+    return this;
+  }
+
+  insert(text) {
+    if (text === '') return this;
+    const ops = this.ops;
+    const last = ops[ops.length - 1];
+    if (isInsert(last)) {
+      ops[ops.length - 1] = last + text;
+    } else if (isDelete(last)) {
+      const beforeLast = ops[ops.length - 2];
+      if (isInsert(beforeLast)) {
+        ops[ops.length - 2] = beforeLast + text;
+      } else {
+        ops[ops.length] = last;
+        ops[ops.length - 2] = text;
+      }
+    } else {
+      ops.push(text);
+    }
+    return this;
+  }
+
+  delete(n) {
+    const count = Math.abs(n);
+    if (count === 0) return this;
+    const last = this.ops[this.ops.length - 1];
+    if (isDelete(last)) {
+      this.ops[this.ops.length - 1] = last - count;
+    } else {
+      this.ops.push(-count);
+    }
+    return this;
+  }
+}
+
+export function isNoop(op) {
+  return op.length === 0 || (op.length === 1 && isRetain(op[0]));
+}
+
+export function apply(doc, op) {
+  let index = 0;
+  const parts = [];
+  for (const c of op) {
+    if (isRetain(c)) {
+      parts.push(doc.slice(index, index + c));
+      index += c;
+    } else if (isInsert(c)) {
+      parts.push(c);
+    } else {
+      index -= c;
+    }
+  }
+  if (index !== doc.length) {
+    throw new Error('Operation does not match the document length');
+  }
+  return parts.join('');
+}
+
+// [a', b'] such that b' after a equals a' after b; on a tie a's insert comes first
+export function transform(a, b) {
+  const aPrime = new OpBuilder();
+  const bPrime = new OpBuilder();
+  let i = 0;
+  let j = 0;
+  let opA = a[i++];
+  let opB = b[j++];
+
+  while (opA !== undefined || opB !== undefined) {
+    if (isInsert(opA)) {
+      aPrime.insert(opA);
+      bPrime.retain(opA.length);
+      opA = a[i++];
+      continue;
+    }
+    if (isInsert(opB)) {
+      aPrime.retain(opB.length);
+      bPrime.insert(opB);
+      opB = b[j++];
+      continue;
+    }
+    if (opA === undefined || opB === undefined) {
+      throw new Error('Operations have different lengths');
+    }
+
+    let min;
+    if (isRetain(opA) && isRetain(opB)) {
+      min = Math.min(opA, opB);
+      aPrime.retain(min);
+      bPrime.retain(min);
+      opA = opA > min ? opA - min : a[i++];
+      opB = opB > min ? opB - min : b[j++];
+    } else if (isDelete(opA) && isDelete(opB)) {
+      min = Math.min(-opA, -opB);
+      opA = -opA > min ? opA + min : a[i++];
+      opB = -opB > min ? opB + min : b[j++];
+    } else if (isDelete(opA) && isRetain(opB)) {
+      min = Math.min(-opA, opB);
+      aPrime.delete(min);
+      opA = -opA > min ? opA + min : a[i++];
+      opB = opB > min ? opB - min : b[j++];
+    } else {
+      min = Math.min(opA, -opB);
+      bPrime.delete(min);
+      opA = opA > min ? opA - min : a[i++];
+      opB = -opB > min ? opB + min : b[j++];
+    }
+  }
+
+  return [aPrime.ops, bPrime.ops];
+}
+
+// a then b as a single operation
+export function compose(a, b) {
+  const result = new OpBuilder();
+  let i = 0;
+  let j = 0;
+  let opA = a[i++];
+  let opB = b[j++];
+
+  while (opA !== undefined || opB !== undefined) {
+    if (isDelete(opA)) {
+      result.delete(opA);
+      opA = a[i++];
+      continue;
+    }
+    if (isInsert(opB)) {
+      result.insert(opB);
+      opB = b[j++];
+      continue;
+    }
+    if (opA === undefined || opB === undefined) {
+      throw new Error('Operations have different lengths');
+    }
+
+    if (isRetain(opA) && isRetain(opB)) {
+      const min = Math.min(opA, opB);
+      result.retain(min);
+      opA = opA > min ? opA - min : a[i++];
+      opB = opB > min ? opB - min : b[j++];
+    } else if (isInsert(opA) && isDelete(opB)) {
+      const min = Math.min(opA.length, -opB);
+      opA = opA.length > min ? opA.slice(min) : a[i++];
+      opB = -opB > min ? opB + min : b[j++];
+    } else if (isInsert(opA) && isRetain(opB)) {
+      const min = Math.min(opA.length, opB);
+      result.insert(opA.slice(0, min));
+      opA = opA.length > min ? opA.slice(min) : a[i++];
+      opB = opB > min ? opB - min : b[j++];
+    } else {
+      const min = Math.min(opA, -opB);
+      result.delete(min);
+      opA = opA > min ? opA - min : a[i++];
+      opB = -opB > min ? opB + min : b[j++];
+    }
+  }
+
+  return result.ops;
+}
+
+// The operation turning `from` into `to`, as one replaced span
+export function operationFromDiff(from, to) {
+  const min = Math.min(from.length, to.length);
+
+  let prefix = 0;
+  while (prefix < min && from[prefix] === to[prefix]) prefix++;
+
+  let suffix = 0;
+  while (suffix < min - prefix && from[from.length - 1 - suffix] === to[to.length - 1 - suffix]) suffix++;
+
+  return new OpBuilder()
+    .retain(prefix)
+    .insert(to.slice(prefix, to.length - suffix))
+    .delete(from.length - prefix - suffix)
+    .retain(suffix).ops;
+}
+
+// Move a cursor through an operation; text inserted exactly at the cursor pushes it along
+export function transformIndex(index, op) {
+  let remaining = index;
+  let result = index;
+  for (const c of op) {
+    if (isRetain(c)) {
+      remaining -= c;
+    } else if (isInsert(c)) {
+      result += c.length;
+    } else {
+      result -= Math.min(remaining, -c);
+      remaining += c;
+    }
+    if (remaining < 0) break;
+  }
+  return result;
+}